@@ -1,8 +1,20 @@
-import React, { useEffect, useRef } from "react";
-import AnimatedCirclesPlugin from "./AnimatedCirclesPlugin.js";
+import React, { forwardRef, useCallback, useEffect, useRef } from "react";
+import AnimatedCirclesPlugin, { settingsSchema } from "./AnimatedCirclesPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
@@ -11,11 +23,6 @@ interface Props {
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
-
-  // Layout
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 }
 
 interface AdvancedSettings {
@@ -32,6 +39,68 @@ interface AdvancedSettings {
   };
 }
 
+// Plugin settings accepted by the imperative handle's update()
+interface Settings {
+  backgroundColor?: string;
+  backgroundImage?: string | null;
+  speed?: number | string;
+  count?: number | string;
+  size?: number | string;
+  spread?: number | string;
+  opacity?: number;
+  duration?: number;
+  delay?: number;
+  enableMultipleLayers?: boolean;
+  layerCount?: number;
+  enableRotation?: boolean;
+  enableScale?: boolean;
+  enableTranslation?: boolean;
+  scaleRange?: [number, number];
+  translationRange?: [number, number];
+  rotationRange?: [number, number];
+  blendMode?: AdvancedSettings["blendMode"];
+}
+
+type AnimatedCirclesHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  calm: { speed: 0.5, intensity: "subtle", advanced: { animation: { scale: false } } },
+  vortex: { backgroundColor: "#0b0320", speed: 2, intensity: "intense", advanced: { spread: 6, blendMode: "color-dodge" } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise; speed is left out,
+// since a new animation duration makes the layers jump to another point of their turn
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  spread: { band: "bass", scale: [1, 1.5] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const animatedCirclesJsonSchema = createJsonSchema("AnimatedCircles", settingsSchema, {
+  props: {
+    backgroundColor: "backgroundColor",
+    backgroundImage: "backgroundImage",
+    speed: "speed",
+    intensity: { enum: ["subtle", "normal", "intense"], default: "normal", description: "Preset of count, size, spread, opacity and layers" },
+    seed: "seed",
+    advanced: {
+      properties: {
+        count: "count",
+        size: "size",
+        spread: "spread",
+        opacity: "opacity",
+        blendMode: "blendMode",
+        layers: "layerCount",
+        animation: { properties: { rotation: "enableRotation", scale: "enableScale", translation: "enableTranslation" } },
+      },
+    },
+  },
+  presets: Object.keys(PRESETS),
+});
+
 // Intensity presets for easy configuration
 const INTENSITY_PRESETS = {
   subtle: { count: 20, size: 5, spread: 2, opacity: 0.6, layers: 2 },
@@ -39,105 +108,80 @@ const INTENSITY_PRESETS = {
   intense: { count: 80, size: 10, spread: 4, opacity: 1, layers: 6 },
 };
 
-export function AnimatedCircles({
-  width = "auto",
-  height = "auto",
-  backgroundColor = "#123",
-  backgroundImage,
-  speed = 1,
-  intensity = "normal",
-  advanced,
-  children,
-}: Props) {
+export const AnimatedCircles = forwardRef<AnimatedCirclesHandle, Props>(function AnimatedCircles(props, ref) {
+  const {
+    width = "auto",
+    height = "auto",
+    backgroundColor: backgroundColorProp,
+    backgroundImage,
+    speed = defaults.speed,
+    intensity = "normal",
+    advanced,
+    motion = "auto",
+    autoPause = true,
+    seed,
+    poster,
+    scrollBind,
+    audioSource,
+    audioMapping,
+    className,
+    style,
+    fixed,
+    overlay,
+    children,
+  } = applyPreset("AnimatedCircles", PRESETS, props);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void; resize?: () => void } | null>(null);
-
-  // Calculate container dimensions based on settings
-  const getContainerStyle = () => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
+
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+
+  // Build the plugin settings from the current props
+  const buildCurrentSettings = useCallback(() => {
+    const preset = INTENSITY_PRESETS[intensity];
+
+    return {
+      backgroundColor,
+      backgroundImage: backgroundImage || null,
+      speed,
+      count: advanced?.count ?? preset.count,
+      size: advanced?.size ?? preset.size,
+      spread: advanced?.spread ?? preset.spread,
+      opacity: advanced?.opacity ?? preset.opacity,
+      enableMultipleLayers: (advanced?.layers ?? preset.layers) > 1,
+      layerCount: advanced?.layers ?? preset.layers,
+      enableRotation: advanced?.animation?.rotation ?? defaults.enableRotation,
+      enableScale: advanced?.animation?.scale ?? defaults.enableScale,
+      enableTranslation: advanced?.animation?.translation ?? defaults.enableTranslation,
+      scaleRange: defaults.scaleRange,
+      translationRange: defaults.translationRange,
+      rotationRange: defaults.rotationRange,
+      blendMode: advanced?.blendMode ?? defaults.blendMode,
+      seed: seed ?? null,
     };
+  }, [backgroundColor, backgroundImage, speed, intensity, advanced, seed]);
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  };
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
+  /**
+   * Effect to create the animation once and keep it sized to the container
+   */
   useEffect(() => {
     if (!canvasRef.current || !containerRef.current) return;
 
-    // Build settings inside useEffect to avoid dependency issues
-    const buildCurrentSettings = () => {
-      const preset = INTENSITY_PRESETS[intensity];
-
-      return {
-        backgroundColor,
-        backgroundImage: backgroundImage || null,
-        speed,
-        count: advanced?.count ?? preset.count,
-        size: advanced?.size ?? preset.size,
-        spread: advanced?.spread ?? preset.spread,
-        opacity: advanced?.opacity ?? preset.opacity,
-        enableMultipleLayers: (advanced?.layers ?? preset.layers) > 1,
-        layerCount: advanced?.layers ?? preset.layers,
-        enableRotation: advanced?.animation?.rotation ?? true,
-        enableScale: advanced?.animation?.scale ?? true,
-        enableTranslation: advanced?.animation?.translation ?? true,
-        scaleRange: [12, 18] as [number, number],
-        translationRange: [-20, 20] as [number, number],
-        rotationRange: [0, 360] as [number, number],
-        blendMode: advanced?.blendMode ?? "screen",
-      };
-    };
-
-    const settings = buildCurrentSettings();
-    const animatedCircles = AnimatedCirclesPlugin(canvasRef.current, settings);
-    pluginRef.current = animatedCircles;
-
-    animatedCircles.start();
+    startPlugin(AnimatedCirclesPlugin(canvasRef.current, getSettings()) as BackgroundPlugin<Settings>);
 
-    // Setup ResizeObserver to handle container size changes
+    // Resize the running animation instead of rebuilding it
     const resizeObserver = new ResizeObserver(() => {
-      // Reinitialize when container size changes
-      if (pluginRef.current) {
-        pluginRef.current.clean();
-        const updatedSettings = buildCurrentSettings();
-        pluginRef.current = AnimatedCirclesPlugin(canvasRef.current, updatedSettings);
-        pluginRef.current.start();
-      }
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -149,45 +193,19 @@ export function AnimatedCircles({
         pluginRef.current = null;
       }
     };
-  }, [backgroundColor, backgroundImage, speed, intensity, advanced]);
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={getContainerStyle()}>
+    <BackgroundShell ref={containerRef} label="Animated circles background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
       <canvas
-        style={{
-          position: "absolute",
-          top: 0,
-          left: 0,
-          width: "100%",
-          height: "100%",
-          display: "block",
-          zIndex: 0,
-          pointerEvents: "none",
-        }}
+        style={CANVAS_STYLE}
         ref={canvasRef}
         id={"dotsCanvas"}
       />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-        >
-          <div style={{ pointerEvents: "auto", position: "relative", zIndex: 31 }}>{children}</div>
-        </div>
-      )}
-    </div>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as AnimatedCirclesProps, AdvancedSettings as AnimatedCirclesAdvancedSettings };
+export type { Props as AnimatedCirclesProps, AdvancedSettings as AnimatedCirclesAdvancedSettings, AnimatedCirclesHandle };
@@ -1,29 +1,65 @@
-const defaultSettings = Object.freeze({
-  backgroundColor: "#123",
-  backgroundImage: null,
-  speed: 1,
-  count: 40,
-  size: 7,
-  spread: 3,
-  opacity: 0.9,
-  duration: 44,
-  delay: -27,
-  enableMultipleLayers: true,
-  layerCount: 4,
-  enableRotation: true,
-  enableScale: true,
-  enableTranslation: true,
-  scaleRange: [12, 18],
-  translationRange: [-20, 20],
-  rotationRange: [0, 360],
-  blendMode: "screen",
+import createRandom from "../shared/random.js";
+import { seekAnimations } from "../shared/frameTiming.js";
+import { isPausedAll, onPauseAllChange } from "../shared/scheduler.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the AnimatedCircles background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("AnimatedCircles", {
+  backgroundColor: { type: "color", default: "#123", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the circles" },
+  count: { type: "number", default: 40, min: 1, max: 500, integer: true, description: "Number of dots in each layer" },
+  size: {
+    type: "any",
+    default: 7,
+    normalize: (value) => (typeof value === "number" || (typeof value === "string" && value.trim() !== "") ? value : 7),
+    json: { type: ["number", "string"] },
+    description: "Dot size as pixels or a CSS length such as \"0.5rem\"",
+  },
+  spread: { type: "number", default: 3, min: 0, max: 20, description: "How far the dots spread from the center" },
+  opacity: { type: "number", default: 0.9, min: 0, max: 1, description: "Opacity of the dots" },
+  duration: { type: "number", default: 44, min: 10, max: 600, description: "Seconds of one turn of the outer layer" },
+  delay: { type: "number", default: -27, min: -600, max: 600, description: "Animation delay in seconds; negative values start mid-turn" },
+  enableMultipleLayers: { type: "boolean", default: true, description: "Draws several layers turning at different speeds" },
+  layerCount: { type: "number", default: 4, min: 1, max: 10, integer: true, description: "Number of layers" },
+  enableRotation: { type: "boolean", default: true, description: "Rotates the layers" },
+  enableScale: { type: "boolean", default: true, description: "Scales the layers" },
+  enableTranslation: { type: "boolean", default: true, description: "Moves the layers sideways" },
+  scaleRange: { type: "numbers", length: 2, default: [12, 18], min: 0, max: 100, description: "Scale at the start and end of a turn" },
+  translationRange: { type: "numbers", length: 2, default: [-20, 20], min: -1000, max: 1000, description: "Sideways offset in pixels at the start and end of a turn" },
+  rotationRange: { type: "numbers", length: 2, default: [0, 360], min: -720, max: 720, description: "Rotation in degrees at the start and end of a turn" },
+  blendMode: {
+    type: "enum",
+    values: ["screen", "multiply", "overlay", "lighten", "darken", "color-dodge", "color-burn"],
+    default: "screen",
+    description: "CSS mix-blend-mode of the dots",
+  },
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 export default function AnimatedCirclesPlugin(containerElement, animationSettings = {}) {
   let container;
   let newContainer;
-  let settings = { ...defaultSettings, ...animationSettings };
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+  let random = createRandom(settings.seed);
   let dots = [];
+  let running = false;
+  let destroyed = false;
+  let unsubscribePauseAll = null;
+
+  // Show the CSS animations as playing only while neither pause() nor pauseAll() holds them
+  const applyPlayState = () => {
+    if (!newContainer) return;
+    if (running && !isPausedAll()) {
+      newContainer.removeAttribute("data-paused");
+    } else {
+      newContainer.setAttribute("data-paused", "true");
+    }
+  };
 
   // Helper function to normalize size value
   const normalizeSize = (size) => {
@@ -56,37 +92,63 @@ export default function AnimatedCirclesPlugin(containerElement, animationSetting
     return spreadValue;
   };
 
+  // Pick the place and hue of one dot; the spread is applied when it is drawn
+  const createDot = () => ({
+    x: -0.5 + random(),
+    y: -0.5 + random(),
+    hue: random() * 360,
+  });
+
+  // Match a layer's dots to the count, keeping the ones it has, and draw them as text shadows
+  const applyTextShadow = (element) => {
+    const countValue = Number(settings.count);
+    while (element._dots.length < countValue) {
+      element._dots.push(createDot());
+    }
+    if (element._dots.length > countValue) {
+      element._dots.length = countValue;
+    }
+
+    const sizeValue = normalizeSize(settings.size);
+    const spreadValue = handleSpreadValue(settings.spread);
+    element.style.textShadow = element._dots.map((dot) => `${dot.x * spreadValue}em ${dot.y * spreadValue}em ${sizeValue} hsla(${dot.hue}, 100%, 50%, ${settings.opacity})`).join(", ");
+  };
+
+  // Apply the per-layer duration and delay
+  const applyLayerTiming = (element, layerIndex) => {
+    element.style.animationDuration = `${(settings.duration - layerIndex) / Number(settings.speed)}s`;
+    element.style.animationDelay = `${settings.delay - layerIndex * 4}s`;
+  };
+
   // Create a single dot layer
   const createDotLayer = (layerIndex) => {
-    const animationDuration = (settings.duration - layerIndex) / Number(settings.speed);
-    const animationDelay = settings.delay - layerIndex * 4;
-
-    const generateTextShadow = () => {
-      const shadows = [];
-      const sizeValue = normalizeSize(settings.size);
-      const spreadValue = handleSpreadValue(settings.spread);
-      const countValue = Number(settings.count);
-      for (let i = 0; i < countValue; i++) {
-        const x = (-0.5 + Math.random()) * spreadValue;
-        const y = (-0.5 + Math.random()) * spreadValue;
-        const hue = Math.random() * 360;
-        const shadow = `${x}em ${y}em ${sizeValue} hsla(${hue}, 100%, 50%, ${settings.opacity})`;
-        shadows.push(shadow);
-      }
-      return shadows.join(", ");
-    };
-
     const element = document.createElement("div");
     element.className = `dots-anim-layer dots-anim-layer-${layerIndex}`;
     element.textContent = ".";
-    element.style.textShadow = generateTextShadow();
-    element.style.animationDuration = `${animationDuration}s`;
-    element.style.animationDelay = `${animationDelay}s`;
+    element._dots = [];
+    applyTextShadow(element);
+    applyLayerTiming(element, layerIndex);
     // Note: mixBlendMode is set in CSS to avoid conflicts
 
     return element;
   };
 
+  // Add or remove layers to match the layer settings, keeping the existing ones
+  const syncDotLayers = () => {
+    const dotsContainer = newContainer && newContainer.querySelector(".dots-anim-container");
+    if (!dotsContainer) return;
+
+    const layersToCreate = settings.enableMultipleLayers ? settings.layerCount : 1;
+    while (dots.length > layersToCreate) {
+      dots.pop().remove();
+    }
+    for (let layer = dots.length; layer < layersToCreate; layer++) {
+      const dotElement = createDotLayer(layer);
+      dotsContainer.appendChild(dotElement);
+      dots.push(dotElement);
+    }
+  };
+
   // Create dots HTML structure
   const createDotsHTML = () => {
     // Create a unique ID for this instance
@@ -108,6 +170,7 @@ export default function AnimatedCirclesPlugin(containerElement, animationSetting
     newContainer.style.height = "100%";
     newContainer.style.overflow = "hidden";
     newContainer.style.zIndex = "10"; // Place above canvas but below children
+    applyPlayState();
 
     // Hide the original canvas for dots animation
     container.style.display = "none";
@@ -130,16 +193,27 @@ export default function AnimatedCirclesPlugin(containerElement, animationSetting
     // Inject HTML
     newContainer.innerHTML = html;
 
-    // Create dot layers
-    const dotsContainer = newContainer.querySelector(".dots-anim-container");
-    const layersToCreate = settings.enableMultipleLayers ? settings.layerCount : 1;
+    // Store the unique ID for cleanup
+    newContainer._uniqueId = uniqueId;
+
+    // Store reference for cleanup
+    newContainer._originalCanvas = container;
 
+    // Create dot layers
     dots = [];
-    for (let layer = 0; layer < layersToCreate; layer++) {
-      const dotElement = createDotLayer(layer);
-      dotsContainer.appendChild(dotElement);
-      dots.push(dotElement);
-    }
+    syncDotLayers();
+
+    applyDotsStyles();
+    applyBackgroundImage();
+
+    return uniqueId;
+  };
+
+  // Write the instance stylesheet for the current settings
+  const applyDotsStyles = () => {
+    if (!newContainer) return;
+
+    const uniqueId = newContainer._uniqueId;
 
     // Create and inject CSS with unique animations
     const style = document.createElement("style");
@@ -153,6 +227,10 @@ export default function AnimatedCirclesPlugin(containerElement, animationSetting
         height: 100%;
         overflow: hidden;
       }
+
+      #${uniqueId}[data-paused] * {
+        animation-play-state: paused;
+      }
       
       #${uniqueId} .dots-anim-background {
         background-color: ${settings.backgroundColor};
@@ -230,22 +308,16 @@ export default function AnimatedCirclesPlugin(containerElement, animationSetting
 
     // Add new styles
     document.head.appendChild(style);
+  };
 
-    // Add background image if provided
-    if (settings.backgroundImage) {
-      const background = newContainer.querySelector(".dots-anim-background");
-      background.style.backgroundImage = `url(${settings.backgroundImage})`;
-      background.style.backgroundSize = "cover";
-      background.style.backgroundPosition = "center";
-    }
-
-    // Store the unique ID for cleanup
-    newContainer._uniqueId = uniqueId;
-
-    // Store reference for cleanup
-    newContainer._originalCanvas = container;
+  // Add background image if provided
+  const applyBackgroundImage = () => {
+    const background = newContainer && newContainer.querySelector(".dots-anim-background");
+    if (!background) return;
 
-    return uniqueId;
+    background.style.backgroundImage = settings.backgroundImage ? `url(${settings.backgroundImage})` : "";
+    background.style.backgroundSize = settings.backgroundImage ? "cover" : "";
+    background.style.backgroundPosition = settings.backgroundImage ? "center" : "";
   };
 
   // Initialize the dots animation
@@ -256,7 +328,10 @@ export default function AnimatedCirclesPlugin(containerElement, animationSetting
     }
 
     // Update settings with provided animationSettings
-    settings = { ...defaultSettings, ...animationSettings };
+    settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
 
     container = containerElement;
 
@@ -273,58 +348,126 @@ export default function AnimatedCirclesPlugin(containerElement, animationSetting
     }
   };
 
-  // Debounced resize handler
-  let resizeTimeout = null;
-  const onResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (container) {
-        // Clean up existing animation
-        if (newContainer) {
-          newContainer.remove();
-        }
-        // Reinitialize with current settings
-        initializeDots(container, settings);
+  // Remove the injected container and its instance styles
+  const removeDotsHTML = () => {
+    if (!newContainer) return;
+
+    try {
+      // Remove the dots container
+      newContainer.remove();
+
+      // Remove the specific style for this instance
+      const style = document.getElementById("dots-anim-styles-" + newContainer._uniqueId);
+      if (style) {
+        style.remove();
       }
-    }, 150);
+    } catch {
+      // Silently handle cleanup errors
+    }
+    newContainer = null;
+    dots = [];
   };
 
   // Start the animation
   const start = () => {
-    initializeDots(containerElement, animationSettings);
-    window.addEventListener("resize", onResize);
+    if (destroyed) return;
+
+    running = true;
+    initializeDots(containerElement, settings);
+    if (!unsubscribePauseAll) {
+      unsubscribePauseAll = onPauseAllChange(applyPlayState);
+    }
   };
 
   // Clean up the animation
   const clean = () => {
-    window.removeEventListener("resize", onResize);
+    // Show the original canvas
+    if (newContainer && newContainer._originalCanvas) {
+      newContainer._originalCanvas.style.display = "block";
+    }
+    removeDotsHTML();
 
-    if (newContainer) {
-      try {
-        // Show the original canvas
-        if (newContainer._originalCanvas) {
-          newContainer._originalCanvas.style.display = "block";
-        }
+    running = false;
+    container = null;
 
-        // Remove the dots container
-        newContainer.remove();
+    if (unsubscribePauseAll) {
+      unsubscribePauseAll();
+      unsubscribePauseAll = null;
+    }
+  };
 
-        // Remove the specific style for this instance
-        const style = document.getElementById("dots-anim-styles-" + newContainer._uniqueId);
-        if (style) {
-          style.remove();
-        }
-      } catch {
-        // Silently handle cleanup errors
-      }
+  // Pause the CSS animations on their current frame
+  const pause = () => {
+    running = false;
+    applyPlayState();
+  };
+
+  // Resume paused CSS animations
+  const resume = () => {
+    if (!container) return;
+
+    running = true;
+    applyPlayState();
+  };
+
+  // Seek the CSS animations to the given time (ms), e.g. for tests or offline rendering
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    seekAnimations(newContainer, timeMs);
+  };
+
+  // The element captureFrame() and record() draw
+  const getCaptureTarget = () => ({ element: newContainer });
+
+  // Whether the animations are currently playing
+  const isRunning = () => running;
+
+  // Change the layer speed by rewriting each layer's duration
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, containerElement);
+    dots.forEach((element, layerIndex) => {
+      element.style.animationDuration = `${(settings.duration - layerIndex) / settings.speed}s`;
+    });
+  };
+
+  // Merge new settings into the existing layers and stylesheet
+  const update = (partialSettings = {}) => {
+    const { speed, ...rest } = partialSettings;
+    settings = settingsSchema.normalize({ ...settings, ...rest }, containerElement);
+
+    if (speed !== undefined) {
+      setSpeed(speed);
     }
 
-    container = null;
-    newContainer = null;
-    dots = [];
+    if (!newContainer) return;
+
+    const changed = (...keys) => keys.some((key) => rest[key] !== undefined);
+
+    if (changed("count", "size", "spread", "opacity")) {
+      dots.forEach(applyTextShadow);
+    }
+    if (changed("duration", "delay")) {
+      dots.forEach(applyLayerTiming);
+    }
+    if (changed("layerCount", "enableMultipleLayers")) {
+      syncDotLayers();
+    }
+    if (changed("backgroundImage")) {
+      applyBackgroundImage();
+    }
+    if (changed("backgroundColor", "blendMode", "duration", "delay", "enableRotation", "enableScale", "enableTranslation", "scaleRange", "translationRange", "rotationRange")) {
+      applyDotsStyles();
+    }
+  };
+
+  // Layers are sized in viewport and font-relative units, so the browser handles resizing
+  const resize = () => {};
+
+  // Clean up and restore the canvas for good
+  const destroy = () => {
+    clean();
+    destroyed = true;
   };
 
-  return { start, clean };
+  return { start, clean, pause, resume, isRunning, setSpeed, update, resize, renderFrame, getCaptureTarget, destroy };
 }
@@ -1,4 +1,4 @@
 // Component exports
-export { AnimatedCircles } from "./AnimatedCircles";
-// export type { AnimatedCirclesProps, AnimatedCirclesAdvancedSettings } from "./AnimatedCircles";
+export { AnimatedCircles, animatedCirclesJsonSchema } from "./AnimatedCircles";
+export type { AnimatedCirclesProps, AnimatedCirclesAdvancedSettings, AnimatedCirclesHandle } from "./AnimatedCircles";
 
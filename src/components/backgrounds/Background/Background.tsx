@@ -0,0 +1,41 @@
+import React, { forwardRef, useMemo } from "react";
+import type { BackgroundHandle } from "../shared/useBackgroundHandle";
+import { BackgroundShell, type BackgroundLayoutProps } from "../shared/BackgroundShell";
+import { BACKGROUND_COMPONENTS, type AnyBackground } from "./backgroundComponents";
+import { deserializeBackground, type BackgroundConfig } from "./backgroundConfig";
+
+interface Props extends BackgroundLayoutProps {
+  // Serialized background: output of serializeBackground(), a URL carrying it, or a parsed config
+  config: string | BackgroundConfig;
+  // Called with the density scale (0-1) whenever adaptive quality changes it, for backgrounds with a `quality` prop
+  onQualityChange?: (scale: number) => void;
+  children?: React.ReactNode;
+}
+
+/**
+ * Background Component
+ * Renders the background a serialized config describes, with its props.
+ * Props given here, such as children, callbacks or layout, override the
+ * config's. A config that cannot be read renders an empty container.
+ * The forwarded ref reaches the rendered background's handle.
+ */
+export const Background = forwardRef<BackgroundHandle, Props>(function Background({ config, ...overrides }, ref) {
+  const parsed = useMemo(() => deserializeBackground(config), [config]);
+
+  // Props left undefined keep the config's value
+  const props: Record<string, unknown> = { ...parsed?.props };
+  (Object.keys(overrides) as (keyof typeof overrides)[]).forEach((key) => {
+    if (overrides[key] !== undefined) props[key] = overrides[key];
+  });
+
+  if (!parsed) {
+    const { width, height, className, style, fixed, overlay, children } = overrides;
+    return <BackgroundShell label="Background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children} />;
+  }
+
+  const Component = BACKGROUND_COMPONENTS[parsed.type] as unknown as AnyBackground;
+  return <Component key={parsed.type} {...props} ref={ref} />;
+});
+
+// Export types for users who need them
+export type { Props as BackgroundProps };
@@ -0,0 +1,453 @@
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { backgroundJsonSchemas } from "../jsonSchemas";
+import type { JsonSchema } from "../shared/jsonSchema";
+import type { BackgroundHandle } from "../shared/useBackgroundHandle";
+import { cancelFrame, scheduleFrame } from "../shared/scheduler.js";
+import { canRenderInWorker } from "../shared/workerPlugin.js";
+import { formatColor, parseColor } from "../shared/color.js";
+import { getBackgroundName, type AnyBackground, type BackgroundComponent } from "./backgroundComponents";
+import { serializeBackground } from "./backgroundConfig";
+
+interface Props {
+  // Background to explore, e.g. Snow
+  component: BackgroundComponent;
+  // Props the background starts with and returns to on reset
+  initialProps?: Record<string, unknown>;
+  // Height of the preview in pixels or any CSS length (default: 480)
+  height?: number | string;
+  // Extra class and inline styles for the outer container
+  className?: string;
+  style?: React.CSSProperties;
+}
+
+// Props of the shell and wrapper hooks, set in code rather than explored in the panel
+const LAYOUT_KEYS = ["width", "height", "className", "fixed", "motion", "autoPause", "poster", "seed"];
+
+const IDENTIFIER = /^[A-Za-z_$][\w$]*$/;
+
+const PANEL_STYLE: React.CSSProperties = {
+  flex: "0 0 320px",
+  overflowY: "auto",
+  padding: 12,
+  boxSizing: "border-box",
+  border: "1px solid rgba(128, 128, 128, 0.35)",
+  borderRadius: 8,
+  font: "12px/1.4 system-ui, sans-serif",
+};
+
+const ROW_STYLE: React.CSSProperties = { display: "flex", alignItems: "center", gap: 8, margin: "6px 0" };
+
+const LABEL_STYLE: React.CSSProperties = { flex: "0 0 120px", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" };
+
+const INPUT_STYLE: React.CSSProperties = { flex: "1 1 auto", minWidth: 0 };
+
+/**
+ * Formats a prop value as JavaScript source
+ * @param value - JSON value
+ * @returns Source text, e.g. `{ count: 40, colors: ["#fff"] }`
+ */
+const formatValue = (value: unknown): string => {
+  if (Array.isArray(value)) return `[${value.map(formatValue).join(", ")}]`;
+  if (value && typeof value === "object") {
+    const entries = Object.entries(value as Record<string, unknown>).filter(([, entry]) => entry !== undefined);
+    return `{ ${entries.map(([key, entry]) => `${IDENTIFIER.test(key) ? key : JSON.stringify(key)}: ${formatValue(entry)}`).join(", ")} }`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Writes a background element as JSX
+ * @param name - Component name
+ * @param props - Props of the element
+ * @returns JSX source, e.g. `<Snow speed={2} />`
+ */
+const toJsx = (name: string, props: Record<string, unknown>): string => {
+  const attributes = Object.keys(props)
+    .filter((key) => props[key] !== undefined && typeof props[key] !== "function")
+    .map((key) => (typeof props[key] === "string" ? `${key}=${JSON.stringify(props[key])}` : `${key}={${formatValue(props[key])}}`));
+  return attributes.length > 0 ? `<${name}\n  ${attributes.join("\n  ")}\n/>` : `<${name} />`;
+};
+
+/**
+ * Sets a nested value without changing the original object
+ * @param target - Object to copy
+ * @param path - Keys leading to the value
+ * @param value - New value; undefined removes the key
+ * @returns Copy with the value set
+ */
+const setPath = (target: Record<string, unknown>, path: string[], value: unknown): Record<string, unknown> => {
+  const [key, ...rest] = path;
+  const next = { ...target };
+  if (rest.length > 0) {
+    const child = next[key];
+    next[key] = setPath(child && typeof child === "object" ? (child as Record<string, unknown>) : {}, rest, value);
+  } else if (value === undefined) {
+    delete next[key];
+  } else {
+    next[key] = value;
+  }
+  return next;
+};
+
+/**
+ * Reads a nested value
+ */
+const getPath = (target: Record<string, unknown>, path: string[]): unknown => {
+  return path.reduce<unknown>((value, key) => (value && typeof value === "object" ? (value as Record<string, unknown>)[key] : undefined), target);
+};
+
+/**
+ * Converts a color to the "#rrggbb" form color inputs need
+ * @param color - Any CSS color
+ * @returns Hex color without alpha, black when the color does not parse
+ */
+const toHex = (color: unknown): string => {
+  const parsed = typeof color === "string" || (color && typeof color === "object") ? parseColor(color) : null;
+  return parsed ? formatColor({ ...parsed, a: 1 }) : "#000000";
+};
+
+/**
+ * Picks a slider step of about a hundredth of the range
+ */
+const getStep = (minimum: number, maximum: number, integer: boolean): number => {
+  if (integer) return 1;
+  const raw = (maximum - minimum) / 100;
+  return raw > 0 ? Math.pow(10, Math.floor(Math.log10(raw))) : 0.01;
+};
+
+// Milliseconds between frame rate readings, and between checks whether the background runs
+const FRAME_RATE_INTERVAL = 500;
+
+/**
+ * Counts the frames of the shared animation tick while the background runs on it
+ * @param handleRef - Ref of the background's handle
+ * @param inWorker - Whether the background renders in a worker, away from the page's tick
+ * @returns Frames per second, updated twice a second, or null while nothing is measured
+ */
+const useFrameRate = (handleRef: React.RefObject<BackgroundHandle | null>, inWorker: boolean): number | null => {
+  const [fps, setFps] = useState<number | null>(null);
+
+  useEffect(() => {
+    if (inWorker) {
+      setFps(null);
+      return;
+    }
+
+    let frames = 0;
+    let since: number | null = null;
+    let id: number | null = null;
+
+    // Runs after the backgrounds on every shared frame
+    const onFrame = (time: number) => {
+      frames++;
+      if (since === null) {
+        since = time;
+        frames = 0;
+      } else if (time - since >= FRAME_RATE_INTERVAL) {
+        setFps(Math.round((frames * 1000) / (time - since)));
+        frames = 0;
+        since = time;
+      }
+      id = scheduleFrame(onFrame, -1);
+    };
+
+    // A task of its own would keep the tick going, and counting, while the background is paused
+    const check = () => {
+      const running = Boolean(handleRef.current?.isRunning());
+      if (running && id === null) {
+        since = null;
+        setFps(0);
+        id = scheduleFrame(onFrame, -1);
+      } else if (!running && id !== null) {
+        cancelFrame(id);
+        id = null;
+        setFps(null);
+      }
+    };
+
+    check();
+    const interval = setInterval(check, FRAME_RATE_INTERVAL);
+    return () => {
+      clearInterval(interval);
+      if (id !== null) cancelFrame(id);
+    };
+  }, [handleRef, inWorker]);
+
+  return fps;
+};
+
+interface ControlProps {
+  name: string;
+  schema: JsonSchema;
+  value: unknown;
+  onChange: (value: unknown) => void;
+}
+
+/**
+ * Input for one setting, picked from its JSON Schema; settings without a fitting input render nothing
+ */
+function Control({ name, schema, value, onChange }: ControlProps) {
+  const current = value ?? schema.default;
+  const type = schema.type;
+  const items = (schema.items ?? {}) as JsonSchema;
+  const label = (
+    <span style={LABEL_STYLE} title={typeof schema.description === "string" ? schema.description : name}>
+      {name}
+    </span>
+  );
+
+  if (Array.isArray(schema.enum)) {
+    return (
+      <label style={ROW_STYLE}>
+        {label}
+        <select style={INPUT_STYLE} value={String(current ?? "")} onChange={(event) => onChange(event.target.value)}>
+          {(schema.enum as string[]).map((option) => (
+            <option key={option} value={option}>
+              {option}
+            </option>
+          ))}
+        </select>
+      </label>
+    );
+  }
+
+  if (type === "boolean" || (Array.isArray(schema.oneOf) && (schema.oneOf as JsonSchema[]).some((branch) => branch.type === "boolean"))) {
+    return (
+      <label style={ROW_STYLE}>
+        {label}
+        <input type="checkbox" checked={Boolean(current)} onChange={(event) => onChange(event.target.checked)} />
+      </label>
+    );
+  }
+
+  if (type === "number" || type === "integer") {
+    const minimum = typeof schema.minimum === "number" ? schema.minimum : undefined;
+    const maximum = typeof schema.maximum === "number" ? schema.maximum : undefined;
+    const number = Number(current);
+    if (minimum !== undefined && maximum !== undefined) {
+      return (
+        <label style={ROW_STYLE}>
+          {label}
+          <input type="range" style={INPUT_STYLE} min={minimum} max={maximum} step={getStep(minimum, maximum, type === "integer")} value={number} onChange={(event) => onChange(Number(event.target.value))} />
+          <output style={{ flex: "0 0 48px", textAlign: "right" }}>{number}</output>
+        </label>
+      );
+    }
+    return (
+      <label style={ROW_STYLE}>
+        {label}
+        <input type="number" style={INPUT_STYLE} min={minimum} max={maximum} value={Number.isFinite(number) ? number : ""} onChange={(event) => onChange(event.target.value === "" ? undefined : Number(event.target.value))} />
+      </label>
+    );
+  }
+
+  if (type === "string" && schema.format === "color") {
+    return (
+      <label style={ROW_STYLE}>
+        {label}
+        <input type="color" value={toHex(current)} onChange={(event) => onChange(event.target.value)} />
+        <input type="text" style={INPUT_STYLE} value={String(current ?? "")} onChange={(event) => onChange(event.target.value)} />
+      </label>
+    );
+  }
+
+  if (type === "array" && Array.isArray(current)) {
+    const entries = current as unknown[];
+    const setEntry = (index: number, entry: unknown) => onChange(entries.map((previous, position) => (position === index ? entry : previous)));
+
+    if (Array.isArray(items.enum)) {
+      const options = items.enum as string[];
+      return (
+        <div style={ROW_STYLE}>
+          {label}
+          <span style={{ ...INPUT_STYLE, display: "flex", flexWrap: "wrap", gap: 6 }}>
+            {options.map((option) => (
+              <label key={option}>
+                <input
+                  type="checkbox"
+                  checked={entries.includes(option)}
+                  onChange={(event) => onChange(event.target.checked ? [...entries, option] : entries.filter((entry) => entry !== option))}
+                />{" "}
+                {option}
+              </label>
+            ))}
+          </span>
+        </div>
+      );
+    }
+
+    if (items.format === "color") {
+      return (
+        <div style={ROW_STYLE}>
+          {label}
+          <span style={{ ...INPUT_STYLE, display: "flex", flexWrap: "wrap", gap: 4 }}>
+            {entries.map((entry, index) => (
+              <input key={index} type="color" value={toHex(entry)} onChange={(event) => setEntry(index, event.target.value)} />
+            ))}
+          </span>
+        </div>
+      );
+    }
+
+    if (items.type === "number" || items.type === "integer") {
+      return (
+        <div style={ROW_STYLE}>
+          {label}
+          <span style={{ ...INPUT_STYLE, display: "flex", gap: 4 }}>
+            {entries.map((entry, index) => (
+              <input key={index} type="number" style={{ width: 0, flex: "1 1 0" }} value={Number(entry)} onChange={(event) => setEntry(index, Number(event.target.value))} />
+            ))}
+          </span>
+        </div>
+      );
+    }
+  }
+
+  if (type === "string" || (Array.isArray(type) && type.includes("string"))) {
+    const acceptsNumber = Array.isArray(type) && type.includes("number");
+    return (
+      <label style={ROW_STYLE}>
+        {label}
+        <input
+          type="text"
+          style={INPUT_STYLE}
+          value={current === undefined || current === null ? "" : String(current)}
+          onChange={(event) => {
+            const text = event.target.value;
+            onChange(text === "" ? undefined : acceptsNumber && text.trim() !== "" && Number.isFinite(Number(text)) ? Number(text) : text);
+          }}
+        />
+      </label>
+    );
+  }
+
+  return null;
+}
+
+interface ControlGroupProps {
+  schema: JsonSchema;
+  values: Record<string, unknown>;
+  path: string[];
+  onChange: (path: string[], value: unknown) => void;
+  exclude?: string[];
+}
+
+/**
+ * Inputs for every setting of an object schema; nested objects such as `advanced` get their own group
+ */
+function ControlGroup({ schema, values, path, onChange, exclude = [] }: ControlGroupProps) {
+  const properties = (schema.properties ?? {}) as Record<string, JsonSchema>;
+
+  return (
+    <>
+      {Object.keys(properties)
+        .filter((name) => !exclude.includes(name))
+        .map((name) => {
+          const property = properties[name];
+          const propertyPath = [...path, name];
+          if (property.properties) {
+            return (
+              <fieldset key={name} style={{ margin: "8px 0", padding: "4px 8px", border: "1px solid rgba(128, 128, 128, 0.35)", borderRadius: 6 }}>
+                <legend>{name}</legend>
+                <ControlGroup schema={property} values={values} path={propertyPath} onChange={onChange} />
+              </fieldset>
+            );
+          }
+          if (name === "preset") {
+            const presets = Array.isArray(property.examples) ? (property.examples as string[]) : [];
+            return <Control key={name} name={name} schema={{ ...property, enum: ["", ...presets] }} value={getPath(values, propertyPath) ?? ""} onChange={(value) => onChange(propertyPath, value || undefined)} />;
+          }
+          return <Control key={name} name={name} schema={property} value={getPath(values, propertyPath)} onChange={(value) => onChange(propertyPath, value)} />;
+        })}
+    </>
+  );
+}
+
+/**
+ * Background Playground
+ * Development tool that renders a background next to a control panel
+ * generated from its JSON Schema: sliders for ranged numbers, color pickers,
+ * toggles and selects for every setting, with the frame rate of the shared
+ * animation tick while the background runs, a seed randomizer and buttons that copy the current setup
+ * as JSX or as a serialized config.
+ */
+export function BackgroundPlayground({ component, initialProps = {}, height = 480, className, style }: Props) {
+  const name = getBackgroundName(component);
+  const schema = name ? backgroundJsonSchemas[name] : null;
+  const [props, setProps] = useState<Record<string, unknown>>(initialProps);
+  const [status, setStatus] = useState("");
+  const handleRef = useRef<BackgroundHandle | null>(null);
+  const fps = useFrameRate(handleRef, props.renderIn === "worker" && canRenderInWorker());
+  const hasSeed = Boolean(schema && (schema.properties as Record<string, JsonSchema>).seed);
+
+  const handleChange = useCallback((path: string[], value: unknown) => {
+    setProps((previous) => setPath(previous, path, value));
+  }, []);
+
+  /**
+   * Copies text to the clipboard and reports the outcome in the toolbar
+   */
+  const copy = useCallback(async (text: string, what: string) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setStatus(`Copied ${what}`);
+    } catch (error) {
+      setStatus(`Could not copy ${what}`);
+    }
+  }, []);
+
+  // Clears the copy status after a moment
+  useEffect(() => {
+    if (!status) return;
+    const timeout = setTimeout(() => setStatus(""), 1500);
+    return () => clearTimeout(timeout);
+  }, [status]);
+
+  const jsx = useMemo(() => (name ? toJsx(name, props) : ""), [name, props]);
+
+  if (!name || !schema) {
+    return <div className={className} style={style}>BackgroundPlayground: `component` must be one of the background components</div>;
+  }
+
+  const Component = component as unknown as AnyBackground;
+  const buttonStyle: React.CSSProperties = { font: "inherit", padding: "2px 8px", cursor: "pointer" };
+
+  return (
+    <div className={className} style={{ display: "flex", flexWrap: "wrap", gap: 12, alignItems: "stretch", ...style }}>
+      <div style={{ flex: "1 1 480px", minWidth: 0 }}>
+        <Component {...props} height={props.height ?? height} ref={handleRef} />
+      </div>
+      <div style={{ ...PANEL_STYLE, maxHeight: typeof height === "number" ? height : undefined }}>
+        <div style={{ ...ROW_STYLE, justifyContent: "space-between", fontWeight: 600 }}>
+          <span>{name}</span>
+          <span aria-live="polite">{fps === null ? (props.renderIn === "worker" ? "In a worker" : "Paused") : `${fps} FPS`}</span>
+        </div>
+        <div style={{ ...ROW_STYLE, flexWrap: "wrap" }}>
+          <button type="button" style={buttonStyle} onClick={() => copy(jsx, "JSX")}>
+            Copy as JSX
+          </button>
+          <button type="button" style={buttonStyle} onClick={() => copy(serializeBackground(name, props), "JSON")}>
+            Copy as JSON
+          </button>
+          <button type="button" style={buttonStyle} onClick={() => setProps(initialProps)}>
+            Reset
+          </button>
+          {status && <span role="status">{status}</span>}
+        </div>
+        {hasSeed && (
+          <div style={ROW_STYLE}>
+            <span style={LABEL_STYLE}>seed</span>
+            <input type="text" style={INPUT_STYLE} value={props.seed === undefined ? "" : String(props.seed)} onChange={(event) => handleChange(["seed"], event.target.value === "" ? undefined : event.target.value)} />
+            <button type="button" style={buttonStyle} onClick={() => handleChange(["seed"], Math.floor(Math.random() * 1e9))}>
+              Randomize
+            </button>
+          </div>
+        )}
+        <ControlGroup schema={schema} values={props} path={[]} onChange={handleChange} exclude={LAYOUT_KEYS} />
+      </div>
+    </div>
+  );
+}
+
+// Export types for users who need them
+export type { Props as BackgroundPlaygroundProps };
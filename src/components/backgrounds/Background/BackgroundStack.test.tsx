@@ -0,0 +1,102 @@
+import React, { act } from "react";
+import { createRoot, type Root } from "react-dom/client";
+import { afterEach, beforeEach, describe, expect, it, vi, type Mock } from "vitest";
+import { BackgroundStack, type BackgroundLayer } from "./BackgroundStack";
+import { Rain } from "../rainAnimation";
+import { Interstellar } from "../interstellarAnimation";
+import { FloatingSquares } from "../floatingSquaresAnimation";
+
+// Lets act() flush effects outside a test renderer
+(globalThis as { IS_REACT_ACT_ENVIRONMENT?: boolean }).IS_REACT_ACT_ENVIRONMENT = true;
+
+describe("BackgroundStack", () => {
+  let container: HTMLDivElement;
+  let root: Root;
+
+  beforeEach(() => {
+    // jsdom lays nothing out and has no ResizeObserver, so give every element a size and observe nothing
+    vi.spyOn(Element.prototype, "getBoundingClientRect").mockReturnValue(new DOMRect(0, 0, 300, 150));
+    vi.stubGlobal(
+      "ResizeObserver",
+      class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+      }
+    );
+
+    container = document.createElement("div");
+    document.body.appendChild(container);
+    root = createRoot(container);
+  });
+
+  /**
+   * Renders a stack of the given layers
+   */
+  const renderStack = (layers: BackgroundLayer[]) => {
+    act(() => {
+      root.render(<BackgroundStack layers={layers} />);
+    });
+  };
+
+  // The canvas mock records every getContext() call and its canvas; the first one is the plugin's
+  const contextOptions = (canvas: HTMLCanvasElement) => {
+    const getContext = HTMLCanvasElement.prototype.getContext as unknown as Mock;
+    const index = getContext.mock.contexts.indexOf(canvas);
+    return getContext.mock.calls[index]?.[1] as CanvasRenderingContext2DSettings | undefined;
+  };
+
+  afterEach(() => {
+    act(() => root.unmount());
+    vi.restoreAllMocks();
+    vi.unstubAllGlobals();
+    document.body.innerHTML = "";
+  });
+
+  it("draws upper layers on a transparent canvas so the lower layer shows through", () => {
+    renderStack([
+      { component: Rain, props: { backgroundColor: "#0b1320" } },
+      { component: Rain, props: { speed: 2 } },
+    ]);
+
+    const [lower, upper] = Array.from(container.querySelectorAll("canvas"));
+    expect(contextOptions(lower)?.alpha).toBe(false);
+    expect(contextOptions(upper)?.alpha).toBe(true);
+  });
+
+  it("gives a layer moved off the bottom a transparent canvas", () => {
+    const sky = { id: "sky", component: Interstellar };
+    const rain = { id: "rain", component: Rain, props: { backgroundColor: "#0b1320" } };
+    renderStack([sky, rain]);
+    expect(contextOptions(container.querySelectorAll("canvas")[0])?.alpha).toBe(false);
+
+    renderStack([rain, sky]);
+    expect(contextOptions(container.querySelectorAll("canvas")[1])?.alpha).toBe(true);
+  });
+
+  it("clears an upper Interstellar layer instead of painting its sky", () => {
+    const addColorStop = vi.spyOn(CanvasGradient.prototype, "addColorStop");
+    renderStack([
+      { component: Rain, props: { backgroundColor: "#0b1320" } },
+      { component: Interstellar, props: { preset: "night-sky" } },
+    ]);
+
+    const upper = container.querySelectorAll("canvas")[1];
+    const events = (upper.getContext("2d") as unknown as { __getEvents: () => { type: string }[] }).__getEvents();
+    expect(contextOptions(upper)?.alpha).toBe(true);
+    expect(events.some((event) => event.type === "clearRect")).toBe(true);
+    // The sky wash fades out instead of ending in opaque deep space
+    expect(addColorStop.mock.calls.filter(([offset]) => offset === 1).map(([, color]) => color)).toContain("rgba(13, 13, 13, 0)");
+    expect(addColorStop.mock.calls.map(([, color]) => color)).not.toContain("#0d0d0d");
+  });
+
+  it("leaves the gradient out of an upper FloatingSquares layer", () => {
+    renderStack([
+      { component: Rain, props: { backgroundColor: "#0b1320" } },
+      { component: FloatingSquares, props: { preset: "ocean" } },
+    ]);
+
+    const area = container.querySelector<HTMLElement>('[data-salameh-fsq="container"]');
+    expect(area?.getAttribute("style")).not.toContain("gradient");
+  });
+});
@@ -0,0 +1,226 @@
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useRef } from "react";
+import type { BackgroundHandle } from "../shared/useBackgroundHandle";
+import { useReducedMotion, type MotionPreference } from "../../shared/useReducedMotion";
+import { useAutoPause, type AutoPauseOptions } from "../shared/useAutoPause";
+import { BackgroundShell, type BackgroundLayoutProps } from "../shared/BackgroundShell";
+import { FILL_PARENT_STYLE, getBackgroundName, type AnyBackground, type BackgroundComponent } from "./backgroundComponents";
+
+/**
+ * One background of a stack
+ */
+export interface BackgroundLayer {
+  // Background drawn in this layer, e.g. Snow
+  component: BackgroundComponent;
+  // Props of the background; size, pausing and content are set by the stack
+  props?: Record<string, unknown>;
+  // Opacity of the layer from 0 to 1 (default: 1)
+  opacity?: number;
+  // How the layer blends with the layers below, as a CSS mix-blend-mode, e.g. "screen" (default: "normal")
+  blendMode?: React.CSSProperties["mixBlendMode"];
+  // Scroll speed against the page: 0 scrolls with it (default), 1 stays put in the viewport, negative values move against the scroll
+  parallax?: number;
+  // Stable id, so adding or reordering layers does not restart the others
+  id?: string;
+}
+
+interface Props extends BackgroundLayoutProps {
+  // Backgrounds from bottom to top
+  layers: BackgroundLayer[];
+
+  // Reduced-motion policy of every layer; "auto" follows the OS setting and also turns parallax off
+  motion?: MotionPreference;
+
+  // Pauses every layer while the stack is off-screen or in a hidden tab; pass options to tune the viewport check
+  autoPause?: boolean | AutoPauseOptions;
+
+  children?: React.ReactNode;
+}
+
+/**
+ * Imperative handle of a stack; the playback methods apply to every layer
+ */
+export interface BackgroundStackHandle extends Pick<BackgroundHandle, "pause" | "resume" | "isRunning" | "setSpeed" | "destroy"> {
+  /** Handle of the layer at the given index, null when it is not mounted */
+  getLayer: (index: number) => BackgroundHandle | null;
+}
+
+/**
+ * Makes an upper layer draw over the ones below instead of filling its background
+ * @param name - Name of the layer's background
+ * @param props - Props of the layer; a background color set there is kept
+ * @returns Props with a transparent background
+ */
+const withTransparentBackground = (name: string | null, props: Record<string, unknown>): Record<string, unknown> => {
+  if (name === "CrystalBall") {
+    return { ...props, styleSettings: { backgroundColor: "transparent", ...(props.styleSettings as object | undefined) } };
+  }
+  return { backgroundColor: "transparent", ...props };
+};
+
+/**
+ * Background Stack Component
+ * Composites several backgrounds into one layered scene, e.g. Snow over
+ * Interstellar. Layers share the stack's size, pausing and reduced-motion
+ * policy; each can set its opacity, blend mode and a parallax factor. Layers
+ * above the first draw on a transparent background unless their props set
+ * one. The children are laid over the top layer.
+ * The forwarded ref controls every layer at once.
+ */
+export const BackgroundStack = forwardRef<BackgroundStackHandle, Props>(function BackgroundStack(
+  { layers, motion = "auto", autoPause = true, width = "auto", height = "auto", className, style, fixed, overlay, children },
+  ref
+) {
+  const containerRef = useRef<HTMLDivElement | null>(null);
+  const layerElementsRef = useRef<(HTMLDivElement | null)[]>([]);
+  const handlesRef = useRef<(BackgroundHandle | null)[]>([]);
+  const pausedRef = useRef(false);
+  const reduceMotion = useReducedMotion(motion);
+  const held = useAutoPause(containerRef, autoPause);
+  const heldRef = useRef(held);
+
+  // Layers keep animating on their own terms; the stack pauses them together while it is out of view
+  useEffect(() => {
+    if (heldRef.current === held) return;
+    heldRef.current = held;
+    if (pausedRef.current) return;
+    handlesRef.current.forEach((handle) => (held ? handle?.pause() : handle?.resume()));
+  }, [held]);
+
+  /**
+   * Keeps the handle of a layer and holds newly mounted layers while the stack is paused
+   */
+  const setLayerHandle = useCallback((index: number, handle: BackgroundHandle | null) => {
+    handlesRef.current[index] = handle;
+    if (handle && (pausedRef.current || heldRef.current)) {
+      handle.pause();
+    }
+  }, []);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      pause: () => {
+        pausedRef.current = true;
+        handlesRef.current.forEach((handle) => handle?.pause());
+      },
+      resume: () => {
+        pausedRef.current = false;
+        if (!heldRef.current) {
+          handlesRef.current.forEach((handle) => handle?.resume());
+        }
+      },
+      isRunning: () => handlesRef.current.some((handle) => Boolean(handle?.isRunning())),
+      setSpeed: (speed: number) => {
+        handlesRef.current.forEach((handle) => handle?.setSpeed(speed));
+      },
+      destroy: () => {
+        handlesRef.current.forEach((handle) => handle?.destroy());
+      },
+      getLayer: (index: number) => handlesRef.current[index] ?? null,
+    }),
+    []
+  );
+
+  // Reduced motion keeps every layer in place
+  const factors = layers.map((layer) => (reduceMotion ? 0 : Number(layer.parallax) || 0));
+  const factorsKey = factors.join(",");
+
+  /**
+   * Effect to move parallax layers with the scroll position
+   */
+  useEffect(() => {
+    const container = containerRef.current;
+    const factorList = factorsKey.split(",").map(Number);
+    if (!container || typeof window === "undefined" || factorList.every((factor) => factor === 0)) return;
+
+    let frameId: number | null = null;
+
+    // Offsets are measured from the stack's center sitting at the viewport's center
+    const update = () => {
+      frameId = null;
+      const rect = container.getBoundingClientRect();
+      const viewportHeight = window.innerHeight;
+      const distance = rect.top + rect.height / 2 - viewportHeight / 2;
+      // Farthest the center gets from the viewport's center while any of the stack is visible
+      const reach = (rect.height + viewportHeight) / 2;
+
+      layerElementsRef.current.forEach((element, index) => {
+        const factor = factorList[index];
+        if (!element || !factor) return;
+        // Taller layers keep the edges covered at either end of the travel
+        const overscan = `${-Math.ceil(Math.abs(factor) * reach)}px`;
+        if (element.style.top !== overscan) {
+          element.style.top = overscan;
+          element.style.bottom = overscan;
+        }
+        element.style.transform = `translate3d(0, ${(-distance * factor).toFixed(1)}px, 0)`;
+      });
+    };
+
+    const requestUpdate = () => {
+      if (frameId === null) frameId = requestAnimationFrame(update);
+    };
+
+    update();
+    window.addEventListener("scroll", requestUpdate, { passive: true });
+    window.addEventListener("resize", requestUpdate);
+
+    return () => {
+      window.removeEventListener("scroll", requestUpdate);
+      window.removeEventListener("resize", requestUpdate);
+      if (frameId !== null) cancelAnimationFrame(frameId);
+      layerElementsRef.current.forEach((element) => {
+        if (!element) return;
+        element.style.top = "0px";
+        element.style.bottom = "0px";
+        element.style.transform = "";
+      });
+    };
+  }, [factorsKey]);
+
+  handlesRef.current.length = layers.length;
+  layerElementsRef.current.length = layers.length;
+
+  return (
+    <BackgroundShell ref={containerRef} label="Layered animated background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      {/* Blend modes mix the layers with each other, not with the page behind the stack */}
+      <div style={{ position: "absolute", top: 0, right: 0, bottom: 0, left: 0, zIndex: 0, isolation: "isolate" }}>
+        {layers.map((layer, index) => {
+          const Component = layer.component as unknown as AnyBackground;
+          const props = index > 0 ? withTransparentBackground(getBackgroundName(layer.component), layer.props ?? {}) : layer.props ?? {};
+          return (
+            <div
+              key={layer.id ?? index}
+              ref={(element) => {
+                layerElementsRef.current[index] = element;
+              }}
+              style={{
+                position: "absolute",
+                top: 0,
+                right: 0,
+                bottom: 0,
+                left: 0,
+                zIndex: index,
+                opacity: layer.opacity ?? 1,
+                mixBlendMode: layer.blendMode ?? "normal",
+              }}
+            >
+              <Component
+                {...props}
+                width="100%"
+                height="100%"
+                style={FILL_PARENT_STYLE}
+                motion={motion}
+                autoPause={false}
+                ref={(handle: BackgroundHandle | null) => setLayerHandle(index, handle)}
+              />
+            </div>
+          );
+        })}
+      </div>
+    </BackgroundShell>
+  );
+});
+
+// Export types for users who need them
+export type { Props as BackgroundStackProps };
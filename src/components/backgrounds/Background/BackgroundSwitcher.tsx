@@ -0,0 +1,207 @@
+import React, { forwardRef, useCallback, useEffect, useRef, useState } from "react";
+import type { BackgroundHandle } from "../shared/useBackgroundHandle";
+import { useReducedMotion, type MotionPreference } from "../../shared/useReducedMotion";
+import type { AutoPauseOptions } from "../shared/useAutoPause";
+import { BackgroundShell, type BackgroundLayoutProps } from "../shared/BackgroundShell";
+import { warnOnce } from "../shared/settingsSchema.js";
+import { FILL_PARENT_STYLE, type AnyBackground, type BackgroundComponent } from "./backgroundComponents";
+
+/**
+ * A background the switcher can show
+ */
+export interface BackgroundScene {
+  // Background component, e.g. Interstellar
+  component: BackgroundComponent;
+  // Props of the background, e.g. { preset: "night-sky" }; size and content are set by the switcher
+  props?: Record<string, unknown>;
+}
+
+// How the incoming background replaces the outgoing one
+export type BackgroundTransition = "fade" | "wipe" | "dissolve" | "none";
+
+// Edge a wipe starts from
+export type WipeDirection = "left" | "right" | "top" | "bottom";
+
+interface Props extends BackgroundLayoutProps {
+  // Backgrounds to switch between, by name
+  backgrounds: Record<string, BackgroundScene>;
+  // Name of the background to show
+  active: string;
+
+  // How the incoming background replaces the outgoing one (default: "fade")
+  transition?: BackgroundTransition;
+  // Length of the transition in milliseconds (default: 800)
+  duration?: number;
+  // CSS easing of the transition, e.g. "linear" or "cubic-bezier(0.6, 0, 0.2, 1)" (default: "ease-in-out")
+  easing?: string;
+  // Edge the "wipe" transition starts from (default: "left")
+  wipeFrom?: WipeDirection;
+  // Called with the active name once its transition has finished and the outgoing background is gone
+  onTransitionEnd?: (active: string) => void;
+
+  // Reduced-motion policy of the backgrounds; "auto" follows the OS setting and also skips transitions
+  motion?: MotionPreference;
+
+  // Pauses the backgrounds while off-screen or in a hidden tab; pass options to tune the viewport check
+  autoPause?: boolean | AutoPauseOptions;
+
+  children?: React.ReactNode;
+}
+
+// A mounted background: the active one on top, outgoing ones underneath until the transition ends
+interface Entry {
+  name: string;
+  serial: number;
+  entered: boolean;
+}
+
+// Clip-path of a wipe before it starts, by the edge it starts from
+const WIPE_START: Record<WipeDirection, string> = {
+  left: "inset(0 100% 0 0)",
+  right: "inset(0 0 0 100%)",
+  top: "inset(0 0 100% 0)",
+  bottom: "inset(100% 0 0 0)",
+};
+
+/**
+ * Builds the keyframes the incoming background animates through
+ * @param transition - Transition type
+ * @param wipeFrom - Edge a wipe starts from
+ * @returns Start and end keyframes
+ */
+const getKeyframes = (transition: BackgroundTransition, wipeFrom: WipeDirection): Keyframe[] => {
+  switch (transition) {
+    case "wipe":
+      return [{ clipPath: WIPE_START[wipeFrom] }, { clipPath: "inset(0 0 0 0)" }];
+    case "dissolve":
+      return [
+        { opacity: 0, filter: "blur(16px)" },
+        { opacity: 1, filter: "blur(0px)" },
+      ];
+    default:
+      return [{ opacity: 0 }, { opacity: 1 }];
+  }
+};
+
+/**
+ * Background Switcher Component
+ * Shows one of several backgrounds by name and animates between them when
+ * `active` changes: the outgoing background keeps running underneath while
+ * the incoming one fades, wipes or dissolves in over it, then it is cleaned
+ * up. Two entries may use the same component with different presets to
+ * cross-fade between looks of one background; both run side by side while
+ * the transition lasts, and their settings are not interpolated.
+ * The forwarded ref reaches the active background's handle.
+ */
+export const BackgroundSwitcher = forwardRef<BackgroundHandle, Props>(function BackgroundSwitcher(
+  { backgrounds, active, transition = "fade", duration = 800, easing = "ease-in-out", wipeFrom = "left", onTransitionEnd, motion = "auto", autoPause = true, width = "auto", height = "auto", className, style, fixed, overlay, children },
+  ref
+) {
+  const known = Object.prototype.hasOwnProperty.call(backgrounds, active);
+  const [entries, setEntries] = useState<Entry[]>(() => (known ? [{ name: active, serial: 0, entered: true }] : []));
+  const elementsRef = useRef(new Map<number, HTMLDivElement>());
+  const onTransitionEndRef = useRef(onTransitionEnd);
+  const animationRef = useRef<Animation | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  onTransitionEndRef.current = onTransitionEnd;
+
+  // Read when an entry starts animating, so it uses the transition props of that moment
+  const optionsRef = useRef({ transition, duration, easing, wipeFrom, reduceMotion });
+  optionsRef.current = { transition, duration, easing, wipeFrom, reduceMotion };
+  const skipTransition = transition === "none" || reduceMotion;
+
+  // A new active name mounts its background on top of the current ones
+  const top = entries[entries.length - 1];
+  if (known && top?.name !== active) {
+    setEntries([...entries, { name: active, serial: top ? top.serial + 1 : 0, entered: false }]);
+  }
+
+  useEffect(() => {
+    if (!known) {
+      warnOnce(`BackgroundSwitcher: "active" must be one of ${Object.keys(backgrounds).map((name) => JSON.stringify(name)).join(", ")}, got ${JSON.stringify(active)}; keeping the current background`);
+    }
+  }, [known, backgrounds, active]);
+
+  /**
+   * Marks an entry as shown and unmounts every background underneath it
+   */
+  const finish = useCallback((serial: number, name: string) => {
+    setEntries((previous) => {
+      const index = previous.findIndex((entry) => entry.serial === serial);
+      if (index < 0) return previous;
+      return previous.slice(index).map((entry) => (entry.serial === serial ? { ...entry, entered: true } : entry));
+    });
+    onTransitionEndRef.current?.(name);
+  }, []);
+
+  const entering = top && !top.entered ? top : null;
+
+  /**
+   * Effect to animate the incoming background in
+   */
+  useEffect(() => {
+    if (entering === null) return;
+    const { serial, name } = entering;
+    const element = elementsRef.current.get(serial);
+    const options = optionsRef.current;
+
+    if (!element || typeof element.animate !== "function" || options.transition === "none" || options.reduceMotion || !(options.duration > 0)) {
+      finish(serial, name);
+      return;
+    }
+
+    // Holds the last keyframe until the entry is marked as shown and re-rendered without its start style
+    const animation = element.animate(getKeyframes(options.transition, options.wipeFrom), { duration: options.duration, easing: options.easing, fill: "forwards" });
+    animation.onfinish = () => finish(serial, name);
+    animationRef.current = animation;
+
+    // A newer background taking over leaves this one where it is
+    return () => {
+      animation.onfinish = null;
+      if (animationRef.current === animation) {
+        animationRef.current = null;
+      }
+    };
+  }, [entering?.serial, finish]);
+
+  /**
+   * Effect to cut a running transition short once reduced motion or transition="none" applies
+   */
+  useEffect(() => {
+    if (skipTransition) {
+      animationRef.current?.finish();
+    }
+  }, [skipTransition]);
+
+  return (
+    <BackgroundShell label="Switchable animated background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      {entries.map((entry, index) => {
+        const scene = backgrounds[entry.name];
+        if (!scene) return null;
+        const Component = scene.component as unknown as AnyBackground;
+        const isTop = index === entries.length - 1;
+        // Until its animation starts, the incoming background sits on its first keyframe
+        const startStyle = entry.entered ? null : (getKeyframes(transition, wipeFrom)[0] as React.CSSProperties);
+
+        return (
+          <div
+            key={entry.serial}
+            ref={(element) => {
+              if (element) {
+                elementsRef.current.set(entry.serial, element);
+              } else {
+                elementsRef.current.delete(entry.serial);
+              }
+            }}
+            style={{ position: "absolute", top: 0, right: 0, bottom: 0, left: 0, zIndex: index, ...startStyle }}
+          >
+            <Component {...scene.props} width="100%" height="100%" style={FILL_PARENT_STYLE} motion={motion} autoPause={autoPause} ref={isTop ? ref : undefined} />
+          </div>
+        );
+      })}
+    </BackgroundShell>
+  );
+});
+
+// Export types for users who need them
+export type { Props as BackgroundSwitcherProps };
@@ -0,0 +1,62 @@
+import type React from "react";
+import { AnimatedCircles } from "../AnimatedCircles";
+import { CrystalBall } from "../crystalBallAnimation";
+import { ExpandingBalls } from "../expandingBallsAnimation";
+import { ExpandingCircles } from "../expandingCirclesAnimation";
+import { ExpandingSquares } from "../expandingSquaresAnimation";
+import { Fireflies } from "../firefliesAnimation";
+import { FloatingBalls } from "../floatingBallsAnimation";
+import { FloatingParticles } from "../floatingParticlesAnimation";
+import { FloatingSquares } from "../floatingSquaresAnimation";
+import { GeometricAnimation } from "../geometricAnimation";
+import { GradientSliders } from "../gradientSlidersAnimation";
+import { Interstellar } from "../interstellarAnimation";
+import { MathPattern } from "../mathPatternAnimation";
+import { Particles } from "../particleAnimation";
+import { Rain } from "../rainAnimation";
+import { Snow } from "../snowAnimation";
+import { WaterDrops } from "../waterDropsAnimation";
+import { Wave } from "../waveAnimation";
+import type { BackgroundName } from "../jsonSchemas";
+import type { BackgroundHandle } from "../shared/useBackgroundHandle";
+
+// Background components by name
+export const BACKGROUND_COMPONENTS = {
+  AnimatedCircles,
+  CrystalBall,
+  ExpandingBalls,
+  ExpandingCircles,
+  ExpandingSquares,
+  Fireflies,
+  FloatingBalls,
+  FloatingParticles,
+  FloatingSquares,
+  GeometricAnimation,
+  GradientSliders,
+  Interstellar,
+  MathPattern,
+  Particles,
+  Rain,
+  Snow,
+  WaterDrops,
+  Wave,
+} satisfies Record<BackgroundName, unknown>;
+
+// One of the background components, e.g. Snow
+export type BackgroundComponent = (typeof BACKGROUND_COMPONENTS)[BackgroundName];
+
+// Any background component, for rendering one picked by name with untyped props
+export type AnyBackground = React.ComponentType<Record<string, unknown> & React.RefAttributes<BackgroundHandle>>;
+
+// Style that makes a background fill the component it is embedded in; inline styles win over the size it computes from width and height
+export const FILL_PARENT_STYLE: React.CSSProperties = Object.freeze({ position: "absolute", top: 0, left: 0, height: "100%", minHeight: 0 });
+
+/**
+ * Looks up the name of a background component
+ * @param component - One of the background components, e.g. Snow
+ * @returns Component name, null when it is not a background
+ */
+export const getBackgroundName = (component: unknown): BackgroundName | null => {
+  const names = Object.keys(BACKGROUND_COMPONENTS) as BackgroundName[];
+  return names.find((name) => BACKGROUND_COMPONENTS[name] === component) ?? null;
+};
@@ -0,0 +1,53 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import { deserializeBackground, serializeBackground } from "./backgroundConfig";
+
+describe("serializeBackground / deserializeBackground", () => {
+  beforeEach(() => {
+    // Dropped props and newer versions warn; keep the test output quiet
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it("round-trips JSON", () => {
+    const props = { speed: 3, seed: "storm", advanced: { color: "#93c5fd", count: 60 } };
+
+    expect(deserializeBackground(serializeBackground("Rain", props))).toEqual({ version: 1, type: "Rain", props });
+  });
+
+  it("round-trips query strings and links", () => {
+    const query = serializeBackground("Rain", { speed: 2 }, "query");
+
+    expect(query.startsWith("background=")).toBe(true);
+    expect(deserializeBackground(query)?.props).toEqual({ speed: 2 });
+    expect(deserializeBackground(`https://example.com/?${query}#top`)?.props).toEqual({ speed: 2 });
+  });
+
+  it("leaves out props that cannot be stored", () => {
+    const props = { speed: 2, style: { opacity: 0.5 }, onQualityChange: () => {}, advanced: { count: 60, unknown: true } };
+
+    expect(JSON.parse(serializeBackground("Rain", props)).props).toEqual({ speed: 2, advanced: { count: 60 } });
+  });
+
+  it("throws for an unknown background", () => {
+    expect(() => serializeBackground("Lava" as never, {})).toThrow('Unknown background "Lava"');
+  });
+
+  it("returns null for input that is not a config", () => {
+    expect(deserializeBackground("{not json")).toBeNull();
+    expect(deserializeBackground("?other=1")).toBeNull();
+    expect(deserializeBackground({ type: "Lava", props: {} })).toBeNull();
+  });
+
+  it("keeps the version of a config written by a newer release", () => {
+    const config = deserializeBackground({ version: 2, type: "Rain", props: { speed: 2, sparkle: true } });
+
+    expect(config).toEqual({ version: 2, type: "Rain", props: { speed: 2 } });
+  });
+
+  it("reads a config without a version as the current one", () => {
+    expect(deserializeBackground({ type: "Rain", props: {} })?.version).toBe(1);
+  });
+});
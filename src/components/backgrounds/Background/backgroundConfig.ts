@@ -0,0 +1,144 @@
+import { backgroundJsonSchemas, type BackgroundName } from "../jsonSchemas";
+import type { JsonSchema } from "../shared/jsonSchema";
+import { warnOnce } from "../shared/settingsSchema.js";
+
+/**
+ * Background Config
+ * Serialized form of a background setup: which background, and every prop of
+ * it that can be stored as JSON. A config can be kept in a CMS or shared as a
+ * link and rendered again with <Background config={...} />; together with a
+ * `seed` it reproduces the same picture.
+ *
+ * Props are kept when the background's JSON Schema describes them, so
+ * callbacks, children and inline styles are left out.
+ */
+
+// Version of the config format, raised when it changes incompatibly
+const CONFIG_VERSION = 1;
+
+// Query parameter that holds the config in links
+const QUERY_PARAM = "background";
+
+/**
+ * A background and its serializable props
+ */
+export interface BackgroundConfig<T extends BackgroundName = BackgroundName> {
+  version: number;
+  type: T;
+  props: Record<string, unknown>;
+}
+
+// "json" for storage, "query" for a `background=...` query string to put in links
+export type BackgroundConfigFormat = "json" | "query";
+
+/**
+ * Checks whether a value is a plain object
+ */
+const isPlainObject = (value: unknown): value is Record<string, unknown> => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Checks whether a name is one of the backgrounds
+ */
+const isBackgroundName = (type: unknown): type is BackgroundName => typeof type === "string" && Object.prototype.hasOwnProperty.call(backgroundJsonSchemas, type);
+
+/**
+ * Keeps the props a JSON Schema describes, looking into nested settings such as `advanced`
+ * @param props - Props or nested settings
+ * @param schema - JSON Schema of the object
+ * @param onDropped - Called with the path of every prop the schema does not describe
+ * @returns Described props
+ */
+const pickProps = (props: Record<string, unknown>, schema: JsonSchema, onDropped?: (path: string) => void): Record<string, unknown> => {
+  const properties = (schema.properties ?? {}) as Record<string, JsonSchema>;
+  const picked: Record<string, unknown> = {};
+  Object.keys(props).forEach((key) => {
+    const value = props[key];
+    if (value === undefined) return;
+    const property = properties[key];
+    if (!property || typeof value === "function") {
+      onDropped?.(key);
+      return;
+    }
+    picked[key] = isPlainObject(value) && property.properties ? pickProps(value, property, onDropped && ((path) => onDropped(`${key}.${path}`))) : value;
+  });
+  return picked;
+};
+
+/**
+ * Serializes a background setup
+ * @param type - Background component name, e.g. "Rain"
+ * @param props - Props of the background; props that cannot be stored as JSON are left out
+ * @param format - "json" (default) or "query" for links
+ * @returns JSON string, or a `background=...` query string
+ */
+export function serializeBackground<T extends BackgroundName>(type: T, props: object = {}, format: BackgroundConfigFormat = "json"): string {
+  if (!isBackgroundName(type)) {
+    throw new Error(`BackgroundConfig: Unknown background "${type}"`);
+  }
+
+  const config: BackgroundConfig<T> = {
+    version: CONFIG_VERSION,
+    type,
+    props: pickProps(props as Record<string, unknown>, backgroundJsonSchemas[type]),
+  };
+  const json = JSON.stringify(config);
+  return format === "query" ? new URLSearchParams({ [QUERY_PARAM]: json }).toString() : json;
+}
+
+/**
+ * Reads the JSON of a config from a JSON string, a query string or a URL
+ * @param input - Serialized config
+ * @returns JSON text, null when there is none
+ */
+const readJson = (input: string): string | null => {
+  const text = input.trim();
+  if (text.startsWith("{")) return text;
+
+  // Query strings and full URLs carry the config in the background parameter
+  const queryStart = text.indexOf("?");
+  const query = (queryStart >= 0 ? text.slice(queryStart + 1) : text).split("#")[0];
+  return new URLSearchParams(query).get(QUERY_PARAM);
+};
+
+/**
+ * Restores a background setup
+ * @param input - Output of serializeBackground(), a URL carrying it, or a parsed config
+ * @returns Config with the props the background accepts and the version it was written with, null when the input is not a config
+ */
+export function deserializeBackground(input: string | object): BackgroundConfig | null {
+  let config: unknown = input;
+  if (typeof input === "string") {
+    const json = readJson(input);
+    try {
+      config = json ? JSON.parse(json) : null;
+    } catch {
+      config = null;
+    }
+  }
+
+  if (!isPlainObject(config)) {
+    warnOnce("BackgroundConfig: Expected a serialized background config; ignoring it");
+    return null;
+  }
+  if (!isBackgroundName(config.type)) {
+    warnOnce(`BackgroundConfig: Unknown background ${JSON.stringify(config.type)}; ignoring the config`);
+    return null;
+  }
+  // Configs without a version predate the field and read as the current one
+  const version = typeof config.version === "number" ? config.version : CONFIG_VERSION;
+  if (version > CONFIG_VERSION) {
+    warnOnce(`BackgroundConfig: Config version ${version} is newer than ${CONFIG_VERSION}; reading the props it shares with it`);
+  }
+
+  const type = config.type;
+  const props = isPlainObject(config.props) ? config.props : {};
+  return {
+    version,
+    type,
+    props: pickProps(props, backgroundJsonSchemas[type], (path) => warnOnce(`BackgroundConfig: ${type} has no "${path}" prop; ignoring it`)),
+  };
+}
@@ -0,0 +1,11 @@
+// Component exports
+export { Background } from "./Background";
+export type { BackgroundProps } from "./Background";
+export { BackgroundStack } from "./BackgroundStack";
+export type { BackgroundStackProps, BackgroundStackHandle, BackgroundLayer } from "./BackgroundStack";
+export { BackgroundSwitcher } from "./BackgroundSwitcher";
+export type { BackgroundSwitcherProps, BackgroundScene, BackgroundTransition, WipeDirection } from "./BackgroundSwitcher";
+export { BackgroundPlayground } from "./BackgroundPlayground";
+export type { BackgroundPlaygroundProps } from "./BackgroundPlayground";
+export { serializeBackground, deserializeBackground } from "./backgroundConfig";
+export type { BackgroundConfig, BackgroundConfigFormat } from "./backgroundConfig";
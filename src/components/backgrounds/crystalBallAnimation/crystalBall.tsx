@@ -1,11 +1,20 @@
-import React, { useEffect, useRef } from "react";
-import CrystalBallPlugin from "./crystalBallPlugin.js";
-
-interface Props {
+import React, { forwardRef, useCallback, useEffect, useRef } from "react";
+import CrystalBallPlugin, { settingsSchema } from "./crystalBallPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
+
+interface Props extends BackgroundProps<StyleSettings> {
   styleSettings?: StyleSettings;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 }
 
 interface StyleSettings {
@@ -22,84 +31,73 @@ interface StyleSettings {
   textSize?: string | number;
 }
 
-export function CrystalBall({ width = "auto", height = "auto", styleSettings, children }: Props) {
-  const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void; resize?: () => void } | null>(null);
-
-  // Calculate container dimensions based on settings
-  const getContainerStyle = () => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
+type CrystalBallHandle = BackgroundHandle<StyleSettings>;
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  };
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  amethyst: { styleSettings: { backgroundColor: "#1b1030", circle1Color: "#efe6ff", circle2Color: "#cdb4ff", circle3Color: "#9b6bff", circle4Color: "#ff4fd8" } },
+  ocean: { styleSettings: { backgroundColor: "#021627", circle1Color: "#e0f7ff", circle2Color: "#9be7ff", circle3Color: "#39b8e6", circle4Color: "#00e0c6" } },
+  ember: { styleSettings: { backgroundColor: "#1a0800", circle1Color: "#fff1e0", circle2Color: "#ffc58a", circle3Color: "#ff8a3d", circle4Color: "#ff2d00" } },
+};
 
-  useEffect(() => {
-    if (!canvasRef.current || !containerRef.current) return;
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<StyleSettings> = {
+  textSize: { band: "bass", scale: [1, 1.3] },
+};
 
-    // Check if children exist - if they do, disable text rendering
-    const hasChildren = children != null && children !== false && (Array.isArray(children) ? children.length > 0 : true);
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const crystalBallJsonSchema = createJsonSchema("CrystalBall", settingsSchema, { rest: "styleSettings", presets: Object.keys(PRESETS) });
 
-    // If children exist, disable text rendering and ignore text-related settings
-    const modifiedSettings = hasChildren
+export const CrystalBall = forwardRef<CrystalBallHandle, Props>(function CrystalBall(props, ref) {
+  const { width = "auto", height = "auto", styleSettings, motion = "auto", autoPause = true, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("CrystalBall", PRESETS, props);
+  const canvasRef = useRef<HTMLCanvasElement | null>(null);
+  const containerRef = useRef<HTMLDivElement | null>(null);
+  const pluginRef = useRef<BackgroundPlugin<StyleSettings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
+
+  // Check if children exist - if they do, disable text rendering
+  const hasChildren = children != null && children !== false && (Array.isArray(children) ? children.length > 0 : true);
+
+  // If children exist, disable text rendering and ignore text-related settings
+  const buildCurrentSettings = useCallback(() => {
+    // The theme palette fills in whatever styleSettings leaves out
+    const themed: StyleSettings = palette
       ? {
+          backgroundColor: palette.surface,
+          circle1Color: palette.primary,
+          circle2Color: palette.secondary,
+          circle3Color: palette.accent,
+          circle4Color: palette.glow,
+          textColor: palette.text,
+        }
+      : {};
+
+    return hasChildren
+      ? {
+          ...themed,
           ...styleSettings,
           enableText: false,
           textContent: "",
         }
-      : styleSettings;
+      : { ...themed, ...styleSettings };
+  }, [styleSettings, hasChildren, palette]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
-    const crystalBall = CrystalBallPlugin(canvasRef.current, modifiedSettings);
-    pluginRef.current = crystalBall;
+  useEffect(() => {
+    if (!canvasRef.current || !containerRef.current) return;
 
-    crystalBall.start();
+    startPlugin(CrystalBallPlugin(canvasRef.current, getSettings()) as BackgroundPlugin<StyleSettings>);
 
-    // Setup ResizeObserver to handle container size changes
+    // Recalculate circle sizes when the container size changes
     const resizeObserver = new ResizeObserver(() => {
-      // Reinitialize when container size changes to recalculate circle sizes
-      if (pluginRef.current) {
-        pluginRef.current.clean();
-        const currentHasChildren = children != null && children !== false && (Array.isArray(children) ? children.length > 0 : true);
-        const updatedSettings = currentHasChildren ? { ...styleSettings, enableText: false, textContent: "" } : styleSettings;
-        pluginRef.current = CrystalBallPlugin(canvasRef.current, updatedSettings);
-        pluginRef.current.start();
-      }
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -111,45 +109,19 @@ export function CrystalBall({ width = "auto", height = "auto", styleSettings, ch
         pluginRef.current = null;
       }
     };
-  }, [styleSettings, children]);
+  }, [getSettings, startPlugin]);
 
   return (
-    <div ref={containerRef} style={getContainerStyle()}>
+    <BackgroundShell ref={containerRef} label="Animated crystal ball background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
       <canvas
-        style={{
-          position: "absolute",
-          top: 0,
-          left: 0,
-          width: "100%",
-          height: "100%",
-          display: "block",
-          zIndex: 0,
-          pointerEvents: "none",
-        }}
+        style={CANVAS_STYLE}
         ref={canvasRef}
         id={"canvas123"}
       />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-        >
-          <div style={{ pointerEvents: "auto", position: "relative", zIndex: 31 }}>{children}</div>
-        </div>
-      )}
-    </div>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Also export the types for users who need them
-export type { Props as CrystalBallProps, StyleSettings };
+export type { Props as CrystalBallProps, StyleSettings, CrystalBallHandle };
@@ -1,21 +1,43 @@
-const defaultSettings = Object.freeze({
-  backgroundColor: "white",
-  backgroundImage: null,
-  circle1Color: "#f8f4ff",
-  circle2Color: "#e6d9ff",
-  circle3Color: "#d4b3ff",
-  circle4Color: "#ff00ff",
-  speed: 1,
-  enableText: true,
-  textContent: "Adam",
-  textColor: "#ffffff",
-  textSize: 37,
+import { seekAnimations } from "../shared/frameTiming.js";
+import { isPausedAll, onPauseAllChange } from "../shared/scheduler.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the CrystalBall background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("CrystalBall", {
+  backgroundColor: { type: "color", default: "white", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  circle1Color: { type: "color", default: "#f8f4ff", description: "Color of the outer circle" },
+  circle2Color: { type: "color", default: "#e6d9ff", description: "Color of the second circle" },
+  circle3Color: { type: "color", default: "#d4b3ff", description: "Color of the third circle" },
+  circle4Color: { type: "color", default: "#ff00ff", description: "Color of the glowing core" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the pulse" },
+  enableText: { type: "boolean", default: true, description: "Shows textContent inside the ball" },
+  textContent: { type: "string", default: "Adam", description: "Text shown inside the ball" },
+  textColor: { type: "color", default: "#ffffff", description: "Color of the text" },
+  textSize: { type: "number", default: 37, min: 8, max: 200, description: "Text size, scaled with the ball" },
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 export default function CrystalBallPlugin(containerElement, animationSettings = {}) {
   let container;
   let newContainer;
-  let settings = { ...defaultSettings, ...animationSettings };
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+  let running = false;
+  let destroyed = false;
+  let unsubscribePauseAll = null;
+
+  // Show the CSS animations as playing only while neither pause() nor pauseAll() holds them
+  const applyPlayState = () => {
+    if (!newContainer) return;
+    if (running && !isPausedAll()) {
+      newContainer.removeAttribute("data-paused");
+    } else {
+      newContainer.setAttribute("data-paused", "true");
+    }
+  };
 
   // Calculate responsive sizes based on container dimensions
   const calculateSizes = () => {
@@ -49,7 +71,7 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
     };
 
     // Calculate text size based on smallest circle
-    const textSize = Math.max(16, (sizes.circle3 / 500) * (typeof settings.textSize === "number" ? settings.textSize : 37));
+    const textSize = Math.max(16, (sizes.circle3 / 500) * settings.textSize);
 
 
     return { sizes, textSize, containerWidth, containerHeight };
@@ -57,14 +79,10 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
 
   // Create crystal ball HTML structure
   const createCrystalBallHTML = () => {
-    // Calculate responsive sizes
-    const sizeData = calculateSizes();
-    if (!sizeData) {
+    if (!calculateSizes()) {
       return null;
     }
 
-    const { sizes, textSize } = sizeData;
-
     // Create a unique ID for this instance
     const uniqueId = "crystal-ball-" + Date.now() + "-" + Math.random().toString(36).substr(2, 9);
 
@@ -84,6 +102,8 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
     newContainer.style.height = "100%";
     newContainer.style.overflow = "hidden";
     newContainer.style.zIndex = "10"; // Place above canvas but below children
+    newContainer.style.setProperty("--crystal-ball-speed", String(settings.speed));
+    applyPlayState();
 
     // Hide the original canvas for crystal ball animation
     container.style.display = "none";
@@ -103,9 +123,7 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
         <div class='crystal-ball-circle'>
           <div class='crystal-ball-circle1'>
             <div class='crystal-ball-circle2'>
-              <div class='crystal-ball-circle3'>
-                ${settings.enableText ? `<div class='crystal-ball-name'>${settings.textContent}</div>` : ""}
-              </div>
+              <div class='crystal-ball-circle3'></div>
             </div>
           </div>
         </div>
@@ -115,6 +133,38 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
     // Inject HTML
     newContainer.innerHTML = html;
 
+    // Store the unique ID for cleanup
+    newContainer._uniqueId = uniqueId;
+
+    // Store reference for cleanup
+    newContainer._originalCanvas = container;
+
+    renderText();
+    applyCrystalBallStyles();
+    applyBackgroundImage();
+
+    return uniqueId;
+  };
+
+  // Render the optional text inside the innermost circle
+  const renderText = () => {
+    const circle3 = newContainer && newContainer.querySelector(".crystal-ball-circle3");
+    if (!circle3) return;
+
+    circle3.innerHTML = settings.enableText ? `<div class='crystal-ball-name'>${settings.textContent}</div>` : "";
+  };
+
+  // Write the instance stylesheet for the current container size and settings
+  const applyCrystalBallStyles = () => {
+    if (!newContainer || !container) return;
+
+    // Calculate responsive sizes
+    const sizeData = calculateSizes();
+    if (!sizeData) return;
+
+    const { sizes, textSize } = sizeData;
+    const uniqueId = newContainer._uniqueId;
+
     // Calculate animation sizes (5% larger for pulse effect)
     const pulse1Base = sizes.circle2;
     const pulse1Max = pulse1Base * 1.071; // ~750/700 ratio
@@ -137,6 +187,10 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
         height: 100%;
         overflow: hidden;
       }
+
+      #${uniqueId}[data-paused] * {
+        animation-play-state: paused;
+      }
       
       #${uniqueId} .crystal-ball-background {
         background-color: ${settings.backgroundColor};
@@ -169,7 +223,7 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
         top: 50%; 
         left: 50%;
         transform: translate(-50%,-50%);
-        animation: crystal-ball-pulse3-${uniqueId} ${10 / settings.speed}s ease-in-out infinite;
+        animation: crystal-ball-pulse3-${uniqueId} calc(10s / var(--crystal-ball-speed)) ease-in-out infinite;
       }
 
       #${uniqueId} .crystal-ball-circle2 {
@@ -183,7 +237,7 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
         left: 50%;
         color: white;
         transform: translate(-50%,-50%);
-        animation: crystal-ball-pulse-${uniqueId} ${4 / settings.speed}s ease-in-out infinite;
+        animation: crystal-ball-pulse-${uniqueId} calc(4s / var(--crystal-ball-speed)) ease-in-out infinite;
       }
 
       #${uniqueId} .crystal-ball-circle3 {
@@ -196,7 +250,7 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
         top: 50%; 
         left: 50%;
         transform: translate(-50%,-50%);
-        animation: crystal-ball-pulse2-${uniqueId} ${3 / settings.speed}s ease-in-out infinite;
+        animation: crystal-ball-pulse2-${uniqueId} calc(3s / var(--crystal-ball-speed)) ease-in-out infinite;
       }
 
       #${uniqueId} .crystal-ball-name {
@@ -280,22 +334,16 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
 
     // Add new styles
     document.head.appendChild(style);
+  };
 
-    // Add background image if provided
-    if (settings.backgroundImage) {
-      const background = newContainer.querySelector(".crystal-ball-background");
-      background.style.backgroundImage = `url(${settings.backgroundImage})`;
-      background.style.backgroundSize = "cover";
-      background.style.backgroundPosition = "center";
-    }
-
-    // Store the unique ID for cleanup
-    newContainer._uniqueId = uniqueId;
+  // Add background image if provided
+  const applyBackgroundImage = () => {
+    const background = newContainer && newContainer.querySelector(".crystal-ball-background");
+    if (!background) return;
 
-    // Store reference for cleanup
-    newContainer._originalCanvas = container;
-
-    return uniqueId;
+    background.style.backgroundImage = settings.backgroundImage ? `url(${settings.backgroundImage})` : "";
+    background.style.backgroundSize = settings.backgroundImage ? "cover" : "";
+    background.style.backgroundPosition = settings.backgroundImage ? "center" : "";
   };
 
   // Initialize the crystal ball animation
@@ -306,7 +354,7 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
     }
 
     // Update settings with provided animationSettings
-    settings = { ...defaultSettings, ...animationSettings };
+    settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
 
     container = containerElement;
 
@@ -322,57 +370,119 @@ export default function CrystalBallPlugin(containerElement, animationSettings =
     }
   };
 
-  // Debounced resize handler
-  let resizeTimeout = null;
-  const onResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (container) {
-        // Clean up existing animation
-        if (newContainer) {
-          newContainer.remove();
-        }
-        // Reinitialize with current settings to recalculate sizes
-        initializeCrystalBall(container, settings);
+  // Remove the injected container and its instance styles
+  const removeCrystalBallHTML = () => {
+    if (!newContainer) return;
+
+    try {
+      // Remove the crystal ball container
+      newContainer.remove();
+
+      // Remove the specific style for this instance
+      const style = document.getElementById("crystal-ball-styles-" + newContainer._uniqueId);
+      if (style) {
+        style.remove();
       }
-    }, 150);
+    } catch {
+      // Silently handle cleanup errors
+    }
+    newContainer = null;
   };
 
   // Start the animation
   const start = () => {
-    initializeCrystalBall(containerElement, animationSettings);
-    window.addEventListener("resize", onResize);
+    if (destroyed) return;
+
+    running = true;
+    initializeCrystalBall(containerElement, settings);
+    if (!unsubscribePauseAll) {
+      unsubscribePauseAll = onPauseAllChange(applyPlayState);
+    }
   };
 
   // Clean up the animation
   const clean = () => {
-    window.removeEventListener("resize", onResize);
+    // Show the original canvas
+    if (newContainer && newContainer._originalCanvas) {
+      newContainer._originalCanvas.style.display = "block";
+    }
+    removeCrystalBallHTML();
+
+    running = false;
+    container = null;
+
+    if (unsubscribePauseAll) {
+      unsubscribePauseAll();
+      unsubscribePauseAll = null;
+    }
+  };
+
+  // Pause the CSS animations on their current frame
+  const pause = () => {
+    running = false;
+    applyPlayState();
+  };
+
+  // Resume paused CSS animations
+  const resume = () => {
+    if (!container) return;
+
+    running = true;
+    applyPlayState();
+  };
 
+  // Seek the CSS animations to the given time (ms), e.g. for tests or offline rendering
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    seekAnimations(newContainer, timeMs);
+  };
+
+  // The element captureFrame() and record() draw
+  const getCaptureTarget = () => ({ element: newContainer });
+
+  // Whether the animations are currently playing
+  const isRunning = () => running;
+
+  // Change the pulse speed through the CSS duration variable
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, containerElement);
     if (newContainer) {
-      try {
-        // Show the original canvas
-        if (newContainer._originalCanvas) {
-          newContainer._originalCanvas.style.display = "block";
-        }
+      newContainer.style.setProperty("--crystal-ball-speed", String(settings.speed));
+    }
+  };
 
-        // Remove the crystal ball container
-        newContainer.remove();
+  // Merge new settings into the existing markup and stylesheet
+  const update = (partialSettings = {}) => {
+    const { speed, ...rest } = partialSettings;
+    settings = settingsSchema.normalize({ ...settings, ...rest }, containerElement);
 
-        // Remove the specific style for this instance
-        const style = document.getElementById("crystal-ball-styles-" + newContainer._uniqueId);
-        if (style) {
-          style.remove();
-        }
-      } catch {
-        // Silently handle cleanup errors
-      }
+    if (speed !== undefined) {
+      setSpeed(speed);
     }
 
-    container = null;
-    newContainer = null;
+    if (!newContainer) return;
+
+    if (rest.enableText !== undefined || rest.textContent !== undefined) {
+      renderText();
+    }
+    if (rest.backgroundImage !== undefined) {
+      applyBackgroundImage();
+    }
+    if (Object.keys(rest).some((key) => key !== "backgroundImage" && key !== "enableText" && key !== "textContent")) {
+      applyCrystalBallStyles();
+    }
+  };
+
+  // Recalculate the circle sizes for the current container
+  const resize = () => {
+    applyCrystalBallStyles();
+  };
+
+  // Clean up and restore the canvas for good
+  const destroy = () => {
+    clean();
+    destroyed = true;
   };
 
-  return { start, clean };
+  return { start, clean, pause, resume, isRunning, setSpeed, update, resize, renderFrame, getCaptureTarget, destroy };
 }
@@ -1,4 +1,4 @@
 // Component exports
-export { CrystalBall } from "./crystalBall";
-// export type { CrystalBallProps, StyleSettings } from "./crystalBall";
+export { CrystalBall, crystalBallJsonSchema } from "./crystalBall";
+export type { CrystalBallProps, StyleSettings, CrystalBallHandle } from "./crystalBall";
 
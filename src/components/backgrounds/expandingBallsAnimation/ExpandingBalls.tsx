@@ -1,9 +1,21 @@
-import React, { useEffect, useRef } from "react";
-// @ts-expect-error - JS file export, TypeScript may not recognize it
-import ExpandingBallsPlugin from "./expandingBalls.js";
+import React, { forwardRef, useCallback, useEffect, useRef } from "react";
+import ExpandingBallsPlugin, { settingsSchema } from "./expandingBalls.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { useQualityChange } from "../shared/useQualityChange";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, AdaptiveQualityProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with grouped settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps, AdaptiveQualityProps {
   // Basic settings
   backgroundColor?: string;
   backgroundImage?: string;
@@ -16,11 +28,6 @@ interface Props {
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
-
-  // Layout
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 }
 
 interface AdvancedSettings {
@@ -34,16 +41,77 @@ interface AdvancedSettings {
     trails?: boolean;
     mouseInteraction?: boolean;
   };
+  maxPixelRatio?: number;
+}
+
+// Plugin settings accepted by the imperative handle's update()
+interface Settings {
+  backgroundColor?: string;
+  backgroundImage?: string | null;
+  speed?: number;
+  numBalls?: number;
+  colors?: string[];
+  minBallSize?: number;
+  maxBallSize?: number;
+  expansionRate?: number;
+  velocityRange?: number;
+  enableMouseInteraction?: boolean;
+  mouseForce?: number;
+  enableGlow?: boolean;
+  glowIntensity?: number;
+  enableTrails?: boolean;
+  trailLength?: number;
+  trailOpacity?: number;
+  maxPixelRatio?: number;
 }
 
-// Default color palette
-const DEFAULT_COLORS = [
-  "85, 221, 224,", // Cyan
-  "51, 101, 138,", // Blue
-  "47, 72, 88,", // Dark Blue
-  "246, 174, 45,", // Orange
-  "242, 100, 25,", // Red Orange
-] as const;
+type ExpandingBallsHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  confetti: { backgroundColor: "#0d0d1a", intensity: "intense", colors: ["#ff595e", "#ffca3a", "#8ac926", "#1982c4", "#6a4c93"] },
+  bubbles: {
+    backgroundColor: "#03202f",
+    intensity: "subtle",
+    colors: ["#a2d2ff", "#bde0fe", "#cdb4db"],
+    advanced: { effects: { glow: true, trails: false, mouseInteraction: true } },
+  },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  expansionRate: { band: "bass", scale: [1, 4] },
+  glowIntensity: { band: "level", scale: [1, 3] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const expandingBallsJsonSchema = createJsonSchema("ExpandingBalls", settingsSchema, {
+  props: {
+    backgroundColor: "backgroundColor",
+    backgroundImage: "backgroundImage",
+    speed: "speed",
+    intensity: { enum: ["subtle", "normal", "intense"], default: "normal", description: "Preset of count, sizes, expansion, velocity and effects" },
+    count: "numBalls",
+    colors: "colors",
+    quality: "quality",
+    seed: "seed",
+    advanced: {
+      properties: {
+        count: "numBalls",
+        size: { properties: { min: "minBallSize", max: "maxBallSize" } },
+        expansionRate: "expansionRate",
+        velocityRange: "velocityRange",
+        colors: "colors",
+        effects: { properties: { glow: "enableGlow", trails: "enableTrails", mouseInteraction: "enableMouseInteraction" } },
+        maxPixelRatio: "maxPixelRatio",
+      },
+    },
+  },
+  presets: Object.keys(PRESETS),
+});
 
 // Intensity presets for easy configuration
 const INTENSITY_PRESETS = {
@@ -70,110 +138,90 @@ const INTENSITY_PRESETS = {
   },
 } as const;
 
-export function ExpandingBalls({
-  width = "auto",
-  height = "auto",
-  backgroundColor = "#000000",
-  backgroundImage,
-  speed = 1,
-  intensity = "normal",
-  count,
-  colors,
-  advanced,
-  children,
-}: Props) {
+export const ExpandingBalls = forwardRef<ExpandingBallsHandle, Props>(function ExpandingBalls(props, ref) {
+  const {
+    width = "auto",
+    height = "auto",
+    backgroundColor: backgroundColorProp,
+    backgroundImage,
+    speed = defaults.speed,
+    intensity = "normal",
+    count,
+    colors,
+    advanced,
+    motion = "auto",
+    autoPause = true,
+    quality,
+    onQualityChange,
+    seed,
+    poster,
+    scrollBind,
+    audioSource,
+    audioMapping,
+    className,
+    style,
+    fixed,
+    overlay,
+    children,
+  } = applyPreset("ExpandingBalls", PRESETS, props);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  // Calculate container dimensions based on settings
-  const getContainerStyle = () => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const handleQualityChange = useQualityChange(onQualityChange);
+  const palette = useThemePalette();
+
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+
+  // Build the plugin settings from the current props
+  const buildCurrentSettings = useCallback(() => {
+    const preset = INTENSITY_PRESETS[intensity];
+    const effects = advanced?.effects ?? preset.effects;
+
+    return {
+      backgroundColor,
+      backgroundImage: backgroundImage || null,
+      speed,
+      // Use convenience props first, then advanced, then preset
+      numBalls: count ?? advanced?.count ?? preset.count,
+      colors: colors ?? advanced?.colors ?? (palette ? [palette.primary, palette.secondary, palette.accent, palette.glow] : defaults.colors),
+      minBallSize: advanced?.size?.min ?? preset.size.min,
+      maxBallSize: advanced?.size?.max ?? preset.size.max,
+      expansionRate: advanced?.expansionRate ?? preset.expansionRate,
+      velocityRange: advanced?.velocityRange ?? preset.velocityRange,
+      enableMouseInteraction: effects?.mouseInteraction ?? defaults.enableMouseInteraction,
+      mouseForce: defaults.mouseForce,
+      enableGlow: effects?.glow ?? defaults.enableGlow,
+      glowIntensity: defaults.glowIntensity,
+      enableTrails: effects?.trails ?? defaults.enableTrails,
+      trailLength: defaults.trailLength,
+      trailOpacity: defaults.trailOpacity,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
+      quality: quality || null,
+      onQualityChange: handleQualityChange,
+      seed: seed ?? null,
     };
+  }, [backgroundColor, backgroundImage, speed, intensity, count, colors, advanced, quality, handleQualityChange, palette, seed]);
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  };
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
+  /**
+   * Effect to create the animation once and keep it sized to the container
+   */
   useEffect(() => {
     if (!canvasRef.current || !containerRef.current) return;
 
-    // Build settings inside useEffect to avoid dependency issues
-    const buildCurrentSettings = () => {
-      const preset = INTENSITY_PRESETS[intensity];
-      const effects = advanced?.effects ?? preset.effects;
-
-      return {
-        backgroundColor,
-        backgroundImage: backgroundImage || null,
-        speed: typeof speed === "string" ? parseFloat(speed) || 1 : speed,
-        // Use convenience props first, then advanced, then preset
-        numBalls: count ?? advanced?.count ?? preset.count,
-        colors: colors ?? advanced?.colors ?? DEFAULT_COLORS,
-        minBallSize: advanced?.size?.min ?? preset.size.min,
-        maxBallSize: advanced?.size?.max ?? preset.size.max,
-        expansionRate: advanced?.expansionRate ?? preset.expansionRate,
-        velocityRange: advanced?.velocityRange ?? preset.velocityRange,
-        enableMouseInteraction: effects?.mouseInteraction ?? false,
-        mouseForce: 0.5,
-        enableGlow: effects?.glow ?? false,
-        glowIntensity: 0.3,
-        enableTrails: effects?.trails ?? false,
-        trailLength: 5,
-        trailOpacity: 0.2,
-      };
-    };
-
-    const settings = buildCurrentSettings();
-    const expandingBalls = ExpandingBallsPlugin(canvasRef.current, settings);
-    pluginRef.current = expandingBalls;
+    startPlugin(ExpandingBallsPlugin(canvasRef.current, getSettings()) as BackgroundPlugin<Settings>);
 
-    expandingBalls.start();
-
-    // Setup ResizeObserver to handle container size changes
+    // Resize the running animation instead of rebuilding it
     const resizeObserver = new ResizeObserver(() => {
-      // Reinitialize when container size changes
-      if (pluginRef.current && canvasRef.current) {
-        pluginRef.current.clean();
-        const updatedSettings = buildCurrentSettings();
-        const newPlugin = ExpandingBallsPlugin(canvasRef.current, updatedSettings);
-        pluginRef.current = newPlugin;
-        newPlugin.start();
-      }
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -185,45 +233,19 @@ export function ExpandingBalls({
         pluginRef.current = null;
       }
     };
-  }, [backgroundColor, backgroundImage, speed, intensity, count, colors, advanced]);
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={getContainerStyle()}>
+    <BackgroundShell ref={containerRef} label="Animated expanding balls background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
       <canvas
-        style={{
-          position: "absolute",
-          top: 0,
-          left: 0,
-          width: "100%",
-          height: "100%",
-          display: "block",
-          zIndex: 0,
-          pointerEvents: "none",
-        }}
+        style={CANVAS_STYLE}
         ref={canvasRef}
         id={"expandingBallsCanvas"}
       />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-        >
-          <div style={{ pointerEvents: "auto", position: "relative", zIndex: 31 }}>{children}</div>
-        </div>
-      )}
-    </div>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as ExpandingBallsProps, AdvancedSettings as ExpandingBallsAdvancedSettings };
+export type { Props as ExpandingBallsProps, AdvancedSettings as ExpandingBallsAdvancedSettings, ExpandingBallsHandle };
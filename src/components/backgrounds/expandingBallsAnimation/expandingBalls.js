@@ -1,35 +1,51 @@
-// Default settings optimized for performance and ease of use
-// These match the "normal" intensity preset by default
-const defaultSettings = Object.freeze({
-  backgroundColor: "#000000",
-  backgroundImage: null,
-  width: "auto",
-  height: "auto",
-  speed: 1,
-  numBalls: 70, // Good balance between visual impact and performance
-  colors: [
-    "85, 221, 224,", // Cyan
-    "51, 101, 138,", // Blue
-    "47, 72, 88,", // Dark Blue
-    "246, 174, 45,", // Orange
-    "242, 100, 25,", // Red Orange
-  ],
-  minBallSize: 4, // Minimum ball size in pixels
-  maxBallSize: 16, // Maximum ball size in pixels
-  expansionRate: 0.1, // How fast balls expand (lower = slower)
-  velocityRange: 4, // Movement speed range (lower = slower)
-  enableMouseInteraction: false, // Disabled by default for better performance
-  mouseForce: 0.5, // Mouse interaction strength (0-1)
-  enableGlow: false, // Disabled by default for better performance
-  glowIntensity: 0.3, // Glow effect intensity (0-1)
-  enableTrails: false, // Disabled by default for better performance
-  trailLength: 5, // Number of trail points
-  trailOpacity: 0.2, // Trail opacity (0-1)
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createQualityGovernor, { scaleDensity } from "../shared/qualityGovernor.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import createRandom from "../shared/random.js";
+import { formatColor, parseColor, withAlpha } from "../shared/color.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD, QUALITY_FIELDS, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the ExpandingBalls background: type, accepted range, default and description of each.
+ * The defaults match the "normal" intensity preset and leave the costlier effects off.
+ */
+export const settingsSchema = createSettingsSchema("ExpandingBalls", {
+  backgroundColor: { type: "color", default: "#000000", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  width: { type: "any", default: "auto", json: { type: ["number", "string"] }, description: "Canvas width in pixels, or \"auto\" to fill the container" },
+  height: { type: "any", default: "auto", json: { type: ["number", "string"] }, description: "Canvas height in pixels, or \"auto\" to fill the container" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the balls" },
+  numBalls: { type: "number", default: 70, min: 1, max: 500, integer: true, description: "Number of balls" },
+  colors: {
+    type: "colors",
+    default: ["85, 221, 224,", "51, 101, 138,", "47, 72, 88,", "246, 174, 45,", "242, 100, 25,"],
+    description: "Colors the balls are picked from",
+  },
+  minBallSize: { type: "number", default: 4, min: 1, max: 100, description: "Smallest ball size in pixels" },
+  maxBallSize: { type: "number", default: 16, min: 1, max: 200, description: "Largest ball size in pixels" },
+  expansionRate: { type: "number", default: 0.1, min: 0, max: 5, description: "How fast the balls expand" },
+  velocityRange: { type: "number", default: 4, min: 0, max: 50, description: "Largest speed a ball moves at" },
+  enableMouseInteraction: { type: "boolean", default: false, description: "Pushes the balls away from the pointer" },
+  mouseForce: { type: "number", default: 0.5, min: 0, max: 1, description: "Strength of the push" },
+  enableGlow: { type: "boolean", default: false, description: "Draws a glow around each ball" },
+  glowIntensity: { type: "number", default: 0.3, min: 0, max: 1, description: "Strength of the glow" },
+  enableTrails: { type: "boolean", default: false, description: "Draws a fading trail behind each ball" },
+  trailLength: { type: "number", default: 5, min: 0, max: 50, integer: true, description: "Number of points in each trail" },
+  trailOpacity: { type: "number", default: 0.2, min: 0, max: 1, description: "Opacity of the trails" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  ...QUALITY_FIELDS,
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
+// Below this quality scale glow is skipped; each glow is a radial gradient per ball
+const GLOW_MIN_QUALITY = 0.6;
+
 export default function ExpandingBallsPlugin(canvasElement, animationSettings = {}) {
   let canvas;
   let context;
+  let sizer = null;
   let screen;
   let balls = [];
   let animationId = null;
@@ -37,25 +53,17 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
   let mouseX = 0;
   let mouseY = 0;
   let eventHandlers = null;
-  let settings = { ...defaultSettings, ...animationSettings };
-
-  // Pre-process colors to RGB format for better performance
-  // This is done once during initialization for optimal performance
-  const processedColors = settings.colors.map((color) => {
-    if (color.includes(",")) return color; // Already in RGB format
-    if (color.startsWith("#")) {
-      const hex = color.slice(1);
-      const r = parseInt(hex.slice(0, 2), 16);
-      const g = parseInt(hex.slice(2, 4), 16);
-      const b = parseInt(hex.slice(4, 6), 16);
-      return `${r}, ${g}, ${b},`;
-    }
-    return color;
-  });
-
-  // Get random color from pre-processed colors array
+  let destroyed = false;
+  let qualityScale = 1;
+  let governor = null;
+  // Colors are validated by the schema once per colors change rather than per frame
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+
+  // Get random color from the validated colors
   const getRandomColor = () => {
-    return processedColors[Math.floor(Math.random() * processedColors.length)];
+    return settings.colors[Math.floor(random() * settings.colors.length)];
   };
 
   // Create a single ball
@@ -63,10 +71,10 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
     return {
       x: screen.width / 2,
       y: screen.height / 2,
-      width: Math.floor(Math.random() * (settings.maxBallSize - settings.minBallSize)) + settings.minBallSize,
-      color: "rgba(" + getRandomColor() + " " + Math.random() + ")",
-      vx: Math.random() * settings.velocityRange * 2 - settings.velocityRange,
-      vy: Math.random() * settings.velocityRange * 2 - settings.velocityRange,
+      width: Math.floor(random() * (settings.maxBallSize - settings.minBallSize)) + settings.minBallSize,
+      color: withAlpha(getRandomColor(), random()),
+      vx: random() * settings.velocityRange * 2 - settings.velocityRange,
+      vy: random() * settings.velocityRange * 2 - settings.velocityRange,
       trail: [],
     };
   };
@@ -75,9 +83,9 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
   const resetBall = (ball) => {
     ball.x = screen.width / 2;
     ball.y = screen.height / 2;
-    ball.width = Math.floor(Math.random() * (settings.maxBallSize - settings.minBallSize)) + settings.minBallSize;
-    ball.vx = Math.random() * settings.velocityRange * 2 - settings.velocityRange;
-    ball.vy = Math.random() * settings.velocityRange * 2 - settings.velocityRange;
+    ball.width = Math.floor(random() * (settings.maxBallSize - settings.minBallSize)) + settings.minBallSize;
+    ball.vx = random() * settings.velocityRange * 2 - settings.velocityRange;
+    ball.vy = random() * settings.velocityRange * 2 - settings.velocityRange;
     ball.trail = [];
   };
 
@@ -98,7 +106,7 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
         const trailSize = width * ratio;
         const trailOpacity = settings.trailOpacity * ratio;
 
-        context.fillStyle = color.replace(/[\d.]+\)$/, trailOpacity + ")");
+        context.fillStyle = formatColor({ ...parseColor(color), a: trailOpacity });
         context.beginPath();
         context.arc(trailPoint.x, trailPoint.y, trailSize, 0, TWO_PI);
         context.fill();
@@ -106,10 +114,10 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
     }
 
     // Draw glow effect if enabled
-    if (settings.enableGlow) {
+    if (settings.enableGlow && qualityScale >= GLOW_MIN_QUALITY) {
       const glowRadius = width + GLOW_RADIUS_OFFSET;
       const glowGradient = context.createRadialGradient(x, y, 0, x, y, glowRadius);
-      glowGradient.addColorStop(0, color.replace(/[\d.]+\)$/, settings.glowIntensity + ")"));
+      glowGradient.addColorStop(0, formatColor({ ...parseColor(color), a: settings.glowIntensity }));
       glowGradient.addColorStop(1, "transparent");
 
       context.fillStyle = glowGradient;
@@ -130,7 +138,8 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
     // Update trail
     if (settings.enableTrails) {
       ball.trail.push({ x: ball.x, y: ball.y });
-      if (ball.trail.length > settings.trailLength) {
+      const trailLength = scaleDensity(settings.trailLength, qualityScale, 0);
+      while (ball.trail.length > trailLength) {
         ball.trail.shift();
       }
     }
@@ -174,12 +183,38 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
     canvas = canvasElement;
     context = canvas.getContext("2d");
 
-    // Get canvas dimensions
-    const rect = canvas.getBoundingClientRect();
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
+
+    screen = { width: 0, height: 0 };
+    resizeCanvas();
+    loadBackgroundImage();
 
-    // Calculate dimensions based on settings
-    let width = rect.width || 800;
-    let height = rect.height || 400;
+    // Watch the frame rate when adaptive quality is on
+    if (!governor) governor = createQualityGovernor(applyQuality);
+    governor.configure(settings.quality);
+
+    // Initialize balls
+    balls = [];
+    syncBallCount();
+
+    // Add mouse event listeners if enabled
+    removeMouseListeners();
+    if (settings.enableMouseInteraction) {
+      addMouseListeners();
+    }
+  };
+
+  // Match the canvas to its container; balls outside the new bounds reset on their next frame
+  const resizeCanvas = () => {
+    if (!canvas || !sizer) return;
+
+    // Calculate dimensions based on settings; auto sizes are measured by the sizer
+    let width = 0;
+    let height = 0;
 
     if (settings.width !== "auto") {
       if (typeof settings.width === "number") {
@@ -197,16 +232,19 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
       }
     }
 
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize(width, height);
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
+
     screen = {
-      width: width,
-      height: height,
+      width: size.width,
+      height: size.height,
     };
+  };
 
-    // Set canvas dimensions
-    canvas.width = screen.width;
-    canvas.height = screen.height;
-
-    // Load background image if provided
+  // Load the background image, if any
+  const loadBackgroundImage = () => {
+    backgroundImage = null;
     if (settings.backgroundImage) {
       backgroundImage = new Image();
       backgroundImage.crossOrigin = "anonymous";
@@ -219,47 +257,76 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
       };
       backgroundImage.src = settings.backgroundImage;
     }
+  };
 
-    // Initialize balls
-    balls = [];
-    for (let i = 0; i < settings.numBalls; i++) {
+  // Add or remove balls to match numBalls, keeping the ones already in flight
+  const syncBallCount = () => {
+    const numBalls = scaleDensity(settings.numBalls, qualityScale);
+    if (balls.length > numBalls) {
+      balls.length = Math.max(0, numBalls);
+    }
+    while (balls.length < numBalls) {
       balls.push(createBall());
     }
+  };
 
-    // Add mouse event listeners if enabled
-    if (settings.enableMouseInteraction) {
-      const handleMouseMove = (e) => {
-        const rect = canvas.getBoundingClientRect();
-        mouseX = e.clientX - rect.left;
-        mouseY = e.clientY - rect.top;
-      };
+  // Apply a new quality scale from the governor
+  const applyQuality = (scale) => {
+    qualityScale = scale;
+    if (context && screen) {
+      syncBallCount();
+    }
+    if (typeof settings.onQualityChange === "function") {
+      settings.onQualityChange(scale);
+    }
+  };
 
-      const handleTouchMove = (e) => {
-        e.preventDefault();
-        const rect = canvas.getBoundingClientRect();
-        const touch = e.touches[0];
-        mouseX = touch.clientX - rect.left;
-        mouseY = touch.clientY - rect.top;
-      };
+  // Track the pointer for mouse interaction
+  const addMouseListeners = () => {
+    const handleMouseMove = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      mouseX = e.clientX - rect.left;
+      mouseY = e.clientY - rect.top;
+    };
+
+    const handleTouchMove = (e) => {
+      e.preventDefault();
+      const rect = canvas.getBoundingClientRect();
+      const touch = e.touches[0];
+      mouseX = touch.clientX - rect.left;
+      mouseY = touch.clientY - rect.top;
+    };
 
-      document.addEventListener("mousemove", handleMouseMove);
-      document.addEventListener("touchmove", handleTouchMove);
+    document.addEventListener("mousemove", handleMouseMove);
+    document.addEventListener("touchmove", handleTouchMove);
 
-      // Store event handlers for cleanup
-      eventHandlers = {
-        mouseMove: handleMouseMove,
-        touchMove: handleTouchMove,
-      };
-    }
+    // Store event handlers for cleanup
+    eventHandlers = {
+      mouseMove: handleMouseMove,
+      touchMove: handleTouchMove,
+    };
   };
 
   // Main render function (optimized)
   const render = () => {
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
+    if (governor) governor.frame(timing.now());
+
+    drawFrame(true);
+  };
 
+  /**
+   * Draws one frame
+   * @param {boolean} advance - Whether the balls move before being drawn
+   */
+  const drawFrame = (advance) => {
     // Clear canvas
-    context.fillStyle = settings.backgroundColor;
-    context.fillRect(0, 0, screen.width, screen.height);
+    if (settings.backgroundColor === "transparent") {
+      context.clearRect(0, 0, screen.width, screen.height);
+    } else {
+      context.fillStyle = settings.backgroundColor;
+      context.fillRect(0, 0, screen.width, screen.height);
+    }
 
     // Draw background image if provided and loaded
     if (backgroundImage && backgroundImage.complete) {
@@ -287,45 +354,151 @@ export default function ExpandingBallsPlugin(canvasElement, animationSettings =
 
     for (let i = 0; i < ballsLen; i++) {
       const ball = balls[i];
-      updateBall(ball);
-      if (hasMouseInteraction) {
-        applyMouseForce(ball);
+      if (advance) {
+        updateBall(ball);
+        if (hasMouseInteraction) {
+          applyMouseForce(ball);
+        }
       }
       drawBall(ball);
     }
   };
 
-  // Handle window resize
-  const onResize = () => {
-    initializeExpandingBalls();
+  /**
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
+   */
+  const redraw = () => {
+    if (!context) return;
+    drawFrame(false);
+  };
+
+  // Remove pointer tracking listeners
+  const removeMouseListeners = () => {
+    if (eventHandlers) {
+      document.removeEventListener("mousemove", eventHandlers.mouseMove);
+      document.removeEventListener("touchmove", eventHandlers.touchMove);
+      eventHandlers = null;
+    }
   };
 
   // Start the animation
   const start = () => {
+    if (destroyed) return;
+
     initializeExpandingBalls();
     render();
-    window.addEventListener("resize", onResize);
   };
 
   // Clean up the animation
   const clean = () => {
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
-    window.removeEventListener("resize", onResize);
 
     // Remove event listeners if they exist
-    if (eventHandlers) {
-      document.removeEventListener("mousemove", eventHandlers.mouseMove);
-      document.removeEventListener("touchmove", eventHandlers.touchMove);
+    removeMouseListeners();
+
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
     }
 
     if (context && screen) {
       context.clearRect(0, 0, screen.width, screen.height);
     }
     balls = [];
+    governor = null;
+    qualityScale = 1;
+  };
+
+  // Pause the animation on the current frame
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    if (governor) governor.reset();
+  };
+
+  // Resume a paused animation
+  const resume = () => {
+    if (!animationId && context && screen) {
+      render();
+    }
+  };
+
+  // Advance and draw exactly one frame at the given time (ms), e.g. for tests or offline rendering
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  // The element captureFrame() and record() draw
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  // Whether frames are currently being rendered
+  const isRunning = () => animationId !== null;
+
+  // Change the speed multiplier (applied per frame, so no reset is needed)
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+  };
+
+  // Merge new settings into the running animation
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, canvasElement);
+
+    // The schema copies arrays on every update, so compare what was passed in
+    if (partialSettings.colors !== undefined) {
+      for (let i = 0; i < balls.length; i++) {
+        balls[i].color = withAlpha(getRandomColor(), random());
+      }
+    }
+
+    if (!context || !screen) return;
+
+    if (governor) governor.configure(settings.quality);
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.numBalls !== previous.numBalls) {
+      syncBallCount();
+    }
+
+    if (settings.backgroundImage !== previous.backgroundImage) {
+      loadBackgroundImage();
+    }
+
+    if (settings.enableMouseInteraction !== previous.enableMouseInteraction) {
+      removeMouseListeners();
+      if (settings.enableMouseInteraction) {
+        addMouseListeners();
+      }
+    }
+  };
+
+  // Resize the canvas to its container without resetting the balls
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  // Clean up and release the canvas for good
+  const destroy = () => {
+    clean();
+    destroyed = true;
+    context = null;
+    canvas = null;
   };
 
-  return { start, clean };
+  return { start, clean, pause, resume, isRunning, setSpeed, update, resize, renderFrame, getCaptureTarget, destroy };
 }
@@ -1,4 +1,4 @@
 // Component exports
-export { ExpandingBalls } from "./ExpandingBalls";
-// export type { ExpandingBallsProps, ExpandingBallsAdvancedSettings } from "./ExpandingBalls";
+export { ExpandingBalls, expandingBallsJsonSchema } from "./ExpandingBalls";
+export type { ExpandingBallsProps, ExpandingBallsAdvancedSettings, ExpandingBallsHandle } from "./ExpandingBalls";
 
@@ -1,9 +1,20 @@
-import React, { useEffect, useRef } from "react";
-// @ts-expect-error - JS file export, TypeScript may not recognize it
-import ExpandingCirclesPlugin from "./expandingCircles.js";
+import React, { forwardRef, useCallback, useEffect, useRef } from "react";
+import ExpandingCirclesPlugin, { settingsSchema } from "./expandingCircles.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string | null;
@@ -13,11 +24,6 @@ interface Props {
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
-
-  // Layout
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 }
 
 interface AdvancedSettings {
@@ -28,108 +34,115 @@ interface AdvancedSettings {
   initialOpacity?: number;
   enableRandomColors?: boolean;
   colorPalette?: string[];
+  maxPixelRatio?: number;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & {
+  backgroundColor?: string;
+  backgroundImage?: string | null;
+  speed?: number | string;
+  circleColor?: string;
+  maxCircles?: number;
+};
+
+type ExpandingCirclesHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  ripples: { backgroundColor: "#021a2b", circleColor: "#4fc3f7", maxCircles: 40, advanced: { spawnInterval: 200, expansionDuration: 3000, maxRadius: 60, initialOpacity: 0.5 } },
+  confetti: { backgroundColor: "#111111", advanced: { enableRandomColors: true, colorPalette: ["#ff595e", "#ffca3a", "#8ac926", "#1982c4", "#6a4c93"] } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  spawnInterval: { band: "level", scale: [1, 0.25] },
+  maxRadius: { band: "bass", scale: [1, 2] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const expandingCirclesJsonSchema = createJsonSchema("ExpandingCircles", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed", "circleColor", "maxCircles", "seed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 // Default advanced style settings
 const DEFAULT_ADVANCED_STYLE: AdvancedSettings = {
-  spawnInterval: 80,
-  expansionDuration: 1500,
-  maxRadius: 15,
-  minRadius: 0,
-  initialOpacity: 0.8,
-  enableRandomColors: false,
+  spawnInterval: defaults.spawnInterval,
+  expansionDuration: defaults.expansionDuration,
+  maxRadius: defaults.maxRadius,
+  minRadius: defaults.minRadius,
+  initialOpacity: defaults.initialOpacity,
+  enableRandomColors: defaults.enableRandomColors,
+  maxPixelRatio: defaults.maxPixelRatio,
 };
 
-export function ExpandingCircles({
-  width = "auto",
-  height = "auto",
-  backgroundColor = "#0f0f23",
-  backgroundImage = null,
-  speed = 1,
-  circleColor = "#27ae60",
-  maxCircles = 80,
-  advanced,
-  children,
-}: Props) {
+export const ExpandingCircles = forwardRef<ExpandingCirclesHandle, Props>(function ExpandingCircles(props, ref) {
+  const {
+    width = "auto",
+    height = "auto",
+    backgroundColor: backgroundColorProp,
+    backgroundImage = null,
+    speed = defaults.speed,
+    circleColor: circleColorProp,
+    maxCircles = defaults.maxCircles,
+    advanced,
+    motion = "auto",
+    autoPause = true,
+    seed,
+    poster,
+    scrollBind,
+    audioSource,
+    audioMapping,
+    className,
+    style,
+    fixed,
+    overlay,
+    children,
+  } = applyPreset("ExpandingCircles", PRESETS, props);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  // Calculate container dimensions based on settings
-  const getContainerStyle = () => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
+
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+  const circleColor = circleColorProp ?? palette?.primary ?? defaults.circleColor;
+
+  // Build the plugin settings from the current props
+  const buildCurrentSettings = useCallback(() => {
+    return {
+      backgroundColor,
+      backgroundImage: backgroundImage || null,
+      speed,
+      circleColor,
+      maxCircles,
+      ...DEFAULT_ADVANCED_STYLE,
+      ...(palette ? { colorPalette: [palette.primary, palette.secondary, palette.accent, palette.glow] } : {}),
+      ...(advanced || {}),
+      seed: seed ?? null,
     };
+  }, [backgroundColor, backgroundImage, speed, circleColor, maxCircles, advanced, palette, seed]);
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  };
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
+  /**
+   * Effect to create the animation once and keep it sized to the container
+   */
   useEffect(() => {
     if (!canvasRef.current || !containerRef.current) return;
 
-    // Build settings inside useEffect to avoid dependency issues
-    const buildCurrentSettings = () => {
-      return {
-        backgroundColor,
-        backgroundImage: backgroundImage || null,
-        speed: typeof speed === "string" ? parseFloat(speed) || 1 : speed,
-        circleColor,
-        maxCircles,
-        ...DEFAULT_ADVANCED_STYLE,
-        ...(advanced || {}),
-      };
-    };
+    startPlugin(ExpandingCirclesPlugin(canvasRef.current, getSettings()) as BackgroundPlugin<Settings>);
 
-    const settings = buildCurrentSettings();
-    const expandingCircles = ExpandingCirclesPlugin(canvasRef.current, settings);
-    pluginRef.current = expandingCircles;
-
-    expandingCircles.start();
-
-    // Setup ResizeObserver to handle container size changes
+    // Resize the running animation instead of rebuilding it
     const resizeObserver = new ResizeObserver(() => {
-      // Reinitialize when container size changes
-      if (pluginRef.current && canvasRef.current) {
-        pluginRef.current.clean();
-        const updatedSettings = buildCurrentSettings();
-        const newPlugin = ExpandingCirclesPlugin(canvasRef.current, updatedSettings);
-        pluginRef.current = newPlugin;
-        newPlugin.start();
-      }
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -141,45 +154,19 @@ export function ExpandingCircles({
         pluginRef.current = null;
       }
     };
-  }, [backgroundColor, backgroundImage, speed, circleColor, maxCircles, advanced]);
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={getContainerStyle()}>
+    <BackgroundShell ref={containerRef} label="Animated expanding circles background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
       <canvas
-        style={{
-          position: "absolute",
-          top: 0,
-          left: 0,
-          width: "100%",
-          height: "100%",
-          display: "block",
-          zIndex: 0,
-          pointerEvents: "none",
-        }}
+        style={CANVAS_STYLE}
         ref={canvasRef}
         id={"expandingCirclesCanvas"}
       />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-        >
-          <div style={{ pointerEvents: "auto", position: "relative", zIndex: 31 }}>{children}</div>
-        </div>
-      )}
-    </div>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as ExpandingCirclesProps, AdvancedSettings as ExpandingCirclesAdvancedSettings };
+export type { Props as ExpandingCirclesProps, AdvancedSettings as ExpandingCirclesAdvancedSettings, ExpandingCirclesHandle };
@@ -1,29 +1,45 @@
-// Default settings optimized for performance
-const defaultSettings = Object.freeze({
-  backgroundColor: "#0f0f23",
-  backgroundImage: null,
-  speed: 1,
-  circleColor: "#27ae60",
-  maxCircles: 80,
-  spawnInterval: 80,
-  expansionDuration: 1500,
-  maxRadius: 15,
-  minRadius: 0,
-  initialOpacity: 0.8,
-  enableRandomColors: false,
-  colorPalette: ["#27ae60", "#3498db", "#e74c3c", "#f39c12", "#9b59b6"],
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import createRandom from "../shared/random.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the ExpandingCircles background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("ExpandingCircles", {
+  backgroundColor: { type: "color", default: "#0f0f23", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the animation clock" },
+  circleColor: { type: "color", default: "#27ae60", description: "Color of the circles" },
+  maxCircles: { type: "number", default: 80, min: 1, max: 500, integer: true, description: "Most circles on screen at once" },
+  spawnInterval: { type: "number", default: 80, min: 10, max: 10000, description: "Milliseconds between new circles" },
+  expansionDuration: { type: "number", default: 1500, min: 100, max: 60000, description: "Milliseconds a circle takes to expand" },
+  maxRadius: { type: "number", default: 15, min: 0, max: 500, description: "Largest circle radius in pixels" },
+  minRadius: { type: "number", default: 0, min: 0, max: 500, description: "Starting circle radius in pixels" },
+  initialOpacity: { type: "number", default: 0.8, min: 0, max: 1, description: "Opacity of a new circle" },
+  enableRandomColors: { type: "boolean", default: false, description: "Picks each circle's color from colorPalette" },
+  colorPalette: { type: "colors", default: ["#27ae60", "#3498db", "#e74c3c", "#f39c12", "#9b59b6"], description: "Colors used when enableRandomColors is on" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 export default function ExpandingCirclesPlugin(canvasElement, animationSettings = {}) {
   let canvas;
   let context;
+  let sizer = null;
   let circles = [];
   let animationId = null;
-  let lastFrame = 0;
+  let lastFrame = null;
   let lastCircleTime = 0;
+  let animationTime = 0;
+  let destroyed = false;
   let backgroundImage = null;
   let screen = { width: 0, height: 0 };
-  let settings = { ...defaultSettings, ...animationSettings };
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
 
   // Constants for performance
   const TWO_PI = 2 * Math.PI;
@@ -56,12 +72,12 @@ export default function ExpandingCirclesPlugin(canvasElement, animationSettings
 
   // Create a single expanding circle (optimized with cached settings)
   const createCircle = (x, y) => {
-    const startTime = performance.now();
+    const startTime = animationTime;
 
     // Random color if enabled (using cached values)
     let color = cachedCircleColor;
     if (cachedEnableRandomColors && cachedColorPalette.length > 0) {
-      color = cachedColorPalette[Math.floor(Math.random() * cachedColorPalette.length)];
+      color = cachedColorPalette[Math.floor(random() * cachedColorPalette.length)];
     }
 
     return {
@@ -109,8 +125,8 @@ export default function ExpandingCirclesPlugin(canvasElement, animationSettings
   // Spawn a new circle at random position (optimized with cached settings)
   const spawnCircle = () => {
     // Generate random position
-    const x = Math.random() * screen.width;
-    const y = Math.random() * screen.height;
+    const x = random() * screen.width;
+    const y = random() * screen.height;
 
     // Create new circle
     circles.push(createCircle(x, y));
@@ -125,6 +141,9 @@ export default function ExpandingCirclesPlugin(canvasElement, animationSettings
   const drawBackground = () => {
     if (backgroundImage && backgroundImage.complete) {
       context.drawImage(backgroundImage, 0, 0, screen.width, screen.height);
+    } else if (cachedBackgroundColor === "transparent") {
+      // Filling with a transparent color would leave the previous frame behind
+      context.clearRect(0, 0, screen.width, screen.height);
     } else {
       // Create solid background (using cached color)
       context.fillStyle = cachedBackgroundColor;
@@ -141,6 +160,9 @@ export default function ExpandingCirclesPlugin(canvasElement, animationSettings
       return;
     }
 
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
     context = canvas.getContext("2d");
 
     // Validate context
@@ -157,20 +179,33 @@ export default function ExpandingCirclesPlugin(canvasElement, animationSettings
     settings.minRadius = cachedMinRadius;
     settings.maxRadius = cachedMaxRadius;
 
-    // Get the actual canvas dimensions from the element
-    const rect = canvas.getBoundingClientRect();
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
 
-    // Use canvas element dimensions directly (width/height removed from settings)
-    screen = {
-      width: Math.max(1, Math.floor(rect.width) || 800),
-      height: Math.max(1, Math.floor(rect.height) || 400),
-    };
+    screen = { width: 0, height: 0 };
+    resizeCanvas();
+    loadBackgroundImage();
+
+    // Initialize timing
+    lastFrame = null;
+    lastCircleTime = animationTime;
+    circles = [];
+  };
 
-    // Set canvas dimensions to match the element size
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+  // Match the canvas to its element size; circles keep their positions
+  const resizeCanvas = () => {
+    if (!canvas || !sizer) return;
 
-    // Load background image if provided (optimized)
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
+
+    // Use canvas element dimensions directly (width/height removed from settings)
+    screen = { width: size.width, height: size.height };
+  };
+
+  // Load background image if provided (optimized)
+  const loadBackgroundImage = () => {
     const bgImage = settings.backgroundImage;
     if (bgImage) {
       backgroundImage = new Image();
@@ -185,32 +220,39 @@ export default function ExpandingCirclesPlugin(canvasElement, animationSettings
     } else {
       backgroundImage = null;
     }
-
-    // Initialize timing
-    lastFrame = 0;
-    lastCircleTime = performance.now();
-    circles = [];
   };
 
   // Main render function (optimized)
   const render = (currentTime) => {
+    // Advance the animation clock, scaled by speed
+    if (lastFrame !== null) {
+      animationTime += (currentTime - lastFrame) * settings.speed;
+    }
     lastFrame = currentTime;
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
 
+    drawFrame(true);
+  };
+
+  /**
+   * Draws one frame
+   * @param {boolean} advance - Whether circles spawn and expand before being drawn
+   */
+  const drawFrame = (advance) => {
     // Draw background
     drawBackground();
 
     // Spawn new circles at intervals (using cached interval)
-    if (currentTime - lastCircleTime >= cachedSpawnInterval) {
+    if (advance && animationTime - lastCircleTime >= cachedSpawnInterval) {
       spawnCircle();
-      lastCircleTime = currentTime;
+      lastCircleTime = animationTime;
     }
 
     // Update and draw circles (optimized loop)
     const circlesLen = circles.length;
     for (let i = circlesLen - 1; i >= 0; i--) {
       const circle = circles[i];
-      if (updateCircle(circle, currentTime)) {
+      if (advance && updateCircle(circle, animationTime)) {
         circles.splice(i, 1);
       } else {
         drawCircle(circle);
@@ -218,25 +260,33 @@ export default function ExpandingCirclesPlugin(canvasElement, animationSettings
     }
   };
 
-  // Handle window resize
-  const onResize = () => {
-    initializeExpandingCircles();
+  /**
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
+   */
+  const redraw = () => {
+    if (!context) return;
+    drawFrame(false);
   };
 
   // Start the animation
   const start = () => {
+    if (destroyed) return;
+
     initializeExpandingCircles();
-    render(performance.now());
-    window.addEventListener("resize", onResize);
+    render(timing.now());
   };
 
   // Clean up the animation
   const clean = () => {
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
-    window.removeEventListener("resize", onResize);
+
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
+    }
 
     if (context) {
       context.clearRect(0, 0, screen.width, screen.height);
@@ -245,5 +295,81 @@ export default function ExpandingCirclesPlugin(canvasElement, animationSettings
     circles = [];
   };
 
-  return { start, clean };
+  // Pause the animation on the current frame
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    lastFrame = null;
+  };
+
+  // Resume a paused animation
+  const resume = () => {
+    if (!animationId && context) {
+      render(timing.now());
+    }
+  };
+
+  // Advance and draw exactly one frame at the given time (ms), e.g. for tests or offline rendering
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  // The element captureFrame() and record() draw
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  // Whether frames are currently being rendered
+  const isRunning = () => animationId !== null;
+
+  // Change the speed multiplier of the animation clock
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+  };
+
+  // Merge new settings into the running animation
+  const update = (partialSettings = {}) => {
+    const previousImage = settings.backgroundImage;
+    const previousPixelRatio = settings.maxPixelRatio;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, canvasElement);
+
+    updateCachedSettings();
+    cachedMinRadius = Math.max(0, cachedMinRadius);
+    cachedMaxRadius = Math.max(cachedMinRadius, cachedMaxRadius);
+
+    // Trim the oldest circles when the maximum shrinks
+    while (circles.length > cachedMaxCircles) {
+      circles.shift();
+    }
+
+    if (context && settings.backgroundImage !== previousImage) {
+      loadBackgroundImage();
+    }
+
+    if (settings.maxPixelRatio !== previousPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+  };
+
+  // Resize the canvas to its container without clearing the circles
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  // Clean up and release the canvas for good
+  const destroy = () => {
+    clean();
+    destroyed = true;
+    context = null;
+    canvas = null;
+  };
+
+  return { start, clean, pause, resume, isRunning, setSpeed, update, resize, renderFrame, getCaptureTarget, destroy };
 }
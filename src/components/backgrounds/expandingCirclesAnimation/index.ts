@@ -1,4 +1,4 @@
 // Component exports
-export { ExpandingCircles } from "./ExpandingCircles";
-// export type { ExpandingCirclesProps, ExpandingCirclesAdvancedSettings } from "./ExpandingCircles";
+export { ExpandingCircles, expandingCirclesJsonSchema } from "./ExpandingCircles";
+export type { ExpandingCirclesProps, ExpandingCirclesAdvancedSettings, ExpandingCirclesHandle } from "./ExpandingCircles";
 
@@ -1,16 +1,24 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-// @ts-ignore - JS file export, TypeScript may not recognize it
-import ExpandingSquaresPlugin from "./ExpandingSquaresPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import ExpandingSquaresPlugin, { settingsSchema } from "./ExpandingSquaresPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell } from "../shared/BackgroundShell";
+import type { BackgroundProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string | null;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -25,122 +33,79 @@ interface AdvancedSettings {
   borderWidth?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string | null; speed?: number | string };
+
+type ExpandingSquaresHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  blueprint: { backgroundColor: "#0d2b52", advanced: { color: "#1b4a85", enableBorder: true, borderWidth: 1 } },
+  sunset: { backgroundColor: "#ff7e5f", advanced: { color: "#feb47b", count: 8, enableBorder: false } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  borderWidth: { band: "bass", scale: [1, 4] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const expandingSquaresJsonSchema = createJsonSchema("ExpandingSquares", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed", "seed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Expanding Squares Component
  * A React component that creates animated expanding squares background
  */
-export function ExpandingSquares({ width = "auto", height = "auto", backgroundColor = "#08be88", backgroundImage = null, speed = 1, advanced, children }: Props) {
+export const ExpandingSquares = forwardRef<ExpandingSquaresHandle, Props>(function ExpandingSquares(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage = null, speed = defaults.speed, advanced, motion = "auto", autoPause = true, seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("ExpandingSquares", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
 
-  /**
-   * Converts speed to duration (speed is inverse - higher speed = lower duration)
-   * @param speedValue - Speed value to convert
-   * @returns Duration in seconds
-   */
-  const speedToDuration = useCallback((speedValue: number | string): number => {
-    const numSpeed = typeof speedValue === "string" ? parseFloat(speedValue) : speedValue;
-    if (isNaN(numSpeed) || numSpeed <= 0) {
-      return 12; // Default duration
-    }
-    // Speed of 1 = duration of 12, speed of 2 = duration of 6, etc.
-    return 12 / numSpeed;
-  }, []);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
-
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  }, [width, height]);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    const duration = advanced?.duration ?? speedToDuration(speed);
-
     return {
       backgroundColor,
       backgroundImage,
-      count: advanced?.count ?? 5,
-      color: advanced?.color ?? "#079e71",
-      size: advanced?.size ?? 10,
-      duration: typeof duration === "string" ? parseFloat(duration) : duration,
-      enableBorder: advanced?.enableBorder ?? true,
-      borderWidth: advanced?.borderWidth ?? 1,
+      // Speed scales the duration (speed of 1 = 12s, speed of 2 = 6s, etc.)
+      speed,
+      count: advanced?.count ?? defaults.count,
+      color: advanced?.color ?? palette?.primary ?? defaults.color,
+      size: advanced?.size ?? defaults.size,
+      duration: advanced?.duration ?? defaults.duration,
+      enableBorder: advanced?.enableBorder ?? defaults.enableBorder,
+      borderWidth: advanced?.borderWidth ?? defaults.borderWidth,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced, speedToDuration]);
+  }, [backgroundColor, backgroundImage, speed, advanced, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!containerRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const expandingSquares = ExpandingSquaresPlugin(containerRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = expandingSquares;
-
-    expandingSquares.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = ExpandingSquaresPlugin(containerRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          newPlugin.start();
-          break;
-        }
-      }
+    startPlugin(ExpandingSquaresPlugin(containerRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -152,43 +117,14 @@ export function ExpandingSquares({ width = "auto", height = "auto", backgroundCo
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
-
-  const contentOverlayStyle: React.CSSProperties = useMemo(
-    () => ({
-      position: "absolute",
-      top: 0,
-      left: 0,
-      width: "100%",
-      height: "100%",
-      zIndex: 30,
-      pointerEvents: "none",
-      display: "flex",
-      alignItems: "center",
-      justifyContent: "center",
-    }),
-    []
-  );
-
-  const contentWrapperStyle: React.CSSProperties = useMemo(
-    () => ({
-      pointerEvents: "auto",
-      position: "relative",
-      zIndex: 31,
-    }),
-    []
-  );
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated expanding squares background">
-      {children && (
-        <div style={contentOverlayStyle} role="region" aria-label="Content overlay">
-          <div style={contentWrapperStyle}>{children}</div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated expanding squares background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as ExpandingSquaresProps, AdvancedSettings as ExpandingSquaresAdvancedSettings };
+export type { Props as ExpandingSquaresProps, AdvancedSettings as ExpandingSquaresAdvancedSettings, ExpandingSquaresHandle };
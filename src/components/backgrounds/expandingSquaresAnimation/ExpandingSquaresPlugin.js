@@ -6,17 +6,29 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#08be88",
-  backgroundImage: null,
-  count: 5,
-  color: "#079e71",
-  size: 10,
-  duration: 12,
-  enableBorder: true,
-  borderWidth: 1,
+import createRandom from "../shared/random.js";
+import { seekAnimations } from "../shared/frameTiming.js";
+import { isPausedAll, onPauseAllChange } from "../shared/scheduler.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the ExpandingSquares background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("ExpandingSquares", {
+  backgroundColor: { type: "color", default: "#08be88", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  count: { type: "number", default: 5, min: 1, max: 50, description: "Number of squares" },
+  color: { type: "color", default: "#079e71", description: "Color of the squares" },
+  size: { type: "number", default: 10, min: 1, max: 100, description: "Starting size of the squares in pixels" },
+  duration: { type: "number", default: 12, min: 0.1, max: 60, description: "Seconds a square takes to expand" },
+  speed: { type: "number", default: 1, min: 0.01, max: 100, description: "Speed multiplier of the squares" },
+  enableBorder: { type: "boolean", default: true, description: "Draws a border around each square" },
+  borderWidth: { type: "number", default: 1, min: 0, max: 10, description: "Width of the border in pixels" },
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-esq-";
 
@@ -31,53 +43,6 @@ const CLASS_NAMES = {
   square: `${NAMESPACE_PREFIX}square`,
 };
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = 0, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    count: Math.max(1, Math.min(50, validateNumber(settings.count, defaultSettings.count, 1, 50))),
-    color: validateColor(settings.color, defaultSettings.color),
-    size: validateNumber(settings.size, defaultSettings.size, 1, 100),
-    duration: validateNumber(settings.duration, defaultSettings.duration, 0.1, 60),
-    enableBorder: Boolean(settings.enableBorder !== false),
-    borderWidth: validateNumber(settings.borderWidth, defaultSettings.borderWidth, 0, 10),
-  };
-};
-
 /**
  * Creates CSS keyframes animation if not already present
  */
@@ -108,9 +73,10 @@ const injectAnimationStyles = () => {
 /**
  * Generates random position for squares beyond predefined positions
  * @param {number} index - Square index
+ * @param {Function} random - Random number generator of the plugin
  * @returns {Object} Position object with top and left percentages
  */
-const getSquarePosition = (index) => {
+const getSquarePosition = (index, random) => {
   const predefinedPositions = [
     { top: "100px", left: "100px", delay: 0 },
     { top: "90%", left: "10%", delay: 2 },
@@ -125,18 +91,76 @@ const getSquarePosition = (index) => {
 
   // Generate random positions for additional squares
   return {
-    top: `${Math.random() * 100}%`,
-    left: `${Math.random() * 100}%`,
-    delay: Math.random() * 10,
+    top: `${random() * 100}%`,
+    left: `${random() * 100}%`,
+    delay: random() * 10,
   };
 };
 
+/**
+ * Applies the background color and image to the background container
+ * @param {HTMLElement} bgContainer - Background container element
+ * @param {Object} settings - Normalized settings
+ */
+const applyBackgroundStyle = (bgContainer, settings) => {
+  bgContainer.style.backgroundColor = settings.backgroundColor;
+  bgContainer.style.backgroundImage = settings.backgroundImage ? `url('${settings.backgroundImage}')` : "";
+  bgContainer.style.backgroundPosition = settings.backgroundImage ? "center center" : "";
+  bgContainer.style.backgroundSize = settings.backgroundImage ? "cover" : "";
+  bgContainer.style.backgroundRepeat = settings.backgroundImage ? "no-repeat" : "";
+};
+
+/**
+ * Applies size, color, border and duration to a square
+ * @param {HTMLElement} square - Square element
+ * @param {Object} settings - Normalized settings
+ */
+const applySquareStyle = (square, settings) => {
+  square.style.width = `${settings.size}px`;
+  square.style.height = `${settings.size}px`;
+  square.style.border = settings.enableBorder ? `${settings.borderWidth}px solid ${settings.color}` : "none";
+  square.style.backgroundColor = settings.enableBorder ? "" : settings.color;
+  square.style.animationDuration = `${settings.duration / settings.speed}s`;
+};
+
+/**
+ * Creates a single expanding square
+ * @param {Object} settings - Normalized settings
+ * @param {number} index - Square index
+ * @param {Function} random - Random number generator of the plugin
+ * @returns {HTMLElement} Square element
+ */
+const createSquare = (settings, index, random) => {
+  const square = document.createElement("div");
+  square.className = CLASS_NAMES.square;
+  square.setAttribute("aria-hidden", "true");
+  square.setAttribute("data-salameh-esq", "square");
+  square.setAttribute("data-salameh-esq-index", String(index));
+
+  const position = getSquarePosition(index, random);
+
+  square.style.cssText = `
+    position: absolute;
+    transform-origin: top left;
+    transform: scale(0) rotate(0deg) translate(-100%, -50%);
+    animation: ${ANIMATION_NAME} ${settings.duration / settings.speed}s ease-in forwards infinite;
+    animation-delay: ${position.delay}s;
+    top: ${position.top};
+    left: ${position.left};
+    z-index: 1;
+  `;
+  applySquareStyle(square, settings);
+
+  return square;
+};
+
 /**
  * Creates expanding squares HTML structure
  * @param {Object} settings - Normalized settings
+ * @param {Function} random - Random number generator of the plugin
  * @returns {HTMLElement} Background container element
  */
-const createExpandingSquaresHTML = (settings) => {
+const createExpandingSquaresHTML = (settings, random) => {
   // Create the main container with background
   const bgContainer = document.createElement("div");
   bgContainer.className = CLASS_NAMES.bg;
@@ -144,14 +168,7 @@ const createExpandingSquaresHTML = (settings) => {
   bgContainer.setAttribute("role", "presentation");
   bgContainer.setAttribute("data-salameh-esq", "bg-container");
 
-  // Set background style
-  let backgroundStyle = `background-color: ${settings.backgroundColor}`;
-  if (settings.backgroundImage) {
-    backgroundStyle = `background-image: url('${settings.backgroundImage}'); background-position: center center; background-size: cover; background-repeat: no-repeat; background-color: ${settings.backgroundColor}`;
-  }
-
   bgContainer.style.cssText = `
-    ${backgroundStyle};
     position: absolute;
     top: 0;
     left: 0;
@@ -160,6 +177,7 @@ const createExpandingSquaresHTML = (settings) => {
     overflow: hidden;
     z-index: 10;
   `;
+  applyBackgroundStyle(bgContainer, settings);
 
   // Create squares container
   const squaresContainer = document.createElement("div");
@@ -179,30 +197,7 @@ const createExpandingSquaresHTML = (settings) => {
   // Create individual squares
   const fragment = document.createDocumentFragment();
   for (let i = 0; i < settings.count; i++) {
-    const square = document.createElement("div");
-    square.className = CLASS_NAMES.square;
-    square.setAttribute("aria-hidden", "true");
-    square.setAttribute("data-salameh-esq", "square");
-    square.setAttribute("data-salameh-esq-index", String(i));
-
-    const position = getSquarePosition(i);
-    const borderStyle = settings.enableBorder ? `border: ${settings.borderWidth}px solid ${settings.color};` : `border: none; background-color: ${settings.color};`;
-
-    square.style.cssText = `
-      position: absolute;
-      width: ${settings.size}px;
-      height: ${settings.size}px;
-      ${borderStyle}
-      transform-origin: top left;
-      transform: scale(0) rotate(0deg) translate(-100%, -50%);
-      animation: ${ANIMATION_NAME} ${settings.duration}s ease-in forwards infinite;
-      animation-delay: ${position.delay}s;
-      top: ${position.top};
-      left: ${position.left};
-      z-index: 1;
-    `;
-
-    fragment.appendChild(square);
+    fragment.appendChild(createSquare(settings, i, random));
   }
 
   squaresContainer.appendChild(fragment);
@@ -215,20 +210,43 @@ const createExpandingSquaresHTML = (settings) => {
  * Expanding Squares Plugin
  * @param {HTMLElement} containerElement - Container element for the animation
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean, pause, resume, isRunning, setSpeed, update, resize and destroy methods
  */
 export default function ExpandingSquaresPlugin(containerElement, animationSettings = {}) {
   if (!containerElement || !(containerElement instanceof HTMLElement)) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let container = containerElement;
   let htmlStructure = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+  let random = createRandom(settings.seed);
+  let running = false;
+  let destroyed = false;
+  let unsubscribePauseAll = null;
+
+  /**
+   * Applies the current play state to every square; pauseAll() holds them as well
+   */
+  const applyPlayState = () => {
+    if (!htmlStructure) return;
+
+    htmlStructure.querySelectorAll(`.${CLASS_NAMES.square}`).forEach((square) => {
+      square.style.animationPlayState = running && !isPausedAll() ? "running" : "paused";
+    });
+  };
 
   /**
    * Initializes the expanding squares animation
@@ -239,9 +257,12 @@ export default function ExpandingSquaresPlugin(containerElement, animationSettin
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, containerElement);
     }
 
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
     // Clean up existing animation - use data attribute for more specific selection
     const existingAnimations = container.querySelectorAll(`[data-salameh-esq="bg-container"]`);
     existingAnimations.forEach((animation) => {
@@ -266,50 +287,45 @@ export default function ExpandingSquaresPlugin(containerElement, animationSettin
     injectAnimationStyles();
 
     // Create and inject HTML structure
-    htmlStructure = createExpandingSquaresHTML(settings);
+    htmlStructure = createExpandingSquaresHTML(settings, random);
     container.appendChild(htmlStructure);
+    applyPlayState();
   };
 
   /**
-   * Debounced resize handler
+   * Adds or removes squares to match the configured count, keeping the ones already animating
    */
-  let resizeTimeout = null;
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
+  const syncSquareCount = () => {
+    const squaresContainer = htmlStructure && htmlStructure.querySelector(`.${CLASS_NAMES.container}`);
+    if (!squaresContainer) return;
+
+    const squares = squaresContainer.querySelectorAll(`.${CLASS_NAMES.square}`);
+    for (let i = squares.length - 1; i >= settings.count; i--) {
+      squares[i].remove();
     }
-    resizeTimeout = setTimeout(() => {
-      if (container) {
-        initializeExpandingSquares();
-      }
-    }, 150); // Debounce resize events
+    for (let i = squares.length; i < settings.count; i++) {
+      squaresContainer.appendChild(createSquare(settings, i, random));
+    }
+    applyPlayState();
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
+    running = true;
     initializeExpandingSquares();
-    resizeHandler = handleResize;
-    window.addEventListener("resize", resizeHandler, { passive: true });
+    if (!unsubscribePauseAll) {
+      unsubscribePauseAll = onPauseAllChange(applyPlayState);
+    }
   };
 
   /**
    * Cleans up the animation and removes event listeners
    */
   const clean = () => {
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Remove HTML structure
     if (htmlStructure && htmlStructure.parentNode) {
       try {
@@ -323,11 +339,123 @@ export default function ExpandingSquaresPlugin(containerElement, animationSettin
     // The style sheet will be cleaned up when the last instance is removed
     // This could be improved with a reference counter if needed
 
+    running = false;
     container = null;
+
+    if (unsubscribePauseAll) {
+      unsubscribePauseAll();
+      unsubscribePauseAll = null;
+    }
+  };
+
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    running = false;
+    applyPlayState();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!container) return;
+
+    running = true;
+    applyPlayState();
+  };
+
+  /**
+   * Seeks the CSS animations to the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Animation time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    seekAnimations(container, timeMs);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement }} Capture target
+   */
+  const getCaptureTarget = () => ({ element: htmlStructure });
+
+  /**
+   * Returns whether the animation is currently playing
+   * @returns {boolean}
+   */
+  const isRunning = () => running;
+
+  /**
+   * Changes the animation speed without rebuilding the squares
+   * @param {number} speed - Speed multiplier (1 = normal)
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, containerElement);
+    if (!htmlStructure) return;
+
+    htmlStructure.querySelectorAll(`.${CLASS_NAMES.square}`).forEach((square) => {
+      square.style.animationDuration = `${settings.duration / settings.speed}s`;
+    });
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const { speed, ...rest } = partialSettings;
+    if (speed !== undefined) {
+      setSpeed(speed);
+    }
+
+    if (Object.keys(rest).length === 0) return;
+
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...rest }, containerElement);
+    if (!htmlStructure) return;
+
+    if (settings.backgroundColor !== previous.backgroundColor || settings.backgroundImage !== previous.backgroundImage) {
+      applyBackgroundStyle(htmlStructure, settings);
+    }
+
+    const styleKeys = ["color", "size", "duration", "enableBorder", "borderWidth"];
+    if (styleKeys.some((key) => settings[key] !== previous[key])) {
+      htmlStructure.querySelectorAll(`.${CLASS_NAMES.square}`).forEach((square) => {
+        applySquareStyle(square, settings);
+      });
+    }
+
+    if (settings.count !== previous.count) {
+      syncSquareCount();
+    }
+  };
+
+  /**
+   * Squares are positioned in percentages, so the browser handles resizing
+   */
+  const resize = () => {};
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
   };
 
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
@@ -1,3 +1,3 @@
 // Component exports
-export { ExpandingSquares } from "./ExpandingSquares";
-// export type { ExpandingSquaresProps, ExpandingSquaresAdvancedSettings } from "./ExpandingSquares";
+export { ExpandingSquares, expandingSquaresJsonSchema } from "./ExpandingSquares";
+export type { ExpandingSquaresProps, ExpandingSquaresAdvancedSettings, ExpandingSquaresHandle } from "./ExpandingSquares";
@@ -1,15 +1,25 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import FirefliesPlugin from "./FirefliesPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import FirefliesPlugin, { settingsSchema } from "./FirefliesPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { useQualityChange } from "../shared/useQualityChange";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell } from "../shared/BackgroundShell";
+import type { BackgroundProps, AdaptiveQualityProps, RendererProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps, AdaptiveQualityProps, RendererProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -32,127 +42,97 @@ interface AdvancedSettings {
   enableWander?: boolean;
   wanderSpeed?: number | string;
   wanderRadius?: number | string;
+  maxPixelRatio?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string; speed?: number | string };
+
+type FirefliesHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  "summer-night": { backgroundColor: "#06140d", advanced: { color: "#d4ff6b", count: 40, glowSize: 20 } },
+  embers: { backgroundColor: "#120600", advanced: { color: "#ff7a18", fireflySpeed: 1.2, flickerIntensity: 0.6, enableWander: false } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  glowIntensity: { band: "level", scale: [0.5, 1.6] },
+  glowSize: { band: "bass", scale: [1, 2] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const firefliesJsonSchema = createJsonSchema("Fireflies", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed", "quality", "renderer", "seed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Fireflies Component
  * A React component that creates animated fireflies background
  */
-export function Fireflies({ width = "auto", height = "auto", backgroundColor = "#0a0a0a", backgroundImage, speed = 1, advanced, children }: Props) {
+export const Fireflies = forwardRef<FirefliesHandle, Props>(function Fireflies(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.speed, advanced, motion = "auto", autoPause = true, quality, onQualityChange, renderer = "canvas2d", seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("Fireflies", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const handleQualityChange = useQualityChange(onQualityChange);
+  const palette = useThemePalette();
 
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
-
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  }, [width, height]);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      speed: toNumber(speed, 1),
-      count: toNumber(advanced?.count, 30),
-      color: advanced?.color ?? "#ffff00",
-      size: toNumber(advanced?.size, 2),
-      opacity: toNumber(advanced?.opacity, 0.8),
-      fireflySpeed: toNumber(advanced?.fireflySpeed, 0.5),
-      glow: advanced?.glow ?? true,
-      glowIntensity: toNumber(advanced?.glowIntensity, 0.6),
-      glowSize: toNumber(advanced?.glowSize, 15),
-      flickerSpeed: toNumber(advanced?.flickerSpeed, 0.02),
-      flickerIntensity: toNumber(advanced?.flickerIntensity, 0.3),
-      enableTrails: advanced?.enableTrails ?? true,
-      trailLength: toNumber(advanced?.trailLength, 5),
-      trailOpacity: toNumber(advanced?.trailOpacity, 0.1),
-      enableWander: advanced?.enableWander ?? true,
-      wanderSpeed: toNumber(advanced?.wanderSpeed, 0.3),
-      wanderRadius: toNumber(advanced?.wanderRadius, 50),
+      speed,
+      count: advanced?.count ?? defaults.count,
+      color: advanced?.color ?? palette?.glow ?? defaults.color,
+      size: advanced?.size ?? defaults.size,
+      opacity: advanced?.opacity ?? defaults.opacity,
+      fireflySpeed: advanced?.fireflySpeed ?? defaults.fireflySpeed,
+      glow: advanced?.glow ?? defaults.glow,
+      glowIntensity: advanced?.glowIntensity ?? defaults.glowIntensity,
+      glowSize: advanced?.glowSize ?? defaults.glowSize,
+      flickerSpeed: advanced?.flickerSpeed ?? defaults.flickerSpeed,
+      flickerIntensity: advanced?.flickerIntensity ?? defaults.flickerIntensity,
+      enableTrails: advanced?.enableTrails ?? defaults.enableTrails,
+      trailLength: advanced?.trailLength ?? defaults.trailLength,
+      trailOpacity: advanced?.trailOpacity ?? defaults.trailOpacity,
+      enableWander: advanced?.enableWander ?? defaults.enableWander,
+      wanderSpeed: advanced?.wanderSpeed ?? defaults.wanderSpeed,
+      wanderRadius: advanced?.wanderRadius ?? defaults.wanderRadius,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
+      quality: quality || null,
+      onQualityChange: handleQualityChange,
+      renderer,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, quality, handleQualityChange, renderer, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!containerRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const fireflies = FirefliesPlugin(containerRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    }
-
-    pluginRef.current = fireflies;
-
-    fireflies.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = FirefliesPlugin(containerRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(FirefliesPlugin(containerRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -164,41 +144,14 @@ export function Fireflies({ width = "auto", height = "auto", backgroundColor = "
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated fireflies background">
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated fireflies background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as FirefliesProps, AdvancedSettings as FirefliesAdvancedSettings };
+export type { Props as FirefliesProps, AdvancedSettings as FirefliesAdvancedSettings, FirefliesHandle };
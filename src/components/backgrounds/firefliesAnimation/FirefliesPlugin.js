@@ -6,28 +6,57 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#0a0a0a",
-  backgroundImage: null,
-  count: 30,
-  color: "#ffff00",
-  size: 2,
-  opacity: 0.8,
-  fireflySpeed: 0.5,
-  glow: true,
-  glowIntensity: 0.6,
-  glowSize: 15,
-  flickerSpeed: 0.02,
-  flickerIntensity: 0.3,
-  enableTrails: true,
-  trailLength: 5,
-  trailOpacity: 0.1,
-  enableWander: true,
-  wanderSpeed: 0.3,
-  wanderRadius: 50,
-  speed: 1,
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createQualityGovernor, { scaleDensity } from "../shared/qualityGovernor.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import { normalizeRenderer, selectWebGLRenderer } from "../shared/webglRenderer.js";
+import createRandom from "../shared/random.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD, QUALITY_FIELDS, RENDERER_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+// Firefly limits; WebGL draws them in one batch, so it can afford far more
+const MAX_COUNT = 200;
+const MAX_WEBGL_COUNT = 5000;
+
+/**
+ * Settings of the Fireflies background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("Fireflies", {
+  backgroundColor: { type: "color", default: "#0a0a0a", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  count: {
+    type: "number",
+    default: 30,
+    min: 1,
+    max: (settings) => (normalizeRenderer(settings.renderer) === "canvas2d" ? MAX_COUNT : MAX_WEBGL_COUNT),
+    description: `Number of fireflies, up to ${MAX_COUNT} with canvas2d and ${MAX_WEBGL_COUNT} with WebGL`,
+  },
+  color: { type: "color", default: "#ffff00", description: "Color of the fireflies" },
+  size: { type: "number", default: 2, min: 0.5, max: 10, description: "Radius of the fireflies in pixels" },
+  opacity: { type: "number", default: 0.8, min: 0, max: 1, description: "Opacity of the fireflies" },
+  fireflySpeed: { type: "number", default: 0.5, min: 0.1, max: 5, description: "How fast the fireflies fly" },
+  glow: { type: "boolean", default: true, description: "Draws a glow around each firefly" },
+  glowIntensity: { type: "number", default: 0.6, min: 0, max: 1, description: "Strength of the glow" },
+  glowSize: { type: "number", default: 15, min: 1, max: 50, description: "Radius of the glow in pixels" },
+  flickerSpeed: { type: "number", default: 0.02, min: 0, max: 0.1, description: "How fast the fireflies flicker" },
+  flickerIntensity: { type: "number", default: 0.3, min: 0, max: 1, description: "How much the brightness flickers" },
+  enableTrails: { type: "boolean", default: true, description: "Draws a fading trail behind each firefly" },
+  trailLength: { type: "number", default: 5, min: 0, max: 20, description: "Number of points in each trail" },
+  trailOpacity: { type: "number", default: 0.1, min: 0, max: 1, description: "Opacity of the trails" },
+  enableWander: { type: "boolean", default: true, description: "Lets the fireflies drift off their course" },
+  wanderSpeed: { type: "number", default: 0.3, min: 0, max: 2, description: "How quickly the course drifts" },
+  wanderRadius: { type: "number", default: 50, min: 10, max: 200, description: "How far the course drifts in pixels" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the animation" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  ...QUALITY_FIELDS,
+  renderer: RENDERER_FIELD,
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
+// Below this quality scale the glow is skipped; it is the most expensive part of a firefly
+const GLOW_MIN_QUALITY = 0.5;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-ff-";
 
@@ -37,102 +66,58 @@ const CLASS_NAMES = {
   container: `${NAMESPACE_PREFIX}container`,
 };
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = 0, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    count: Math.max(1, Math.min(200, validateNumber(settings.count, defaultSettings.count, 1, 200))),
-    color: validateColor(settings.color, defaultSettings.color),
-    size: validateNumber(settings.size, defaultSettings.size, 0.5, 10),
-    opacity: validateNumber(settings.opacity, defaultSettings.opacity, 0, 1),
-    fireflySpeed: validateNumber(settings.fireflySpeed, defaultSettings.fireflySpeed, 0.1, 5),
-    glow: Boolean(settings.glow !== false),
-    glowIntensity: validateNumber(settings.glowIntensity, defaultSettings.glowIntensity, 0, 1),
-    glowSize: validateNumber(settings.glowSize, defaultSettings.glowSize, 1, 50),
-    flickerSpeed: validateNumber(settings.flickerSpeed, defaultSettings.flickerSpeed, 0, 0.1),
-    flickerIntensity: validateNumber(settings.flickerIntensity, defaultSettings.flickerIntensity, 0, 1),
-    enableTrails: Boolean(settings.enableTrails !== false),
-    trailLength: Math.max(0, Math.min(20, validateNumber(settings.trailLength, defaultSettings.trailLength, 0, 20))),
-    trailOpacity: validateNumber(settings.trailOpacity, defaultSettings.trailOpacity, 0, 1),
-    enableWander: Boolean(settings.enableWander !== false),
-    wanderSpeed: validateNumber(settings.wanderSpeed, defaultSettings.wanderSpeed, 0, 2),
-    wanderRadius: validateNumber(settings.wanderRadius, defaultSettings.wanderRadius, 10, 200),
-    speed: validateNumber(settings.speed, defaultSettings.speed, 0.1, 10),
-  };
-};
-
 /**
  * Fireflies Animation Plugin
  * @param {HTMLElement} containerElement - Container element for the animation
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 export default function FirefliesPlugin(containerElement, animationSettings = {}) {
   if (!containerElement || !(containerElement instanceof HTMLElement)) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let container = containerElement;
   let canvas = null;
   let c = null;
+  let webgl = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let fireflies = [];
   let animationId = null;
   let backgroundImage = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
+  let qualityScale = 1;
+  let governor = null;
 
   // Firefly particle class
   const Firefly = () => {
-    let x = Math.random() * screen.width;
-    let y = Math.random() * screen.height;
-    let size = Math.random() * settings.size + 1;
-    let opacity = Math.random() * settings.opacity + 0.2;
-    let speed = Math.random() * settings.fireflySpeed + 0.2;
-    let angle = Math.random() * Math.PI * 2;
-    let angleSpeed = (Math.random() - 0.5) * 0.02;
-    let flickerPhase = Math.random() * Math.PI * 2;
-    let flickerSpeed = Math.random() * settings.flickerSpeed + 0.01;
-    let glowPhase = Math.random() * Math.PI * 2;
-    let glowSpeed = Math.random() * 0.03 + 0.01;
+    let x = random() * screen.width;
+    let y = random() * screen.height;
+    let size = random() * settings.size + 1;
+    let opacity = random() * settings.opacity + 0.2;
+    let speed = random() * settings.fireflySpeed + 0.2;
+    let angle = random() * Math.PI * 2;
+    let angleSpeed = (random() - 0.5) * 0.02;
+    let flickerPhase = random() * Math.PI * 2;
+    let flickerSpeed = random() * settings.flickerSpeed + 0.01;
+    let glowPhase = random() * Math.PI * 2;
+    let glowSpeed = random() * 0.03 + 0.01;
     let currentOpacity;
     let currentGlow;
 
@@ -144,7 +129,7 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
     let targetX = x;
     let targetY = y;
     let wanderTimer = 0;
-    let wanderInterval = Math.random() * 200 + 100;
+    let wanderInterval = random() * 200 + 100;
 
     const update = function () {
       // Update flickering
@@ -159,10 +144,10 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
       if (settings.enableWander) {
         wanderTimer++;
         if (wanderTimer > wanderInterval) {
-          targetX = x + (Math.random() - 0.5) * settings.wanderRadius * 2;
-          targetY = y + (Math.random() - 0.5) * settings.wanderRadius * 2;
+          targetX = x + (random() - 0.5) * settings.wanderRadius * 2;
+          targetY = y + (random() - 0.5) * settings.wanderRadius * 2;
           wanderTimer = 0;
-          wanderInterval = Math.random() * 200 + 100;
+          wanderInterval = random() * 200 + 100;
         }
 
         // Move towards target
@@ -192,7 +177,8 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
       // Update trail
       if (settings.enableTrails) {
         trail.push({ x: x, y: y, opacity: opacity * flicker });
-        if (trail.length > maxTrailLength) {
+        const trailLength = scaleDensity(maxTrailLength, qualityScale, 0);
+        while (trail.length > trailLength) {
           trail.shift();
         }
       }
@@ -203,6 +189,10 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
     };
 
     const draw = function () {
+      if (webgl) {
+        drawWebGL();
+        return;
+      }
       if (!c) return;
 
       c.save();
@@ -222,7 +212,7 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
       }
 
       // Draw glow effect
-      if (settings.glow) {
+      if (settings.glow && qualityScale >= GLOW_MIN_QUALITY) {
         c.globalAlpha = currentOpacity * currentGlow * settings.glowIntensity;
         c.fillStyle = settings.color;
         c.beginPath();
@@ -230,10 +220,12 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
         c.fill();
 
         // Draw inner glow
-        c.globalAlpha = currentOpacity * currentGlow * settings.glowIntensity * 0.5;
-        c.beginPath();
-        c.arc(x, y, settings.glowSize * 0.6, 0, Math.PI * 2);
-        c.fill();
+        if (qualityScale >= 1) {
+          c.globalAlpha = currentOpacity * currentGlow * settings.glowIntensity * 0.5;
+          c.beginPath();
+          c.arc(x, y, settings.glowSize * 0.6, 0, Math.PI * 2);
+          c.fill();
+        }
       }
 
       // Draw firefly core
@@ -246,6 +238,25 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
       c.restore();
     };
 
+    // Same shapes as draw(), queued as one batch for the WebGL renderer
+    const drawWebGL = function () {
+      if (settings.enableTrails && trail.length > 0) {
+        for (let i = 0; i < trail.length; i++) {
+          const trailPoint = trail[i];
+          webgl.circle(trailPoint.x, trailPoint.y, size * 0.5, settings.color, trailPoint.opacity * settings.trailOpacity * (i / trail.length));
+        }
+      }
+
+      if (settings.glow && qualityScale >= GLOW_MIN_QUALITY) {
+        webgl.circle(x, y, settings.glowSize, settings.color, currentOpacity * currentGlow * settings.glowIntensity);
+        if (qualityScale >= 1) {
+          webgl.circle(x, y, settings.glowSize * 0.6, settings.color, currentOpacity * currentGlow * settings.glowIntensity * 0.5);
+        }
+      }
+
+      webgl.circle(x, y, size, settings.color, currentOpacity);
+    };
+
     return { update, draw };
   };
 
@@ -258,30 +269,24 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, containerElement);
     }
 
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
     // Clean up existing canvas
     const existingCanvas = container.querySelector(`canvas.${CLASS_NAMES.canvas}`);
     if (existingCanvas && existingCanvas.parentNode === container) {
       existingCanvas.remove();
     }
 
-    // Get container dimensions
-    const rect = container.getBoundingClientRect();
-    screen = {
-      width: Math.max(1, Math.floor(rect.width) || 800),
-      height: Math.max(1, Math.floor(rect.height) || 600),
-    };
-
     // Create canvas element
     canvas = document.createElement("canvas");
     canvas.className = CLASS_NAMES.canvas;
     canvas.setAttribute("data-salameh-ff", "canvas");
     canvas.setAttribute("aria-hidden", "true");
     canvas.setAttribute("role", "presentation");
-    canvas.width = screen.width;
-    canvas.height = screen.height;
 
     // Set canvas styles
     canvas.style.position = "absolute";
@@ -291,14 +296,67 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
     canvas.style.height = "100%";
     canvas.style.pointerEvents = "none";
 
-    // Get 2D context
-    c = canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
+    // Draw with WebGL when asked to, otherwise get a 2D context
+    if (webgl) webgl.destroy();
+    webgl = selectWebGLRenderer(canvas, settings.renderer, "FirefliesPlugin");
+    c = webgl ? null : canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
 
-    if (!c) {
+    if (!c && !webgl) {
       return;
     }
 
-    // Load background image if provided
+    // Size the canvas to the container, scaled by the device pixel ratio
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, measureElement: container, fallbackHeight: 600, onPixelRatioChange: resizeCanvas });
+    const size = sizer.resize();
+    if (webgl) webgl.setSize(size.width, size.height);
+    screen = { width: size.width, height: size.height };
+
+    loadBackgroundImage();
+
+    // Watch the frame rate when adaptive quality is on
+    if (!governor) governor = createQualityGovernor(applyQuality);
+    governor.configure(settings.quality);
+
+    // Initialize fireflies
+    fireflies = [];
+    syncFireflyCount();
+
+    // Append canvas to container
+    container.appendChild(canvas);
+
+    // Ensure container has required styles
+    if (container.style.position !== "relative") {
+      container.style.position = "relative";
+    }
+    if (container.style.overflow !== "hidden") {
+      container.style.overflow = "hidden";
+    }
+  };
+
+  /**
+   * Matches the canvas to the container size; fireflies past the new edges wrap around
+   */
+  const resizeCanvas = () => {
+    if (!container || !canvas || !sizer) return;
+
+    const size = sizer.resize();
+    if (webgl) webgl.setSize(size.width, size.height);
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
+
+    screen = { width: size.width, height: size.height };
+  };
+
+  /**
+   * Loads the background image, if any
+   */
+  const loadBackgroundImage = () => {
+    backgroundImage = null;
+    if (webgl) {
+      // Stretched over the canvas, like the Canvas 2D path draws it
+      webgl.setBackgroundImage(settings.backgroundImage, "100% 100%");
+      return;
+    }
     if (settings.backgroundImage) {
       backgroundImage = new Image();
       backgroundImage.crossOrigin = "anonymous";
@@ -311,22 +369,32 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
       };
       backgroundImage.src = settings.backgroundImage;
     }
+  };
 
-    // Initialize fireflies
-    fireflies = [];
-    for (let i = 0; i < settings.count; i++) {
+  /**
+   * Adds or removes fireflies to match the configured count
+   */
+  const syncFireflyCount = () => {
+    const count = scaleDensity(Math.min(settings.count, webgl ? MAX_WEBGL_COUNT : MAX_COUNT), qualityScale);
+    if (fireflies.length > count) {
+      fireflies.length = count;
+    }
+    while (fireflies.length < count) {
       fireflies.push(Firefly());
     }
+  };
 
-    // Append canvas to container
-    container.appendChild(canvas);
-
-    // Ensure container has required styles
-    if (container.style.position !== "relative") {
-      container.style.position = "relative";
+  /**
+   * Applies a new quality scale from the governor
+   * @param {number} scale - Share of the configured density to render (0-1)
+   */
+  const applyQuality = (scale) => {
+    qualityScale = scale;
+    if (c || webgl) {
+      syncFireflyCount();
     }
-    if (container.style.overflow !== "hidden") {
-      container.style.overflow = "hidden";
+    if (settings.onQualityChange) {
+      settings.onQualityChange(scale);
     }
   };
 
@@ -334,12 +402,23 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
    * Renders the animation frame
    */
   const render = (time) => {
-    if (!c || !canvas) return;
+    if ((!c && !webgl) || !canvas) return;
+
+    animationId = timing.request(render);
+    if (governor) governor.frame(time);
 
-    animationId = requestAnimationFrame(render);
+    drawFrame(true);
+  };
 
+  /**
+   * Draws one frame
+   * @param {boolean} advance - Whether the fireflies move before being drawn
+   */
+  const drawFrame = (advance) => {
     // Clear with background color or image
-    if (backgroundImage && backgroundImage.complete) {
+    if (webgl) {
+      webgl.clear(settings.backgroundImage ? "transparent" : settings.backgroundColor);
+    } else if (backgroundImage && backgroundImage.complete) {
       c.drawImage(backgroundImage, 0, 0, screen.width, screen.height);
     } else if (settings.backgroundColor === "transparent") {
       c.clearRect(0, 0, screen.width, screen.height);
@@ -350,44 +429,30 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
 
     // Update and draw fireflies
     for (let i = 0; i < fireflies.length; i++) {
-      fireflies[i].update();
+      if (advance) fireflies[i].update();
       fireflies[i].draw();
     }
+
+    if (webgl) webgl.flush();
   };
 
   /**
-   * Debounced resize handler
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (container) {
-        // Stop current animation
-        if (animationId) {
-          cancelAnimationFrame(animationId);
-          animationId = null;
-        }
-        // Reinitialize with current settings
-        initializeFireflies();
-        // Restart animation
-        if (canvas && c) {
-          render();
-        }
-      }
-    }, 150); // Debounce resize events
+  const redraw = () => {
+    if ((!c && !webgl) || !canvas) return;
+    drawFrame(false);
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeFireflies();
-    if (canvas && c) {
+    if (canvas && (c || webgl)) {
       render();
-      resizeHandler = handleResize;
-      window.addEventListener("resize", resizeHandler, { passive: true });
     }
   };
 
@@ -397,26 +462,24 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
   const clean = () => {
     // Stop animation
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
+    // Stop watching the device pixel ratio
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
     }
 
     // Clear canvas
     if (c) {
       c.clearRect(0, 0, screen.width, screen.height);
     }
+    if (webgl) {
+      webgl.destroy();
+      webgl = null;
+    }
 
     // Remove canvas element
     if (canvas && canvas.parentNode) {
@@ -428,14 +491,130 @@ export default function FirefliesPlugin(containerElement, animationSettings = {}
     }
 
     // Clean up references
+    governor = null;
+    qualityScale = 1;
     fireflies = [];
     backgroundImage = null;
     c = null;
     container = null;
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    if (governor) governor.reset();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && (c || webgl) && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the flight speed of every firefly
+   * @param {number|string} speed - Speed multiplier
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, containerElement);
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, containerElement);
+
+    if (!c && !webgl) return;
+
+    // The canvas context is created with or without alpha depending on transparency,
+    // and a canvas keeps the kind of context it was first given
+    if ((settings.backgroundColor === "transparent") !== (previous.backgroundColor === "transparent") || settings.renderer !== previous.renderer) {
+      initializeFireflies();
+      return;
+    }
+
+    if (governor) governor.configure(settings.quality);
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.backgroundImage !== previous.backgroundImage) {
+      loadBackgroundImage();
+    }
+
+    // These are sampled into each firefly when it is created
+    const perFireflyKeys = ["size", "opacity", "fireflySpeed", "flickerSpeed", "trailLength"];
+    if (perFireflyKeys.some((key) => settings[key] !== previous[key])) {
+      fireflies = [];
+    }
+    syncFireflyCount();
+  };
+
+  /**
+   * Resizes the canvas to its container without resetting the fireflies
+   */
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
@@ -1,6 +1,6 @@
 // Component exports
-export { Fireflies } from "./Fireflies";
-// export type { FirefliesProps, FirefliesAdvancedSettings } from "./Fireflies";
+export { Fireflies, firefliesJsonSchema } from "./Fireflies";
+export type { FirefliesProps, FirefliesAdvancedSettings, FirefliesHandle } from "./Fireflies";
 
 
 
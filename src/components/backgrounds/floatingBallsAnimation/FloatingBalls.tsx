@@ -1,15 +1,26 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import FloatingBallsPlugin from "./FloatingBallsPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import FloatingBallsPlugin, { settingsSchema } from "./FloatingBallsPlugin.js";
+import createWorkerPlugin from "../shared/workerPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { useQualityChange } from "../shared/useQualityChange";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, AdaptiveQualityProps, RenderInProps, RendererProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema, RENDER_IN_JSON } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps, AdaptiveQualityProps, RendererProps, RenderInProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -25,139 +36,114 @@ interface AdvancedSettings {
   connectionDistance?: number | string;
   connectionColor?: string;
   addMouseInteraction?: boolean;
+  maxPixelRatio?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string; speed?: number | string };
+
+type FloatingBallsHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  constellation: { backgroundColor: "#050814", advanced: { colors: "#ffffff", radius: 2, connectionColor: "#8ab4ff", linkLineWidth: 0.4, connectionDistance: 180 } },
+  neon: { backgroundColor: "#0a0014", advanced: { colors: "#ff00e6", connectionColor: "#00f0ff", linkLineWidth: 0.6 } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  linkLineWidth: { band: "bass", scale: [1, 6] },
+  connectionDistance: { band: "level", scale: [1, 1.6] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const floatingBallsJsonSchema = createJsonSchema("FloatingBalls", settingsSchema, {
+  props: {
+    backgroundColor: "backgroundColor",
+    backgroundImage: "backgroundImage",
+    speed: "speed",
+    quality: "quality",
+    renderer: "renderer",
+    renderIn: RENDER_IN_JSON,
+    seed: "seed",
+  },
+  rest: "advanced",
+  presets: Object.keys(PRESETS),
+});
+
 /**
  * Floating Balls Component
  * A React component that creates animated floating balls with connection lines
  */
-export function FloatingBalls({ width = "auto", height = "auto", backgroundColor = "transparent", backgroundImage, speed = 2, advanced, children }: Props) {
+export const FloatingBalls = forwardRef<FloatingBallsHandle, Props>(function FloatingBalls(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.speed, advanced, motion = "auto", autoPause = true, quality, onQualityChange, renderer = "canvas2d", renderIn = "main", seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("FloatingBalls", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
-
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  }, [width, height]);
+  const workerCanvasRef = useRef<HTMLCanvasElement | null>(null);
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const handleQualityChange = useQualityChange(onQualityChange);
+  const palette = useThemePalette();
+
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+
+  // On the main thread the plugin adds and replaces its own canvas; a worker draws on one rendered here,
+  // which keeps the kind of context it was first given, so switching renderers or transparency needs a new one
+  const workerCanvasKey = renderIn === "worker" ? `${renderer}-${backgroundColor === "transparent" ? "alpha" : "opaque"}` : null;
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
-    // Helper to convert color
-    const toColor = (
-      value: string | { r: number; g: number; b: number } | undefined,
-      defaultValue: { r: number; g: number; b: number }
-    ): string | { r: number; g: number; b: number } => {
-      if (value === undefined) return defaultValue;
-      if (typeof value === "string") return value;
-      if (typeof value === "object" && value.r !== undefined && value.g !== undefined && value.b !== undefined) {
-        return {
-          r: Math.max(0, Math.min(255, value.r)),
-          g: Math.max(0, Math.min(255, value.g)),
-          b: Math.max(0, Math.min(255, value.b)),
-        };
-      }
-      return defaultValue;
-    };
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      speed: toNumber(speed, 2),
-      colors: toColor(advanced?.colors, { r: 255, g: 234, b: 0 }),
-      radius: toNumber(advanced?.radius, 4),
-      count: toNumber(advanced?.count, 30),
-      max: toNumber(advanced?.max, 20),
-      alphaFade: toNumber(advanced?.alphaFade, 0.03),
-      linkLineWidth: toNumber(advanced?.linkLineWidth, 0.2),
-      connectionDistance: toNumber(advanced?.connectionDistance, 150),
-      connectionColor: advanced?.connectionColor ?? "yellow",
-      addMouseInteraction: advanced?.addMouseInteraction ?? true,
+      speed,
+      colors: advanced?.colors ?? palette?.primary ?? defaults.colors,
+      radius: advanced?.radius ?? defaults.radius,
+      count: advanced?.count ?? defaults.count,
+      max: advanced?.max ?? defaults.max,
+      alphaFade: advanced?.alphaFade ?? defaults.alphaFade,
+      linkLineWidth: advanced?.linkLineWidth ?? defaults.linkLineWidth,
+      connectionDistance: advanced?.connectionDistance ?? defaults.connectionDistance,
+      connectionColor: advanced?.connectionColor ?? palette?.accent ?? defaults.connectionColor,
+      addMouseInteraction: advanced?.addMouseInteraction ?? defaults.addMouseInteraction,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
+      quality: quality || null,
+      onQualityChange: handleQualityChange,
+      renderer,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, quality, handleQualityChange, renderer, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
-    if (!containerRef.current) return;
+    const container = containerRef.current;
+    if (!container) return;
 
-    const settings = buildCurrentSettings();
-    const floatingBalls = FloatingBallsPlugin(containerRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = floatingBalls;
-
-    floatingBalls.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = FloatingBallsPlugin(containerRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          pluginRef.current.start();
-          break;
-        }
-      }
+    const settings = getSettings();
+    const workerCanvas = workerCanvasRef.current;
+    const plugin = renderIn === "worker" && workerCanvas ? createWorkerPlugin(container, workerCanvas, "floatingBalls", settings, (fallbackSettings: typeof settings) => FloatingBallsPlugin(container, fallbackSettings)) : FloatingBallsPlugin(container, settings);
+    startPlugin(plugin as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
-    resizeObserver.observe(containerRef.current);
+    resizeObserver.observe(container);
 
     return () => {
       resizeObserver.disconnect();
@@ -166,41 +152,15 @@ export function FloatingBalls({ width = "auto", height = "auto", backgroundColor
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, renderIn, seed, workerCanvasKey]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated floating balls background">
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated floating balls background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      {workerCanvasKey && <canvas key={workerCanvasKey} ref={workerCanvasRef} style={CANVAS_STYLE} />}
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as FloatingBallsProps, AdvancedSettings as FloatingBallsAdvancedSettings };
+export type { Props as FloatingBallsProps, AdvancedSettings as FloatingBallsAdvancedSettings, FloatingBallsHandle };
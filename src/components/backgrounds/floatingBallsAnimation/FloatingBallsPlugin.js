@@ -6,21 +6,64 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "transparent",
-  backgroundImage: null,
-  colors: { r: 255, g: 234, b: 0 },
-  radius: 4,
-  count: 30,
-  max: 20,
-  alphaFade: 0.03,
-  linkLineWidth: 0.2,
-  connectionDistance: 150,
-  connectionColor: "yellow",
-  addMouseInteraction: true,
-  speed: 2,
+import createCanvasSizer, { isCanvasElement } from "../shared/canvasSizer.js";
+import createQualityGovernor, { scaleDensity } from "../shared/qualityGovernor.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import { normalizeRenderer, selectWebGLRenderer } from "../shared/webglRenderer.js";
+import { formatColor, parseColor } from "../shared/color.js";
+import createRandom from "../shared/random.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD, QUALITY_FIELDS, RENDERER_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+// Ball limits; connections grow with the square of the count, so WebGL only raises them so far
+const MAX_COUNT = 200;
+const MAX_WEBGL_COUNT = 1000;
+
+/**
+ * Settings of the FloatingBalls background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("FloatingBalls", {
+  backgroundColor: { type: "color", default: "transparent", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  colors: {
+    type: "color",
+    default: { r: 255, g: 234, b: 0 },
+    json: {
+      oneOf: [
+        { type: "string", format: "color" },
+        { type: "object", properties: { r: { type: "number", minimum: 0, maximum: 255 }, g: { type: "number", minimum: 0, maximum: 255 }, b: { type: "number", minimum: 0, maximum: 255 } }, required: ["r", "g", "b"] },
+      ],
+    },
+    description: "Color of the balls",
+  },
+  radius: { type: "number", default: 4, min: 1, max: 50, description: "Radius of the balls in pixels" },
+  count: {
+    type: "number",
+    default: 30,
+    min: 1,
+    max: (settings) => (normalizeRenderer(settings.renderer) === "canvas2d" ? MAX_COUNT : MAX_WEBGL_COUNT),
+    description: `Number of balls spawned at the start, up to ${MAX_COUNT} with canvas2d and ${MAX_WEBGL_COUNT} with WebGL`,
+  },
+  max: {
+    type: "number",
+    default: 20,
+    min: 1,
+    max: (settings) => (normalizeRenderer(settings.renderer) === "canvas2d" ? MAX_COUNT : MAX_WEBGL_COUNT),
+    description: "Number of balls kept alive once the first ones fade",
+  },
+  alphaFade: { type: "number", default: 0.03, min: 0, max: 1, description: "How fast the balls fade" },
+  linkLineWidth: { type: "number", default: 0.2, min: 0, max: 10, description: "Width of the connecting lines in pixels" },
+  connectionDistance: { type: "number", default: 150, min: 10, max: 500, description: "Distance in pixels below which balls are connected" },
+  connectionColor: { type: "color", default: "yellow", description: "Color of the connecting lines" },
+  addMouseInteraction: { type: "boolean", default: true, description: "Connects the balls to the pointer" },
+  speed: { type: "number", default: 2, min: 0.1, max: 10, description: "Speed multiplier of the balls" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  ...QUALITY_FIELDS,
+  renderer: RENDERER_FIELD,
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-fb-";
 
@@ -30,82 +73,36 @@ const CLASS_NAMES = {
   container: `${NAMESPACE_PREFIX}container`,
 };
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = 0, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string or RGB object
- * @param {string|Object} color - Color value to validate
- * @param {string|Object} defaultValue - Default color if invalid
- * @returns {string|Object} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color === "string" && color.trim()) {
-    return color.trim();
-  }
-  if (typeof color === "object" && color !== null && color.r !== undefined && color.g !== undefined && color.b !== undefined) {
-    return {
-      r: Math.max(0, Math.min(255, validateNumber(color.r, defaultValue.r || 255, 0, 255))),
-      g: Math.max(0, Math.min(255, validateNumber(color.g, defaultValue.g || 234, 0, 255))),
-      b: Math.max(0, Math.min(255, validateNumber(color.b, defaultValue.b || 0, 0, 255))),
-    };
-  }
-  return defaultValue;
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  const defaultColor = defaultSettings.colors;
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    colors: validateColor(settings.colors, defaultColor),
-    radius: validateNumber(settings.radius, defaultSettings.radius, 1, 50),
-    count: Math.max(1, Math.min(200, validateNumber(settings.count, defaultSettings.count, 1, 200))),
-    max: Math.max(1, Math.min(200, validateNumber(settings.max, defaultSettings.max, 1, 200))),
-    alphaFade: validateNumber(settings.alphaFade, defaultSettings.alphaFade, 0, 1),
-    linkLineWidth: validateNumber(settings.linkLineWidth, defaultSettings.linkLineWidth, 0, 10),
-    connectionDistance: validateNumber(settings.connectionDistance, defaultSettings.connectionDistance, 10, 500),
-    connectionColor: validateColor(settings.connectionColor, defaultSettings.connectionColor),
-    addMouseInteraction: Boolean(settings.addMouseInteraction !== false),
-    speed: validateNumber(settings.speed, defaultSettings.speed, 0.1, 10),
-  };
-};
-
 /**
  * Floating Balls Animation Plugin
- * @param {HTMLElement} containerElement - Container element for the animation
+ * @param {HTMLElement|OffscreenCanvas} containerElement - Container element for the animation, or a canvas to draw on directly (e.g. an OffscreenCanvas in the render worker)
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 export default function FloatingBallsPlugin(containerElement, animationSettings = {}) {
-  if (!containerElement || !(containerElement instanceof HTMLElement)) {
+  // Given a canvas, draw on it instead of creating one inside the container
+  const ownsCanvas = !isCanvasElement(containerElement);
+  if (!containerElement || (ownsCanvas && !(containerElement instanceof HTMLElement))) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let container = containerElement;
   let canvas = null;
   let context = null;
+  let webgl = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let balls = [];
   let animationId = null;
@@ -120,9 +117,12 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
     type: "mouse",
   };
   let eventHandlers = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
+  let qualityScale = 1;
+  let governor = null;
 
   // Random speed generator
   const getRandomSpeed = (pos, speedMultiplier = 1) => {
@@ -143,15 +143,15 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
   };
 
   const randomArrayItem = (arr) => {
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(random() * arr.length)];
   };
 
   const randomNumFrom = (min, max) => {
-    return Math.random() * (max - min) + min;
+    return random() * (max - min) + min;
   };
 
   const randomSidePos = (length) => {
-    return Math.ceil(Math.random() * length);
+    return Math.ceil(random() * length);
   };
 
   // Create random ball
@@ -206,7 +206,18 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
   // Initialize balls
   const initBalls = () => {
     balls = [];
-    for (let i = 0; i < settings.count; i++) {
+    syncBallCount();
+  };
+
+  // Add or remove floating balls to match the configured count, leaving the mouse ball alone
+  const syncBallCount = () => {
+    const count = scaleDensity(Math.min(settings.count, webgl ? MAX_WEBGL_COUNT : MAX_COUNT), qualityScale);
+    const floating = balls.filter((ball) => ball.type !== "mouse");
+    if (floating.length > count) {
+      const extra = new Set(floating.slice(count));
+      balls = balls.filter((ball) => !extra.has(ball));
+    }
+    for (let i = floating.length; i < count; i++) {
       balls.push(getRandomBall());
     }
   };
@@ -239,112 +250,49 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
 
   // Add new ball if needed
   const addBallIfy = () => {
-    if (balls.length < settings.max) {
+    if (balls.length < scaleDensity(Math.min(settings.max, webgl ? MAX_WEBGL_COUNT : MAX_COUNT), qualityScale)) {
       balls.push(getRandomBall());
     }
   };
 
-  // Cache for connection color RGB values to avoid repeated DOM operations
+  // Parsed colors, dropped whenever the color settings change
   let connectionColorCache = null;
+  let ballColorCache = null;
 
-  // Convert color to rgba format (optimized with caching)
+  /**
+   * Formats the connection color with an opacity
+   * @param {number} alpha - Opacity (0-1)
+   * @returns {string} CSS color
+   */
   const getConnectionColor = (alpha) => {
-    const color = settings.connectionColor;
-
-    // If it's already in rgba format (ends with comma)
-    if (typeof color === "string" && color.endsWith(",")) {
-      return color + alpha + ")";
-    }
-
-    // Cache RGB values to avoid repeated DOM operations
     if (!connectionColorCache) {
-      // If it's a hex color
-      if (typeof color === "string" && color.startsWith("#")) {
-        connectionColorCache = {
-          r: parseInt(color.slice(1, 3), 16),
-          g: parseInt(color.slice(3, 5), 16),
-          b: parseInt(color.slice(5, 7), 16),
-        };
-      } else if (typeof color === "string") {
-        // If it's a named color or other format, create a temporary element to get RGB values
-        const tempElement = document.createElement("div");
-        tempElement.style.color = color;
-        document.body.appendChild(tempElement);
-        const computedColor = window.getComputedStyle(tempElement).color;
-        document.body.removeChild(tempElement);
-
-        // Extract RGB values from computed color (format: "rgb(r, g, b)")
-        const rgbMatch = computedColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-        if (rgbMatch) {
-          connectionColorCache = {
-            r: parseInt(rgbMatch[1], 10),
-            g: parseInt(rgbMatch[2], 10),
-            b: parseInt(rgbMatch[3], 10),
-          };
-        } else {
-          connectionColorCache = { r: 150, g: 150, b: 150 }; // Fallback
-        }
-      } else {
-        connectionColorCache = { r: 150, g: 150, b: 150 }; // Fallback
-      }
+      connectionColorCache = parseColor(settings.connectionColor) || parseColor(defaultSettings.connectionColor);
     }
-
-    return `rgba(${connectionColorCache.r}, ${connectionColorCache.g}, ${connectionColorCache.b}, ${alpha})`;
+    return formatColor({ ...connectionColorCache, a: alpha });
   };
 
-  // Cache for ball color RGB values to avoid repeated DOM operations
-  let ballColorCache = null;
-
-  // Convert ball color to rgba format (optimized with caching)
+  /**
+   * Formats the ball color with an opacity
+   * @param {number} alpha - Opacity (0-1)
+   * @returns {string} CSS color
+   */
   const getBallColor = (alpha) => {
-    const ballColor = settings.colors;
-
-    // If it's already an RGB object
-    if (typeof ballColor === "object" && ballColor.r !== undefined && ballColor.g !== undefined && ballColor.b !== undefined) {
-      return `rgba(${ballColor.r}, ${ballColor.g}, ${ballColor.b}, ${alpha})`;
+    if (!ballColorCache) {
+      ballColorCache = parseColor(settings.colors) || parseColor(defaultSettings.colors);
     }
-
-    // Cache RGB values to avoid repeated DOM operations
-    if (!ballColorCache && typeof ballColor === "string") {
-      // If it's a hex color
-      if (ballColor.startsWith("#")) {
-        ballColorCache = {
-          r: parseInt(ballColor.slice(1, 3), 16),
-          g: parseInt(ballColor.slice(3, 5), 16),
-          b: parseInt(ballColor.slice(5, 7), 16),
-        };
-      } else {
-        // If it's a named color or other format, create a temporary element to get RGB values
-        const tempElement = document.createElement("div");
-        tempElement.style.color = ballColor;
-        document.body.appendChild(tempElement);
-        const computedColor = window.getComputedStyle(tempElement).color;
-        document.body.removeChild(tempElement);
-
-        // Extract RGB values from computed color (format: "rgb(r, g, b)")
-        const rgbMatch = computedColor.match(/rgb\((\d+),\s*(\d+),\s*(\d+)\)/);
-        if (rgbMatch) {
-          ballColorCache = {
-            r: parseInt(rgbMatch[1], 10),
-            g: parseInt(rgbMatch[2], 10),
-            b: parseInt(rgbMatch[3], 10),
-          };
-        } else {
-          ballColorCache = { r: 255, g: 234, b: 0 }; // Fallback
-        }
-      }
-    }
-
-    if (ballColorCache) {
-      return `rgba(${ballColorCache.r}, ${ballColorCache.g}, ${ballColorCache.b}, ${alpha})`;
-    }
-
-    // Fallback to default color
-    return `rgba(255, 234, 0, ${alpha})`;
+    return formatColor({ ...ballColorCache, a: alpha });
   };
 
   // Render balls
   const renderBalls = () => {
+    if (webgl) {
+      // One color string per frame keeps the renderer's color cache warm; alpha goes separately
+      const color = getBallColor(1);
+      for (let i = 0; i < balls.length; i++) {
+        webgl.circle(balls[i].x, balls[i].y, settings.radius, color, balls[i].alpha || 1);
+      }
+      return;
+    }
     if (!context) return;
 
     Array.prototype.forEach.call(balls, (b) => {
@@ -367,14 +315,22 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
 
   // Render connection lines
   const renderLines = () => {
-    if (!context) return;
+    if (!context && !webgl) return;
+    const webglColor = webgl ? getConnectionColor(1) : null;
+
+    // Shorter connections mean fewer lines to stroke on slow devices
+    const connectionDistance = settings.connectionDistance * qualityScale;
 
     let fraction, alpha;
     for (let i = 0; i < balls.length; i++) {
       for (let j = i + 1; j < balls.length; j++) {
-        fraction = getDisOf(balls[i], balls[j]) / settings.connectionDistance;
+        fraction = getDisOf(balls[i], balls[j]) / connectionDistance;
 
         if (fraction < 1) {
+          if (webgl) {
+            webgl.line(balls[i].x, balls[i].y, balls[j].x, balls[j].y, webglColor, 1 - fraction, settings.linkLineWidth);
+            continue;
+          }
           alpha = (1 - fraction).toString();
 
           context.strokeStyle = getConnectionColor(alpha);
@@ -399,136 +355,230 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, containerElement);
     }
 
-    // Clean up existing canvas
-    const existingCanvas = container.querySelector(`canvas.${CLASS_NAMES.canvas}`);
-    if (existingCanvas && existingCanvas.parentNode === container) {
-      existingCanvas.remove();
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
+    if (ownsCanvas) {
+      // Clean up existing canvas
+      const existingCanvas = container.querySelector(`canvas.${CLASS_NAMES.canvas}`);
+      if (existingCanvas && existingCanvas.parentNode === container) {
+        existingCanvas.remove();
+      }
+
+      // Create canvas element
+      canvas = document.createElement("canvas");
+      canvas.className = CLASS_NAMES.canvas;
+      canvas.setAttribute("data-salameh-fb", "canvas");
+      canvas.setAttribute("aria-hidden", "true");
+      canvas.setAttribute("role", "presentation");
+
+      // Set canvas styles
+      canvas.style.position = "absolute";
+      canvas.style.top = "0";
+      canvas.style.left = "0";
+      canvas.style.width = "100%";
+      canvas.style.height = "100%";
+      canvas.style.pointerEvents = settings.addMouseInteraction ? "auto" : "none";
+    } else {
+      canvas = container;
     }
 
-    // Get container dimensions
-    const rect = container.getBoundingClientRect();
-    screen = {
-      width: Math.max(1, Math.floor(rect.width) || 800),
-      height: Math.max(1, Math.floor(rect.height) || 600),
-    };
+    // Draw with WebGL when asked to, otherwise get a 2D context
+    if (webgl) webgl.destroy();
+    webgl = selectWebGLRenderer(canvas, settings.renderer, "FloatingBallsPlugin");
+    context = webgl ? null : canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
 
-    // Create canvas element
-    canvas = document.createElement("canvas");
-    canvas.className = CLASS_NAMES.canvas;
-    canvas.setAttribute("data-salameh-fb", "canvas");
-    canvas.setAttribute("aria-hidden", "true");
-    canvas.setAttribute("role", "presentation");
-    canvas.width = screen.width;
-    canvas.height = screen.height;
-
-    // Set canvas styles
-    canvas.style.position = "absolute";
-    canvas.style.top = "0";
-    canvas.style.left = "0";
-    canvas.style.width = "100%";
-    canvas.style.height = "100%";
-    canvas.style.pointerEvents = settings.addMouseInteraction ? "auto" : "none";
-
-    // Get 2D context
-    context = canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
-
-    if (!context) {
+    if (!context && !webgl) {
       return;
     }
 
-    // Load background image if provided
-    if (settings.backgroundImage) {
-      backgroundImage = new Image();
-      backgroundImage.crossOrigin = "anonymous";
-      backgroundImage.onload = function () {
-        // Background image loaded successfully
-      };
-      backgroundImage.onerror = function () {
-        // Background image failed to load, use transparent background
-        backgroundImage = null;
-      };
-      backgroundImage.src = settings.backgroundImage;
-    }
+    // Size the canvas to the container, scaled by the device pixel ratio
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, measureElement: ownsCanvas ? container : canvas, fallbackHeight: 600, onPixelRatioChange: resizeCanvas });
+    const size = sizer.resize();
+    if (webgl) webgl.setSize(size.width, size.height);
+    screen = { width: size.width, height: size.height };
+
+    loadBackgroundImage();
 
     // Reset color caches when settings change
     connectionColorCache = null;
     ballColorCache = null;
 
+    // Watch the frame rate when adaptive quality is on
+    if (!governor) governor = createQualityGovernor(applyQuality);
+    governor.configure(settings.quality);
+
     // Initialize balls
     initBalls();
 
-    // Append canvas to container
-    container.appendChild(canvas);
+    if (ownsCanvas) {
+      // Append canvas to container
+      container.appendChild(canvas);
 
-    // Ensure container has required styles
-    if (container.style.position !== "relative") {
-      container.style.position = "relative";
-    }
-    if (container.style.overflow !== "hidden") {
-      container.style.overflow = "hidden";
+      // Ensure container has required styles
+      if (container.style.position !== "relative") {
+        container.style.position = "relative";
+      }
+      if (container.style.overflow !== "hidden") {
+        container.style.overflow = "hidden";
+      }
     }
 
     // Add mouse event listeners if enabled
     if (settings.addMouseInteraction) {
-      const mouseEnterHandler = () => {
-        mouse_in = true;
-        // Only add mouse ball if it's not already in the array and mouse_ball exists
-        if (mouse_ball) {
-          const mouseBallExists = balls.some((ball) => ball.type === "mouse");
-          if (!mouseBallExists) {
-            balls.push(mouse_ball);
-          }
-        }
-      };
+      addMouseListeners();
+    }
+  };
+
+  /**
+   * Matches the canvas to the container size; balls outside the new bounds drift off and are replaced
+   */
+  const resizeCanvas = () => {
+    if (!container || !canvas || !sizer) return;
+
+    const size = sizer.resize();
+    if (webgl) webgl.setSize(size.width, size.height);
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
+
+    screen = { width: size.width, height: size.height };
+  };
 
-      const mouseLeaveHandler = () => {
-        mouse_in = false;
-        // Remove mouse ball from array
-        balls = balls.filter((ball) => ball.type !== "mouse");
+  /**
+   * Loads the background image, if any
+   */
+  const loadBackgroundImage = () => {
+    backgroundImage = null;
+    if (webgl) {
+      // Stretched over the canvas, like the Canvas 2D path draws it
+      webgl.setBackgroundImage(settings.backgroundImage, "100% 100%");
+      return;
+    }
+    // Workers cannot decode <img> elements, so the background color is used there
+    if (settings.backgroundImage && typeof Image !== "undefined") {
+      backgroundImage = new Image();
+      backgroundImage.crossOrigin = "anonymous";
+      backgroundImage.onload = function () {
+        // Background image loaded successfully
       };
+      backgroundImage.onerror = function () {
+        // Background image failed to load, use transparent background
+        backgroundImage = null;
+      };
+      backgroundImage.src = settings.backgroundImage;
+    }
+  };
+
+  /**
+   * Lets the pointer join the swarm as an extra ball
+   */
+  const addMouseListeners = () => {
+    if (!canvas) return;
+    removeMouseListeners();
+    canvas.style.pointerEvents = "auto";
+
+    const mouseEnterHandler = () => {
+      mouse_in = true;
+      // Only add mouse ball if it's not already in the array and mouse_ball exists
+      if (mouse_ball) {
+        const mouseBallExists = balls.some((ball) => ball.type === "mouse");
+        if (!mouseBallExists) {
+          balls.push(mouse_ball);
+        }
+      }
+    };
 
-      const mouseMoveHandler = (event) => {
-        if (!mouse_ball || !canvas) return;
+    const mouseLeaveHandler = () => {
+      mouse_in = false;
+      // Remove mouse ball from array
+      balls = balls.filter((ball) => ball.type !== "mouse");
+    };
 
-        let e = event || window.event;
-        const rect = canvas.getBoundingClientRect();
-        const scaleX = canvas.width / rect.width;
-        const scaleY = canvas.height / rect.height;
+    const mouseMoveHandler = (event) => {
+      if (!mouse_ball || !canvas) return;
 
-        mouse_ball.x = (e.clientX - rect.left) * scaleX;
-        mouse_ball.y = (e.clientY - rect.top) * scaleY;
+      let e = event || window.event;
+      const rect = canvas.getBoundingClientRect();
+      // Balls live in CSS pixels, so map the pointer onto the drawn size
+      const scaleX = screen.width / rect.width;
+      const scaleY = screen.height / rect.height;
 
-        // Update mouse ball alpha for visual feedback
-        mouse_ball.phase += settings.alphaFade;
-        mouse_ball.alpha = Math.abs(Math.cos(mouse_ball.phase));
-      };
+      mouse_ball.x = (e.clientX - rect.left) * scaleX;
+      mouse_ball.y = (e.clientY - rect.top) * scaleY;
 
-      canvas.addEventListener("mouseenter", mouseEnterHandler, { passive: true });
-      canvas.addEventListener("mouseleave", mouseLeaveHandler, { passive: true });
-      canvas.addEventListener("mousemove", mouseMoveHandler, { passive: true });
+      // Update mouse ball alpha for visual feedback
+      mouse_ball.phase += settings.alphaFade;
+      mouse_ball.alpha = Math.abs(Math.cos(mouse_ball.phase));
+    };
 
-      // Store event handlers for cleanup
-      eventHandlers = {
-        mouseEnter: mouseEnterHandler,
-        mouseLeave: mouseLeaveHandler,
-        mouseMove: mouseMoveHandler,
-      };
+    canvas.addEventListener("mouseenter", mouseEnterHandler, { passive: true });
+    canvas.addEventListener("mouseleave", mouseLeaveHandler, { passive: true });
+    canvas.addEventListener("mousemove", mouseMoveHandler, { passive: true });
+
+    // Store event handlers for cleanup
+    eventHandlers = {
+      mouseEnter: mouseEnterHandler,
+      mouseLeave: mouseLeaveHandler,
+      mouseMove: mouseMoveHandler,
+    };
+  };
+
+  /**
+   * Removes the pointer listeners and the mouse ball
+   */
+  const removeMouseListeners = () => {
+    if (eventHandlers && canvas) {
+      canvas.removeEventListener("mouseenter", eventHandlers.mouseEnter);
+      canvas.removeEventListener("mouseleave", eventHandlers.mouseLeave);
+      canvas.removeEventListener("mousemove", eventHandlers.mouseMove);
+    }
+    eventHandlers = null;
+    mouse_in = false;
+    balls = balls.filter((ball) => ball.type !== "mouse");
+    if (canvas) {
+      canvas.style.pointerEvents = "none";
+    }
+  };
+
+  /**
+   * Applies a new quality scale from the governor
+   * @param {number} scale - Share of the configured density to render (0-1)
+   */
+  const applyQuality = (scale) => {
+    qualityScale = scale;
+    if (context || webgl) {
+      syncBallCount();
+    }
+    if (settings.onQualityChange) {
+      settings.onQualityChange(scale);
     }
   };
 
   // Main render function
   const render = () => {
-    if (!context || !canvas) {
+    if ((!context && !webgl) || !canvas) {
       return;
     }
 
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
+    if (governor) governor.frame(timing.now());
 
+    drawFrame();
+    updateBalls();
+    addBallIfy();
+  };
+
+  /**
+   * Draws the balls and lines where they are now
+   */
+  const drawFrame = () => {
     // Clear with background color or image
-    if (backgroundImage && backgroundImage.complete) {
+    if (webgl) {
+      webgl.clear(settings.backgroundImage ? "transparent" : settings.backgroundColor);
+    } else if (backgroundImage && backgroundImage.complete) {
       context.drawImage(backgroundImage, 0, 0, screen.width, screen.height);
     } else if (settings.backgroundColor === "transparent") {
       context.clearRect(0, 0, screen.width, screen.height);
@@ -539,43 +589,26 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
 
     renderBalls();
     renderLines();
-    updateBalls();
-    addBallIfy();
+    if (webgl) webgl.flush();
   };
 
   /**
-   * Debounced resize handler
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (container) {
-        // Stop current animation
-        if (animationId) {
-          cancelAnimationFrame(animationId);
-          animationId = null;
-        }
-        // Reinitialize with current settings
-        initializeFloatingBalls();
-        // Restart animation
-        if (canvas && context) {
-          render();
-        }
-      }
-    }, 150); // Debounce resize events
+  const redraw = () => {
+    if ((!context && !webgl) || !canvas) return;
+    drawFrame();
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeFloatingBalls();
-    if (canvas && context) {
+    if (canvas && (context || webgl)) {
       render();
-      resizeHandler = handleResize;
-      window.addEventListener("resize", resizeHandler, { passive: true });
     }
   };
 
@@ -585,34 +618,27 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
   const clean = () => {
     // Stop animation
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Remove event listeners if they exist
-    if (eventHandlers && canvas) {
-      canvas.removeEventListener("mouseenter", eventHandlers.mouseEnter);
-      canvas.removeEventListener("mouseleave", eventHandlers.mouseLeave);
-      canvas.removeEventListener("mousemove", eventHandlers.mouseMove);
-      eventHandlers = null;
+    removeMouseListeners();
+
+    // Stop watching the device pixel ratio
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
     }
 
     // Clear canvas
     if (context && screen) {
       context.clearRect(0, 0, screen.width, screen.height);
     }
+    if (webgl) {
+      webgl.destroy();
+      webgl = null;
+    }
 
     // Remove canvas element
     if (canvas && canvas.parentNode) {
@@ -624,6 +650,8 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
     }
 
     // Clean up references
+    governor = null;
+    qualityScale = 1;
     balls = [];
     backgroundImage = null;
     connectionColorCache = null;
@@ -632,8 +660,143 @@ export default function FloatingBallsPlugin(containerElement, animationSettings
     container = null;
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    if (governor) governor.reset();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && (context || webgl) && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the drift speed of every ball, keeping each ball's direction
+   * @param {number|string} speed - Speed multiplier
+   */
+  const setSpeed = (speed) => {
+    const previousSpeed = settings.speed;
+    settings = settingsSchema.normalize({ ...settings, speed }, containerElement);
+    const factor = settings.speed / previousSpeed;
+
+    for (let i = 0; i < balls.length; i++) {
+      if (balls[i].type === "mouse") continue;
+      balls[i].vx *= factor;
+      balls[i].vy *= factor;
+    }
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings, speed: previous.speed }, containerElement);
+
+    if (partialSettings.speed !== undefined) {
+      setSpeed(partialSettings.speed);
+    }
+
+    // Colors are resolved lazily, so dropping the caches is enough
+    connectionColorCache = null;
+    ballColorCache = null;
+
+    if (!context && !webgl) return;
+
+    // The canvas context is created with or without alpha depending on transparency,
+    // and a created canvas keeps the kind of context it was first given
+    if ((settings.backgroundColor === "transparent") !== (previous.backgroundColor === "transparent") || (ownsCanvas && settings.renderer !== previous.renderer)) {
+      initializeFloatingBalls();
+      return;
+    }
+
+    if (governor) governor.configure(settings.quality);
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.backgroundImage !== previous.backgroundImage) {
+      loadBackgroundImage();
+    }
+
+    if (settings.addMouseInteraction !== previous.addMouseInteraction) {
+      if (settings.addMouseInteraction) {
+        addMouseListeners();
+      } else {
+        removeMouseListeners();
+      }
+    }
+
+    if (settings.count !== previous.count) {
+      syncBallCount();
+    }
+  };
+
+  /**
+   * Resizes the canvas to its container without resetting the balls
+   */
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
@@ -1,4 +1,4 @@
 // Component exports
-export { FloatingBalls } from "./FloatingBalls";
-// export type { FloatingBallsProps, FloatingBallsAdvancedSettings } from "./FloatingBalls";
+export { FloatingBalls, floatingBallsJsonSchema } from "./FloatingBalls";
+export type { FloatingBallsProps, FloatingBallsAdvancedSettings, FloatingBallsHandle } from "./FloatingBalls";
 
@@ -1,15 +1,24 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import FloatingParticlesPlugin from "./FloatingParticlesPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import FloatingParticlesPlugin, { settingsSchema } from "./FloatingParticlesPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell } from "../shared/BackgroundShell";
+import type { BackgroundProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -33,129 +42,87 @@ interface AdvancedSettings {
   maskGradient?: string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string; speed?: number | string };
+
+type FloatingParticlesHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  bokeh: { backgroundColor: "#1a0f24", advanced: { count: 40, size: 24, opacity: 0.5, enableMask: false } },
+  dust: { backgroundColor: "#0f0c08", advanced: { count: 200, size: 3, opacity: 0.6, scaleRange: [0.5, 1.5] } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  opacity: { band: "level", scale: [0.5, 1.2] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const floatingParticlesJsonSchema = createJsonSchema("FloatingParticles", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed", "seed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Floating Particles Component
  * A React component that creates animated floating particles background
  */
-export function FloatingParticles({ width = "auto", height = "auto", backgroundColor = "#021027", backgroundImage, speed = 1, advanced, children }: Props) {
+export const FloatingParticles = forwardRef<FloatingParticlesHandle, Props>(function FloatingParticles(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.speed, advanced, motion = "auto", autoPause = true, seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("FloatingParticles", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  }, [width, height]);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
-    // Helper to convert scale range
-    const toScaleRange = (value: [number, number] | [string, string] | undefined, defaultValue: [number, number]): [number, number] => {
-      if (value === undefined) return defaultValue;
-      return [typeof value[0] === "string" ? parseFloat(value[0]) : value[0], typeof value[1] === "string" ? parseFloat(value[1]) : value[1]];
-    };
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      speed: toNumber(speed, 1),
-      count: toNumber(advanced?.count, 100),
-      size: toNumber(advanced?.size, 8),
-      opacity: toNumber(advanced?.opacity, 0.8),
-      duration: toNumber(advanced?.duration, 15000),
-      delay: toNumber(advanced?.delay, 2000),
-      enableFade: advanced?.enableFade ?? true,
-      enableScale: advanced?.enableScale ?? true,
-      enableBlendMode: advanced?.enableBlendMode ?? true,
-      blendMode: advanced?.blendMode ?? "screen",
-      scaleRange: toScaleRange(advanced?.scaleRange, [0.4, 2.2]),
-      fadeDuration: toNumber(advanced?.fadeDuration, 200),
-      scaleDuration: toNumber(advanced?.scaleDuration, 2000),
-      enableBackgroundImage: advanced?.enableBackgroundImage ?? true,
-      enableMask: advanced?.enableMask ?? true,
-      maskGradient: advanced?.maskGradient ?? "radial-gradient(white 0%, white 30%, transparent 80%, transparent)",
+      speed,
+      count: advanced?.count ?? defaults.count,
+      size: advanced?.size ?? defaults.size,
+      opacity: advanced?.opacity ?? defaults.opacity,
+      duration: advanced?.duration ?? defaults.duration,
+      delay: advanced?.delay ?? defaults.delay,
+      enableFade: advanced?.enableFade ?? defaults.enableFade,
+      enableScale: advanced?.enableScale ?? defaults.enableScale,
+      enableBlendMode: advanced?.enableBlendMode ?? defaults.enableBlendMode,
+      blendMode: advanced?.blendMode ?? defaults.blendMode,
+      scaleRange: advanced?.scaleRange ?? defaults.scaleRange,
+      fadeDuration: advanced?.fadeDuration ?? defaults.fadeDuration,
+      scaleDuration: advanced?.scaleDuration ?? defaults.scaleDuration,
+      enableBackgroundImage: advanced?.enableBackgroundImage ?? defaults.enableBackgroundImage,
+      enableMask: advanced?.enableMask ?? defaults.enableMask,
+      maskGradient: advanced?.maskGradient ?? defaults.maskGradient,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!containerRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const floatingParticles = FloatingParticlesPlugin(containerRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = floatingParticles;
-
-    floatingParticles.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = FloatingParticlesPlugin(containerRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(FloatingParticlesPlugin(containerRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -167,41 +134,14 @@ export function FloatingParticles({ width = "auto", height = "auto", backgroundC
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated floating particles background">
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated floating particles background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as FloatingParticlesProps, AdvancedSettings as FloatingParticlesAdvancedSettings };
+export type { Props as FloatingParticlesProps, AdvancedSettings as FloatingParticlesAdvancedSettings, FloatingParticlesHandle };
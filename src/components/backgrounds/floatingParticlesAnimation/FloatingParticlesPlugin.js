@@ -6,27 +6,42 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#021027",
-  backgroundImage: null,
-  count: 100,
-  size: 8,
-  opacity: 0.8,
-  duration: 15000,
-  delay: 2000,
-  enableFade: true,
-  enableScale: true,
-  enableBlendMode: true,
-  blendMode: "screen",
-  scaleRange: [0.4, 2.2],
-  fadeDuration: 200,
-  scaleDuration: 2000,
-  enableBackgroundImage: true,
-  enableMask: true,
-  maskGradient: "radial-gradient(white 0%, white 30%, transparent 80%, transparent)",
-  speed: 1,
+import createFrameTiming, { seekAnimations } from "../shared/frameTiming.js";
+import createRandom from "../shared/random.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the FloatingParticles background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("FloatingParticles", {
+  backgroundColor: { type: "color", default: "#021027", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  count: { type: "number", default: 100, min: 1, max: 500, description: "Number of particles" },
+  size: { type: "number", default: 8, min: 1, max: 50, description: "Largest particle size in pixels" },
+  opacity: { type: "number", default: 0.8, min: 0, max: 1, description: "Opacity of the particles" },
+  duration: { type: "number", default: 15000, min: 1000, max: 60000, description: "Milliseconds a particle takes to cross its path" },
+  delay: { type: "number", default: 2000, min: 0, max: 10000, description: "Longest random start delay in milliseconds" },
+  enableFade: { type: "boolean", default: true, description: "Fades the particles in and out" },
+  enableScale: { type: "boolean", default: true, description: "Scales the particles while they move" },
+  enableBlendMode: { type: "boolean", default: true, description: "Blends the particles with the background" },
+  blendMode: {
+    type: "string",
+    default: "screen",
+    normalize: (value) => (typeof value === "string" && value.trim() ? value.trim() : "screen"),
+    description: "CSS mix-blend-mode of the particles",
+  },
+  scaleRange: { type: "numbers", length: 2, default: [0.4, 2.2], min: 0.1, max: 10, description: "Smallest and largest scale of the particles" },
+  fadeDuration: { type: "number", default: 200, min: 50, max: 5000, description: "Length of the fade in milliseconds" },
+  scaleDuration: { type: "number", default: 2000, min: 100, max: 10000, description: "Length of one scale cycle in milliseconds" },
+  enableBackgroundImage: { type: "boolean", default: true, description: "Shows the background image" },
+  enableMask: { type: "boolean", default: true, description: "Masks the particle field with maskGradient" },
+  maskGradient: { type: "string", default: "radial-gradient(white 0%, white 30%, transparent 80%, transparent)", description: "CSS gradient used as the mask" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the particles" },
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-fp-";
 
@@ -43,81 +58,6 @@ const CLASS_NAMES = {
   backgroundImage: `${NAMESPACE_PREFIX}background-image`,
 };
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = 0, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Validates array of numbers
- * @param {Array} value - Array to validate
- * @param {Array} defaultValue - Default array if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {Array} Validated array
- */
-const validateNumberArray = (value, defaultValue, min = 0, max = Infinity) => {
-  if (!Array.isArray(value) || value.length !== 2) {
-    return defaultValue;
-  }
-  return [
-    Math.max(min, Math.min(max, validateNumber(value[0], defaultValue[0], min, max))),
-    Math.max(min, Math.min(max, validateNumber(value[1], defaultValue[1], min, max))),
-  ];
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    count: Math.max(1, Math.min(500, validateNumber(settings.count, defaultSettings.count, 1, 500))),
-    size: validateNumber(settings.size, defaultSettings.size, 1, 50),
-    opacity: validateNumber(settings.opacity, defaultSettings.opacity, 0, 1),
-    duration: validateNumber(settings.duration, defaultSettings.duration, 1000, 60000),
-    delay: validateNumber(settings.delay, defaultSettings.delay, 0, 10000),
-    enableFade: Boolean(settings.enableFade !== false),
-    enableScale: Boolean(settings.enableScale !== false),
-    enableBlendMode: Boolean(settings.enableBlendMode !== false),
-    blendMode: validateColor(settings.blendMode, defaultSettings.blendMode),
-    scaleRange: validateNumberArray(settings.scaleRange, defaultSettings.scaleRange, 0.1, 10),
-    fadeDuration: validateNumber(settings.fadeDuration, defaultSettings.fadeDuration, 50, 5000),
-    scaleDuration: validateNumber(settings.scaleDuration, defaultSettings.scaleDuration, 100, 10000),
-    enableBackgroundImage: Boolean(settings.enableBackgroundImage !== false),
-    enableMask: Boolean(settings.enableMask !== false),
-    maskGradient: typeof settings.maskGradient === "string" ? settings.maskGradient : defaultSettings.maskGradient,
-    speed: validateNumber(settings.speed, defaultSettings.speed, 0.1, 10),
-  };
-};
-
 /**
  * Creates CSS styles if not already present
  */
@@ -211,13 +151,22 @@ const injectStyles = () => {
  * Floating Particles Animation Plugin
  * @param {HTMLElement} containerElement - Container element for the animation
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean, pause, resume, isRunning, setSpeed, update, resize and destroy methods
  */
 export default function FloatingParticlesPlugin(containerElement, animationSettings = {}) {
   if (!containerElement || !(containerElement instanceof HTMLElement)) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
@@ -228,9 +177,10 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
   let particlesContainer = null;
   let backgroundImage = null;
   let keyframesStyle = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
 
   // Generate unique ID for this instance
   const generateUniqueId = () => {
@@ -239,19 +189,20 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
 
   // Random number generator
   const randomNumFrom = (min, max) => {
-    return Math.random() * (max - min) + min;
+    return random() * (max - min) + min;
   };
 
   // Create a single particle
   const createParticle = (index) => {
-    const size = Math.random() * settings.size;
-    const startPositionY = Math.random() * 10 + 100;
-    const endPositionY = -startPositionY - Math.random() * 30;
-    const startPositionX = Math.random() * 100;
-    const endPositionX = Math.random() * 100;
-    const animationDuration = (settings.duration + Math.random() * 9000) / settings.speed;
-    const animationDelay = Math.random() * settings.delay;
-    const fadeDelay = Math.random() * 1000;
+    const size = random() * settings.size;
+    const startPositionY = random() * 10 + 100;
+    const endPositionY = -startPositionY - random() * 30;
+    const startPositionX = random() * 100;
+    const endPositionX = random() * 100;
+    const baseDuration = settings.duration + random() * 9000;
+    const animationDuration = baseDuration / settings.speed;
+    const animationDelay = random() * settings.delay;
+    const fadeDelay = random() * 1000;
 
     const createParticleElement = () => {
       // Create particle container
@@ -272,21 +223,7 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
       const circleElement = document.createElement("div");
       circleElement.className = CLASS_NAMES.particleCircle;
       circleElement.setAttribute("data-salameh-fp", "particle-circle");
-      circleElement.style.animationDelay = `${fadeDelay}ms`;
-
-      // Apply animations if enabled
-      if (settings.enableFade) {
-        circleElement.style.animation = `salameh-fp-fadein ${settings.fadeDuration}ms infinite`;
-      }
-      if (settings.enableScale) {
-        const scaleAnim = circleElement.style.animation || "";
-        circleElement.style.animation = scaleAnim
-          ? `${scaleAnim}, salameh-fp-scale ${settings.scaleDuration}ms infinite`
-          : `salameh-fp-scale ${settings.scaleDuration}ms infinite`;
-      }
-      if (settings.enableBlendMode) {
-        circleElement.style.mixBlendMode = settings.blendMode;
-      }
+      applyCircleStyle(circleElement, fadeDelay);
 
       element.appendChild(circleElement);
 
@@ -300,6 +237,7 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
       endPositionY,
       startPositionX,
       endPositionX,
+      baseDuration,
       animationDuration,
       animationDelay,
       fadeDelay,
@@ -307,17 +245,68 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
     };
   };
 
+  // Apply the fade, scale and blend animations to a particle's circle
+  const applyCircleStyle = (circleElement, fadeDelay) => {
+    const animations = [];
+    if (settings.enableFade) {
+      animations.push(`salameh-fp-fadein ${settings.fadeDuration}ms infinite`);
+    }
+    if (settings.enableScale) {
+      animations.push(`salameh-fp-scale ${settings.scaleDuration}ms infinite`);
+    }
+    circleElement.style.animation = animations.join(", ");
+    circleElement.style.animationDelay = `${fadeDelay}ms`;
+    circleElement.style.mixBlendMode = settings.enableBlendMode ? settings.blendMode : "";
+  };
+
   // Create all particles
   const createParticles = () => {
     particles = [];
-    for (let i = 1; i <= settings.count; i++) {
+    syncParticleCount();
+  };
+
+  // Add or remove particles to match the configured count, keeping the ones already drifting
+  const syncParticleCount = () => {
+    while (particles.length > settings.count) {
+      particles.pop().element.remove();
+    }
+    for (let i = particles.length + 1; i <= settings.count; i++) {
       const particle = createParticle(i);
       const element = particle.createElement();
+      particle.element = element;
       particlesContainer.appendChild(element);
       particles.push(particle);
+
+      // Particles added after the keyframes were generated need their own rule
+      if (keyframesStyle && keyframesStyle.sheet) {
+        keyframesStyle.sheet.insertRule(getParticleKeyframes(particle), keyframesStyle.sheet.cssRules.length);
+      }
     }
   };
 
+  // Keyframes moving one particle across the screen
+  const getParticleKeyframes = (particle) => `
+          @keyframes salameh-fp-move-${uniqueId}-${particle.index} {
+            from {
+              transform: translate3d(${particle.startPositionX}vw, ${particle.startPositionY}vh, 0);
+            }
+            to {
+              transform: translate3d(${particle.endPositionX}vw, ${particle.endPositionY}vh, 0);
+            }
+          }
+        `;
+
+  // Apply CSS custom properties for dynamic styling
+  const applyCustomProperties = () => {
+    particlesContainer.style.setProperty("--salameh-fp-particle-size", `${settings.size}px`);
+    particlesContainer.style.setProperty("--salameh-fp-particle-opacity", settings.opacity);
+    particlesContainer.style.setProperty("--salameh-fp-blend-mode", settings.blendMode);
+    particlesContainer.style.setProperty("--salameh-fp-scale-min", settings.scaleRange[0]);
+    particlesContainer.style.setProperty("--salameh-fp-scale-max", settings.scaleRange[1]);
+    particlesContainer.style.setProperty("--salameh-fp-fade-duration", `${settings.fadeDuration}ms`);
+    particlesContainer.style.setProperty("--salameh-fp-scale-duration", `${settings.scaleDuration}ms`);
+  };
+
   // Generate keyframes for particle movement
   const generateKeyframes = () => {
     // Remove existing keyframes if any
@@ -330,26 +319,21 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
     keyframesStyle.setAttribute("data-salameh-fp", "keyframes");
     keyframesStyle.setAttribute("data-salameh-fp-id", uniqueId);
 
-    let keyframesCSS = "";
+    keyframesStyle.textContent = particles.map(getParticleKeyframes).join("");
+    document.head.appendChild(keyframesStyle);
+  };
 
-    for (let i = 1; i <= settings.count; i++) {
-      const particle = particles[i - 1];
-      if (particle) {
-        keyframesCSS += `
-          @keyframes salameh-fp-move-${uniqueId}-${i} {
-            from {
-              transform: translate3d(${particle.startPositionX}vw, ${particle.startPositionY}vh, 0);
-            }
-            to {
-              transform: translate3d(${particle.endPositionX}vw, ${particle.endPositionY}vh, 0);
-            }
-          }
-        `;
-      }
+  // Replace the background image and color with the current settings
+  const applyBackground = () => {
+    if (backgroundImage && backgroundImage.parentNode) {
+      backgroundImage.remove();
     }
 
-    keyframesStyle.textContent = keyframesCSS;
-    document.head.appendChild(keyframesStyle);
+    // Set background color
+    container.style.background = settings.backgroundImage && settings.enableBackgroundImage ? "transparent" : settings.backgroundColor;
+
+    // Create background image
+    backgroundImage = createBackgroundImage();
   };
 
   // Create background image if provided
@@ -374,7 +358,8 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
       bgImage.style.display = "none";
     };
 
-    container.appendChild(bgImage);
+    // Keep the image behind the particles when it is replaced later
+    container.insertBefore(bgImage, particlesContainer && particlesContainer.parentNode === container ? particlesContainer : null);
     return bgImage;
   };
 
@@ -387,9 +372,12 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, containerElement);
     }
 
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
     // Generate unique ID for this instance
     uniqueId = generateUniqueId();
 
@@ -419,9 +407,6 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
       container.style.overflow = "hidden";
     }
 
-    // Set background color
-    container.style.background = settings.backgroundImage && settings.enableBackgroundImage ? "transparent" : settings.backgroundColor;
-
     // Inject base styles
     injectStyles();
 
@@ -433,17 +418,8 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
     particlesContainer.setAttribute("aria-hidden", "true");
     container.appendChild(particlesContainer);
 
-    // Apply CSS custom properties for dynamic styling
-    particlesContainer.style.setProperty("--salameh-fp-particle-size", `${settings.size}px`);
-    particlesContainer.style.setProperty("--salameh-fp-particle-opacity", settings.opacity);
-    particlesContainer.style.setProperty("--salameh-fp-blend-mode", settings.blendMode);
-    particlesContainer.style.setProperty("--salameh-fp-scale-min", settings.scaleRange[0]);
-    particlesContainer.style.setProperty("--salameh-fp-scale-max", settings.scaleRange[1]);
-    particlesContainer.style.setProperty("--salameh-fp-fade-duration", `${settings.fadeDuration}ms`);
-    particlesContainer.style.setProperty("--salameh-fp-scale-duration", `${settings.scaleDuration}ms`);
-
-    // Create background image
-    backgroundImage = createBackgroundImage();
+    applyCustomProperties();
+    applyBackground();
 
     // Initialize particles
     createParticles();
@@ -452,42 +428,30 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
     generateKeyframes();
   };
 
+  // Apply the current play state to every CSS animation
+  const applyPlayState = () => {
+    if (!particlesContainer) return;
+
+    const playState = animationId !== null ? "running" : "paused";
+    particlesContainer.querySelectorAll("*").forEach((el) => {
+      el.style.animationPlayState = playState;
+    });
+  };
+
   // Main render function (minimal since CSS handles animation)
   const render = () => {
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
     // CSS animations handle the actual rendering, this just keeps the loop alive
   };
 
-  /**
-   * Debounced resize handler
-   */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (container) {
-        // Stop current animation
-        if (animationId) {
-          cancelAnimationFrame(animationId);
-          animationId = null;
-        }
-        // Reinitialize with current settings
-        initializeFloatingParticles();
-        // Restart animation
-        render();
-      }
-    }, 150); // Debounce resize events
-  };
-
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeFloatingParticles();
     render();
-    resizeHandler = handleResize;
-    window.addEventListener("resize", resizeHandler, { passive: true });
   };
 
   /**
@@ -496,22 +460,10 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
   const clean = () => {
     // Stop animation
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Remove keyframes
     if (keyframesStyle && keyframesStyle.parentNode) {
       try {
@@ -544,8 +496,141 @@ export default function FloatingParticlesPlugin(containerElement, animationSetti
     container = null;
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    applyPlayState();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && container) {
+      render();
+      applyPlayState();
+    }
+  };
+
+  /**
+   * Advances exactly one frame at the given time and seeks the CSS animations to it, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    seekAnimations(container, timeMs);
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns what captureFrame() and record() draw; the container also holds the page content
+   * @returns {{ element: HTMLElement, include: Function }} Container and a filter for the layers of this animation
+   */
+  const getCaptureTarget = () => {
+    const layers = [backgroundImage, particlesContainer];
+    return { element: container, include: (child) => layers.includes(child) };
+  };
+
+  /**
+   * Returns whether the animation is currently running
+   * @returns {boolean}
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the drift speed without recreating the particles
+   * @param {number} speed - Speed multiplier (1 = normal)
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, containerElement);
+    particles.forEach((particle) => {
+      particle.animationDuration = particle.baseDuration / settings.speed;
+      if (particle.element) {
+        particle.element.style.animationDuration = `${particle.animationDuration}ms`;
+      }
+    });
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const { speed, ...rest } = partialSettings;
+    if (speed !== undefined) {
+      setSpeed(speed);
+    }
+
+    if (Object.keys(rest).length === 0) return;
+
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...rest }, containerElement);
+    if (!container || !particlesContainer) return;
+
+    const changed = (...keys) => keys.some((key) => settings[key] !== previous[key]);
+
+    if (changed("backgroundColor", "backgroundImage", "enableBackgroundImage", "enableMask", "maskGradient")) {
+      applyBackground();
+    }
+
+    if (changed("opacity", "blendMode", "scaleRange", "fadeDuration", "scaleDuration")) {
+      applyCustomProperties();
+    }
+
+    // Sizes and durations are sampled per particle, so shift each one by the change
+    if (changed("size", "duration")) {
+      particles.forEach((particle) => {
+        particle.size = previous.size > 0 ? (particle.size * settings.size) / previous.size : particle.size;
+        particle.baseDuration += settings.duration - previous.duration;
+        particle.animationDuration = particle.baseDuration / settings.speed;
+        particle.element.style.width = `${particle.size}px`;
+        particle.element.style.height = `${particle.size}px`;
+        particle.element.style.animationDuration = `${particle.animationDuration}ms`;
+      });
+    }
+
+    if (changed("enableFade", "enableScale", "enableBlendMode", "blendMode", "fadeDuration", "scaleDuration")) {
+      particles.forEach((particle) => {
+        applyCircleStyle(particle.element.firstChild, particle.fadeDelay);
+      });
+    }
+
+    if (changed("count")) {
+      syncParticleCount();
+    }
+
+    applyPlayState();
+  };
+
+  /**
+   * Particles move in viewport units, so the browser handles resizing
+   */
+  const resize = () => {};
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
@@ -1,4 +1,4 @@
 // Component exports
-export { FloatingParticles } from "./FloatingParticles";
-// export type { FloatingParticlesProps, FloatingParticlesAdvancedSettings } from "./FloatingParticles";
+export { FloatingParticles, floatingParticlesJsonSchema } from "./FloatingParticles";
+export type { FloatingParticlesProps, FloatingParticlesAdvancedSettings, FloatingParticlesHandle } from "./FloatingParticles";
 
@@ -1,15 +1,24 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import FloatingSquaresPlugin from "./FloatingSquaresPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import FloatingSquaresPlugin, { settingsSchema } from "./FloatingSquaresPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell } from "../shared/BackgroundShell";
+import type { BackgroundProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -28,118 +37,83 @@ interface AdvancedSettings {
   enableRandomPositions?: boolean;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string | null; speed?: number | string };
+
+type FloatingSquaresHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  ocean: { advanced: { enableGradient: true, gradientColor1: "#00b4d8", gradientColor2: "#03045e", gradientDirection: "to bottom" } },
+  sunset: { advanced: { enableGradient: true, gradientColor1: "#feb47b", gradientColor2: "#ff7e5f", gradientDirection: "to top", enableRandomSizes: true } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise; speed is left out,
+// since a new animation duration makes the squares jump to another height
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  count: { band: "level", scale: [1, 2] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const floatingSquaresJsonSchema = createJsonSchema("FloatingSquares", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed", "seed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Floating Squares Component
  * A React component that creates animated floating squares background
  */
-export function FloatingSquares({ width = "auto", height = "auto", backgroundColor = "#4e54c8", backgroundImage, speed = 1, advanced, children }: Props) {
+export const FloatingSquares = forwardRef<FloatingSquaresHandle, Props>(function FloatingSquares(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.speed, advanced, motion = "auto", autoPause = true, seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("FloatingSquares", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  }, [width, height]);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      speed: toNumber(speed, 1),
-      count: toNumber(advanced?.count, 10),
-      color: advanced?.color ?? "rgba(255, 255, 255, 0.2)",
-      duration: toNumber(advanced?.duration, 25),
-      enableGradient: advanced?.enableGradient ?? false,
-      gradientColor1: advanced?.gradientColor1 ?? "#8f94fb",
-      gradientColor2: advanced?.gradientColor2 ?? "#4e54c8",
-      gradientDirection: advanced?.gradientDirection ?? "to left",
-      enableRandomSizes: advanced?.enableRandomSizes ?? false,
-      enableRandomDelays: advanced?.enableRandomDelays ?? false,
-      enableRandomPositions: advanced?.enableRandomPositions ?? false,
+      speed,
+      count: advanced?.count ?? defaults.count,
+      color: advanced?.color ?? defaults.color,
+      duration: advanced?.duration ?? defaults.duration,
+      enableGradient: advanced?.enableGradient ?? defaults.enableGradient,
+      gradientColor1: advanced?.gradientColor1 ?? palette?.primary ?? defaults.gradientColor1,
+      gradientColor2: advanced?.gradientColor2 ?? palette?.secondary ?? defaults.gradientColor2,
+      gradientDirection: advanced?.gradientDirection ?? defaults.gradientDirection,
+      enableRandomSizes: advanced?.enableRandomSizes ?? defaults.enableRandomSizes,
+      enableRandomDelays: advanced?.enableRandomDelays ?? defaults.enableRandomDelays,
+      enableRandomPositions: advanced?.enableRandomPositions ?? defaults.enableRandomPositions,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!containerRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const floatingSquares = FloatingSquaresPlugin(containerRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = floatingSquares;
-
-    floatingSquares.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = FloatingSquaresPlugin(containerRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(FloatingSquaresPlugin(containerRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -151,41 +125,14 @@ export function FloatingSquares({ width = "auto", height = "auto", backgroundCol
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated floating squares background">
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated floating squares background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as FloatingSquaresProps, AdvancedSettings as FloatingSquaresAdvancedSettings };
+export type { Props as FloatingSquaresProps, AdvancedSettings as FloatingSquaresAdvancedSettings, FloatingSquaresHandle };
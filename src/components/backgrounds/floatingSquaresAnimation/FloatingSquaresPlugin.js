@@ -6,22 +6,33 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#4e54c8",
-  backgroundImage: null,
-  count: 10,
-  color: "rgba(255, 255, 255, 0.2)",
-  duration: 25,
-  enableGradient: false,
-  gradientColor1: "#8f94fb",
-  gradientColor2: "#4e54c8",
-  gradientDirection: "to left",
-  enableRandomSizes: false,
-  enableRandomDelays: false,
-  enableRandomPositions: false,
-  speed: 1,
+import createRandom from "../shared/random.js";
+import { seekAnimations } from "../shared/frameTiming.js";
+import { isPausedAll, onPauseAllChange } from "../shared/scheduler.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the FloatingSquares background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("FloatingSquares", {
+  backgroundColor: { type: "color", default: "#4e54c8", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  count: { type: "number", default: 10, min: 1, max: 100, description: "Number of squares" },
+  color: { type: "color", default: "rgba(255, 255, 255, 0.2)", description: "Color of the squares" },
+  duration: { type: "number", default: 25, min: 1, max: 120, description: "Seconds a square takes to float up" },
+  enableGradient: { type: "boolean", default: false, description: "Paints the background with a gradient" },
+  gradientColor1: { type: "color", default: "#8f94fb", description: "Start color of the background gradient" },
+  gradientColor2: { type: "color", default: "#4e54c8", description: "End color of the background gradient" },
+  gradientDirection: { type: "string", default: "to left", description: "CSS direction of the background gradient, e.g. \"to left\"" },
+  enableRandomSizes: { type: "boolean", default: false, description: "Gives every square a random size" },
+  enableRandomDelays: { type: "boolean", default: false, description: "Starts every square after a random delay" },
+  enableRandomPositions: { type: "boolean", default: false, description: "Places every square at a random position" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the squares" },
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-fsq-";
 
@@ -36,58 +47,6 @@ const CLASS_NAMES = {
   square: `${NAMESPACE_PREFIX}square`,
 };
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = 0, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    count: Math.max(1, Math.min(100, validateNumber(settings.count, defaultSettings.count, 1, 100))),
-    color: validateColor(settings.color, defaultSettings.color),
-    duration: validateNumber(settings.duration, defaultSettings.duration, 1, 120),
-    enableGradient: Boolean(settings.enableGradient === true),
-    gradientColor1: validateColor(settings.gradientColor1, defaultSettings.gradientColor1),
-    gradientColor2: validateColor(settings.gradientColor2, defaultSettings.gradientColor2),
-    gradientDirection: typeof settings.gradientDirection === "string" ? settings.gradientDirection : defaultSettings.gradientDirection,
-    enableRandomSizes: Boolean(settings.enableRandomSizes === true),
-    enableRandomDelays: Boolean(settings.enableRandomDelays === true),
-    enableRandomPositions: Boolean(settings.enableRandomPositions === true),
-    speed: validateNumber(settings.speed, defaultSettings.speed, 0.1, 10),
-  };
-};
-
 /**
  * Creates CSS animation styles if not already present
  */
@@ -147,25 +106,37 @@ const injectAnimationStyles = () => {
  * Floating Squares Animation Plugin
  * @param {HTMLElement} containerElement - Container element for the animation
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean, pause, resume, isRunning, setSpeed, update, resize and destroy methods
  */
 export default function FloatingSquaresPlugin(containerElement, animationSettings = {}) {
   if (!containerElement || !(containerElement instanceof HTMLElement)) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let container = containerElement;
+  let areaContainer = null;
   let squaresContainer = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+  let random = createRandom(settings.seed);
+  let running = false;
+  let destroyed = false;
+  let unsubscribePauseAll = null;
 
   // Random number generator
   const randomNumFrom = (min, max) => {
-    return Math.random() * (max - min) + min;
+    return random() * (max - min) + min;
   };
 
   /**
@@ -175,7 +146,8 @@ export default function FloatingSquaresPlugin(containerElement, animationSetting
   const createBackgroundStyle = () => {
     if (settings.backgroundImage) {
       return `background-image: url(${settings.backgroundImage}); background-size: cover; background-position: center; background-color: ${settings.backgroundColor};`;
-    } else if (settings.enableGradient && settings.gradientColor1 && settings.gradientColor2) {
+    } else if (settings.enableGradient && settings.gradientColor1 && settings.gradientColor2 && settings.backgroundColor !== "transparent") {
+      // A transparent background leaves the gradient out, so the layers below show through
       return `background: -webkit-linear-gradient(${settings.gradientDirection}, ${settings.gradientColor1}, ${settings.gradientColor2}); background: linear-gradient(${settings.gradientDirection}, ${settings.gradientColor1}, ${settings.gradientColor2}); background-color: ${settings.backgroundColor};`;
     } else {
       return `background: ${settings.backgroundColor};`;
@@ -235,22 +207,63 @@ export default function FloatingSquaresPlugin(containerElement, animationSetting
     square.setAttribute("role", "presentation");
 
     const props = getSquareProperties(index);
-    const speedMultiplier = settings.speed || 1;
-    const baseDuration = settings.duration || 25;
-    const animationDuration = props.duration ? props.duration / speedMultiplier : baseDuration / speedMultiplier;
 
     square.style.cssText = `
       left: ${props.left}%;
       width: ${props.width}px;
       height: ${props.height}px;
       background: ${settings.color};
-      animation: ${ANIMATION_NAME} ${animationDuration}s linear infinite;
+      animation: ${ANIMATION_NAME} 1s linear infinite;
       animation-delay: ${props.delay}s;
+      animation-play-state: ${running && !isPausedAll() ? "running" : "paused"};
     `;
+    applySquareDuration(square, props.duration);
 
     return square;
   };
 
+  /**
+   * Sets a square's duration from its own fixed duration or the configured one
+   * @param {HTMLElement} square - Square element
+   * @param {number|null} fixedDuration - Duration the square always uses, if any
+   */
+  const applySquareDuration = (square, fixedDuration) => {
+    const speedMultiplier = settings.speed || 1;
+    const baseDuration = fixedDuration || settings.duration || 25;
+    square.setAttribute("data-salameh-fsq-duration", baseDuration.toString());
+    square.setAttribute("data-salameh-fsq-fixed", fixedDuration ? "true" : "false");
+    square.style.animationDuration = `${baseDuration / speedMultiplier}s`;
+  };
+
+  /**
+   * Adds or removes squares to match the configured count, keeping the ones already rising
+   */
+  const syncSquareCount = () => {
+    if (!squaresContainer) return;
+
+    const squares = squaresContainer.querySelectorAll(`.${CLASS_NAMES.square}`);
+    for (let i = squares.length - 1; i >= settings.count; i--) {
+      squares[i].remove();
+    }
+    for (let i = squares.length; i < settings.count; i++) {
+      squaresContainer.appendChild(createSquareElement(i));
+    }
+  };
+
+  /**
+   * Applies the background style to the area container
+   */
+  const applyBackground = () => {
+    if (!areaContainer) return;
+
+    areaContainer.style.cssText = `
+      ${createBackgroundStyle()}
+      width: 100%;
+      height: 100%;
+      position: relative;
+    `;
+  };
+
   /**
    * Initializes the floating squares animation
    * @param {Object} newSettings - Optional new settings to apply
@@ -260,9 +273,12 @@ export default function FloatingSquaresPlugin(containerElement, animationSetting
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, containerElement);
     }
 
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
     // Clean up existing elements
     const existingContainer = container.querySelector(`.${CLASS_NAMES.container}`);
     if (existingContainer && existingContainer.parentNode === container) {
@@ -273,15 +289,10 @@ export default function FloatingSquaresPlugin(containerElement, animationSetting
     injectAnimationStyles();
 
     // Create main container
-    const areaContainer = document.createElement("div");
+    areaContainer = document.createElement("div");
     areaContainer.className = CLASS_NAMES.container;
     areaContainer.setAttribute("data-salameh-fsq", "container");
-    areaContainer.style.cssText = `
-      ${createBackgroundStyle()}
-      width: 100%;
-      height: 100%;
-      position: relative;
-    `;
+    applyBackground();
 
     // Create squares container
     squaresContainer = document.createElement("ul");
@@ -291,54 +302,29 @@ export default function FloatingSquaresPlugin(containerElement, animationSetting
     squaresContainer.setAttribute("role", "presentation");
 
     // Create squares
-    for (let i = 0; i < settings.count; i++) {
-      const square = createSquareElement(i);
-      squaresContainer.appendChild(square);
-    }
+    syncSquareCount();
 
     areaContainer.appendChild(squaresContainer);
     container.appendChild(areaContainer);
   };
 
-  /**
-   * Debounced resize handler
-   */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (container) {
-        initializeFloatingSquares();
-      }
-    }, 150); // Debounce resize events
-  };
-
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
+    running = true;
     initializeFloatingSquares();
-    resizeHandler = handleResize;
-    window.addEventListener("resize", resizeHandler, { passive: true });
+    if (!unsubscribePauseAll) {
+      unsubscribePauseAll = onPauseAllChange(applyPlayState);
+    }
   };
 
   /**
    * Cleans up the animation and removes event listeners
    */
   const clean = () => {
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Remove container
     if (container) {
       try {
@@ -361,12 +347,144 @@ export default function FloatingSquaresPlugin(containerElement, animationSetting
     }
 
     // Clean up references
+    areaContainer = null;
     squaresContainer = null;
+    running = false;
     container = null;
+
+    if (unsubscribePauseAll) {
+      unsubscribePauseAll();
+      unsubscribePauseAll = null;
+    }
+  };
+
+  /**
+   * Applies the current play state to every square; pauseAll() holds them as well
+   */
+  const applyPlayState = () => {
+    if (!squaresContainer) return;
+
+    squaresContainer.querySelectorAll(`.${CLASS_NAMES.square}`).forEach((square) => {
+      square.style.animationPlayState = running && !isPausedAll() ? "running" : "paused";
+    });
+  };
+
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    running = false;
+    applyPlayState();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!container) return;
+
+    running = true;
+    applyPlayState();
+  };
+
+  /**
+   * Seeks the CSS animations to the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Animation time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    seekAnimations(container, timeMs);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement }} Capture target
+   */
+  const getCaptureTarget = () => ({ element: areaContainer });
+
+  /**
+   * Returns whether the animation is currently playing
+   * @returns {boolean}
+   */
+  const isRunning = () => running;
+
+  /**
+   * Changes the rise speed without recreating the squares
+   * @param {number} speed - Speed multiplier (1 = normal)
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, containerElement);
+    if (!squaresContainer) return;
+
+    squaresContainer.querySelectorAll(`.${CLASS_NAMES.square}`).forEach((square) => {
+      const baseDuration = parseFloat(square.getAttribute("data-salameh-fsq-duration")) || settings.duration;
+      square.style.animationDuration = `${baseDuration / settings.speed}s`;
+    });
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const { speed, ...rest } = partialSettings;
+    if (speed !== undefined) {
+      setSpeed(speed);
+    }
+
+    if (Object.keys(rest).length === 0) return;
+
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...rest }, containerElement);
+    if (!squaresContainer) return;
+
+    const changed = (...keys) => keys.some((key) => settings[key] !== previous[key]);
+
+    if (changed("backgroundColor", "backgroundImage", "enableGradient", "gradientColor1", "gradientColor2", "gradientDirection")) {
+      applyBackground();
+    }
+
+    // The random options decide each square's layout, so the squares are laid out again
+    if (changed("enableRandomSizes", "enableRandomDelays", "enableRandomPositions")) {
+      squaresContainer.replaceChildren();
+    }
+
+    squaresContainer.querySelectorAll(`.${CLASS_NAMES.square}`).forEach((square) => {
+      if (changed("color")) {
+        square.style.background = settings.color;
+      }
+      if (changed("duration") && square.getAttribute("data-salameh-fsq-fixed") !== "true") {
+        applySquareDuration(square, null);
+      }
+    });
+
+    syncSquareCount();
+  };
+
+  /**
+   * Squares are positioned in percentages, so the browser handles resizing
+   */
+  const resize = () => {};
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
   };
 
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
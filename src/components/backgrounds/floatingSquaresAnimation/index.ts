@@ -1,4 +1,4 @@
 // Component exports
-export { FloatingSquares } from "./FloatingSquares";
-// export type { FloatingSquaresProps, FloatingSquaresAdvancedSettings } from "./FloatingSquares";
+export { FloatingSquares, floatingSquaresJsonSchema } from "./FloatingSquares";
+export type { FloatingSquaresProps, FloatingSquaresAdvancedSettings, FloatingSquaresHandle } from "./FloatingSquares";
 
@@ -1,15 +1,24 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import GeometricAnimationPlugin from "./GeometricAnimationPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import GeometricAnimationPlugin, { settingsSchema } from "./GeometricAnimationPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell } from "../shared/BackgroundShell";
+import type { BackgroundProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -26,116 +35,81 @@ interface AdvancedSettings {
   enableGradientOverlay?: boolean;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string; speed?: number | string };
+
+type GeometricAnimationHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  neon: { backgroundColor: "#07070f", advanced: { colors: ["#39ff14", "#ff073a", "#00f0ff", "#ffe700"] } },
+  pastel: { backgroundColor: "#f6f1ee", advanced: { colors: ["#ffadad", "#ffd6a5", "#caffbf", "#a0c4ff", "#bdb2ff"], enableParticles: false, enableGradientOverlay: false } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise; speed is left out,
+// since a new animation duration makes the shapes jump to another point of their path
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  particleCount: { band: "level", scale: [1, 2] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const geometricAnimationJsonSchema = createJsonSchema("GeometricAnimation", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed", "seed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Geometric Animation Component
  * A React component that creates animated geometric shapes background
  */
-export function GeometricAnimation({ width = "auto", height = "auto", backgroundColor = "#1a1a2e", backgroundImage, speed = 1, advanced, children }: Props) {
+export const GeometricAnimation = forwardRef<GeometricAnimationHandle, Props>(function GeometricAnimation(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.speed, advanced, motion = "auto", autoPause = true, seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("GeometricAnimation", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  }, [width, height]);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      speed: toNumber(speed, 1),
-      count: toNumber(advanced?.count, 40),
-      types: advanced?.types && Array.isArray(advanced.types) && advanced.types.length > 0 ? advanced.types : ["square", "circle", "triangle", "rectangle"],
-      colors: advanced?.colors && Array.isArray(advanced.colors) && advanced.colors.length > 0 ? advanced.colors : ["#f72585", "#4cc9f0", "#7209b7", "#4361ee"],
-      enableMouseInteraction: advanced?.enableMouseInteraction ?? true,
-      mouseSensitivity: toNumber(advanced?.mouseSensitivity, 0.05),
-      enableParticles: advanced?.enableParticles ?? true,
-      particleCount: toNumber(advanced?.particleCount, 100),
-      enableGradientOverlay: advanced?.enableGradientOverlay ?? true,
+      speed,
+      count: advanced?.count ?? defaults.count,
+      types: advanced?.types ?? defaults.types,
+      colors: advanced?.colors ?? (palette ? [palette.primary, palette.secondary, palette.accent, palette.glow] : defaults.colors),
+      enableMouseInteraction: advanced?.enableMouseInteraction ?? defaults.enableMouseInteraction,
+      mouseSensitivity: advanced?.mouseSensitivity ?? defaults.mouseSensitivity,
+      enableParticles: advanced?.enableParticles ?? defaults.enableParticles,
+      particleCount: advanced?.particleCount ?? defaults.particleCount,
+      enableGradientOverlay: advanced?.enableGradientOverlay ?? defaults.enableGradientOverlay,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!containerRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const geometricAnimation = GeometricAnimationPlugin(containerRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = geometricAnimation;
-
-    geometricAnimation.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = GeometricAnimationPlugin(containerRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(GeometricAnimationPlugin(containerRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     resizeObserver.observe(containerRef.current);
@@ -147,41 +121,14 @@ export function GeometricAnimation({ width = "auto", height = "auto", background
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated geometric shapes background">
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated geometric shapes background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as GeometricAnimationProps, AdvancedSettings as GeometricAnimationAdvancedSettings };
+export type { Props as GeometricAnimationProps, AdvancedSettings as GeometricAnimationAdvancedSettings, GeometricAnimationHandle };
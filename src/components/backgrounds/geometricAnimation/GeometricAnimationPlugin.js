@@ -6,20 +6,35 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#1a1a2e",
-  backgroundImage: null,
-  count: 40,
-  types: ["square", "circle", "triangle", "rectangle"],
-  colors: ["#f72585", "#4cc9f0", "#7209b7", "#4361ee"],
-  speed: 1,
-  enableMouseInteraction: true,
-  mouseSensitivity: 0.05,
-  enableParticles: true,
-  particleCount: 100,
-  enableGradientOverlay: true,
+import createFrameTiming, { seekAnimations } from "../shared/frameTiming.js";
+import createRandom from "../shared/random.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the GeometricAnimation background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("GeometricAnimation", {
+  backgroundColor: { type: "color", default: "#1a1a2e", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  count: { type: "number", default: 40, min: 1, max: 200, description: "Number of shapes" },
+  types: {
+    type: "enums",
+    values: ["square", "circle", "triangle", "rectangle"],
+    default: ["square", "circle", "triangle", "rectangle"],
+    description: "Kinds of shapes drawn",
+  },
+  colors: { type: "colors", default: ["#f72585", "#4cc9f0", "#7209b7", "#4361ee"], description: "Colors the shapes are picked from" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the shapes" },
+  enableMouseInteraction: { type: "boolean", default: true, description: "Moves the shapes with the pointer" },
+  mouseSensitivity: { type: "number", default: 0.05, min: 0.01, max: 2, description: "How strongly the shapes follow the pointer" },
+  enableParticles: { type: "boolean", default: true, description: "Adds small floating particles" },
+  particleCount: { type: "number", default: 100, min: 0, max: 500, description: "Number of particles" },
+  enableGradientOverlay: { type: "boolean", default: true, description: "Darkens the edges with a gradient overlay" },
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-geo-";
 
@@ -51,83 +66,6 @@ const CLASS_NAMES = {
   gradientOverlay: `${NAMESPACE_PREFIX}gradient-overlay`,
 };
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = 0, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Validates array of colors
- * @param {Array} colors - Array of color strings
- * @param {Array} defaultValue - Default array if invalid
- * @returns {Array} Validated array
- */
-const validateColorArray = (colors, defaultValue) => {
-  if (!Array.isArray(colors) || colors.length === 0) {
-    return defaultValue;
-  }
-  return colors.map((color) => validateColor(color, defaultValue[0])).filter(Boolean);
-};
-
-/**
- * Validates array of shape types
- * @param {Array} types - Array of shape type strings
- * @param {Array} defaultValue - Default array if invalid
- * @returns {Array} Validated array
- */
-const validateTypeArray = (types, defaultValue) => {
-  const validTypes = ["square", "circle", "triangle", "rectangle"];
-  if (!Array.isArray(types) || types.length === 0) {
-    return defaultValue;
-  }
-  return types.filter((type) => validTypes.includes(type)).length > 0 ? types.filter((type) => validTypes.includes(type)) : defaultValue;
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    count: Math.max(1, Math.min(200, validateNumber(settings.count, defaultSettings.count, 1, 200))),
-    types: validateTypeArray(settings.types, defaultSettings.types),
-    colors: validateColorArray(settings.colors, defaultSettings.colors),
-    speed: validateNumber(settings.speed, defaultSettings.speed, 0.1, 10),
-    enableMouseInteraction: Boolean(settings.enableMouseInteraction !== false),
-    mouseSensitivity: validateNumber(settings.mouseSensitivity, defaultSettings.mouseSensitivity, 0.01, 2.0),
-    enableParticles: Boolean(settings.enableParticles !== false),
-    particleCount: Math.max(0, Math.min(500, validateNumber(settings.particleCount, defaultSettings.particleCount, 0, 500))),
-    enableGradientOverlay: Boolean(settings.enableGradientOverlay !== false),
-  };
-};
-
 /**
  * Creates CSS animation styles if not already present
  */
@@ -312,13 +250,22 @@ const injectAnimationStyles = () => {
  * Geometric Animation Plugin
  * @param {HTMLElement} containerElement - Container element for the animation
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean, pause, resume, isRunning, setSpeed, update, resize and destroy methods
  */
 export default function GeometricAnimationPlugin(containerElement, animationSettings = {}) {
   if (!containerElement || !(containerElement instanceof HTMLElement)) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
@@ -331,18 +278,33 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
   let backgroundImage = null;
   let gradientOverlay = null;
   let mouseInteraction = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, containerElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
 
   // Random number generator
   const randomNumFrom = (min, max) => {
-    return Math.random() * (max - min) + min;
+    return random() * (max - min) + min;
   };
 
   // Random array item selector
   const randomArrayItem = (arr) => {
-    return arr[Math.floor(Math.random() * arr.length)];
+    return arr[Math.floor(random() * arr.length)];
+  };
+
+  /**
+   * Paints a shape with a random color from the palette
+   * @param {HTMLElement} element - Shape element
+   * @param {string} type - Shape type
+   */
+  const applyShapeColor = (element, type) => {
+    const color = randomArrayItem(settings.colors);
+    if (type === "triangle") {
+      element.style.borderBottomColor = color;
+    } else {
+      element.style.background = color;
+    }
   };
 
   /**
@@ -357,9 +319,10 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
     const originalX = x;
     const originalY = y;
     const speedMultiplier = settings.speed || 1;
-    const animationDelay = Math.random() * 10;
+    const animationDelay = random() * 10;
     const baseDuration = type === "square" ? 20 : type === "circle" ? 15 : type === "triangle" ? 12 : 18;
-    const animationDuration = baseDuration / speedMultiplier + Math.random() * 10;
+    const durationJitter = random() * 10;
+    const animationDuration = baseDuration / speedMultiplier + durationJitter;
 
     const element = document.createElement("div");
     element.className = `${CLASS_NAMES.shape} ${CLASS_NAMES[type]}`;
@@ -369,12 +332,7 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
     element.setAttribute("aria-hidden", "true");
     element.setAttribute("role", "presentation");
 
-    const color = randomArrayItem(settings.colors);
-    if (type === "triangle") {
-      element.style.borderBottomColor = color;
-    } else {
-      element.style.background = color;
-    }
+    applyShapeColor(element, type);
 
     element.style.left = `${x}%`;
     element.style.top = `${y}%`;
@@ -403,6 +361,8 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
       element,
       originalX,
       originalY,
+      baseDuration,
+      durationJitter,
       update: updateShape,
     };
   };
@@ -416,8 +376,9 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
    */
   const createParticle = (x, y, index) => {
     const speedMultiplier = settings.speed || 1;
-    const animationDelay = Math.random() * 8;
-    const animationDuration = (Math.random() * 4 + 4) / speedMultiplier;
+    const animationDelay = random() * 8;
+    const baseDuration = random() * 4 + 4;
+    const animationDuration = baseDuration / speedMultiplier;
 
     const element = document.createElement("div");
     element.className = CLASS_NAMES.particle;
@@ -436,6 +397,7 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
       y,
       index,
       element,
+      baseDuration,
     };
   };
 
@@ -444,10 +406,20 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
    */
   const createShapes = () => {
     shapes = [];
-    for (let i = 0; i < settings.count; i++) {
+    syncShapeCount();
+  };
+
+  /**
+   * Adds or removes shapes to match the configured count, keeping the ones already moving
+   */
+  const syncShapeCount = () => {
+    while (shapes.length > settings.count) {
+      shapes.pop().element.remove();
+    }
+    for (let i = shapes.length; i < settings.count; i++) {
       const shapeType = randomArrayItem(settings.types);
-      const posX = Math.random() * 100;
-      const posY = Math.random() * 100;
+      const posX = random() * 100;
+      const posY = random() * 100;
 
       const shape = createShape(posX, posY, shapeType, i);
       if (geometricBackground) {
@@ -462,11 +434,21 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
    */
   const createParticles = () => {
     particles = [];
-    if (!settings.enableParticles || !particlesContainer) return;
+    syncParticleCount();
+  };
+
+  /**
+   * Adds or removes particles to match the configured count
+   */
+  const syncParticleCount = () => {
+    const targetCount = settings.enableParticles && particlesContainer ? settings.particleCount : 0;
+    while (particles.length > targetCount) {
+      particles.pop().element.remove();
+    }
 
-    for (let i = 0; i < settings.particleCount; i++) {
-      const posX = Math.random() * 100;
-      const posY = Math.random() * 100;
+    for (let i = particles.length; i < targetCount; i++) {
+      const posX = random() * 100;
+      const posY = random() * 100;
 
       const particle = createParticle(posX, posY, i);
       particlesContainer.appendChild(particle.element);
@@ -474,6 +456,54 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
     }
   };
 
+  /**
+   * Creates or removes the particles container to match enableParticles
+   */
+  const syncParticlesContainer = () => {
+    if (settings.enableParticles && !particlesContainer) {
+      particlesContainer = document.createElement("div");
+      particlesContainer.className = CLASS_NAMES.particlesContainer;
+      particlesContainer.setAttribute("data-salameh-geo", "particles-container");
+      particlesContainer.setAttribute("aria-hidden", "true");
+      container.insertBefore(particlesContainer, gradientOverlay);
+    } else if (!settings.enableParticles && particlesContainer) {
+      syncParticleCount();
+      particlesContainer.remove();
+      particlesContainer = null;
+    }
+  };
+
+  /**
+   * Replaces the background color and image with the current settings
+   */
+  const applyBackground = () => {
+    if (backgroundImage && backgroundImage.parentNode) {
+      backgroundImage.remove();
+    }
+
+    // Set background color
+    container.style.background = settings.backgroundImage ? "transparent" : settings.backgroundColor;
+
+    // Create background image
+    backgroundImage = createBackgroundImage();
+    if (backgroundImage) {
+      container.insertBefore(backgroundImage, container.firstChild);
+    }
+  };
+
+  /**
+   * Creates or removes the gradient overlay to match enableGradientOverlay
+   */
+  const syncGradientOverlay = () => {
+    if (settings.enableGradientOverlay && !gradientOverlay) {
+      gradientOverlay = createGradientOverlay();
+      container.appendChild(gradientOverlay);
+    } else if (!settings.enableGradientOverlay && gradientOverlay) {
+      gradientOverlay.remove();
+      gradientOverlay = null;
+    }
+  };
+
   /**
    * Creates background image if provided
    * @returns {HTMLElement|null} Background image element
@@ -544,6 +574,34 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
     return interaction;
   };
 
+  /**
+   * Removes mouse interaction handlers
+   */
+  const removeMouseInteraction = () => {
+    if (!mouseInteraction) return;
+
+    if (mouseInteraction.mouseMoveHandler) {
+      document.removeEventListener("mousemove", mouseInteraction.mouseMoveHandler);
+    }
+    if (mouseInteraction.touchMoveHandler) {
+      document.removeEventListener("touchmove", mouseInteraction.touchMoveHandler);
+    }
+    mouseInteraction = null;
+  };
+
+  /**
+   * Applies the current play state to every shape and particle
+   */
+  const applyPlayState = () => {
+    const playState = animationId !== null ? "running" : "paused";
+    shapes.forEach((shape) => {
+      shape.element.style.animationPlayState = playState;
+    });
+    particles.forEach((particle) => {
+      particle.element.style.animationPlayState = playState;
+    });
+  };
+
   /**
    * Initializes the geometric animation
    * @param {Object} newSettings - Optional new settings to apply
@@ -553,9 +611,12 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, containerElement);
     }
 
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
     // Clean up existing elements
     const existingBackground = container.querySelector(`.${CLASS_NAMES.geometricBackground}`);
     if (existingBackground && existingBackground.parentNode === container) {
@@ -585,17 +646,10 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
       container.style.overflow = "hidden";
     }
 
-    // Set background color
-    container.style.background = settings.backgroundImage ? "transparent" : settings.backgroundColor;
-
     // Inject animation styles
     injectAnimationStyles();
 
-    // Create background image
-    backgroundImage = createBackgroundImage();
-    if (backgroundImage) {
-      container.appendChild(backgroundImage);
-    }
+    applyBackground();
 
     // Create geometric background container
     geometricBackground = document.createElement("div");
@@ -604,20 +658,11 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
     geometricBackground.setAttribute("aria-hidden", "true");
     container.appendChild(geometricBackground);
 
-    // Create particles container
-    if (settings.enableParticles) {
-      particlesContainer = document.createElement("div");
-      particlesContainer.className = CLASS_NAMES.particlesContainer;
-      particlesContainer.setAttribute("data-salameh-geo", "particles-container");
-      particlesContainer.setAttribute("aria-hidden", "true");
-      container.appendChild(particlesContainer);
-    }
-
-    // Create gradient overlay
-    gradientOverlay = createGradientOverlay();
-    if (gradientOverlay) {
-      container.appendChild(gradientOverlay);
-    }
+    // Create particles container and gradient overlay
+    particlesContainer = null;
+    gradientOverlay = null;
+    syncParticlesContainer();
+    syncGradientOverlay();
 
     // Initialize shapes and particles
     createShapes();
@@ -628,7 +673,7 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
    * Main render function
    */
   const render = () => {
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
 
     // Update shapes for mouse interaction
     if (mouseInteraction && settings.enableMouseInteraction) {
@@ -638,37 +683,15 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
     }
   };
 
-  /**
-   * Debounced resize handler
-   */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (container) {
-        // Stop current animation
-        if (animationId) {
-          cancelAnimationFrame(animationId);
-          animationId = null;
-        }
-        // Reinitialize with current settings
-        initializeGeometric();
-        // Restart animation
-        render();
-      }
-    }, 150); // Debounce resize events
-  };
-
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeGeometric();
     mouseInteraction = addMouseInteraction();
     render();
-    resizeHandler = handleResize;
-    window.addEventListener("resize", resizeHandler, { passive: true });
   };
 
   /**
@@ -677,32 +700,12 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
   const clean = () => {
     // Stop animation
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Remove mouse interaction listeners
-    if (mouseInteraction) {
-      if (mouseInteraction.mouseMoveHandler) {
-        document.removeEventListener("mousemove", mouseInteraction.mouseMoveHandler);
-      }
-      if (mouseInteraction.touchMoveHandler) {
-        document.removeEventListener("touchmove", mouseInteraction.touchMoveHandler);
-      }
-      mouseInteraction = null;
-    }
+    removeMouseInteraction();
 
     // Remove all created elements
     if (container) {
@@ -740,8 +743,132 @@ export default function GeometricAnimationPlugin(containerElement, animationSett
     container = null;
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    applyPlayState();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && container) {
+      render();
+      applyPlayState();
+    }
+  };
+
+  /**
+   * Advances exactly one frame at the given time and seeks the CSS animations to it, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    seekAnimations(container, timeMs);
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns what captureFrame() and record() draw; the container also holds the page content
+   * @returns {{ element: HTMLElement, include: Function }} Container and a filter for the layers of this animation
+   */
+  const getCaptureTarget = () => {
+    const layers = [backgroundImage, geometricBackground, particlesContainer, gradientOverlay];
+    return { element: container, include: (child) => layers.includes(child) };
+  };
+
+  /**
+   * Returns whether the animation is currently running
+   * @returns {boolean}
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the animation speed without recreating the shapes
+   * @param {number} speed - Speed multiplier (1 = normal)
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, containerElement);
+    shapes.forEach((shape) => {
+      shape.element.style.animationDuration = `${shape.baseDuration / settings.speed + shape.durationJitter}s`;
+    });
+    particles.forEach((particle) => {
+      particle.element.style.animationDuration = `${particle.baseDuration / settings.speed}s`;
+    });
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const { speed, ...rest } = partialSettings;
+    if (speed !== undefined) {
+      setSpeed(speed);
+    }
+
+    if (Object.keys(rest).length === 0) return;
+
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...rest }, containerElement);
+    if (!container || !geometricBackground) return;
+
+    const changed = (...keys) => keys.some((key) => settings[key] !== previous[key]);
+
+    if (changed("backgroundColor", "backgroundImage")) {
+      applyBackground();
+    }
+
+    // Shape types are picked when a shape is created, so a new type list re-creates them
+    if (rest.types !== undefined) {
+      shapes.forEach((shape) => shape.element.remove());
+      shapes = [];
+    } else if (rest.colors !== undefined) {
+      shapes.forEach((shape) => applyShapeColor(shape.element, shape.type));
+    }
+    syncShapeCount();
+
+    syncParticlesContainer();
+    syncParticleCount();
+    syncGradientOverlay();
+    applyPlayState();
+
+    if (changed("enableMouseInteraction")) {
+      removeMouseInteraction();
+      mouseInteraction = addMouseInteraction();
+    }
+  };
+
+  /**
+   * Shapes and particles are positioned in percentages, so the browser handles resizing
+   */
+  const resize = () => {};
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
@@ -1,3 +1,3 @@
 // Component exports
-export { GeometricAnimation } from "./GeometricAnimation";
-// export type { GeometricAnimationProps, GeometricAnimationAdvancedSettings } from "./GeometricAnimation";
+export { GeometricAnimation, geometricAnimationJsonSchema } from "./GeometricAnimation";
+export type { GeometricAnimationProps, GeometricAnimationAdvancedSettings, GeometricAnimationHandle } from "./GeometricAnimation";
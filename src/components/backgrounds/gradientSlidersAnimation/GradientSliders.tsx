@@ -1,15 +1,24 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import GradientSlidersPlugin from "./GradientSlidersPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import GradientSlidersPlugin, { settingsSchema } from "./GradientSlidersPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings> {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -23,135 +32,84 @@ interface AdvancedSettings {
   duration?: number | string;
   enableAlternate?: boolean;
   enableOpacity?: boolean;
+  maxPixelRatio?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string; speed?: number | string };
+
+type GradientSlidersHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  sunrise: { backgroundColor: "#fff4e6", advanced: { colors: ["#ff9a8b", "#ffd3a5"], angle: -30 } },
+  ocean: { backgroundColor: "#e6f7ff", advanced: { colors: ["#74ebd5", "#acb6e5"], angle: 60 } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  opacity: { band: "level", scale: [0.6, 1.8] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const gradientSlidersJsonSchema = createJsonSchema("GradientSliders", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Gradient Sliders Animation Component
  * A React component that creates animated gradient sliders background using canvas
  */
-export function GradientSliders({ width = "auto", height = "auto", backgroundColor = "#eee", backgroundImage, speed = 1, advanced, children }: Props) {
+export const GradientSliders = forwardRef<GradientSlidersHandle, Props>(function GradientSliders(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.speed, advanced, motion = "auto", autoPause = true, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("GradientSliders", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
-
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    // Set background color as fallback
-    style.background = backgroundColor;
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
 
-    return style;
-  }, [width, height, backgroundColor]);
-
-  /**
-   * Memoized canvas style calculation
-   */
-  const canvasStyle = useMemo((): React.CSSProperties => {
-    return {
-      position: "absolute",
-      top: 0,
-      left: 0,
-      width: "100%",
-      height: "100%",
-      display: "block",
-    };
-  }, []);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+  const transparent = backgroundColor === "transparent";
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      speed: toNumber(speed, 1),
-      count: toNumber(advanced?.count, 3),
-      colors: advanced?.colors && Array.isArray(advanced.colors) && advanced.colors.length >= 2 ? advanced.colors : ["#FFEFBA", "#FFFFFF"],
-      angle: toNumber(advanced?.angle, -60),
-      opacity: Math.max(0, Math.min(1, toNumber(advanced?.opacity, 0.5))),
-      duration: toNumber(advanced?.duration, 3),
-      enableAlternate: advanced?.enableAlternate ?? true,
-      enableOpacity: advanced?.enableOpacity ?? true,
+      speed,
+      count: advanced?.count ?? defaults.count,
+      colors: advanced?.colors ?? (palette ? [palette.primary, palette.secondary] : defaults.colors),
+      angle: advanced?.angle ?? defaults.angle,
+      opacity: advanced?.opacity ?? defaults.opacity,
+      duration: advanced?.duration ?? defaults.duration,
+      enableAlternate: advanced?.enableAlternate ?? defaults.enableAlternate,
+      enableOpacity: advanced?.enableOpacity ?? defaults.enableOpacity,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, palette]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!canvasRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const gradientSliders = GradientSlidersPlugin(canvasRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = gradientSliders;
-
-    gradientSliders.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current && canvasRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = GradientSlidersPlugin(canvasRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(GradientSlidersPlugin(canvasRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     if (containerRef.current) {
@@ -165,42 +123,16 @@ export function GradientSliders({ width = "auto", height = "auto", backgroundCol
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, transparent]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated gradient sliders background">
-      <canvas ref={canvasRef} style={canvasStyle} />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated gradient sliders background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} background={backgroundColor} content={children}>
+      {/* A canvas keeps the kind of context it was first given, so switching transparency needs a new one */}
+      <canvas key={transparent ? "alpha" : "opaque"} ref={canvasRef} style={CANVAS_STYLE} />
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as GradientSlidersProps, AdvancedSettings as GradientSlidersAdvancedSettings };
+export type { Props as GradientSlidersProps, AdvancedSettings as GradientSlidersAdvancedSettings, GradientSlidersHandle };
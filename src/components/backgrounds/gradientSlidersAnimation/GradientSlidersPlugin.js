@@ -6,113 +6,70 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#eee",
-  backgroundImage: null,
-  count: 3,
-  colors: ["#FFEFBA", "#FFFFFF"],
-  angle: -60,
-  opacity: 0.5,
-  duration: 3,
-  speed: 1,
-  enableAlternate: true,
-  enableOpacity: true,
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the GradientSliders background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("GradientSliders", {
+  backgroundColor: { type: "color", default: "#eee", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  count: { type: "number", default: 3, min: 1, max: 10, description: "Number of sliding gradient bands" },
+  colors: { type: "colors", length: 2, default: ["#FFEFBA", "#FFFFFF"], description: "Start and end color of the gradient" },
+  angle: { type: "number", default: -60, min: -360, max: 360, description: "Angle of the bands in degrees" },
+  opacity: { type: "number", default: 0.5, min: 0, max: 1, description: "Opacity of the bands" },
+  duration: { type: "number", default: 3, min: 0.1, max: 60, description: "Duration of one slide in seconds" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the slides" },
+  enableAlternate: { type: "boolean", default: true, description: "Slides the bands back and forth instead of restarting" },
+  enableOpacity: { type: "boolean", default: true, description: "Applies opacity to the bands" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-gs-";
 
 // Canvas data attribute
 const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = -Infinity, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Validates array of colors
- * @param {Array} colors - Array of color strings
- * @param {Array} defaultValue - Default array if invalid
- * @returns {Array} Validated array
- */
-const validateColorArray = (colors, defaultValue) => {
-  if (!Array.isArray(colors) || colors.length < 2) {
-    return defaultValue;
-  }
-  return colors
-    .map((color) => validateColor(color, defaultValue[0]))
-    .filter(Boolean)
-    .slice(0, 2);
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    count: Math.max(1, Math.min(10, validateNumber(settings.count, defaultSettings.count, 1, 10))),
-    colors: validateColorArray(settings.colors, defaultSettings.colors),
-    angle: validateNumber(settings.angle, defaultSettings.angle, -360, 360),
-    opacity: Math.max(0, Math.min(1, validateNumber(settings.opacity, defaultSettings.opacity, 0, 1))),
-    duration: validateNumber(settings.duration, defaultSettings.duration, 0.1, 60),
-    speed: validateNumber(settings.speed, defaultSettings.speed, 0.1, 10),
-    enableAlternate: Boolean(settings.enableAlternate !== false),
-    enableOpacity: Boolean(settings.enableOpacity !== false),
-  };
-};
-
 /**
  * Gradient Sliders Animation Plugin
  * @param {HTMLCanvasElement} canvasElement - Canvas element for the animation
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 export default function GradientSlidersPlugin(canvasElement, animationSettings = {}) {
   if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let canvas = canvasElement;
   let context = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let sliders = [];
   let animationId = null;
   let backgroundImage = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
+  let lastFrame = null;
+  let animationTime = 0;
 
   // Mark canvas with data attribute
   canvas.setAttribute("data-salameh-gs", "canvas");
@@ -126,30 +83,34 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
    * @returns {Object} Slider object
    */
   const createSlider = (index) => {
-    const baseDuration = settings.duration || 3;
-    const speedMultiplier = settings.speed || 1;
-    const duration = baseDuration / speedMultiplier;
-
     return {
       index: index,
       offset: 0,
       direction: 1,
-      duration: index === 0 ? duration : index === 1 ? duration * 1.33 : duration * 1.67,
-      startTime: performance.now(),
       opacity: settings.opacity,
     };
   };
 
+  /**
+   * Returns the seconds of one sweep of a slider, read on every frame so a new duration reaches the sliders already shown
+   * @param {Object} slider - Slider object
+   * @returns {number} Duration in seconds
+   */
+  const getSliderDuration = (slider) => {
+    const duration = settings.duration || 3;
+    return slider.index === 0 ? duration : slider.index === 1 ? duration * 1.33 : duration * 1.67;
+  };
+
   /**
    * Updates a slider
    * @param {Object} slider - Slider object to update
-   * @param {number} currentTime - Current time in milliseconds
+   * @param {number} time - Speed-scaled animation time in milliseconds
    */
-  const updateSlider = (slider, currentTime) => {
-    const elapsed = (currentTime - slider.startTime) / 1000;
+  const updateSlider = (slider, time) => {
+    const elapsed = time / 1000;
 
     // Use continuous sine wave for truly infinite animation
-    const frequency = (2 * Math.PI) / slider.duration;
+    const frequency = (2 * Math.PI) / getSliderDuration(slider);
     const phase = elapsed * frequency;
 
     // Calculate offset using sine wave for seamless looping
@@ -169,6 +130,8 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
     if (settings.enableOpacity) {
       const opacityValue = settings.opacity * (0.95 + 0.05 * Math.sin(phase * 2));
       slider.opacity = isFinite(opacityValue) ? Math.max(0, Math.min(1, opacityValue)) : settings.opacity;
+    } else {
+      slider.opacity = settings.opacity;
     }
   };
 
@@ -228,6 +191,9 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
         context.fillStyle = settings.backgroundColor;
         context.fillRect(0, 0, screen.width, screen.height);
       }
+    } else if (settings.backgroundColor === "transparent") {
+      // Filling with a transparent color would leave the previous frame behind
+      context.clearRect(0, 0, screen.width, screen.height);
     } else {
       // Create solid background
       context.fillStyle = settings.backgroundColor;
@@ -244,38 +210,51 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, canvasElement);
     }
 
     // Get 2D context
-    context = canvas.getContext("2d", { alpha: false });
+    context = canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
 
     if (!context) {
       return;
     }
 
-    // Get canvas dimensions
-    const rect = canvas.getBoundingClientRect();
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
 
-    // Calculate dimensions based on settings
-    let width = rect.width || 800;
-    let height = rect.height || 400;
+    screen = { width: 0, height: 0 };
+    resizeCanvas();
 
-    // Set canvas dimensions
-    screen = {
-      width: Math.max(1, Math.floor(width) || rect.width || 800),
-      height: Math.max(1, Math.floor(height) || rect.height || 400),
-    };
+    // Load background image if provided
+    loadBackgroundImage();
+
+    // Initialize gradient sliders
+    sliders = [];
+    syncSliderCount();
+  };
+
+  /**
+   * Matches the canvas backing store to its displayed size
+   */
+  const resizeCanvas = () => {
+    if (!canvas || !context || !sizer) return;
+
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
 
-    // Set canvas dimensions (this clears the canvas)
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+    screen = { width: size.width, height: size.height };
 
     // Set canvas display size (CSS pixels)
     canvas.style.width = "100%";
     canvas.style.height = "100%";
+  };
 
-    // Load background image if provided
+  /**
+   * Loads the background image, falling back to the solid color when it fails
+   */
+  const loadBackgroundImage = () => {
     if (settings.backgroundImage) {
       if (backgroundImage) {
         // Clean up previous image
@@ -296,11 +275,17 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
     } else {
       backgroundImage = null;
     }
+  };
 
-    // Initialize gradient sliders
-    sliders = [];
-    for (let i = 0; i < settings.count; i++) {
-      sliders.push(createSlider(i));
+  /**
+   * Adds or removes sliders to match the count, keeping the ones already shown
+   */
+  const syncSliderCount = () => {
+    while (sliders.length < settings.count) {
+      sliders.push(createSlider(sliders.length));
+    }
+    if (sliders.length > settings.count) {
+      sliders.length = settings.count;
     }
   };
 
@@ -310,49 +295,47 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
   const render = () => {
     if (!context || !canvas) return;
 
-    const currentTime = performance.now();
-    animationId = requestAnimationFrame(render);
+    // Advance the animation clock, scaled by speed
+    const currentTime = timing.now();
+    if (lastFrame !== null) {
+      animationTime += (currentTime - lastFrame) * settings.speed;
+    }
+    lastFrame = currentTime;
+    animationId = timing.request(render);
+
+    drawFrame();
+  };
 
+  /**
+   * Draws the sliders at the current animation time
+   */
+  const drawFrame = () => {
     // Draw background
     drawBackground();
 
     // Update and draw sliders
     for (let i = 0; i < sliders.length; i++) {
-      updateSlider(sliders[i], currentTime);
+      updateSlider(sliders[i], animationTime);
       drawSlider(sliders[i]);
     }
   };
 
   /**
-   * Debounced resize handler
+   * Draws the current frame again without moving the clock, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (canvas) {
-        // Stop current animation
-        if (animationId) {
-          cancelAnimationFrame(animationId);
-          animationId = null;
-        }
-        // Reinitialize with current settings
-        initializeGradientSliders();
-        // Restart animation
-        render();
-      }
-    }, 150); // Debounce resize events
+  const redraw = () => {
+    if (!context || !canvas) return;
+    drawFrame();
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeGradientSliders();
     render();
-    resizeHandler = handleResize;
-    window.addEventListener("resize", resizeHandler, { passive: true });
   };
 
   /**
@@ -361,22 +344,10 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
   const clean = () => {
     // Stop animation
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Clean up background image
     if (backgroundImage) {
       backgroundImage.onload = null;
@@ -384,6 +355,12 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
       backgroundImage = null;
     }
 
+    // Stop watching the device pixel ratio
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
+    }
+
     // Clear canvas
     if (context && screen) {
       try {
@@ -400,8 +377,118 @@ export default function GradientSlidersPlugin(canvasElement, animationSettings =
     screen = { width: 0, height: 0 };
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    lastFrame = null;
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && context && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the slide speed
+   * @param {number|string} speed - Speed multiplier
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, canvasElement);
+
+    if (!context) return;
+
+    // The canvas context is created with or without alpha depending on transparency,
+    // and a canvas keeps the kind of context it was first given, so the component hands over a new one
+    if ((settings.backgroundColor === "transparent") !== (previous.backgroundColor === "transparent")) {
+      initializeGradientSliders();
+      return;
+    }
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.backgroundImage !== previous.backgroundImage) {
+      loadBackgroundImage();
+    }
+
+    syncSliderCount();
+  };
+
+  /**
+   * Resizes the canvas to its container without restarting the sliders
+   */
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+
+    canvasElement.removeAttribute("data-salameh-gs");
+    canvasElement.removeAttribute(CANVAS_DATA_ATTR);
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
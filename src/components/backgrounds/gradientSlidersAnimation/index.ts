@@ -1,3 +1,3 @@
 // Component exports
-export { GradientSliders } from "./GradientSliders";
-// export type { GradientSlidersProps, GradientSlidersAdvancedSettings } from "./GradientSliders";
+export { GradientSliders, gradientSlidersJsonSchema } from "./GradientSliders";
+export type { GradientSlidersProps, GradientSlidersAdvancedSettings, GradientSlidersHandle } from "./GradientSliders";
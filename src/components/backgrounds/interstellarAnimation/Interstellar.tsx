@@ -1,21 +1,33 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import InterstellarPlugin from "./InterstellarPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import InterstellarPlugin, { settingsSchema } from "./InterstellarPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { useQualityChange } from "../shared/useQualityChange";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, AdaptiveQualityProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps, AdaptiveQualityProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
 }
 
 interface AdvancedSettings {
+  starColor?: string;
+  nebulaColor?: string;
   ringCount?: number | string;
   starCount?: number | string;
   scale?: number | string;
@@ -28,140 +40,99 @@ interface AdvancedSettings {
   glowIntensity?: number | string;
   enablePulse?: boolean;
   pulseSpeed?: number | string;
+  maxPixelRatio?: number | string;
 }
 
-/**
- * Interstellar Animation Component
- * A React component that creates animated interstellar effect with stars, rings, and mouse interaction
- */
-export function Interstellar({ width = "auto", height = "auto", backgroundColor = "#000000", backgroundImage, speed = 1, advanced, children }: Props) {
-  const containerRef = useRef<HTMLDivElement | null>(null);
-  const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string; speed?: number | string };
 
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
+type InterstellarHandle = BackgroundHandle<Settings>;
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
 
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  "night-sky": {
+    backgroundColor: "#02030a",
+    advanced: { starColor: "hsl(45, 100%, 90%)", nebulaColor: "hsl(240, 60%, 25%)", starCount: 300, ringCount: 20, enableGlow: true, glowIntensity: 0.4 },
+  },
+  hyperspace: { speed: 3, advanced: { starColor: "hsl(190, 100%, 70%)", nebulaColor: "hsl(280, 90%, 40%)", ringCount: 60, enablePulse: true, pulseSpeed: 0.05 } },
+};
 
-    // Set background color as fallback
-    style.background = backgroundColor;
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  scale: { band: "bass", scale: [1, 1.3] },
+  glowIntensity: { band: "level", scale: [1, 3] },
+};
 
-    return style;
-  }, [width, height, backgroundColor]);
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const interstellarJsonSchema = createJsonSchema("Interstellar", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed", "quality", "seed"], rest: "advanced", presets: Object.keys(PRESETS) });
 
-  /**
-   * Memoized canvas style calculation
-   */
-  const canvasStyle = useMemo((): React.CSSProperties => {
-    return {
-      position: "absolute",
-      top: 0,
-      left: 0,
-      width: "100%",
-      height: "100%",
-      display: "block",
-    };
-  }, []);
+/**
+ * Interstellar Animation Component
+ * A React component that creates animated interstellar effect with stars, rings, and mouse interaction
+ */
+export const Interstellar = forwardRef<InterstellarHandle, Props>(function Interstellar(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.speed, advanced, motion = "auto", autoPause = true, quality, onQualityChange, seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("Interstellar", PRESETS, props);
+  const containerRef = useRef<HTMLDivElement | null>(null);
+  const canvasRef = useRef<HTMLCanvasElement | null>(null);
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const handleQualityChange = useQualityChange(onQualityChange);
+  const palette = useThemePalette();
+
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+  const transparent = backgroundColor === "transparent";
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      speed: toNumber(speed, 1),
-      ringCount: toNumber(advanced?.ringCount, 35),
-      starCount: toNumber(advanced?.starCount, 150),
-      scale: toNumber(advanced?.scale, 150),
-      spring: toNumber(advanced?.spring, 0.95),
-      friction: toNumber(advanced?.friction, 0.95),
-      text1: advanced?.text1 || "",
-      text2: advanced?.text2 || "",
-      enableMouseInteraction: advanced?.enableMouseInteraction ?? true,
-      enableGlow: advanced?.enableGlow ?? false,
-      glowIntensity: toNumber(advanced?.glowIntensity, 0.3),
-      enablePulse: advanced?.enablePulse ?? false,
-      pulseSpeed: toNumber(advanced?.pulseSpeed, 0.02),
+      speed,
+      starColor: advanced?.starColor ?? palette?.glow ?? defaults.starColor,
+      nebulaColor: advanced?.nebulaColor ?? palette?.secondary ?? defaults.nebulaColor,
+      ringCount: advanced?.ringCount ?? defaults.ringCount,
+      starCount: advanced?.starCount ?? defaults.starCount,
+      scale: advanced?.scale ?? defaults.scale,
+      spring: advanced?.spring ?? defaults.spring,
+      friction: advanced?.friction ?? defaults.friction,
+      text1: advanced?.text1 || defaults.text1,
+      text2: advanced?.text2 || defaults.text2,
+      enableMouseInteraction: advanced?.enableMouseInteraction ?? defaults.enableMouseInteraction,
+      enableGlow: advanced?.enableGlow ?? defaults.enableGlow,
+      glowIntensity: advanced?.glowIntensity ?? defaults.glowIntensity,
+      enablePulse: advanced?.enablePulse ?? defaults.enablePulse,
+      pulseSpeed: advanced?.pulseSpeed ?? defaults.pulseSpeed,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
+      quality: quality || null,
+      onQualityChange: handleQualityChange,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, quality, handleQualityChange, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!canvasRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const interstellar = InterstellarPlugin(canvasRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = interstellar;
-
-    interstellar.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current && canvasRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = InterstellarPlugin(canvasRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(InterstellarPlugin(canvasRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     if (containerRef.current) {
@@ -175,42 +146,16 @@ export function Interstellar({ width = "auto", height = "auto", backgroundColor
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, seed, transparent]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated interstellar background">
-      <canvas ref={canvasRef} style={canvasStyle} />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated interstellar background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} background={backgroundColor} content={children}>
+      {/* A canvas keeps the kind of context it was first given, so switching transparency needs a new one */}
+      <canvas key={transparent ? "alpha" : "opaque"} ref={canvasRef} style={CANVAS_STYLE} />
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as InterstellarProps, AdvancedSettings as InterstellarAdvancedSettings };
+export type { Props as InterstellarProps, AdvancedSettings as InterstellarAdvancedSettings, InterstellarHandle };
@@ -6,100 +6,93 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#000000",
-  backgroundImage: null,
-  ringCount: 35,
-  starCount: 150,
-  scale: 150,
-  spring: 0.95,
-  friction: 0.95,
-  text1: "",
-  text2: "",
-  speed: 1,
-  enableMouseInteraction: true,
-  enableGlow: false,
-  glowIntensity: 0.3,
-  enablePulse: false,
-  pulseSpeed: 0.02,
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createQualityGovernor, { scaleDensity } from "../shared/qualityGovernor.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import createRandom from "../shared/random.js";
+import { formatColor, mixColors, parseColor } from "../shared/color.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD, QUALITY_FIELDS, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the Interstellar background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("Interstellar", {
+  backgroundColor: { type: "color", default: "#000000", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  starColor: { type: "color", default: "hsl(201, 95%, 45%)", description: "Color of the stars and the bright rings" },
+  nebulaColor: { type: "color", default: "hsl(220, 95%, 30%)", description: "Color of the nebula glow and the dim rings" },
+  ringCount: { type: "number", default: 35, min: 1, max: 100, description: "Number of rings" },
+  starCount: { type: "number", default: 150, min: 1, max: 500, description: "Number of stars" },
+  scale: { type: "number", default: 150, min: 10, max: 1000, description: "Size of the ring field" },
+  spring: { type: "number", default: 0.95, min: 0.1, max: 1, description: "How strongly the field springs back after the pointer moves it" },
+  friction: { type: "number", default: 0.95, min: 0.1, max: 1, description: "How much of its motion the field keeps each frame" },
+  text1: { type: "string", default: "", description: "First line of text in the center" },
+  text2: { type: "string", default: "", description: "Second line of text in the center" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Speed multiplier of the animation" },
+  enableMouseInteraction: { type: "boolean", default: true, description: "Lets the pointer pull the field" },
+  enableGlow: { type: "boolean", default: false, description: "Adds a glow to the stars" },
+  glowIntensity: { type: "number", default: 0.3, min: 0, max: 1, description: "Strength of the glow" },
+  enablePulse: { type: "boolean", default: false, description: "Makes the rings pulse" },
+  pulseSpeed: { type: "number", default: 0.02, min: 0.001, max: 0.1, description: "Speed of the pulse" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  ...QUALITY_FIELDS,
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-int-";
 
 // Canvas data attribute
 const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = -Infinity, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
+const WHITE = Object.freeze({ r: 255, g: 255, b: 255 });
+const DEEP_SPACE = Object.freeze({ r: 13, g: 13, b: 13 });
 
 /**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
+ * Derives the gradient colors of the scene from its two base colors
+ * @param {string} starColor - Color of the stars and rings
+ * @param {string} nebulaColor - Color of the sky wash and the text
+ * @returns {Object} Parsed colors; alpha is applied per draw
  */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    ringCount: Math.max(1, Math.min(100, validateNumber(settings.ringCount, defaultSettings.ringCount, 1, 100))),
-    starCount: Math.max(1, Math.min(500, validateNumber(settings.starCount, defaultSettings.starCount, 1, 500))),
-    scale: validateNumber(settings.scale, defaultSettings.scale, 10, 1000),
-    spring: Math.max(0.1, Math.min(1, validateNumber(settings.spring, defaultSettings.spring, 0.1, 1))),
-    friction: Math.max(0.1, Math.min(1, validateNumber(settings.friction, defaultSettings.friction, 0.1, 1))),
-    text1: typeof settings.text1 === "string" ? settings.text1 : "",
-    text2: typeof settings.text2 === "string" ? settings.text2 : "",
-    speed: validateNumber(settings.speed, defaultSettings.speed, 0.1, 10),
-    enableMouseInteraction: Boolean(settings.enableMouseInteraction !== false),
-    enableGlow: Boolean(settings.enableGlow === true),
-    glowIntensity: Math.max(0, Math.min(1, validateNumber(settings.glowIntensity, defaultSettings.glowIntensity, 0, 1))),
-    enablePulse: Boolean(settings.enablePulse === true),
-    pulseSpeed: Math.max(0.001, Math.min(0.1, validateNumber(settings.pulseSpeed, defaultSettings.pulseSpeed, 0.001, 0.1))),
-  };
-};
+const buildPalette = (starColor, nebulaColor) => ({
+  starColor,
+  nebulaColor,
+  star: parseColor(starColor),
+  starShade: parseColor(mixColors(starColor, "#000000", 0.4)),
+  ringCore: parseColor(mixColors(starColor, "#ffffff", 0.85)),
+  nebula: parseColor(nebulaColor),
+  nebulaShade: parseColor(mixColors(nebulaColor, "#000000", 0.6)),
+  text: parseColor(mixColors(nebulaColor, "#ffffff", 0.6)),
+});
 
 /**
  * Interstellar Animation Plugin
  * @param {HTMLCanvasElement} canvasElement - Canvas element for the animation
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 export default function InterstellarPlugin(canvasElement, animationSettings = {}) {
   if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let canvas = canvasElement;
   let context = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let stars = [];
   let animationId = null;
@@ -117,9 +110,24 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
   let midY = [];
   let rad = [];
   let eventHandlers = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let palette = buildPalette(settings.starColor, settings.nebulaColor);
+
+  /**
+   * Returns the scene colors, rebuilt when the base colors change
+   * @returns {Object} Parsed colors
+   */
+  const getPalette = () => {
+    if (palette.starColor !== settings.starColor || palette.nebulaColor !== settings.nebulaColor) {
+      palette = buildPalette(settings.starColor, settings.nebulaColor);
+    }
+    return palette;
+  };
+  let destroyed = false;
+  let qualityScale = 1;
+  let governor = null;
   let pulsePhase = 0;
 
   // Mark canvas with data attribute
@@ -163,17 +171,17 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
    * @param {Object} star - Star object to reset
    */
   const resetStar = (star) => {
-    star.x = star.s.rnd ? screen.width * Math.random() : star.s.dx;
-    star.y = star.s.rnd ? screen.height * Math.random() : star.s.dy;
-    star.r = (star.s.rmax - 1) * Math.random() + 0.5;
-    star.dx = Math.random() * star.s.maxx * (Math.random() < 0.5 ? -1 : 1);
-    star.dy = Math.random() * star.s.maxy * (Math.random() < 0.5 ? -1 : 1);
+    star.x = star.s.rnd ? screen.width * random() : star.s.dx;
+    star.y = star.s.rnd ? screen.height * random() : star.s.dy;
+    star.r = (star.s.rmax - 1) * random() + 0.5;
+    star.dx = random() * star.s.maxx * (random() < 0.5 ? -1 : 1);
+    star.dy = random() * star.s.maxy * (random() < 0.5 ? -1 : 1);
     star.tw = (star.s.tlap / 60) * (star.r / star.s.rmax);
-    star.rt = Math.random() * star.tw;
-    star.s.rt = Math.random() + 1;
-    star.cs = Math.random() * 0.2 + 0.4;
-    star.s.mvx *= Math.random() * (Math.random() < 0.5 ? -1 : 1);
-    star.s.mvy *= Math.random() * (Math.random() < 0.5 ? -1 : 1);
+    star.rt = random() * star.tw;
+    star.s.rt = random() + 1;
+    star.cs = random() * 0.2 + 0.4;
+    star.s.mvx *= random() * (random() < 0.5 ? -1 : 1);
+    star.s.mvy *= random() * (random() < 0.5 ? -1 : 1);
   };
 
   /**
@@ -191,12 +199,6 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
   const drawStar = (star) => {
     if (!context) return;
 
-    if (star.s.twinkle && (star.rt <= 0 || star.rt >= star.tw)) {
-      star.s.rt = star.s.rt * -1;
-    } else if (star.rt >= star.tw) {
-      resetStar(star);
-    }
-
     let o = 1 - star.rt / star.tw;
     context.beginPath();
     context.arc(star.x, star.y, star.r, 0, Math.PI * 2, true);
@@ -205,10 +207,11 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
     let rad = star.r * o;
     if (rad <= 0) rad = 1;
 
+    const { star: starColor, starShade } = getPalette();
     let g = context.createRadialGradient(star.x, star.y, 0, star.x, star.y, rad);
-    g.addColorStop(0.0, `hsla(255, 255%, 255%, ${o})`);
-    g.addColorStop(star.cs, `hsla(201, 95%, 25%, ${o * 0.6})`);
-    g.addColorStop(1.0, "hsla(201, 95%, 45%, 0)");
+    g.addColorStop(0.0, formatColor({ ...WHITE, a: o }));
+    g.addColorStop(star.cs, formatColor({ ...starShade, a: o * 0.6 }));
+    g.addColorStop(1.0, formatColor({ ...starColor, a: 0 }));
     context.fillStyle = g;
     context.fill();
   };
@@ -222,6 +225,12 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
     star.y += (star.rt / star.tw) * star.dy * settings.speed;
     if (star.x > screen.width || star.x < 0) star.dx *= -1;
     if (star.y > screen.height || star.y < 0) star.dy *= -1;
+
+    if (star.s.twinkle && (star.rt <= 0 || star.rt >= star.tw)) {
+      star.s.rt = star.s.rt * -1;
+    } else if (star.rt >= star.tw) {
+      resetStar(star);
+    }
   };
 
   /**
@@ -230,9 +239,13 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
   const drawBackground = () => {
     if (!context) return;
 
-    // Clear canvas with background color
-    context.fillStyle = settings.backgroundColor;
-    context.fillRect(0, 0, screen.width, screen.height);
+    // Clear canvas with background color; a transparent one lets the layers below show through
+    if (settings.backgroundColor === "transparent") {
+      context.clearRect(0, 0, screen.width, screen.height);
+    } else {
+      context.fillStyle = settings.backgroundColor;
+      context.fillRect(0, 0, screen.width, screen.height);
+    }
 
     // Draw background image if provided
     if (settings.backgroundImage && backgroundImage && backgroundImage.complete && backgroundImage.naturalWidth > 0) {
@@ -260,8 +273,10 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
         context.drawImage(backgroundImage, drawX, drawY, drawWidth, drawHeight);
       } catch (error) {
         // Fallback to solid background if image draw fails
-        context.fillStyle = settings.backgroundColor;
-        context.fillRect(0, 0, screen.width, screen.height);
+        if (settings.backgroundColor !== "transparent") {
+          context.fillStyle = settings.backgroundColor;
+          context.fillRect(0, 0, screen.width, screen.height);
+        }
       }
     }
   };
@@ -273,7 +288,7 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
     if (!context || (!settings.text1 && !settings.text2)) return;
 
     context.font = "3em Economica";
-    context.fillStyle = "hsla(220, 95%, 75%, .55)";
+    context.fillStyle = formatColor({ ...getPalette().text, a: 0.55 });
 
     if (settings.text1) {
       let t0 = settings.text1.split("").join(String.fromCharCode(0x2004));
@@ -294,9 +309,11 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
 
     context.globalCompositeOperation = "source-over";
     let g_ = context.createLinearGradient(screen.width + screen.width, screen.height + screen.height * 1.5, screen.width + screen.width, 1);
-    g_.addColorStop(0, "hsla(220, 95%, 10%, .55)");
-    g_.addColorStop(0.5, "hsla(220, 95%, 30%, .55)");
-    g_.addColorStop(1, "hsla(0, 0%, 5%, 1)");
+    const { nebula, nebulaShade } = getPalette();
+    g_.addColorStop(0, formatColor({ ...nebulaShade, a: 0.55 }));
+    g_.addColorStop(0.5, formatColor({ ...nebula, a: 0.55 }));
+    // The wash fades into deep space, or out entirely over a transparent background
+    g_.addColorStop(1, formatColor(settings.backgroundColor === "transparent" ? { ...DEEP_SPACE, a: 0 } : DEEP_SPACE));
     context.fillStyle = g_;
     context.fillRect(0, 0, screen.width, screen.height);
     context.globalCompositeOperation = "lighter";
@@ -304,11 +321,15 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
 
   /**
    * Draws rings
+   * @param {boolean} advance - Whether the pulse moves on
    */
-  const drawRings = () => {
+  const drawRings = (advance) => {
     if (!context) return;
 
-    for (let i = 0; i < settings.ringCount; i++) {
+    const { star: ringColor, ringCore } = getPalette();
+    let phase = pulsePhase;
+
+    for (let i = 0; i < midX.length; i++) {
       let currX = midX[i];
       let currY = midY[i];
       let currRad = rad[i];
@@ -333,8 +354,8 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
       // Apply pulse effect if enabled
       let pulseMultiplier = 1;
       if (settings.enablePulse) {
-        pulseMultiplier = 1 + Math.sin(pulsePhase) * 0.1;
-        pulsePhase += settings.pulseSpeed * settings.speed;
+        pulseMultiplier = 1 + Math.sin(phase) * 0.1;
+        phase += settings.pulseSpeed * settings.speed;
       }
 
       let g = context.createRadialGradient(
@@ -347,14 +368,16 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
       );
 
       let glowAlpha = settings.enableGlow ? settings.glowIntensity : 1;
-      g.addColorStop(0, `hsla(176, 95%, 95%, ${glowAlpha})`);
-      g.addColorStop(0.5, `hsla(201, 95%, 45%, ${0.5 * glowAlpha})`);
-      g.addColorStop(1, "hsla(0, 0%, 0%, 0)");
+      g.addColorStop(0, formatColor({ ...ringCore, a: glowAlpha }));
+      g.addColorStop(0.5, formatColor({ ...ringColor, a: 0.5 * glowAlpha }));
+      g.addColorStop(1, "rgba(0, 0, 0, 0)");
       context.fillStyle = g;
       context.beginPath();
       context.arc(ix * settings.scale + screen.width / 2, iy * settings.scale + screen.height / 2, irad * settings.scale * pulseMultiplier, 0, Math.PI * 2.0, true);
       context.fill();
     }
+
+    if (advance) pulsePhase = phase;
   };
 
   /**
@@ -398,38 +421,86 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, canvasElement);
     }
 
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
     // Get 2D context
-    context = canvas.getContext("2d", { alpha: false });
+    context = canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
 
     if (!context) {
       return;
     }
 
-    // Get canvas dimensions
-    const rect = canvas.getBoundingClientRect();
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
 
-    // Calculate dimensions
-    let width = rect.width || 800;
-    let height = rect.height || 400;
+    screen = { width: 0, height: 0 };
+    resizeCanvas();
 
-    // Set canvas dimensions
-    screen = {
-      width: Math.max(1, Math.floor(width) || rect.width || 800),
-      height: Math.max(1, Math.floor(height) || rect.height || 400),
-    };
+    // Load background image if provided
+    loadBackgroundImage();
+
+    // Watch the frame rate when adaptive quality is on
+    if (!governor) governor = createQualityGovernor(applyQuality);
+    governor.configure(settings.quality);
 
-    // Set canvas dimensions (this clears the canvas)
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+    // Initialize rings
+    createRings();
+
+    // Initialize stars
+    stars = [];
+    syncStarCount();
+
+    // Reset mouse and inverse kinematics variables
+    mouseX = 0;
+    mouseY = 0;
+    _mouseX = 0;
+    _mouseY = 0;
+    invX = 0;
+    invY = 0;
+    _invX = 0;
+    _invY = 0;
+    flag = 1;
+    pulsePhase = 0;
+
+    // Add mouse event listeners if enabled
+    addMouseListeners();
+  };
+
+  /**
+   * Matches the canvas backing store to its displayed size, keeping the stars in place
+   */
+  const resizeCanvas = () => {
+    if (!canvas || !context || !sizer) return;
+
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
+
+    // Move existing stars proportionally so the field keeps its layout
+    if (screen.width && screen.height) {
+      const scaleX = size.width / screen.width;
+      const scaleY = size.height / screen.height;
+      for (let j = 0; j < stars.length; j++) {
+        stars[j].x *= scaleX;
+        stars[j].y *= scaleY;
+      }
+    }
+
+    screen = { width: size.width, height: size.height };
 
     // Set canvas display size (CSS pixels)
     canvas.style.width = "100%";
     canvas.style.height = "100%";
+  };
 
-    // Load background image if provided
+  /**
+   * Loads the background image, falling back to the solid color when it fails
+   */
+  const loadBackgroundImage = () => {
     if (settings.backgroundImage) {
       if (backgroundImage) {
         // Clean up previous image
@@ -450,70 +521,100 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
     } else {
       backgroundImage = null;
     }
+  };
 
-    // Initialize rings
-    let radi = (Math.PI * 2.0) / settings.ringCount;
+  /**
+   * Lays the rings out evenly around the center
+   */
+  const createRings = () => {
+    const ringCount = scaleDensity(settings.ringCount, qualityScale);
+    let radi = (Math.PI * 2.0) / ringCount;
     midX = [];
     midY = [];
     rad = [];
-    for (let i = 0; i < settings.ringCount; i++) {
+    for (let i = 0; i < ringCount; i++) {
       midX[i] = Math.cos(radi * i);
       midY[i] = Math.sin(radi * i);
       rad[i] = 0.1;
     }
+  };
 
-    // Initialize stars
-    stars = [];
-    for (let j = 0; j < settings.starCount; j++) {
-      stars[j] = createStar();
-      resetStar(stars[j]);
+  /**
+   * Adds or removes stars until the configured count is reached
+   */
+  const syncStarCount = () => {
+    const starCount = scaleDensity(settings.starCount, qualityScale);
+    while (stars.length < starCount) {
+      const star = createStar();
+      resetStar(star);
+      stars.push(star);
+    }
+    if (stars.length > starCount) {
+      stars.length = starCount;
     }
+  };
 
-    // Reset mouse and inverse kinematics variables
-    mouseX = 0;
-    mouseY = 0;
-    _mouseX = 0;
-    _mouseY = 0;
-    invX = 0;
-    invY = 0;
-    _invX = 0;
-    _invY = 0;
-    flag = 1;
-    pulsePhase = 0;
+  /**
+   * Applies a new quality scale from the governor
+   * @param {number} scale - Share of the configured density to render (0-1)
+   */
+  const applyQuality = (scale) => {
+    qualityScale = scale;
+    if (context) {
+      // Each ring is a radial gradient fill, the most expensive part of a frame
+      if (midX.length !== scaleDensity(settings.ringCount, qualityScale)) {
+        createRings();
+      }
+      syncStarCount();
+    }
+    if (settings.onQualityChange) {
+      settings.onQualityChange(scale);
+    }
+  };
 
-    // Remove old event listeners if they exist
+  /**
+   * Removes the mouse and touch listeners
+   */
+  const removeMouseListeners = () => {
     if (eventHandlers) {
       document.removeEventListener("mousemove", eventHandlers.mouseMove);
       document.removeEventListener("touchmove", eventHandlers.touchMove);
       eventHandlers = null;
     }
+  };
 
-    // Add mouse event listeners if enabled
-    if (settings.enableMouseInteraction) {
-      const handleMouseMove = (e) => {
-        const rect = canvas.getBoundingClientRect();
-        mouseX = (e.clientX - rect.left - screen.width / 2) / settings.scale;
-        mouseY = (e.clientY - rect.top - screen.height / 2) / settings.scale;
-      };
+  /**
+   * Adds the mouse and touch listeners when mouse interaction is enabled
+   */
+  const addMouseListeners = () => {
+    // Remove old event listeners if they exist
+    removeMouseListeners();
 
-      const handleTouchMove = (e) => {
-        if (e.touches && e.touches.length > 0) {
-          const rect = canvas.getBoundingClientRect();
-          const touch = e.touches[0];
-          mouseX = (touch.clientX - rect.left - screen.width / 2) / settings.scale;
-          mouseY = (touch.clientY - rect.top - screen.height / 2) / settings.scale;
-        }
-      };
+    if (!settings.enableMouseInteraction) return;
 
-      document.addEventListener("mousemove", handleMouseMove, { passive: true });
-      document.addEventListener("touchmove", handleTouchMove, { passive: false });
+    const handleMouseMove = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      mouseX = (e.clientX - rect.left - screen.width / 2) / settings.scale;
+      mouseY = (e.clientY - rect.top - screen.height / 2) / settings.scale;
+    };
 
-      // Store event handlers for cleanup
-      eventHandlers = {
-        mouseMove: handleMouseMove,
-        touchMove: handleTouchMove,
-      };
-    }
+    const handleTouchMove = (e) => {
+      if (e.touches && e.touches.length > 0) {
+        const rect = canvas.getBoundingClientRect();
+        const touch = e.touches[0];
+        mouseX = (touch.clientX - rect.left - screen.width / 2) / settings.scale;
+        mouseY = (touch.clientY - rect.top - screen.height / 2) / settings.scale;
+      }
+    };
+
+    document.addEventListener("mousemove", handleMouseMove, { passive: true });
+    document.addEventListener("touchmove", handleTouchMove, { passive: false });
+
+    // Store event handlers for cleanup
+    eventHandlers = {
+      mouseMove: handleMouseMove,
+      touchMove: handleTouchMove,
+    };
   };
 
   /**
@@ -522,60 +623,56 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
   const render = () => {
     if (!context || !canvas) return;
 
-    const currentTime = performance.now();
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
+    if (governor) governor.frame(timing.now());
+
+    drawFrame(true);
+  };
 
+  /**
+   * Draws one frame
+   * @param {boolean} advance - Whether the rings and stars move before being drawn
+   */
+  const drawFrame = (advance) => {
     // Draw background first
     drawBackground();
 
     // Update inverse kinematics
-    updateInverseKinematics();
+    if (advance) updateInverseKinematics();
 
     // Draw fill and text
     fill();
     drawText();
 
     // Draw rings
-    drawRings();
+    drawRings(advance);
 
     // Draw stars
     for (let j = 0; j < stars.length; j++) {
-      fadeStar(stars[j]);
-      animateStar(stars[j]);
+      if (advance) {
+        fadeStar(stars[j]);
+        animateStar(stars[j]);
+      }
       drawStar(stars[j]);
     }
   };
 
   /**
-   * Debounced resize handler
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (canvas) {
-        // Stop current animation
-        if (animationId) {
-          cancelAnimationFrame(animationId);
-          animationId = null;
-        }
-        // Reinitialize with current settings
-        initializeInterstellar();
-        // Restart animation
-        render();
-      }
-    }, 150); // Debounce resize events
+  const redraw = () => {
+    if (!context || !canvas) return;
+    drawFrame(false);
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeInterstellar();
     render();
-    resizeHandler = handleResize;
-    window.addEventListener("resize", resizeHandler, { passive: true });
   };
 
   /**
@@ -584,28 +681,12 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
   const clean = () => {
     // Stop animation
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Remove mouse event listeners if they exist
-    if (eventHandlers) {
-      document.removeEventListener("mousemove", eventHandlers.mouseMove);
-      document.removeEventListener("touchmove", eventHandlers.touchMove);
-      eventHandlers = null;
-    }
+    removeMouseListeners();
 
     // Clean up background image
     if (backgroundImage) {
@@ -614,6 +695,12 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
       backgroundImage = null;
     }
 
+    // Stop watching the device pixel ratio
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
+    }
+
     // Clear canvas
     if (context && screen) {
       try {
@@ -624,6 +711,8 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
     }
 
     // Clean up references
+    governor = null;
+    qualityScale = 1;
     stars = [];
     midX = [];
     midY = [];
@@ -633,8 +722,128 @@ export default function InterstellarPlugin(canvasElement, animationSettings = {}
     screen = { width: 0, height: 0 };
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    if (governor) governor.reset();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && context && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the star and pulse speed
+   * @param {number|string} speed - Speed multiplier
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, canvasElement);
+
+    if (!context) return;
+
+    // The canvas context is created with or without alpha depending on transparency,
+    // and a canvas keeps the kind of context it was first given, so the component hands over a new one
+    if ((settings.backgroundColor === "transparent") !== (previous.backgroundColor === "transparent")) {
+      initializeInterstellar();
+      return;
+    }
+
+    if (governor) governor.configure(settings.quality);
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.backgroundImage !== previous.backgroundImage) {
+      loadBackgroundImage();
+    }
+
+    if (settings.ringCount !== previous.ringCount) {
+      createRings();
+    }
+
+    if (settings.enableMouseInteraction !== previous.enableMouseInteraction) {
+      addMouseListeners();
+    }
+
+    syncStarCount();
+  };
+
+  /**
+   * Resizes the canvas to its container without resetting the stars
+   */
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+
+    canvasElement.removeAttribute("data-salameh-int");
+    canvasElement.removeAttribute(CANVAS_DATA_ATTR);
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
@@ -1,3 +1,3 @@
 // Component exports
-export { Interstellar } from "./Interstellar";
-// export type { InterstellarProps, InterstellarAdvancedSettings } from "./Interstellar";
+export { Interstellar, interstellarJsonSchema } from "./Interstellar";
+export type { InterstellarProps, InterstellarAdvancedSettings, InterstellarHandle } from "./Interstellar";
@@ -0,0 +1,47 @@
+import { animatedCirclesJsonSchema } from "./AnimatedCircles";
+import { crystalBallJsonSchema } from "./crystalBallAnimation";
+import { expandingBallsJsonSchema } from "./expandingBallsAnimation";
+import { expandingCirclesJsonSchema } from "./expandingCirclesAnimation";
+import { expandingSquaresJsonSchema } from "./expandingSquaresAnimation";
+import { firefliesJsonSchema } from "./firefliesAnimation";
+import { floatingBallsJsonSchema } from "./floatingBallsAnimation";
+import { floatingParticlesJsonSchema } from "./floatingParticlesAnimation";
+import { floatingSquaresJsonSchema } from "./floatingSquaresAnimation";
+import { geometricAnimationJsonSchema } from "./geometricAnimation";
+import { gradientSlidersJsonSchema } from "./gradientSlidersAnimation";
+import { interstellarJsonSchema } from "./interstellarAnimation";
+import { mathPatternJsonSchema } from "./mathPatternAnimation";
+import { particlesJsonSchema } from "./particleAnimation";
+import { rainJsonSchema } from "./rainAnimation";
+import { snowJsonSchema } from "./snowAnimation";
+import { waterDropsJsonSchema } from "./waterDropsAnimation";
+import { waveJsonSchema } from "./waveAnimation";
+import type { JsonSchema } from "./shared/jsonSchema";
+
+/**
+ * JSON Schema of every background's props, keyed by component name, so an
+ * editor can list the backgrounds and render a validated form for each
+ */
+export const backgroundJsonSchemas = Object.freeze({
+  AnimatedCircles: animatedCirclesJsonSchema,
+  CrystalBall: crystalBallJsonSchema,
+  ExpandingBalls: expandingBallsJsonSchema,
+  ExpandingCircles: expandingCirclesJsonSchema,
+  ExpandingSquares: expandingSquaresJsonSchema,
+  Fireflies: firefliesJsonSchema,
+  FloatingBalls: floatingBallsJsonSchema,
+  FloatingParticles: floatingParticlesJsonSchema,
+  FloatingSquares: floatingSquaresJsonSchema,
+  GeometricAnimation: geometricAnimationJsonSchema,
+  GradientSliders: gradientSlidersJsonSchema,
+  Interstellar: interstellarJsonSchema,
+  MathPattern: mathPatternJsonSchema,
+  Particles: particlesJsonSchema,
+  Rain: rainJsonSchema,
+  Snow: snowJsonSchema,
+  WaterDrops: waterDropsJsonSchema,
+  Wave: waveJsonSchema,
+}) satisfies Readonly<Record<string, JsonSchema>>;
+
+// Name of a background component
+export type BackgroundName = keyof typeof backgroundJsonSchemas;
@@ -1,14 +1,24 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import MathPatternPlugin from "./MathPatternPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import MathPatternPlugin, { settingsSchema } from "./MathPatternPlugin.js";
+import createWorkerPlugin from "../shared/workerPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, RenderInProps } from "../shared/backgroundProps";
+import { createJsonSchema, RENDER_IN_JSON } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, RenderInProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -21,130 +31,85 @@ interface AdvancedSettings {
   centerY?: number | string;
   baseColor?: number | string;
   colorVariation?: number | string;
+  maxPixelRatio?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; speed?: number | string };
+
+type MathPatternHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  midnight: { backgroundColor: "#000010", advanced: { baseColor: 64, colorVariation: 48 } },
+  pastel: { advanced: { baseColor: 220, colorVariation: 32 } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  colorVariation: { band: "bass", scale: [0.5, 2] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const mathPatternJsonSchema = createJsonSchema("MathPattern", settingsSchema, { props: { backgroundColor: "backgroundColor", speed: "speed", renderIn: RENDER_IN_JSON }, rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Math Pattern Animation Component
  * A React component that creates animated mathematical pattern background using canvas
  */
-export function MathPattern({ width = "auto", height = "auto", backgroundColor = "transparent", speed = 0.03, advanced, children }: Props) {
+export const MathPattern = forwardRef<MathPatternHandle, Props>(function MathPattern(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, speed = defaults.speed, advanced, motion = "auto", autoPause = true, renderIn = "main", poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("MathPattern", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
 
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  }, [width, height]);
-
-  /**
-   * Memoized canvas style calculation
-   */
-  const canvasStyle = useMemo((): React.CSSProperties => {
-    return {
-      position: "absolute",
-      top: 0,
-      left: 0,
-      width: "100%",
-      height: "100%",
-      display: "block",
-    };
-  }, []);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+  const transparent = backgroundColor === "transparent";
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
     return {
       backgroundColor,
-      speed: toNumber(speed, 0.03),
-      gridSize: toNumber(advanced?.gridSize, 30),
-      pixelSize: toNumber(advanced?.pixelSize, 10),
-      centerX: toNumber(advanced?.centerX, 100),
-      centerY: toNumber(advanced?.centerY, 100),
-      baseColor: toNumber(advanced?.baseColor, 192),
-      colorVariation: toNumber(advanced?.colorVariation, 64),
+      speed,
+      gridSize: advanced?.gridSize ?? defaults.gridSize,
+      pixelSize: advanced?.pixelSize ?? defaults.pixelSize,
+      centerX: advanced?.centerX ?? defaults.centerX,
+      centerY: advanced?.centerY ?? defaults.centerY,
+      baseColor: advanced?.baseColor ?? defaults.baseColor,
+      colorVariation: advanced?.colorVariation ?? defaults.colorVariation,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
     };
   }, [backgroundColor, speed, advanced]);
 
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
+
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
-    if (!canvasRef.current) return;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
 
-    const settings = buildCurrentSettings();
-    const mathPattern = MathPatternPlugin(canvasRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = mathPattern;
-
-    mathPattern.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current && canvasRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          const newPlugin = MathPatternPlugin(canvasRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current = newPlugin;
-          pluginRef.current.start();
-          break;
-        }
-      }
+    const settings = getSettings();
+    const plugin = renderIn === "worker" && containerRef.current ? createWorkerPlugin(containerRef.current, canvas, "mathPattern", settings, (fallbackSettings: typeof settings, fallbackCanvas: HTMLCanvasElement) => MathPatternPlugin(fallbackCanvas, fallbackSettings)) : MathPatternPlugin(canvas, settings);
+    startPlugin(plugin as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     if (containerRef.current) {
@@ -158,42 +123,16 @@ export function MathPattern({ width = "auto", height = "auto", backgroundColor =
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, renderIn, transparent]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated mathematical pattern background">
-      <canvas ref={canvasRef} style={canvasStyle} />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated mathematical pattern background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      {/* A canvas keeps the kind of context it was first given, or its transfer to a worker, so switching renderIn or transparency needs a new one */}
+      <canvas key={`${renderIn}-${transparent ? "alpha" : "opaque"}`} ref={canvasRef} style={CANVAS_STYLE} />
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as MathPatternProps, AdvancedSettings as MathPatternAdvancedSettings };
+export type { Props as MathPatternProps, AdvancedSettings as MathPatternAdvancedSettings, MathPatternHandle };
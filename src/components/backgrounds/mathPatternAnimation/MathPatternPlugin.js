@@ -6,92 +6,65 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "transparent",
-  speed: 0.03,
-  gridSize: 30,
-  pixelSize: 10,
-  centerX: 100,
-  centerY: 100,
-  baseColor: 192,
-  colorVariation: 64,
+import createCanvasSizer, { isCanvasElement } from "../shared/canvasSizer.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import createSettingsSchema, { PIXEL_RATIO_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the MathPattern background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("MathPattern", {
+  backgroundColor: { type: "color", default: "transparent", description: "Background color" },
+  speed: { type: "number", default: 0.03, min: 0.001, max: 1, description: "How fast the pattern evolves" },
+  gridSize: { type: "number", default: 30, min: 1, max: 200, description: "Number of cells along each side of the grid" },
+  pixelSize: { type: "number", default: 10, min: 1, max: 100, description: "Size of each cell in pixels" },
+  centerX: { type: "number", default: 100, min: 0, max: 1000, description: "Horizontal center of the pattern formula" },
+  centerY: { type: "number", default: 100, min: 0, max: 1000, description: "Vertical center of the pattern formula" },
+  baseColor: { type: "number", default: 192, min: 0, max: 255, description: "Base channel value of the cell colors" },
+  colorVariation: { type: "number", default: 64, min: 0, max: 255, description: "How far cell colors vary from the base value" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-mp-";
 
 // Canvas data attribute
 const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = -Infinity, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    speed: Math.max(0.001, Math.min(1, validateNumber(settings.speed, defaultSettings.speed, 0.001, 1))),
-    gridSize: Math.max(1, Math.min(200, validateNumber(settings.gridSize, defaultSettings.gridSize, 1, 200))),
-    pixelSize: Math.max(1, Math.min(100, validateNumber(settings.pixelSize, defaultSettings.pixelSize, 1, 100))),
-    centerX: validateNumber(settings.centerX, defaultSettings.centerX, 0, 1000),
-    centerY: validateNumber(settings.centerY, defaultSettings.centerY, 0, 1000),
-    baseColor: Math.max(0, Math.min(255, validateNumber(settings.baseColor, defaultSettings.baseColor, 0, 255))),
-    colorVariation: Math.max(0, Math.min(255, validateNumber(settings.colorVariation, defaultSettings.colorVariation, 0, 255))),
-  };
-};
-
 /**
  * Math Pattern Animation Plugin
- * @param {HTMLCanvasElement} canvasElement - Canvas element for the animation
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvasElement - Canvas element for the animation, or an OffscreenCanvas in the render worker
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 export default function MathPatternPlugin(canvasElement, animationSettings = {}) {
-  if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
+  if (!isCanvasElement(canvasElement)) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let canvas = canvasElement;
   let context = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let animationId = null;
   let time = 0;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
   let actualGridSize = 0;
 
   // Mark canvas with data attribute
@@ -164,7 +137,7 @@ export default function MathPatternPlugin(canvasElement, animationSettings = {})
 
     // Update settings if provided
     if (newSettings) {
-      settings = normalizeSettings({ ...defaultSettings, ...newSettings });
+      settings = settingsSchema.normalize({ ...defaultSettings, ...newSettings }, canvasElement);
     }
 
     // Get 2D context
@@ -174,22 +147,27 @@ export default function MathPatternPlugin(canvasElement, animationSettings = {})
       return;
     }
 
-    // Get canvas dimensions
-    const rect = canvas.getBoundingClientRect();
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
 
-    // Calculate dimensions
-    let width = rect.width || 800;
-    let height = rect.height || 400;
+    screen = { width: 0, height: 0 };
+    resizeCanvas();
 
-    // Set canvas dimensions
-    screen = {
-      width: Math.max(1, Math.floor(width) || rect.width || 800),
-      height: Math.max(1, Math.floor(height) || rect.height || 400),
-    };
+    // Reset time
+    time = 0;
+  };
+
+  /**
+   * Matches the canvas backing store to its displayed size and lays the grid out again
+   */
+  const resizeCanvas = () => {
+    if (!canvas || !context || !sizer) return;
 
-    // Set canvas dimensions (this clears the canvas)
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
+
+    screen = { width: size.width, height: size.height };
 
     // Set canvas display size (CSS pixels)
     canvas.style.width = "100%";
@@ -198,6 +176,13 @@ export default function MathPatternPlugin(canvasElement, animationSettings = {})
     // Disable image smoothing to prevent anti-aliasing artifacts
     context.imageSmoothingEnabled = false;
 
+    layoutGrid();
+  };
+
+  /**
+   * Fits the pixel grid to the current canvas width
+   */
+  const layoutGrid = () => {
     // Calculate dynamic grid size and pixel size to fill the entire canvas
     if (settings.gridSize === 0) {
       // Auto-calculate grid size based on pixel size
@@ -214,9 +199,6 @@ export default function MathPatternPlugin(canvasElement, animationSettings = {})
 
     // Ensure the pattern covers the entire canvas by extending beyond the grid
     actualGridSize = Math.ceil(screen.width / settings.pixelSize) + 1;
-
-    // Reset time
-    time = 0;
   };
 
   /**
@@ -225,8 +207,18 @@ export default function MathPatternPlugin(canvasElement, animationSettings = {})
   const render = () => {
     if (!context || !canvas) return;
 
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
+
+    drawFrame();
+
+    // Increment time for animation
+    time += settings.speed;
+  };
 
+  /**
+   * Draws the pattern at the current time
+   */
+  const drawFrame = () => {
     // Draw background first
     drawBackground();
 
@@ -240,41 +232,24 @@ export default function MathPatternPlugin(canvasElement, animationSettings = {})
         drawPixel(x, y, r, g, b);
       }
     }
-
-    // Increment time for animation
-    time += settings.speed;
   };
 
   /**
-   * Debounced resize handler
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (canvas) {
-        // Stop current animation
-        if (animationId) {
-          cancelAnimationFrame(animationId);
-          animationId = null;
-        }
-        // Reinitialize with current settings
-        initializeMathPattern();
-        // Restart animation
-        render();
-      }
-    }, 150); // Debounce resize events
+  const redraw = () => {
+    if (!context || !canvas) return;
+    drawFrame();
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeMathPattern();
     render();
-    resizeHandler = handleResize;
-    window.addEventListener("resize", resizeHandler, { passive: true });
   };
 
   /**
@@ -283,20 +258,14 @@ export default function MathPatternPlugin(canvasElement, animationSettings = {})
   const clean = () => {
     // Stop animation
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize listener
-    if (resizeHandler) {
-      window.removeEventListener("resize", resizeHandler);
-      resizeHandler = null;
-    }
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
+    // Stop watching the device pixel ratio
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
     }
 
     // Clear canvas
@@ -316,8 +285,116 @@ export default function MathPatternPlugin(canvasElement, animationSettings = {})
     actualGridSize = 0;
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && context && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes how fast the pattern evolves
+   * @param {number|string} speed - Time increment per frame
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, canvasElement);
+
+    if (!context) return;
+
+    // The canvas context is created with or without alpha depending on transparency,
+    // and a canvas keeps the kind of context it was first given, so the component hands over a new one
+    if ((settings.backgroundColor === "transparent") !== (previous.backgroundColor === "transparent")) {
+      initializeMathPattern();
+      return;
+    }
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    // Grid changes need the pixel layout recalculated; the pattern keeps its current time
+    if (partialSettings.gridSize !== undefined || partialSettings.pixelSize !== undefined) {
+      layoutGrid();
+    }
+  };
+
+  /**
+   * Resizes the canvas to its container without restarting the pattern
+   */
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+
+    canvasElement.removeAttribute("data-salameh-mp");
+    canvasElement.removeAttribute(CANVAS_DATA_ATTR);
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
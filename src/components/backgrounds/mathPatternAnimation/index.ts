@@ -1,3 +1,3 @@
 // Component exports
-export { MathPattern } from "./MathPattern";
-// export type { MathPatternProps, MathPatternAdvancedSettings } from "./MathPattern";
+export { MathPattern, mathPatternJsonSchema } from "./MathPattern";
+export type { MathPatternProps, MathPatternAdvancedSettings, MathPatternHandle } from "./MathPattern";
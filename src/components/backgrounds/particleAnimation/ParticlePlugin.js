@@ -6,104 +6,103 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#2c3e50",
-  color: "#e74c3c",
-  speed: 2,
-  count: 30,
-  size: 5,
-  opacity: 0.9,
-  connectionDistance: 150,
-  showConnections: true,
-  connectionColor: "#3498db",
-  connectionOpacity: 0.8,
-  image: null,
-  imageWidth: 20,
-  imageHeight: 20,
-});
-
-// Unique namespace prefix to avoid class name conflicts
-const NAMESPACE_PREFIX = "salameh-part-";
+import createCanvasSizer, { isCanvasElement } from "../shared/canvasSizer.js";
+import createQualityGovernor, { scaleDensity } from "../shared/qualityGovernor.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import { normalizeRenderer, selectWebGLRenderer } from "../shared/webglRenderer.js";
+import createRandom from "../shared/random.js";
+import createSettingsSchema, { PIXEL_RATIO_FIELD, QUALITY_FIELDS, RENDERER_FIELD, SEED_FIELD, warnOnce } from "../shared/settingsSchema.js";
 
-// Canvas data attribute
-const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
+// Particle limits; connections grow with the square of the count, so WebGL only raises it so far
+const MAX_COUNT = 200;
+const MAX_WEBGL_COUNT = 1000;
 
 /**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
+ * Picks the renderer the settings draw with; WebGL draws every particle as a
+ * circle, so "auto" stays on Canvas 2D when an image is set
+ * @param {Object} settings - Particle settings with `renderer` and `image`
+ * @returns {string} "canvas2d", "webgl" or "auto"
  */
-const validateNumber = (value, defaultValue, min = -Infinity, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
+export const resolveRenderer = (settings) => {
+  const renderer = normalizeRenderer(settings.renderer);
+  return renderer === "auto" && settings.image ? "canvas2d" : renderer;
 };
 
 /**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
+ * Settings of the Particles background: type, accepted range, default and description of each
  */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
+export const settingsSchema = createSettingsSchema("Particles", {
+  backgroundColor: { type: "color", default: "#2c3e50", description: "Background color" },
+  color: { type: "color", default: "#e74c3c", description: "Color of the particles" },
+  speed: { type: "number", default: 2, min: 0.1, max: 10, description: "Speed multiplier of the particles" },
+  count: {
+    type: "number",
+    default: 30,
+    min: 1,
+    max: (settings) => (resolveRenderer(settings) === "canvas2d" ? MAX_COUNT : MAX_WEBGL_COUNT),
+    description: `Number of particles, up to ${MAX_COUNT} with canvas2d and ${MAX_WEBGL_COUNT} with WebGL`,
+  },
+  size: { type: "number", default: 5, min: 1, max: 50, description: "Radius of the particles in pixels" },
+  opacity: { type: "number", default: 0.9, min: 0, max: 1, description: "Opacity of the particles" },
+  connectionDistance: { type: "number", default: 150, min: 0, max: 500, description: "Distance in pixels below which particles are connected" },
+  showConnections: { type: "boolean", default: true, description: "Draws lines between nearby particles" },
+  connectionColor: { type: "color", default: "#3498db", description: "Color of the connecting lines" },
+  connectionOpacity: { type: "number", default: 0.8, min: 0, max: 1, description: "Opacity of the connecting lines" },
+  image: { type: "any", default: null, normalize: (value) => value || null, json: { type: "string" }, description: "URL of an image drawn instead of each particle" },
+  imageWidth: { type: "number", default: 20, min: 1, max: 200, description: "Width of the particle image in pixels" },
+  imageHeight: { type: "number", default: 20, min: 1, max: 200, description: "Height of the particle image in pixels" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  ...QUALITY_FIELDS,
+  renderer: RENDERER_FIELD,
+  seed: SEED_FIELD,
+});
 
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    color: validateColor(settings.color, defaultSettings.color),
-    speed: Math.max(0.1, Math.min(10, validateNumber(settings.speed, defaultSettings.speed, 0.1, 10))),
-    count: Math.max(1, Math.min(200, validateNumber(settings.count, defaultSettings.count, 1, 200))),
-    size: Math.max(1, Math.min(50, validateNumber(settings.size, defaultSettings.size, 1, 50))),
-    opacity: Math.max(0, Math.min(1, validateNumber(settings.opacity, defaultSettings.opacity, 0, 1))),
-    connectionDistance: Math.max(0, Math.min(500, validateNumber(settings.connectionDistance, defaultSettings.connectionDistance, 0, 500))),
-    showConnections: Boolean(settings.showConnections !== false),
-    connectionColor: validateColor(settings.connectionColor, defaultSettings.connectionColor),
-    connectionOpacity: Math.max(0, Math.min(1, validateNumber(settings.connectionOpacity, defaultSettings.connectionOpacity, 0, 1))),
-    image: settings.image || null,
-    imageWidth: Math.max(1, Math.min(200, validateNumber(settings.imageWidth, defaultSettings.imageWidth, 1, 200))),
-    imageHeight: Math.max(1, Math.min(200, validateNumber(settings.imageHeight, defaultSettings.imageHeight, 1, 200))),
-  };
-};
+const defaultSettings = settingsSchema.defaults;
+
+// Unique namespace prefix to avoid class name conflicts
+const NAMESPACE_PREFIX = "salameh-part-";
+
+// Canvas data attribute
+const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
 
 /**
  * Particle Animation Plugin
- * @param {HTMLCanvasElement} canvasElement - Canvas element for rendering
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvasElement - Canvas element for rendering, or an OffscreenCanvas in the render worker
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 export default function ParticlePlugin(canvasElement, animationSettings = {}) {
-  if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
+  if (!isCanvasElement(canvasElement)) {
     console.error("ParticlePlugin: Invalid canvas element provided");
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let canvas = canvasElement;
   let context = null;
+  let webgl = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let particles = [];
   let animationId = null;
   let particleImage = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
+  let qualityScale = 1;
+  let governor = null;
 
   // Mark canvas with data attribute
   canvas.setAttribute("data-salameh-part", "canvas");
@@ -127,9 +126,9 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
       size: size,
       color: color,
       speed: speed,
-      vx: (Math.random() - 0.5) * speed,
-      vy: (Math.random() - 0.5) * speed,
-      opacity: Math.random() * 0.5 + 0.5,
+      vx: (random() - 0.5) * speed,
+      vy: (random() - 0.5) * speed,
+      opacity: random() * 0.5 + 0.5,
       image: null,
     };
   };
@@ -139,6 +138,11 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
    * @param {Object} particle - Particle object to draw
    */
   const drawParticle = (particle) => {
+    // The WebGL renderer draws every particle as a circle, images included
+    if (webgl) {
+      webgl.circle(particle.x, particle.y, particle.size, particle.color, particle.opacity * settings.opacity);
+      return;
+    }
     if (!context) return;
 
     context.save();
@@ -167,7 +171,7 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
   };
 
   /**
-   * Updates a particle position and draws it
+   * Moves a particle one step
    * @param {Object} particle - Particle object to update
    */
   const updateParticle = (particle) => {
@@ -185,18 +189,21 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
     // Keep particles within bounds
     particle.x = Math.max(0, Math.min(screen.width, particle.x));
     particle.y = Math.max(0, Math.min(screen.height, particle.y));
-
-    drawParticle(particle);
   };
 
   /**
    * Draws connections between particles
    */
   const drawConnections = () => {
-    if (!context || !settings.showConnections) return;
+    if ((!context && !webgl) || !settings.showConnections) return;
+
+    if (context) {
+      context.strokeStyle = settings.connectionColor;
+      context.lineWidth = 1;
+    }
 
-    context.strokeStyle = settings.connectionColor;
-    context.lineWidth = 1;
+    // Shorter connections mean fewer lines to stroke on slow devices
+    const connectionDistance = settings.connectionDistance * qualityScale;
 
     for (let i = 0; i < particles.length; i++) {
       for (let j = i + 1; j < particles.length; j++) {
@@ -204,8 +211,12 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
         const dy = particles[i].y - particles[j].y;
         const distance = Math.sqrt(dx * dx + dy * dy);
 
-        if (distance < settings.connectionDistance) {
-          const opacity = (1 - distance / settings.connectionDistance) * settings.connectionOpacity;
+        if (distance < connectionDistance) {
+          const opacity = (1 - distance / connectionDistance) * settings.connectionOpacity;
+          if (webgl) {
+            webgl.line(particles[i].x, particles[i].y, particles[j].x, particles[j].y, settings.connectionColor, opacity);
+            continue;
+          }
           context.save();
           context.globalAlpha = opacity;
           context.beginPath();
@@ -222,6 +233,10 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
    * Draws background
    */
   const drawBackground = () => {
+    if (webgl) {
+      webgl.clear(settings.backgroundColor);
+      return;
+    }
     if (!context) return;
 
     if (settings.backgroundColor === "transparent") {
@@ -233,34 +248,34 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
   };
 
   /**
-   * Initializes the particle animation
+   * Matches the canvas backing store to its displayed size, keeping the particles
    */
-  const initializeParticles = () => {
-    if (!canvas) return;
-
-    context = canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
+  const resizeCanvas = () => {
+    if (!canvas || (!context && !webgl) || !sizer) return;
 
-    if (!context) {
-      console.error("ParticlePlugin: Could not get 2D context from canvas");
-      return;
-    }
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (webgl) webgl.setSize(size.width, size.height);
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
 
-    // Get canvas dimensions
-    const rect = canvas.getBoundingClientRect();
-    screen = {
-      width: Math.max(1, Math.floor(rect.width) || 800),
-      height: Math.max(1, Math.floor(rect.height) || 400),
-    };
-
-    // Set canvas dimensions
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+    screen = { width: size.width, height: size.height };
 
     // Optimize canvas rendering
-    context.imageSmoothingEnabled = false;
+    if (context) context.imageSmoothingEnabled = false;
 
-    // Load particle image if provided
-    if (settings.image) {
+    // Pull particles back inside a shrunken canvas
+    for (let i = 0; i < particles.length; i++) {
+      particles[i].x = Math.min(particles[i].x, screen.width);
+      particles[i].y = Math.min(particles[i].y, screen.height);
+    }
+  };
+
+  /**
+   * Loads the particle image, falling back to circles when it is missing or fails
+   */
+  const loadParticleImage = () => {
+    // Workers cannot decode <img> elements, so particles stay circles there
+    if (settings.image && typeof Image !== "undefined") {
       if (particleImage) {
         // Clean up previous image
         particleImage.onload = null;
@@ -281,25 +296,93 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
       particleImage = null;
     }
 
-    // Initialize particles
-    particles = [];
-    for (let i = 0; i < settings.count; i++) {
-      const x = Math.random() * screen.width;
-      const y = Math.random() * screen.height;
+    for (let i = 0; i < particles.length; i++) {
+      particles[i].image = particleImage;
+    }
+  };
+
+  /**
+   * Adds or removes particles until the configured count is reached
+   */
+  const syncParticleCount = () => {
+    const count = scaleDensity(Math.min(settings.count, webgl ? MAX_WEBGL_COUNT : MAX_COUNT), qualityScale);
+    while (particles.length < count) {
+      const x = random() * screen.width;
+      const y = random() * screen.height;
       const particle = createParticle(x, y, settings.size, settings.color, settings.speed);
       particle.image = particleImage;
       particles.push(particle);
     }
+    if (particles.length > count) {
+      particles.length = count;
+    }
   };
 
   /**
-   * Main render function
+   * Applies a new quality scale from the governor
+   * @param {number} scale - Share of the configured density to render (0-1)
    */
-  const render = () => {
-    if (!context || !canvas) return;
+  const applyQuality = (scale) => {
+    qualityScale = scale;
+    if (context || webgl) {
+      syncParticleCount();
+    }
+    if (settings.onQualityChange) {
+      settings.onQualityChange(scale);
+    }
+  };
+
+  /**
+   * Tells developers that an explicit "webgl" renderer draws circles in place of the image
+   */
+  const warnImageIgnored = () => {
+    if (settings.image) {
+      warnOnce('Particles: "image" needs the "canvas2d" or "auto" renderer, got "webgl"; using circles');
+    }
+  };
 
-    animationId = requestAnimationFrame(render);
+  /**
+   * Initializes the particle animation
+   */
+  const initializeParticles = () => {
+    if (!canvas) return;
+
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
+    if (webgl) webgl.destroy();
+    webgl = selectWebGLRenderer(canvas, resolveRenderer(settings), "ParticlePlugin");
+    if (webgl) warnImageIgnored();
+    context = webgl ? null : canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
+
+    if (!context && !webgl) {
+      console.error("ParticlePlugin: Could not get 2D context from canvas");
+      return;
+    }
+
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
+
+    screen = { width: 0, height: 0 };
+    resizeCanvas();
+
+    // Load particle image if provided
+    loadParticleImage();
+
+    // Watch the frame rate when adaptive quality is on
+    governor = createQualityGovernor(applyQuality);
+    governor.configure(settings.quality);
+
+    // Initialize particles
+    particles = [];
+    syncParticleCount();
+  };
 
+  /**
+   * Draws one frame
+   * @param {boolean} advance - Whether the particles move before being drawn
+   */
+  const drawFrame = (advance) => {
     // Draw background first
     drawBackground();
 
@@ -308,48 +391,43 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
 
     // Update and draw particles
     for (let i = 0; i < particles.length; i++) {
-      updateParticle(particles[i]);
+      if (advance) updateParticle(particles[i]);
+      drawParticle(particles[i]);
     }
+
+    if (webgl) webgl.flush();
   };
 
   /**
-   * Debounced resize handler
+   * Main render function
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (canvas && context) {
-        initializeParticles();
-      }
-    }, 150);
+  const render = () => {
+    if ((!context && !webgl) || !canvas) return;
+
+    animationId = timing.request(render);
+    if (governor) governor.frame(timing.now());
+
+    drawFrame(true);
+  };
+
+  /**
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
+   */
+  const redraw = () => {
+    if ((!context && !webgl) || !canvas) return;
+    drawFrame(false);
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeParticles();
-    if (context && canvas) {
+    if ((context || webgl) && canvas) {
       render();
     }
-
-    // Setup ResizeObserver for responsive behavior
-    if (canvas && window.ResizeObserver) {
-      resizeHandler = new ResizeObserver((entries) => {
-        for (const entry of entries) {
-          if (entry.target === canvas) {
-            handleResize();
-            break;
-          }
-        }
-      });
-      resizeHandler.observe(canvas);
-    } else {
-      // Fallback to window resize
-      window.addEventListener("resize", handleResize, { passive: true });
-    }
   };
 
   /**
@@ -357,25 +435,10 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
    */
   const clean = () => {
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize observer
-    if (resizeHandler) {
-      resizeHandler.disconnect();
-      resizeHandler = null;
-    }
-
-    // Remove window resize listener
-    window.removeEventListener("resize", handleResize);
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Clean up particle image
     if (particleImage) {
       particleImage.onload = null;
@@ -383,19 +446,166 @@ export default function ParticlePlugin(canvasElement, animationSettings = {}) {
       particleImage = null;
     }
 
+    // Stop watching the device pixel ratio
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
+    }
+
     // Clear canvas
     if (context && screen) {
       context.clearRect(0, 0, screen.width, screen.height);
     }
+    if (webgl) {
+      webgl.destroy();
+      webgl = null;
+    }
 
     // Clean up references
+    governor = null;
+    qualityScale = 1;
     particles = [];
     context = null;
     screen = { width: 0, height: 0 };
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    if (governor) governor.reset();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && (context || webgl) && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the particle speed, keeping each particle's direction
+   * @param {number|string} speed - New speed value
+   */
+  const setSpeed = (speed) => {
+    const previousSpeed = settings.speed;
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+    const factor = settings.speed / previousSpeed;
+
+    for (let i = 0; i < particles.length; i++) {
+      particles[i].vx *= factor;
+      particles[i].vy *= factor;
+      particles[i].speed = settings.speed;
+    }
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings, speed: previous.speed }, canvasElement);
+
+    if (partialSettings.speed !== undefined) {
+      setSpeed(partialSettings.speed);
+    }
+
+    if (!context && !webgl) return;
+
+    // The canvas context is created with or without alpha depending on transparency,
+    // and a canvas keeps the kind of context it was first given, so the component hands over a new one
+    if ((settings.backgroundColor === "transparent") !== (previous.backgroundColor === "transparent")) {
+      initializeParticles();
+      return;
+    }
+
+    if (governor) governor.configure(settings.quality);
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.image !== previous.image) {
+      loadParticleImage();
+      if (webgl) warnImageIgnored();
+    }
+
+    if (settings.color !== previous.color || settings.size !== previous.size) {
+      for (let i = 0; i < particles.length; i++) {
+        particles[i].color = settings.color;
+        particles[i].size = settings.size;
+      }
+    }
+
+    syncParticleCount();
+  };
+
+  /**
+   * Resizes the canvas to its container without resetting the particles
+   */
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the canvas for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+
+    if (canvas) {
+      canvas.removeAttribute("data-salameh-part");
+      canvas.removeAttribute(CANVAS_DATA_ATTR);
+      canvas = null;
+    }
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
@@ -1,17 +1,32 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import ParticlePlugin from "./ParticlePlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import ParticlePlugin, { resolveRenderer, settingsSchema } from "./ParticlePlugin.js";
+import createWorkerPlugin from "../shared/workerPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { useQualityChange } from "../shared/useQualityChange";
+import type { RendererPreference } from "../shared/renderer";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, AdaptiveQualityProps, RenderInProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema, RENDER_IN_JSON } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps, AdaptiveQualityProps, RenderInProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
+
+  // Draws with batched WebGL instead of Canvas 2D; "auto" uses WebGL where available and no `image` is set
+  renderer?: RendererPreference;
 }
 
 interface AdvancedSettings {
@@ -26,134 +41,110 @@ interface AdvancedSettings {
   image?: string;
   imageWidth?: number | string;
   imageHeight?: number | string;
+  maxPixelRatio?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; speed?: number | string };
+
+type ParticlesHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  starfield: { backgroundColor: "#02030a", speed: 0.5, advanced: { color: "#ffffff", size: 1.5, count: 120, showConnections: false } },
+  network: { backgroundColor: "#0b1d2e", advanced: { color: "#4fc3f7", count: 60, connectionColor: "#4fc3f7", connectionOpacity: 0.4 } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  size: { band: "bass", scale: [1, 1.8] },
+  connectionDistance: { band: "level", scale: [1, 1.5] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const particlesJsonSchema = createJsonSchema("Particles", settingsSchema, {
+  props: {
+    backgroundColor: "backgroundColor",
+    speed: "speed",
+    quality: "quality",
+    renderer: "renderer",
+    renderIn: RENDER_IN_JSON,
+    seed: "seed",
+  },
+  rest: "advanced",
+  presets: Object.keys(PRESETS),
+});
+
 /**
  * Particles Animation Component
  * A React component that creates animated particles with connections using canvas
  */
-export function Particles({ width = "auto", height = "auto", backgroundColor = "#2c3e50", speed = 2, advanced, children }: Props) {
+export const Particles = forwardRef<ParticlesHandle, Props>(function Particles(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, speed = defaults.speed, advanced, motion = "auto", autoPause = true, quality, onQualityChange, renderer = "canvas2d", renderIn = "main", seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("Particles", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
-
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const handleQualityChange = useQualityChange(onQualityChange);
+  const palette = useThemePalette();
 
-    return style;
-  }, [width, height]);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+  const transparent = backgroundColor === "transparent";
 
-  /**
-   * Memoized canvas style calculation
-   */
-  const canvasStyle = useMemo((): React.CSSProperties => {
-    return {
-      position: "absolute",
-      top: 0,
-      left: 0,
-      width: "100%",
-      height: "100%",
-      display: "block",
-    };
-  }, []);
+  // "auto" draws images with Canvas 2D, so setting or clearing one can switch the canvas
+  const canvasRenderer = resolveRenderer({ renderer, image: advanced?.image });
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
     return {
       backgroundColor,
-      speed: toNumber(speed, 2),
-      count: toNumber(advanced?.count, 30),
-      color: advanced?.color || "#e74c3c",
-      size: toNumber(advanced?.size, 5),
-      opacity: toNumber(advanced?.opacity, 0.9),
-      connectionDistance: toNumber(advanced?.connectionDistance, 150),
+      speed,
+      count: advanced?.count ?? defaults.count,
+      color: advanced?.color || palette?.primary || defaults.color,
+      size: advanced?.size ?? defaults.size,
+      opacity: advanced?.opacity ?? defaults.opacity,
+      connectionDistance: advanced?.connectionDistance ?? defaults.connectionDistance,
       showConnections: advanced?.showConnections !== false,
-      connectionColor: advanced?.connectionColor || "#3498db",
-      connectionOpacity: toNumber(advanced?.connectionOpacity, 0.8),
+      connectionColor: advanced?.connectionColor || palette?.accent || defaults.connectionColor,
+      connectionOpacity: advanced?.connectionOpacity ?? defaults.connectionOpacity,
       image: advanced?.image || null,
-      imageWidth: toNumber(advanced?.imageWidth, 20),
-      imageHeight: toNumber(advanced?.imageHeight, 20),
+      imageWidth: advanced?.imageWidth ?? defaults.imageWidth,
+      imageHeight: advanced?.imageHeight ?? defaults.imageHeight,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
+      quality: quality || null,
+      onQualityChange: handleQualityChange,
+      renderer,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, speed, advanced]);
+  }, [backgroundColor, speed, advanced, quality, handleQualityChange, renderer, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
-    if (!canvasRef.current) return;
+    const canvas = canvasRef.current;
+    if (!canvas) return;
 
-    const settings = buildCurrentSettings();
-    const particles = ParticlePlugin(canvasRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = particles;
-
-    particles.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current && canvasRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          pluginRef.current = ParticlePlugin(canvasRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current.start();
-          break;
-        }
-      }
+    const settings = getSettings();
+    const plugin = renderIn === "worker" && containerRef.current ? createWorkerPlugin(containerRef.current, canvas, "particles", settings, (fallbackSettings: typeof settings, fallbackCanvas: HTMLCanvasElement) => ParticlePlugin(fallbackCanvas, fallbackSettings)) : ParticlePlugin(canvas, settings);
+    startPlugin(plugin as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     if (containerRef.current) {
@@ -167,42 +158,16 @@ export function Particles({ width = "auto", height = "auto", backgroundColor = "
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, renderIn, canvasRenderer, seed, transparent]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated particles background">
-      <canvas ref={canvasRef} style={canvasStyle} />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated particles background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      {/* A canvas keeps the kind of context it was first given, or its transfer to a worker, so switching renderers, renderIn or transparency needs a new one */}
+      <canvas key={`${canvasRenderer}-${renderIn}-${transparent ? "alpha" : "opaque"}`} ref={canvasRef} style={CANVAS_STYLE} />
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as ParticlesProps, AdvancedSettings as ParticlesAdvancedSettings };
+export type { Props as ParticlesProps, AdvancedSettings as ParticlesAdvancedSettings, ParticlesHandle };
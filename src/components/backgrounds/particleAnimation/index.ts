@@ -1,3 +1,3 @@
 // Component exports
-export { Particles } from "./Particles";
-// export type { ParticlesProps, ParticlesAdvancedSettings } from "./Particles";
+export { Particles, particlesJsonSchema } from "./Particles";
+export type { ParticlesProps, ParticlesAdvancedSettings, ParticlesHandle } from "./Particles";
@@ -1,14 +1,24 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import RainPlugin from "./RainPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import RainPlugin, { settingsSchema } from "./RainPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { useQualityChange } from "../shared/useQualityChange";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, AdaptiveQualityProps, RendererProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps, AdaptiveQualityProps, RendererProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -19,127 +29,85 @@ interface AdvancedSettings {
   rainHeight?: number | string;
   count?: number | string;
   width?: number | string;
+  maxPixelRatio?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; speed?: number | string };
+
+type RainHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  monsoon: { backgroundColor: "#0b1320", speed: 12, advanced: { color: "#9fb8d9", count: 400, rainHeight: 140, width: 2 } },
+  drizzle: { speed: 2, advanced: { color: "#93c5fd", count: 60, rainHeight: 40 } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  rainHeight: { band: "treble", scale: [1, 1.8] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const rainJsonSchema = createJsonSchema("Rain", settingsSchema, { props: ["backgroundColor", "speed", "quality", "renderer", "seed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Rain Animation Component
  * A React component that creates animated rain drops using canvas
  */
-export function Rain({ width = "auto", height = "auto", backgroundColor = "transparent", speed = 3, advanced, children }: Props) {
+export const Rain = forwardRef<RainHandle, Props>(function Rain(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, speed = defaults.speed, advanced, motion = "auto", autoPause = true, quality, onQualityChange, renderer = "canvas2d", seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("Rain", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
-
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
-
-    return style;
-  }, [width, height]);
-
-  /**
-   * Memoized canvas style calculation
-   */
-  const canvasStyle = useMemo((): React.CSSProperties => {
-    return {
-      position: "absolute",
-      top: 0,
-      left: 0,
-      width: "100%",
-      height: "100%",
-      display: "block",
-    };
-  }, []);
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const handleQualityChange = useQualityChange(onQualityChange);
+  const palette = useThemePalette();
+
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
+  const transparent = backgroundColor === "transparent";
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
     return {
       backgroundColor,
-      speed: toNumber(speed, 30),
-      color: advanced?.color || "#3b82f6",
-      rainHeight: toNumber(advanced?.rainHeight, 100),
-      count: toNumber(advanced?.count, 30),
-      width: toNumber(advanced?.width, 1),
+      speed,
+      color: advanced?.color || palette?.primary || defaults.color,
+      rainHeight: advanced?.rainHeight ?? defaults.rainHeight,
+      count: advanced?.count ?? defaults.count,
+      width: advanced?.width ?? defaults.width,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
+      quality: quality || null,
+      onQualityChange: handleQualityChange,
+      renderer,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, speed, advanced]);
+  }, [backgroundColor, speed, advanced, quality, handleQualityChange, renderer, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!canvasRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const rain = RainPlugin(canvasRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = rain;
-
-    rain.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current && canvasRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          pluginRef.current = RainPlugin(canvasRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(RainPlugin(canvasRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     if (containerRef.current) {
@@ -153,42 +121,16 @@ export function Rain({ width = "auto", height = "auto", backgroundColor = "trans
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, renderer, seed, transparent]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated rain background">
-      <canvas ref={canvasRef} style={canvasStyle} />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated rain background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      {/* A canvas keeps the kind of context it was first given, so switching renderers or transparency needs a new one */}
+      <canvas key={`${renderer}-${transparent ? "alpha" : "opaque"}`} ref={canvasRef} style={CANVAS_STYLE} />
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as RainProps, AdvancedSettings as RainAdvancedSettings };
+export type { Props as RainProps, AdvancedSettings as RainAdvancedSettings, RainHandle };
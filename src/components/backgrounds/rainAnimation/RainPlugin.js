@@ -6,71 +6,52 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "transparent",
-  color: "#3b82f6",
-  speed: 30,
-  rainHeight: 100,
-  count: 30,
-  width: 1,
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createQualityGovernor, { scaleDensity } from "../shared/qualityGovernor.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import { normalizeRenderer, selectWebGLRenderer } from "../shared/webglRenderer.js";
+import createRandom from "../shared/random.js";
+import createSettingsSchema, { PIXEL_RATIO_FIELD, QUALITY_FIELDS, RENDERER_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+// Rain drop limits; WebGL draws them in one batch, so it can afford far more
+const MAX_COUNT = 500;
+const MAX_WEBGL_COUNT = 10000;
+
+/**
+ * Settings of the Rain background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("Rain", {
+  backgroundColor: { type: "color", default: "transparent", description: "Background color" },
+  color: { type: "color", default: "#3b82f6", description: "Color of the raindrops" },
+  speed: { type: "number", default: 3, min: 1, max: 100, description: "Falling speed of the raindrops" },
+  rainHeight: { type: "number", default: 100, min: 10, max: 500, description: "Length of each raindrop in pixels" },
+  count: {
+    type: "number",
+    default: 30,
+    min: 1,
+    max: (settings) => (normalizeRenderer(settings.renderer) === "canvas2d" ? MAX_COUNT : MAX_WEBGL_COUNT),
+    description: `Number of raindrops, up to ${MAX_COUNT} with canvas2d and ${MAX_WEBGL_COUNT} with WebGL`,
+  },
+  width: { type: "number", default: 1, min: 1, max: 10, description: "Width of each raindrop in pixels" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  ...QUALITY_FIELDS,
+  renderer: RENDERER_FIELD,
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-rain-";
 
 // Canvas data attribute
 const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = -Infinity, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    color: validateColor(settings.color, defaultSettings.color),
-    speed: Math.max(1, Math.min(100, validateNumber(settings.speed, defaultSettings.speed, 1, 100))),
-    rainHeight: Math.max(10, Math.min(500, validateNumber(settings.rainHeight, defaultSettings.rainHeight, 10, 500))),
-    count: Math.max(1, Math.min(500, validateNumber(settings.count, defaultSettings.count, 1, 500))),
-    width: Math.max(1, Math.min(10, validateNumber(settings.width, defaultSettings.width, 1, 10))),
-  };
-};
-
 /**
  * Rain Animation Plugin
  * @param {HTMLCanvasElement} canvasElement - Canvas element for rendering
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 function RainPlugin(canvasElement, animationSettings = {}) {
   if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
@@ -78,17 +59,31 @@ function RainPlugin(canvasElement, animationSettings = {}) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let canvas = canvasElement;
   let context = null;
+  let webgl = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let rainDrops = [];
   let animationId = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
+  let qualityScale = 1;
+  let governor = null;
 
   // Mark canvas with data attribute
   canvas.setAttribute("data-salameh-rain", "canvas");
@@ -123,11 +118,18 @@ function RainPlugin(canvasElement, animationSettings = {}) {
     // Reset drop when it goes off screen
     if (rainDrop.y >= screen.height) {
       rainDrop.y = -rainDrop.height;
-      rainDrop.x = Math.floor(Math.random() * screen.width);
+      rainDrop.x = Math.floor(random() * screen.width);
     }
+  };
 
-    // Draw the rain drop
-    if (context) {
+  /**
+   * Draws a rain drop
+   * @param {Object} rainDrop - Rain drop object to draw
+   */
+  const drawRainDrop = (rainDrop) => {
+    if (webgl) {
+      webgl.rect(rainDrop.x, rainDrop.y, rainDrop.width, rainDrop.height, rainDrop.color);
+    } else if (context) {
       context.fillStyle = rainDrop.color;
       context.fillRect(rainDrop.x, rainDrop.y, rainDrop.width, rainDrop.height);
     }
@@ -137,6 +139,10 @@ function RainPlugin(canvasElement, animationSettings = {}) {
    * Draws background
    */
   const drawBackground = () => {
+    if (webgl) {
+      webgl.clear(settings.backgroundColor);
+      return;
+    }
     if (!context) return;
 
     if (settings.backgroundColor === "transparent") {
@@ -147,97 +153,133 @@ function RainPlugin(canvasElement, animationSettings = {}) {
     }
   };
 
+  /**
+   * Matches the canvas backing store to its displayed size, keeping the rain drops
+   */
+  const resizeCanvas = () => {
+    if (!canvas || (!context && !webgl) || !sizer) return;
+
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (webgl) webgl.setSize(size.width, size.height);
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
+
+    screen = { width: size.width, height: size.height };
+
+    // Optimize canvas rendering
+    if (context) context.imageSmoothingEnabled = false;
+  };
+
+  /**
+   * Adds or removes rain drops until the configured count is reached
+   * @param {boolean} fromTop - Spawn new drops above the canvas so they fall in
+   */
+  const syncRainDropCount = (fromTop) => {
+    const count = scaleDensity(Math.min(settings.count, webgl ? MAX_WEBGL_COUNT : MAX_COUNT), qualityScale);
+    while (rainDrops.length < count) {
+      const dropX = Math.floor(random() * screen.width);
+      const dropY = Math.floor(random() * screen.height) - (fromTop ? screen.height : 0);
+      rainDrops.push(createRainDrop(dropX, dropY));
+    }
+    if (rainDrops.length > count) {
+      rainDrops.length = count;
+    }
+  };
+
+  /**
+   * Applies a new quality scale from the governor
+   * @param {number} scale - Share of the configured density to render (0-1)
+   */
+  const applyQuality = (scale) => {
+    qualityScale = scale;
+    if (context || webgl) {
+      syncRainDropCount(true);
+    }
+    if (settings.onQualityChange) {
+      settings.onQualityChange(scale);
+    }
+  };
+
   /**
    * Initializes the rain animation
    */
   const initializeRain = () => {
     if (!canvas) return;
 
-    context = canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
+    if (webgl) webgl.destroy();
+    webgl = selectWebGLRenderer(canvas, settings.renderer, "RainPlugin");
+    context = webgl ? null : canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
 
-    if (!context) {
+    if (!context && !webgl) {
       console.error("RainPlugin: Could not get 2D context from canvas");
       return;
     }
 
-    // Get canvas dimensions
-    const rect = canvas.getBoundingClientRect();
-    screen = {
-      width: Math.max(1, Math.floor(rect.width) || 800),
-      height: Math.max(1, Math.floor(rect.height) || 400),
-    };
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
 
-    // Set canvas dimensions
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+    screen = { width: 0, height: 0 };
+    resizeCanvas();
 
-    // Optimize canvas rendering
-    context.imageSmoothingEnabled = false;
+    // Watch the frame rate when adaptive quality is on
+    if (!governor) governor = createQualityGovernor(applyQuality);
+    governor.configure(settings.quality);
 
     // Initialize rain drops
     rainDrops = [];
-    for (let i = 0; i < settings.count; i++) {
-      const dropX = Math.floor(Math.random() * screen.width);
-      const dropY = Math.floor(Math.random() * screen.height);
-      rainDrops.push(createRainDrop(dropX, dropY));
-    }
+    syncRainDropCount(false);
   };
 
   /**
    * Main render function
    */
   const render = () => {
-    if (!context || !canvas) return;
+    if ((!context && !webgl) || !canvas) return;
+
+    animationId = timing.request(render);
+    if (governor) governor.frame(timing.now());
 
-    animationId = requestAnimationFrame(render);
+    drawFrame(true);
+  };
 
+  /**
+   * Draws one frame
+   * @param {boolean} advance - Whether the rain drops fall before being drawn
+   */
+  const drawFrame = (advance) => {
     // Draw background first
     drawBackground();
 
     // Update and draw rain drops
     for (let i = 0; i < rainDrops.length; i++) {
-      updateRainDrop(rainDrops[i]);
+      if (advance) updateRainDrop(rainDrops[i]);
+      drawRainDrop(rainDrops[i]);
     }
+
+    if (webgl) webgl.flush();
   };
 
   /**
-   * Debounced resize handler
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (canvas && context) {
-        initializeRain();
-      }
-    }, 150);
+  const redraw = () => {
+    if ((!context && !webgl) || !canvas) return;
+    drawFrame(false);
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeRain();
-    if (context && canvas) {
+    if ((context || webgl) && canvas) {
       render();
     }
-
-    // Setup ResizeObserver for responsive behavior
-    if (canvas && window.ResizeObserver) {
-      resizeHandler = new ResizeObserver((entries) => {
-        for (const entry of entries) {
-          if (entry.target === canvas) {
-            handleResize();
-            break;
-          }
-        }
-      });
-      resizeHandler.observe(canvas);
-    } else {
-      // Fallback to window resize
-      window.addEventListener("resize", handleResize, { passive: true });
-    }
   };
 
   /**
@@ -245,39 +287,159 @@ function RainPlugin(canvasElement, animationSettings = {}) {
    */
   const clean = () => {
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize observer
-    if (resizeHandler) {
-      resizeHandler.disconnect();
-      resizeHandler = null;
-    }
-
-    // Remove window resize listener
-    window.removeEventListener("resize", handleResize);
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
+    // Stop watching the device pixel ratio
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
     }
 
     // Clear canvas
     if (context && screen) {
       context.clearRect(0, 0, screen.width, screen.height);
     }
+    if (webgl) {
+      webgl.destroy();
+      webgl = null;
+    }
 
     // Clean up references
+    governor = null;
+    qualityScale = 1;
     rainDrops = [];
     context = null;
     screen = { width: 0, height: 0 };
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    if (governor) governor.reset();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && (context || webgl) && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the fall speed of every rain drop
+   * @param {number|string} speed - New speed value
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+
+    for (let i = 0; i < rainDrops.length; i++) {
+      rainDrops[i].fallSpeed = settings.speed;
+    }
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, canvasElement);
+
+    if (!context && !webgl) return;
+
+    // The canvas context is created with or without alpha depending on transparency,
+    // and a canvas keeps the kind of context it was first given, so the component hands over a new one
+    if ((settings.backgroundColor === "transparent") !== (previous.backgroundColor === "transparent")) {
+      initializeRain();
+      return;
+    }
+
+    if (governor) governor.configure(settings.quality);
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    for (let i = 0; i < rainDrops.length; i++) {
+      const rainDrop = rainDrops[i];
+      rainDrop.width = settings.width;
+      rainDrop.height = settings.rainHeight;
+      rainDrop.fallSpeed = settings.speed;
+      rainDrop.color = settings.color;
+    }
+
+    syncRainDropCount(true);
+  };
+
+  /**
+   * Resizes the canvas to its container without resetting the rain drops
+   */
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+
+    if (canvas) {
+      canvas.removeAttribute("data-salameh-rain");
+      canvas.removeAttribute(CANVAS_DATA_ATTR);
+      canvas = null;
+    }
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
 
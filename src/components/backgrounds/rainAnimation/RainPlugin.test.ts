@@ -0,0 +1,84 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import RainPlugin from "./RainPlugin.js";
+import type { BackgroundPlugin } from "../shared/useBackgroundHandle";
+
+/**
+ * Frame source that never runs frames by itself, so only renderFrame() draws
+ */
+const createManualFrames = () => {
+  const pending = new Set<number>();
+  let nextId = 1;
+  return {
+    pending,
+    request: () => {
+      const id = nextId++;
+      pending.add(id);
+      return id;
+    },
+    cancel: (id: number) => {
+      pending.delete(id);
+    },
+  };
+};
+
+/**
+ * Starts a seeded rain on a fresh canvas
+ */
+const startRain = (frameSource = createManualFrames()) => {
+  const canvas = document.createElement("canvas");
+  document.body.appendChild(canvas);
+  const plugin = RainPlugin(canvas, { seed: "storm", frameSource }) as BackgroundPlugin;
+  plugin.start();
+  return { canvas, plugin, frameSource };
+};
+
+/**
+ * Draw calls the canvas mock recorded on a canvas
+ */
+const drawCalls = (canvas: HTMLCanvasElement) => (canvas.getContext("2d") as unknown as { __getDrawCalls: () => unknown[] }).__getDrawCalls();
+
+describe("RainPlugin renderFrame", () => {
+  beforeEach(() => {
+    // jsdom lays nothing out, so give every element a size
+    vi.spyOn(Element.prototype, "getBoundingClientRect").mockReturnValue(new DOMRect(0, 0, 300, 150));
+  });
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+    document.body.innerHTML = "";
+  });
+
+  it("keeps a running animation running", () => {
+    const { plugin, frameSource } = startRain();
+
+    plugin.renderFrame(16);
+
+    expect(plugin.isRunning()).toBe(true);
+    expect(frameSource.pending.size).toBe(1);
+  });
+
+  it("draws a frame of a paused animation without resuming it", () => {
+    const { canvas, plugin, frameSource } = startRain();
+    plugin.pause();
+    const before = drawCalls(canvas).length;
+
+    plugin.renderFrame(16);
+
+    expect(plugin.isRunning()).toBe(false);
+    expect(frameSource.pending.size).toBe(0);
+    expect(drawCalls(canvas).length).toBeGreaterThan(before);
+  });
+
+  it("draws the same frames for the same seed", () => {
+    const first = startRain();
+    const second = startRain();
+
+    [0, 16, 32, 48].forEach((time) => {
+      first.plugin.renderFrame(time);
+      second.plugin.renderFrame(time);
+    });
+
+    expect(drawCalls(first.canvas).length).toBeGreaterThan(0);
+    expect(drawCalls(first.canvas)).toEqual(drawCalls(second.canvas));
+  });
+});
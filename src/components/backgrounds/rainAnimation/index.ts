@@ -1,3 +1,3 @@
 // Component exports
-export { Rain } from "./Rain";
-// export type { RainProps, RainAdvancedSettings } from "./Rain";
+export { Rain, rainJsonSchema } from "./Rain";
+export type { RainProps, RainAdvancedSettings, RainHandle } from "./Rain";
@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from "react";
+
+/**
+ * Static stand-in for a background: rendered on the server and on the first
+ * client render, then cross-faded out once the live animation has drawn
+ */
+export interface PosterOptions {
+  /** Image shown until the animation starts, e.g. a first frame exported with a fixed `seed`; the poster never draws frames itself */
+  image?: string;
+  /** CSS background used instead of the approximation derived from the colors */
+  gradient?: string;
+  /** Length of the cross-fade in milliseconds (default: 400) */
+  fadeMs?: number;
+}
+
+/**
+ * `true` or "gradient" for a CSS approximation of the background, an image URL, or options
+ */
+export type PosterPreference = boolean | "gradient" | string | PosterOptions;
+
+interface Props {
+  poster?: PosterPreference;
+  // Builds the current plugin settings, whose colors drive the CSS approximation; only called while a poster shows
+  buildSettings: () => object;
+}
+
+const DEFAULT_FADE_MS = 400;
+
+// Where the accent colors of the approximation glow, in order
+const SPOTS = ["30% 30%", "72% 45%", "45% 80%"];
+
+// Color settings that are not part of the animation's own palette
+const IGNORED_COLORS = new Set(["backgroundColor", "textColor", "clearColor"]);
+
+/**
+ * Turns a color setting into a CSS color; some plugins keep colors as "r, g, b," lists
+ * @param value - Color setting
+ * @returns CSS color, or null when the value is not a color string
+ */
+const toCssColor = (value: unknown): string | null => {
+  if (typeof value !== "string" || value.trim() === "") return null;
+  const channels = value.match(/^\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*,?\s*$/);
+  return channels ? `rgb(${channels[1]}, ${channels[2]}, ${channels[3]})` : value;
+};
+
+/**
+ * Builds a CSS background approximating a background from its settings: the
+ * background color and image with soft glows of up to three accent colors
+ * @param settings - Plugin settings
+ * @returns CSS `background` value
+ */
+export const approximateBackground = (settings: Record<string, unknown>): string => {
+  const accents: string[] = [];
+  Object.keys(settings).forEach((key) => {
+    const value = settings[key];
+    if (/colors$|colorPalette$/i.test(key) && Array.isArray(value)) {
+      value.forEach((entry) => accents.push(toCssColor(entry) || ""));
+    } else if (/color$/i.test(key) && !IGNORED_COLORS.has(key)) {
+      accents.push(toCssColor(value) || "");
+    }
+  });
+
+  const layers = accents
+    .filter(Boolean)
+    .slice(0, SPOTS.length)
+    .map((color, index) => `radial-gradient(circle at ${SPOTS[index]}, color-mix(in srgb, ${color} 35%, transparent), transparent 60%)`);
+
+  if (typeof settings.backgroundImage === "string" && settings.backgroundImage) {
+    layers.push(`url("${settings.backgroundImage}") center / cover no-repeat`);
+  }
+
+  const backgroundColor = typeof settings.backgroundColor === "string" && settings.backgroundColor ? settings.backgroundColor : "transparent";
+  return [...layers, backgroundColor].join(", ");
+};
+
+/**
+ * Resolves the `poster` prop
+ * @param poster - Poster preference from the component props
+ * @returns Poster options, or null without a poster
+ */
+const resolvePoster = (poster: PosterPreference | undefined): PosterOptions | null => {
+  if (!poster) return null;
+  if (poster === true || poster === "gradient") return {};
+  if (typeof poster === "string") return { image: poster };
+  return poster;
+};
+
+/**
+ * Poster layer of a background component. It sits between the animation and
+ * the content overlay and fades out two frames after mounting, by which time
+ * the component's effect has started the plugin and its first frame is painted.
+ * The container is sized by the component either way, so nothing shifts.
+ * Servers have no canvas, so a seeded first frame can only come in as an image.
+ */
+export function BackgroundPoster({ poster, buildSettings }: Props) {
+  const options = resolvePoster(poster);
+  const enabled = options !== null;
+  const fadeMs = options?.fadeMs ?? DEFAULT_FADE_MS;
+  const [phase, setPhase] = useState<"poster" | "fading" | "done">("poster");
+
+  useEffect(() => {
+    if (!enabled) return;
+
+    let frame = requestAnimationFrame(() => {
+      frame = requestAnimationFrame(() => setPhase("fading"));
+    });
+    return () => cancelAnimationFrame(frame);
+  }, [enabled]);
+
+  useEffect(() => {
+    if (phase !== "fading") return;
+
+    const timeout = setTimeout(() => setPhase("done"), fadeMs);
+    return () => clearTimeout(timeout);
+  }, [phase, fadeMs]);
+
+  if (!options || phase === "done") return null;
+
+  const background = options.gradient || approximateBackground(buildSettings() as Record<string, unknown>);
+
+  return (
+    <div
+      aria-hidden="true"
+      data-salameh-poster=""
+      style={{
+        position: "absolute",
+        top: 0,
+        left: 0,
+        width: "100%",
+        height: "100%",
+        zIndex: 20,
+        pointerEvents: "none",
+        background: options.image ? `url("${options.image}") center / cover no-repeat, ${background}` : background,
+        opacity: phase === "fading" ? 0 : 1,
+        transition: `opacity ${fadeMs}ms ease`,
+      }}
+    />
+  );
+}
@@ -0,0 +1,189 @@
+import React, { forwardRef, type ReactNode } from "react";
+
+type Size = string | number | "auto";
+
+/**
+ * Placement of content along one axis of the overlay
+ */
+export type OverlayPlacement = "start" | "center" | "end" | "stretch";
+
+/**
+ * Layout of the content laid over a background
+ */
+export interface ContentOverlayOptions {
+  // Vertical placement of the content (default: "center")
+  align?: OverlayPlacement;
+  // Horizontal placement of the content (default: "center")
+  justify?: OverlayPlacement;
+  // Space between the edges of the background and the content, e.g. 24 or "4rem 2rem"
+  padding?: number | string;
+  // Element the overlay renders as, e.g. "main" or "header" (default: a div with role="region")
+  as?: React.ElementType;
+  // Extra class and inline styles for the overlay
+  className?: string;
+  style?: React.CSSProperties;
+}
+
+/**
+ * Layout props every background component accepts
+ */
+export interface BackgroundLayoutProps {
+  width?: Size;
+  height?: Size;
+  // Extra class and inline styles for the outer container; inline styles win over the computed size
+  className?: string;
+  style?: React.CSSProperties;
+  // Pins the background to the viewport behind the page content instead of sizing it in the flow
+  fixed?: boolean;
+  // Placement and element of the content overlay
+  overlay?: ContentOverlayOptions;
+}
+
+interface Props extends BackgroundLayoutProps {
+  // Accessible name of the container, e.g. "Animated rain background"
+  label: string;
+  // CSS background of the container, shown until the animation has drawn
+  background?: string;
+  // Content laid over the background
+  content?: ReactNode;
+  // Layers of the background itself: canvas, poster and the like
+  children?: ReactNode;
+}
+
+/**
+ * Style of the canvas layer of canvas-based backgrounds; pointer events reach the page
+ */
+export const CANVAS_STYLE: React.CSSProperties = Object.freeze({
+  position: "absolute",
+  top: 0,
+  left: 0,
+  width: "100%",
+  height: "100%",
+  display: "block",
+  zIndex: 0,
+  pointerEvents: "none",
+});
+
+const PLACEMENT: Record<OverlayPlacement, string> = {
+  start: "flex-start",
+  center: "center",
+  end: "flex-end",
+  stretch: "stretch",
+};
+
+/**
+ * Calculates the size of a background container; "auto" fills the viewport height
+ * @param width - Width prop
+ * @param height - Height prop
+ * @returns Position and size styles of the container
+ */
+export const getContainerStyle = (width: Size = "auto", height: Size = "auto"): React.CSSProperties => {
+  const style: React.CSSProperties = {
+    position: "relative",
+    overflow: "hidden",
+    width: "100%",
+  };
+
+  // Set height based on animation settings
+  if (height === "auto") {
+    style.height = "100vh";
+    style.minHeight = "400px";
+  } else if (typeof height === "number") {
+    style.height = `${height}px`;
+  } else if (typeof height === "string") {
+    // Handle string values like "100%", "100vh", "500px", etc.
+    if (height === "100%") {
+      // For 100%, ensure parent has height by using minHeight as fallback
+      style.height = "100%";
+      style.minHeight = "400px";
+    } else {
+      style.height = height;
+    }
+  } else {
+    style.height = "100vh";
+    style.minHeight = "400px";
+  }
+
+  // Set width based on animation settings
+  if (width === "auto") {
+    style.width = "100%";
+  } else if (typeof width === "number") {
+    style.width = `${width}px`;
+  } else if (typeof width === "string") {
+    // Handle string values like "100%", "100vw", "500px", etc.
+    style.width = width;
+  } else {
+    style.width = "100%";
+  }
+
+  return style;
+};
+
+/**
+ * Container, sizing and content overlay of a background component. The
+ * animation's layers go in as children; the component's own children go in
+ * as `content` and are laid over them in a pass-through overlay.
+ *
+ * @example
+ * ```tsx
+ * <BackgroundShell ref={containerRef} label="Animated rain background" width={width} height={height} content={children}>
+ *   <canvas ref={canvasRef} style={CANVAS_STYLE} />
+ *   <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+ * </BackgroundShell>
+ * ```
+ */
+export const BackgroundShell = forwardRef<HTMLDivElement, Props>(function BackgroundShell(
+  { width, height, className, style, fixed = false, overlay, label, background, content, children },
+  ref
+) {
+  const containerStyle: React.CSSProperties = {
+    ...getContainerStyle(width, height),
+    // Negative so the page content paints over it; the root background still sits underneath
+    ...(fixed ? { position: "fixed", top: 0, left: 0, width: "100%", height: "100%", minHeight: 0, zIndex: -1 } : null),
+    ...(background ? { background } : null),
+    ...style,
+  };
+
+  const Overlay = overlay?.as ?? "div";
+  const justify = overlay?.justify ?? "center";
+
+  return (
+    <div ref={ref} className={className} style={containerStyle} role="presentation" aria-label={label}>
+      {children}
+      {content && (
+        <Overlay
+          className={overlay?.className}
+          style={{
+            position: "absolute",
+            top: 0,
+            left: 0,
+            width: "100%",
+            height: "100%",
+            boxSizing: "border-box",
+            zIndex: 30,
+            pointerEvents: "none",
+            display: "flex",
+            alignItems: PLACEMENT[overlay?.align ?? "center"],
+            justifyContent: PLACEMENT[justify],
+            padding: overlay?.padding,
+            ...overlay?.style,
+          }}
+          // A custom element such as "main" keeps its own landmark role
+          {...(overlay?.as ? null : { role: "region", "aria-label": "Content overlay" })}
+        >
+          <div
+            style={{
+              pointerEvents: "auto",
+              position: "relative",
+              zIndex: 31,
+              // Flex items cannot be stretched along the main axis with justify-content
+              ...(justify === "stretch" ? { flex: "1 1 auto" } : null),
+            }}
+          >
+            {content}
+          </div>
+        </Overlay>
+      )}
+    </div>
+  );
+});
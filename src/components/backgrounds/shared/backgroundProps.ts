@@ -0,0 +1,79 @@
+import type React from "react";
+import type { MotionPreference } from "../../shared/useReducedMotion";
+import type { AutoPauseOptions } from "./useAutoPause";
+import type { QualityOptions } from "./useQualityChange";
+import type { RendererPreference } from "./renderer";
+import type { PosterPreference } from "./BackgroundPoster";
+import type { BackgroundLayoutProps } from "./BackgroundShell";
+import type { ScrollBind } from "./useScrollBind";
+import type { AudioMapping, AudioSource } from "./useAudioSource";
+
+/**
+ * Background Component Props
+ * Props shared by the background components, documented once. Each component's
+ * own Props add its settings and extend the optional groups that apply to it;
+ * S is the component's settings, by the names its handle's update() takes.
+ */
+
+/**
+ * Props every background component accepts
+ */
+export interface BackgroundProps<S> extends BackgroundLayoutProps {
+  // Content laid over the background
+  children?: React.ReactNode;
+
+  // Reduced-motion policy; "auto" follows the OS setting
+  motion?: MotionPreference;
+
+  // Pauses the animation while off-screen or in a hidden tab; pass options to tune the viewport check
+  autoPause?: boolean | AutoPauseOptions;
+
+  // Static stand-in for server rendering, cross-faded out once the animation draws: "gradient", an image URL or options
+  poster?: PosterPreference;
+
+  // Named look the other props override: a built-in preset or one added with registerPreset()
+  preset?: string;
+
+  // Moves settings through the given values as the page scrolls, e.g. { speed: [0.5, 3] }; target, start and end set the scroll range
+  scrollBind?: ScrollBind<S>;
+
+  // Audio the background reacts to: an <audio> or <video> element, a MediaStream such as a microphone, or an AudioNode
+  audioSource?: AudioSource | null;
+  // Settings that follow the audio, merged over the defaults, e.g. { speed: { band: "bass", scale: [1, 3] } }; null turns a default off
+  audioMapping?: AudioMapping<S>;
+}
+
+/**
+ * Props of backgrounds with a random layout
+ */
+export interface SeedProps {
+  // Seeds the random layout so the same value draws the same picture on every load
+  seed?: number | string;
+}
+
+/**
+ * Props of backgrounds that can thin themselves out on slow devices
+ */
+export interface AdaptiveQualityProps {
+  // Scales density settings down to hold a frame rate; off unless set
+  quality?: boolean | QualityOptions;
+
+  // Called with the density scale (0-1) whenever adaptive quality changes it
+  onQualityChange?: (scale: number) => void;
+}
+
+/**
+ * Props of backgrounds that can draw with WebGL
+ */
+export interface RendererProps {
+  // Draws with batched WebGL instead of Canvas 2D; "auto" uses WebGL where available
+  renderer?: RendererPreference;
+}
+
+/**
+ * Props of backgrounds that can draw in a Web Worker
+ */
+export interface RenderInProps {
+  // Renders on an OffscreenCanvas in a Web Worker; falls back to the main thread where unsupported
+  renderIn?: "main" | "worker";
+}
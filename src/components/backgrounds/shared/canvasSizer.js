@@ -0,0 +1,166 @@
+/**
+ * Canvas Sizer
+ * Keeps a canvas backing store matched to its displayed size and the device pixel ratio,
+ * so canvas backgrounds stay sharp on HiDPI screens
+ */
+
+// Default cap for the pixel ratio; higher ratios cost memory for little visible gain
+export const DEFAULT_MAX_PIXEL_RATIO = 2;
+
+// Workers have no window, so the render worker reports the page's pixel ratio here
+let reportedPixelRatio = 1;
+
+/**
+ * Sets the device pixel ratio used where no window is available
+ * @param {number} ratio - Pixel ratio of the page that owns the canvas
+ */
+export const setDevicePixelRatio = (ratio) => {
+  reportedPixelRatio = typeof ratio === "number" && ratio > 0 && isFinite(ratio) ? ratio : 1;
+};
+
+/**
+ * Returns the device pixel ratio of the page
+ * @returns {number} Current device pixel ratio
+ */
+export const getDevicePixelRatio = () => {
+  if (typeof window === "undefined") return reportedPixelRatio;
+  return window.devicePixelRatio || 1;
+};
+
+/**
+ * Checks whether a value is a canvas a plugin can draw on, on the page or in a worker
+ * @param {*} element - Value to check
+ * @returns {boolean} True for an HTMLCanvasElement or an OffscreenCanvas
+ */
+export const isCanvasElement = (element) => {
+  if (!element) return false;
+  if (typeof HTMLCanvasElement !== "undefined" && element instanceof HTMLCanvasElement) return true;
+  return typeof OffscreenCanvas !== "undefined" && element instanceof OffscreenCanvas;
+};
+
+/**
+ * Calls back whenever the device pixel ratio changes, e.g. when the window moves to another monitor
+ * @param {Function} onChange - Called after each change
+ * @returns {Function} Stops watching
+ */
+export const watchPixelRatio = (onChange) => {
+  let mediaQuery = null;
+
+  const unwatch = () => {
+    if (mediaQuery) {
+      mediaQuery.removeEventListener("change", handleChange);
+      mediaQuery = null;
+    }
+  };
+
+  const watch = () => {
+    unwatch();
+    if (typeof window === "undefined" || !window.matchMedia) return;
+
+    mediaQuery = window.matchMedia(`(resolution: ${window.devicePixelRatio || 1}dppx)`);
+    mediaQuery.addEventListener("change", handleChange);
+  };
+
+  const handleChange = () => {
+    // The media query only matches a single ratio, so watch the new one
+    watch();
+    onChange();
+  };
+
+  watch();
+  return unwatch;
+};
+
+/**
+ * Validates the pixel ratio cap
+ * @param {number|string} value - Requested cap
+ * @returns {number} Positive pixel ratio cap
+ */
+const normalizeMaxPixelRatio = (value) => {
+  const num = typeof value === "string" ? parseFloat(value) : value;
+  return typeof num === "number" && num > 0 && isFinite(num) ? num : DEFAULT_MAX_PIXEL_RATIO;
+};
+
+/**
+ * Creates a sizer for a canvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to size
+ * @param {Object} options - Sizer options
+ * @param {number} [options.maxPixelRatio] - Upper bound for the device pixel ratio
+ * @param {HTMLElement} [options.measureElement] - Element whose size the canvas fills (defaults to the canvas)
+ * @param {number} [options.fallbackWidth] - Width used while the element has no layout
+ * @param {number} [options.fallbackHeight] - Height used while the element has no layout
+ * @param {Function} [options.onPixelRatioChange] - Called when the device pixel ratio changes
+ * @returns {Object} Sizer API with resize, setMaxPixelRatio, getPixelRatio and destroy methods
+ */
+export default function createCanvasSizer(canvas, options = {}) {
+  const measureElement = options.measureElement || canvas;
+  const fallbackWidth = options.fallbackWidth ?? 800;
+  const fallbackHeight = options.fallbackHeight ?? 400;
+  let maxPixelRatio = normalizeMaxPixelRatio(options.maxPixelRatio);
+  let pixelRatio = 1;
+
+  /**
+   * Returns the device pixel ratio limited by the cap
+   * @returns {number} Pixel ratio used for the backing store
+   */
+  const getPixelRatio = () => Math.min(getDevicePixelRatio(), maxPixelRatio);
+
+  /**
+   * Matches the backing store to the element size and pixel ratio
+   * @param {number} [cssWidth] - Width to use instead of the measured one
+   * @param {number} [cssHeight] - Height to use instead of the measured one
+   * @returns {{ width: number, height: number, pixelRatio: number, changed: boolean }} Size in CSS pixels, and whether the backing store was reset
+   */
+  const resize = (cssWidth, cssHeight) => {
+    const rect = measureElement.getBoundingClientRect();
+    const width = Math.max(1, Math.floor(cssWidth || rect.width) || fallbackWidth);
+    const height = Math.max(1, Math.floor(cssHeight || rect.height) || fallbackHeight);
+    pixelRatio = getPixelRatio();
+
+    const backingWidth = Math.max(1, Math.round(width * pixelRatio));
+    const backingHeight = Math.max(1, Math.round(height * pixelRatio));
+    const changed = canvas.width !== backingWidth || canvas.height !== backingHeight;
+
+    // Setting the dimensions clears the canvas and resets the context state
+    if (changed) {
+      canvas.width = backingWidth;
+      canvas.height = backingHeight;
+    }
+
+    // Draw in CSS pixels; the transform maps them onto device pixels
+    const context = canvas.getContext("2d");
+    if (context) {
+      context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    }
+
+    return { width, height, pixelRatio, changed };
+  };
+
+  /**
+   * Changes the pixel ratio cap; call resize() afterwards to apply it
+   * @param {number|string} value - New cap
+   */
+  const setMaxPixelRatio = (value) => {
+    maxPixelRatio = normalizeMaxPixelRatio(value);
+  };
+
+  /**
+   * Stops watching the pixel ratio for good
+   */
+  const destroy = () => {
+    unwatchPixelRatio();
+  };
+
+  const unwatchPixelRatio = watchPixelRatio(() => {
+    if (options.onPixelRatioChange) {
+      options.onPixelRatioChange();
+    }
+  });
+
+  return {
+    resize,
+    setMaxPixelRatio,
+    getPixelRatio: () => pixelRatio,
+    destroy,
+  };
+}
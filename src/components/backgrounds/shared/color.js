@@ -0,0 +1,577 @@
+/**
+ * Color Engine
+ * One parser for every color a plugin accepts: hex, rgb(a), hsl(a), oklab,
+ * oklch, named colors, `var(--custom-property)` and `currentcolor` resolved
+ * from the plugin's element, legacy "r, g, b," lists and { r, g, b } objects.
+ * Colors are handled as { r, g, b, a } with channels from 0 to 255 and alpha
+ * from 0 to 1; plugins get them back as "#rrggbb" or "rgba(...)" strings,
+ * which every canvas and stylesheet understands.
+ */
+
+import { isDevelopment } from "./development.js";
+
+const NAMED_COLORS = Object.freeze({
+  aliceblue: "f0f8ff",
+  antiquewhite: "faebd7",
+  aqua: "00ffff",
+  aquamarine: "7fffd4",
+  azure: "f0ffff",
+  beige: "f5f5dc",
+  bisque: "ffe4c4",
+  black: "000000",
+  blanchedalmond: "ffebcd",
+  blue: "0000ff",
+  blueviolet: "8a2be2",
+  brown: "a52a2a",
+  burlywood: "deb887",
+  cadetblue: "5f9ea0",
+  chartreuse: "7fff00",
+  chocolate: "d2691e",
+  coral: "ff7f50",
+  cornflowerblue: "6495ed",
+  cornsilk: "fff8dc",
+  crimson: "dc143c",
+  cyan: "00ffff",
+  darkblue: "00008b",
+  darkcyan: "008b8b",
+  darkgoldenrod: "b8860b",
+  darkgray: "a9a9a9",
+  darkgreen: "006400",
+  darkgrey: "a9a9a9",
+  darkkhaki: "bdb76b",
+  darkmagenta: "8b008b",
+  darkolivegreen: "556b2f",
+  darkorange: "ff8c00",
+  darkorchid: "9932cc",
+  darkred: "8b0000",
+  darksalmon: "e9967a",
+  darkseagreen: "8fbc8f",
+  darkslateblue: "483d8b",
+  darkslategray: "2f4f4f",
+  darkslategrey: "2f4f4f",
+  darkturquoise: "00ced1",
+  darkviolet: "9400d3",
+  deeppink: "ff1493",
+  deepskyblue: "00bfff",
+  dimgray: "696969",
+  dimgrey: "696969",
+  dodgerblue: "1e90ff",
+  firebrick: "b22222",
+  floralwhite: "fffaf0",
+  forestgreen: "228b22",
+  fuchsia: "ff00ff",
+  gainsboro: "dcdcdc",
+  ghostwhite: "f8f8ff",
+  gold: "ffd700",
+  goldenrod: "daa520",
+  gray: "808080",
+  green: "008000",
+  greenyellow: "adff2f",
+  grey: "808080",
+  honeydew: "f0fff0",
+  hotpink: "ff69b4",
+  indianred: "cd5c5c",
+  indigo: "4b0082",
+  ivory: "fffff0",
+  khaki: "f0e68c",
+  lavender: "e6e6fa",
+  lavenderblush: "fff0f5",
+  lawngreen: "7cfc00",
+  lemonchiffon: "fffacd",
+  lightblue: "add8e6",
+  lightcoral: "f08080",
+  lightcyan: "e0ffff",
+  lightgoldenrodyellow: "fafad2",
+  lightgray: "d3d3d3",
+  lightgreen: "90ee90",
+  lightgrey: "d3d3d3",
+  lightpink: "ffb6c1",
+  lightsalmon: "ffa07a",
+  lightseagreen: "20b2aa",
+  lightskyblue: "87cefa",
+  lightslategray: "778899",
+  lightslategrey: "778899",
+  lightsteelblue: "b0c4de",
+  lightyellow: "ffffe0",
+  lime: "00ff00",
+  limegreen: "32cd32",
+  linen: "faf0e6",
+  magenta: "ff00ff",
+  maroon: "800000",
+  mediumaquamarine: "66cdaa",
+  mediumblue: "0000cd",
+  mediumorchid: "ba55d3",
+  mediumpurple: "9370db",
+  mediumseagreen: "3cb371",
+  mediumslateblue: "7b68ee",
+  mediumspringgreen: "00fa9a",
+  mediumturquoise: "48d1cc",
+  mediumvioletred: "c71585",
+  midnightblue: "191970",
+  mintcream: "f5fffa",
+  mistyrose: "ffe4e1",
+  moccasin: "ffe4b5",
+  navajowhite: "ffdead",
+  navy: "000080",
+  oldlace: "fdf5e6",
+  olive: "808000",
+  olivedrab: "6b8e23",
+  orange: "ffa500",
+  orangered: "ff4500",
+  orchid: "da70d6",
+  palegoldenrod: "eee8aa",
+  palegreen: "98fb98",
+  paleturquoise: "afeeee",
+  palevioletred: "db7093",
+  papayawhip: "ffefd5",
+  peachpuff: "ffdab9",
+  peru: "cd853f",
+  pink: "ffc0cb",
+  plum: "dda0dd",
+  powderblue: "b0e0e6",
+  purple: "800080",
+  rebeccapurple: "663399",
+  red: "ff0000",
+  rosybrown: "bc8f8f",
+  royalblue: "4169e1",
+  saddlebrown: "8b4513",
+  salmon: "fa8072",
+  sandybrown: "f4a460",
+  seagreen: "2e8b57",
+  seashell: "fff5ee",
+  sienna: "a0522d",
+  silver: "c0c0c0",
+  skyblue: "87ceeb",
+  slateblue: "6a5acd",
+  slategray: "708090",
+  slategrey: "708090",
+  snow: "fffafa",
+  springgreen: "00ff7f",
+  steelblue: "4682b4",
+  tan: "d2b48c",
+  teal: "008080",
+  thistle: "d8bfd8",
+  tomato: "ff6347",
+  turquoise: "40e0d0",
+  violet: "ee82ee",
+  wheat: "f5deb3",
+  white: "ffffff",
+  whitesmoke: "f5f5f5",
+  yellow: "ffff00",
+  yellowgreen: "9acd32",
+});
+
+// Parsed colors are cached by their text; the limit keeps per-frame colors from growing it forever
+const COLOR_CACHE_LIMIT = 512;
+const colorCache = new Map();
+
+// Custom properties may point at each other; deeper chains are treated as invalid
+const MAX_VARIABLE_DEPTH = 8;
+
+const warnedColors = new Set();
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Parses a numeric color channel
+ * @param {string} token - Number or percentage, or "none"
+ * @param {number} scale - Value that 100% stands for
+ * @returns {number} Channel value, NaN when invalid
+ */
+const parseChannel = (token, scale) => {
+  if (token === "none") return 0;
+  if (token.endsWith("%")) return (parseFloat(token) / 100) * scale;
+  return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(token) ? parseFloat(token) : NaN;
+};
+
+/**
+ * Parses a hue
+ * @param {string} token - Angle in deg (default), rad, grad or turn
+ * @returns {number} Hue in degrees, NaN when invalid
+ */
+const parseHue = (token) => {
+  if (token === "none") return 0;
+  const match = token.match(/^([+-]?(?:\d+\.?\d*|\.\d+)(?:e[+-]?\d+)?)(deg|rad|grad|turn)?$/i);
+  if (!match) return NaN;
+  const value = parseFloat(match[1]);
+  switch ((match[2] || "deg").toLowerCase()) {
+    case "rad":
+      return (value * 180) / Math.PI;
+    case "grad":
+      return value * 0.9;
+    case "turn":
+      return value * 360;
+    default:
+      return value;
+  }
+};
+
+/**
+ * Converts an sRGB channel to linear light
+ * @param {number} channel - Channel from 0 to 255
+ * @returns {number} Linear value from 0 to 1
+ */
+const toLinear = (channel) => {
+  const c = channel / 255;
+  return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+};
+
+/**
+ * Converts a linear-light value to an sRGB channel
+ * @param {number} value - Linear value from 0 to 1
+ * @returns {number} Channel from 0 to 255
+ */
+const fromLinear = (value) => {
+  const c = value <= 0.0031308 ? value * 12.92 : 1.055 * Math.pow(value, 1 / 2.4) - 0.055;
+  return clamp(c * 255, 0, 255);
+};
+
+/**
+ * Converts OKLab to sRGB, clipping colors outside the sRGB gamut
+ * @param {number} l - Lightness from 0 to 1
+ * @param {number} a - Green-red axis
+ * @param {number} b - Blue-yellow axis
+ * @param {number} alpha - Alpha from 0 to 1
+ * @returns {{ r: number, g: number, b: number, a: number }} Color
+ */
+const fromOklab = (l, a, b, alpha) => {
+  const l_ = Math.pow(l + 0.3963377774 * a + 0.2158037573 * b, 3);
+  const m_ = Math.pow(l - 0.1055613458 * a - 0.0638541728 * b, 3);
+  const s_ = Math.pow(l - 0.0894841775 * a - 1.291485548 * b, 3);
+  return {
+    r: fromLinear(4.0767416621 * l_ - 3.3077115913 * m_ + 0.2309699292 * s_),
+    g: fromLinear(-1.2684380046 * l_ + 2.6097574011 * m_ - 0.3413193965 * s_),
+    b: fromLinear(-0.0041960863 * l_ - 0.7034186147 * m_ + 1.707614701 * s_),
+    a: alpha,
+  };
+};
+
+/**
+ * Converts sRGB to OKLab
+ * @param {{ r: number, g: number, b: number }} color - Color
+ * @returns {number[]} Lightness, green-red axis and blue-yellow axis
+ */
+const toOklab = ({ r, g, b }) => {
+  const lr = toLinear(r);
+  const lg = toLinear(g);
+  const lb = toLinear(b);
+  const l_ = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+  const m_ = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+  const s_ = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+  return [
+    0.2104542553 * l_ + 0.793617785 * m_ - 0.0040720468 * s_,
+    1.9779984951 * l_ - 2.428592205 * m_ + 0.4505937099 * s_,
+    0.0259040371 * l_ + 0.7827717662 * m_ - 0.808675766 * s_,
+  ];
+};
+
+/**
+ * Converts HSL to sRGB
+ * @param {number} h - Hue in degrees
+ * @param {number} s - Saturation from 0 to 1
+ * @param {number} l - Lightness from 0 to 1
+ * @param {number} alpha - Alpha from 0 to 1
+ * @returns {{ r: number, g: number, b: number, a: number }} Color
+ */
+const fromHsl = (h, s, l, alpha) => {
+  const hue = ((h % 360) + 360) % 360;
+  const saturation = clamp(s, 0, 1);
+  const lightness = clamp(l, 0, 1);
+  const chroma = saturation * Math.min(lightness, 1 - lightness);
+  const channel = (n) => {
+    const k = (n + hue / 30) % 12;
+    return (lightness - chroma * Math.max(-1, Math.min(k - 3, 9 - k, 1))) * 255;
+  };
+  return { r: channel(0), g: channel(8), b: channel(4), a: alpha };
+};
+
+/**
+ * Parses the arguments of a color function, in comma or space syntax
+ * @param {string} name - Function name, e.g. "rgb" or "oklch"
+ * @param {string} body - Text between the parentheses
+ * @returns {Object|null} Color, or null when invalid
+ */
+const parseFunction = (name, body) => {
+  let channels;
+  let alphaToken = "1";
+  if (body.includes(",")) {
+    channels = body.split(",").map((part) => part.trim());
+    if (channels.length === 4) alphaToken = channels.pop();
+  } else {
+    const [channelPart, alphaPart, ...rest] = body.split("/");
+    if (rest.length > 0) return null;
+    if (alphaPart !== undefined) alphaToken = alphaPart.trim();
+    channels = channelPart.trim().split(/\s+/);
+  }
+  if (channels.length !== 3) return null;
+
+  const alpha = clamp(parseChannel(alphaToken, 1), 0, 1);
+  let color;
+  switch (name) {
+    case "rgb":
+    case "rgba":
+      color = { r: parseChannel(channels[0], 255), g: parseChannel(channels[1], 255), b: parseChannel(channels[2], 255), a: alpha };
+      break;
+    case "hsl":
+    case "hsla":
+      // Saturation and lightness are percentages, with or without the % sign
+      color = fromHsl(parseHue(channels[0]), parseChannel(channels[1], 100) / 100, parseChannel(channels[2], 100) / 100, alpha);
+      break;
+    case "oklab":
+      color = fromOklab(parseChannel(channels[0], 1), parseChannel(channels[1], 0.4), parseChannel(channels[2], 0.4), alpha);
+      break;
+    case "oklch": {
+      const chroma = parseChannel(channels[1], 0.4);
+      const hue = (parseHue(channels[2]) * Math.PI) / 180;
+      color = fromOklab(parseChannel(channels[0], 1), chroma * Math.cos(hue), chroma * Math.sin(hue), alpha);
+      break;
+    }
+    default:
+      return null;
+  }
+
+  if ([color.r, color.g, color.b, color.a].some((value) => isNaN(value))) return null;
+  return { r: clamp(color.r, 0, 255), g: clamp(color.g, 0, 255), b: clamp(color.b, 0, 255), a: color.a };
+};
+
+/**
+ * Parses a hex color
+ * @param {string} hex - Digits after the "#"
+ * @returns {Object|null} Color, or null when invalid
+ */
+const parseHex = (hex) => {
+  if (!/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null;
+  const digits = hex.length <= 4 ? hex.replace(/./g, (digit) => digit + digit) : hex;
+  return {
+    r: parseInt(digits.slice(0, 2), 16),
+    g: parseInt(digits.slice(2, 4), 16),
+    b: parseInt(digits.slice(4, 6), 16),
+    a: digits.length === 8 ? parseInt(digits.slice(6, 8), 16) / 255 : 1,
+  };
+};
+
+/**
+ * Reads the computed style of an element, where there is a DOM to read it from
+ * @param {Element} [element] - Element; workers pass an OffscreenCanvas or nothing
+ * @returns {CSSStyleDeclaration|null} Computed style
+ */
+const readStyle = (element) => {
+  if (!element || typeof element.nodeType !== "number" || typeof window === "undefined" || !window.getComputedStyle) {
+    return null;
+  }
+  return window.getComputedStyle(element);
+};
+
+/**
+ * Parses a color string that needs no element
+ * @param {string} text - Trimmed, lowercase color
+ * @returns {Object|null} Color, or null when invalid
+ */
+const parseStaticColor = (text) => {
+  if (text === "transparent") return { r: 0, g: 0, b: 0, a: 0 };
+  if (text.charAt(0) === "#") return parseHex(text.slice(1));
+  if (NAMED_COLORS[text]) return parseHex(NAMED_COLORS[text]);
+
+  const call = text.match(/^([a-z]+)\(([^()]*)\)$/);
+  if (call) return parseFunction(call[1], call[2]);
+
+  // Legacy "r, g, b," channel lists, as used by ExpandingBalls
+  const list = text.match(/^(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,\s*(\d+(?:\.\d+)?)\s*,?$/);
+  if (list) return { r: clamp(+list[1], 0, 255), g: clamp(+list[2], 0, 255), b: clamp(+list[3], 0, 255), a: 1 };
+
+  return null;
+};
+
+/**
+ * Parses any color a plugin accepts
+ * @param {string|Object} value - CSS color, "r, g, b," list or { r, g, b, a? } object
+ * @param {Element} [element] - Element that `var()` and `currentcolor` are resolved against
+ * @param {number} [depth] - Custom properties followed so far
+ * @returns {{ r: number, g: number, b: number, a: number }|null} Color, or null when invalid
+ */
+export const parseColor = (value, element, depth = 0) => {
+  if (value && typeof value === "object") {
+    const { r, g, b, a } = value;
+    if ([r, g, b].some((channel) => typeof channel !== "number" || isNaN(channel))) return null;
+    return { r: clamp(r, 0, 255), g: clamp(g, 0, 255), b: clamp(b, 0, 255), a: typeof a === "number" && !isNaN(a) ? clamp(a, 0, 1) : 1 };
+  }
+  if (typeof value !== "string") return null;
+
+  // Custom property names are case-sensitive, so var() is handled before lowercasing
+  const trimmed = value.trim();
+  const variable = trimmed.match(/^var\(\s*(--[^\s,()]+)\s*(?:,([\s\S]*))?\)$/);
+  if (variable) {
+    if (depth >= MAX_VARIABLE_DEPTH) return null;
+    const style = readStyle(element);
+    const resolved = style ? style.getPropertyValue(variable[1]).trim() : "";
+    if (resolved) return parseColor(resolved, element, depth + 1);
+    return variable[2] !== undefined ? parseColor(variable[2], element, depth + 1) : null;
+  }
+
+  const text = trimmed.toLowerCase();
+  if (text === "currentcolor") {
+    const style = readStyle(element);
+    return style ? parseColor(style.color) : null;
+  }
+
+  if (colorCache.has(text)) return colorCache.get(text);
+  const color = parseStaticColor(text);
+  if (colorCache.size >= COLOR_CACHE_LIMIT) {
+    colorCache.clear();
+  }
+  colorCache.set(text, color ? Object.freeze(color) : null);
+  return colorCache.get(text);
+};
+
+/**
+ * Checks whether a value is a color a plugin accepts
+ * @param {string|Object} value - Color to check
+ * @param {Element} [element] - Element that `var()` and `currentcolor` are resolved against
+ * @returns {boolean} True when the value parses
+ */
+export const isValidColor = (value, element) => parseColor(value, element) !== null;
+
+/**
+ * Formats a color for canvases and stylesheets
+ * @param {{ r: number, g: number, b: number, a?: number }} color - Color
+ * @returns {string} "#rrggbb" when opaque, otherwise "rgba(r, g, b, a)"
+ */
+export const formatColor = ({ r, g, b, a = 1 }) => {
+  const red = Math.round(clamp(r, 0, 255));
+  const green = Math.round(clamp(g, 0, 255));
+  const blue = Math.round(clamp(b, 0, 255));
+  const alpha = Math.round(clamp(a, 0, 1) * 1000) / 1000;
+  if (alpha >= 1) {
+    return "#" + [red, green, blue].map((channel) => channel.toString(16).padStart(2, "0")).join("");
+  }
+  return `rgba(${red}, ${green}, ${blue}, ${alpha})`;
+};
+
+/**
+ * Scales the opacity of a color
+ * @param {string|Object} color - Color
+ * @param {number} alpha - Opacity multiplier from 0 to 1
+ * @param {Element} [element] - Element that `var()` and `currentcolor` are resolved against
+ * @returns {string} Formatted color; unparsable colors are returned unchanged
+ */
+export const withAlpha = (color, alpha, element) => {
+  const parsed = parseColor(color, element);
+  if (!parsed) return color;
+  return formatColor({ ...parsed, a: parsed.a * clamp(alpha, 0, 1) });
+};
+
+/**
+ * Composites one color over another, like painting it on top (source-over)
+ * @param {string|Object} top - Upper color
+ * @param {string|Object} bottom - Lower color
+ * @param {Element} [element] - Element that `var()` and `currentcolor` are resolved against
+ * @returns {string|null} Formatted color, or null when either color is invalid
+ */
+export const compositeColors = (top, bottom, element) => {
+  const upper = parseColor(top, element);
+  const lower = parseColor(bottom, element);
+  if (!upper || !lower) return null;
+
+  const alpha = upper.a + lower.a * (1 - upper.a);
+  if (alpha === 0) return formatColor({ r: 0, g: 0, b: 0, a: 0 });
+  const blend = (u, l) => (u * upper.a + l * lower.a * (1 - upper.a)) / alpha;
+  return formatColor({ r: blend(upper.r, lower.r), g: blend(upper.g, lower.g), b: blend(upper.b, lower.b), a: alpha });
+};
+
+/**
+ * Interpolates between two colors in OKLab, so the steps look evenly spaced
+ * and blends stay as bright as their ends instead of dipping through gray
+ * @param {string|Object} from - Color at 0
+ * @param {string|Object} to - Color at 1
+ * @param {number} amount - Position between the colors, from 0 to 1
+ * @param {Element} [element] - Element that `var()` and `currentcolor` are resolved against
+ * @returns {string|null} Formatted color, or null when either color is invalid
+ */
+export const mixColors = (from, to, amount, element) => {
+  const start = parseColor(from, element);
+  const end = parseColor(to, element);
+  if (!start || !end) return null;
+
+  const t = clamp(amount, 0, 1);
+  const alpha = start.a + (end.a - start.a) * t;
+  if (alpha === 0) return formatColor({ r: 0, g: 0, b: 0, a: 0 });
+
+  // Premultiplied, so a transparent end fades the color out instead of tinting it black
+  const startLab = toOklab(start).map((value) => value * start.a);
+  const endLab = toOklab(end).map((value) => value * end.a);
+  const [l, a, b] = startLab.map((value, index) => (value + (endLab[index] - value) * t) / alpha);
+  return formatColor(fromOklab(l, a, b, alpha));
+};
+
+/**
+ * Warns once per plugin and value about a color that did not parse
+ * @param {string} owner - Plugin name
+ * @param {*} value - Rejected color
+ * @param {*} defaultValue - Color used instead
+ */
+const warnInvalidColor = (owner, value, defaultValue) => {
+  if (!isDevelopment()) return;
+
+  const text = typeof value === "string" ? value : JSON.stringify(value);
+  const key = `${owner}|${text}`;
+  if (warnedColors.has(key)) return;
+  warnedColors.add(key);
+  console.warn(`${owner}: Invalid color ${JSON.stringify(text)}, falling back to ${JSON.stringify(defaultValue)}`);
+};
+
+/**
+ * Validates a color setting
+ * @param {string|Object} color - Color value to validate
+ * @param {*} defaultValue - Default color if unset or invalid
+ * @param {string} owner - Plugin name for the invalid-color warning
+ * @param {Element} [element] - Element that `var()` and `currentcolor` are resolved against
+ * @returns {*} Formatted color, "transparent" as given, or the default
+ */
+export const validateColor = (color, defaultValue, owner, element) => {
+  if (color === undefined || color === null || (typeof color === "string" && !color.trim())) {
+    return defaultValue;
+  }
+
+  // Plugins clear instead of fill for this keyword, so it is kept as written rather than formatted
+  if (typeof color === "string" && color.trim().toLowerCase() === "transparent") {
+    return "transparent";
+  }
+
+  const parsed = parseColor(color, element);
+  if (parsed) return formatColor(parsed);
+
+  warnInvalidColor(owner, color, defaultValue);
+  return defaultValue;
+};
+
+/**
+ * Validates a list of colors, dropping the invalid ones
+ * @param {Array} colors - Color values to validate
+ * @param {Array} defaultValue - Default list if unset or without a valid color
+ * @param {string} owner - Plugin name for the invalid-color warning
+ * @param {Element} [element] - Element that `var()` and `currentcolor` are resolved against
+ * @returns {Array} Formatted colors, or the default
+ */
+export const validateColorArray = (colors, defaultValue, owner, element) => {
+  if (!Array.isArray(colors) || colors.length === 0) {
+    return defaultValue;
+  }
+
+  const valid = colors.map((color) => validateColor(color, null, owner, element)).filter(Boolean);
+  return valid.length > 0 ? valid : defaultValue;
+};
+
+/**
+ * Resolves the element-dependent colors of a setting (`var()` and `currentcolor`)
+ * to plain colors, for settings that leave the page, e.g. for a render worker
+ * @param {*} value - Setting value; strings and arrays of strings are resolved
+ * @param {Element} element - Element the colors are resolved against
+ * @returns {*} Value with plain colors
+ */
+export const resolveColorVariables = (value, element) => {
+  if (Array.isArray(value)) return value.map((entry) => resolveColorVariables(entry, element));
+  if (typeof value !== "string" || !/var\(|currentcolor/i.test(value)) return value;
+
+  const parsed = parseColor(value, element);
+  return parsed ? formatColor(parsed) : value;
+};
@@ -0,0 +1,153 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import { compositeColors, formatColor, mixColors, parseColor, validateColor, validateColorArray, withAlpha } from "./color.js";
+
+/**
+ * Parses a color and formats it again
+ */
+const roundTrip = (value: string) => {
+  const parsed = parseColor(value);
+  return parsed ? formatColor(parsed) : null;
+};
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe("parseColor and formatColor", () => {
+  it("round-trips opaque colors to #rrggbb in every syntax", () => {
+    expect(roundTrip("#ff8000")).toBe("#ff8000");
+    expect(roundTrip("#F80")).toBe("#ff8800");
+    expect(roundTrip("rgb(255, 128, 0)")).toBe("#ff8000");
+    expect(roundTrip("rgb(255 128 0)")).toBe("#ff8000");
+    expect(roundTrip("rgb(100% 50% 0%)")).toBe("#ff8000");
+    expect(roundTrip("hsl(120, 100%, 50%)")).toBe("#00ff00");
+    expect(roundTrip("hsl(0.5turn 100% 50%)")).toBe("#00ffff");
+    expect(roundTrip("oklch(1 0 0)")).toBe("#ffffff");
+    expect(roundTrip("oklab(0 0 0)")).toBe("#000000");
+    expect(roundTrip("DodgerBlue")).toBe("#1e90ff");
+    expect(roundTrip("255, 128, 0,")).toBe("#ff8000");
+  });
+
+  it("keeps alpha as rgba()", () => {
+    expect(roundTrip("rgba(255, 128, 0, 0.5)")).toBe("rgba(255, 128, 0, 0.5)");
+    expect(roundTrip("rgb(255 128 0 / 25%)")).toBe("rgba(255, 128, 0, 0.25)");
+    expect(roundTrip("#ff800080")).toBe("rgba(255, 128, 0, 0.502)");
+    expect(roundTrip("transparent")).toBe("rgba(0, 0, 0, 0)");
+  });
+
+  it("reads back what formatColor writes", () => {
+    const colors = [
+      { r: 13, g: 13, b: 13, a: 1 },
+      { r: 200, g: 10, b: 90, a: 0.4 },
+      { r: 0, g: 0, b: 0, a: 0 },
+    ];
+    colors.forEach((color) => {
+      expect(parseColor(formatColor(color))).toEqual(color);
+    });
+  });
+
+  it("accepts { r, g, b } objects and clamps their channels", () => {
+    expect(parseColor({ r: 300, g: -5, b: 10 })).toEqual({ r: 255, g: 0, b: 10, a: 1 });
+    expect(formatColor({ r: 12.6, g: 0, b: 255, a: 2 })).toBe("#0d00ff");
+  });
+
+  it("resolves var() against the element, falling back to the var() default", () => {
+    const element = document.createElement("div");
+    element.style.setProperty("--accent", "#336699");
+    document.body.appendChild(element);
+
+    expect(parseColor("var(--accent)", element)).toEqual({ r: 51, g: 102, b: 153, a: 1 });
+    expect(parseColor("var(--missing, red)", element)).toEqual({ r: 255, g: 0, b: 0, a: 1 });
+    expect(parseColor("var(--missing)", element)).toBeNull();
+
+    element.remove();
+  });
+
+  it("returns null for invalid input instead of throwing", () => {
+    ["", "#12", "#ggg", "notacolor", "rgb(1, 2)", "rgb(a, b, c)", "hsl(1 2 3 / 4 / 5)", "calc(1px)", "var(--x"].forEach((value) => {
+      expect(() => parseColor(value)).not.toThrow();
+      expect(parseColor(value)).toBeNull();
+    });
+    [null, undefined, 42, [], { r: "1", g: 2, b: 3 }, { r: NaN, g: 0, b: 0 }].forEach((value) => {
+      expect(parseColor(value as never)).toBeNull();
+    });
+  });
+});
+
+describe("mixColors", () => {
+  it("returns the ends at 0 and 1, clamping the amount", () => {
+    expect(mixColors("#ff0000", "#0000ff", 0)).toBe("#ff0000");
+    expect(mixColors("#ff0000", "#0000ff", 1)).toBe("#0000ff");
+    expect(mixColors("#ff0000", "#0000ff", -1)).toBe("#ff0000");
+    expect(mixColors("#ff0000", "#0000ff", 2)).toBe("#0000ff");
+  });
+
+  it("keeps a mix of equal colors unchanged", () => {
+    expect(mixColors("#336699", "#336699", 0.5)).toBe("#336699");
+  });
+
+  it("fades toward a transparent end without tinting the color", () => {
+    expect(mixColors("#ff0000", "transparent", 0.5)).toBe("rgba(255, 0, 0, 0.5)");
+    expect(mixColors("transparent", "transparent", 0.5)).toBe("rgba(0, 0, 0, 0)");
+  });
+
+  it("returns null when either color is invalid", () => {
+    expect(mixColors("#ff0000", "nope", 0.5)).toBeNull();
+    expect(mixColors(undefined as never, "#ff0000", 0.5)).toBeNull();
+  });
+});
+
+describe("compositeColors", () => {
+  it("covers the lower color with an opaque upper one", () => {
+    expect(compositeColors("#ff0000", "#0000ff")).toBe("#ff0000");
+  });
+
+  it("blends a translucent upper color over the lower one", () => {
+    expect(compositeColors("rgba(255, 255, 255, 0.5)", "#000000")).toBe("#808080");
+    expect(compositeColors("rgba(255, 0, 0, 0.5)", "rgba(0, 0, 255, 0.5)")).toBe("rgba(170, 0, 85, 0.75)");
+  });
+
+  it("keeps two transparent colors transparent", () => {
+    expect(compositeColors("transparent", "transparent")).toBe("rgba(0, 0, 0, 0)");
+  });
+
+  it("returns null when either color is invalid", () => {
+    expect(compositeColors("#ff0000", "nope")).toBeNull();
+  });
+});
+
+describe("withAlpha", () => {
+  it("scales the opacity of a color", () => {
+    expect(withAlpha("#ff8000", 0.5)).toBe("rgba(255, 128, 0, 0.5)");
+    expect(withAlpha("rgba(255, 128, 0, 0.5)", 0.5)).toBe("rgba(255, 128, 0, 0.25)");
+  });
+
+  it("returns an invalid color unchanged", () => {
+    expect(withAlpha("nope", 0.5)).toBe("nope");
+  });
+});
+
+describe("validateColor", () => {
+  it("formats valid colors and keeps transparent as written", () => {
+    expect(validateColor("rgb(255, 128, 0)", "#000000", "Test")).toBe("#ff8000");
+    expect(validateColor(" Transparent ", "#000000", "Test")).toBe("transparent");
+  });
+
+  it("falls back to the default for unset or invalid colors, warning once", () => {
+    const warn = vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(validateColor(undefined as never, "#000000", "Test")).toBe("#000000");
+    expect(validateColor("  ", "#000000", "Test")).toBe("#000000");
+    expect(validateColor("not-a-color", "#000000", "ColorTest")).toBe("#000000");
+    expect(validateColor("not-a-color", "#000000", "ColorTest")).toBe("#000000");
+    expect(warn).toHaveBeenCalledTimes(1);
+  });
+
+  it("drops invalid entries of a list, falling back when none is left", () => {
+    vi.spyOn(console, "warn").mockImplementation(() => {});
+
+    expect(validateColorArray(["red", "nope", "#00f"], ["#ffffff"], "Test")).toEqual(["#ff0000", "#0000ff"]);
+    expect(validateColorArray(["nope"], ["#ffffff"], "Test")).toEqual(["#ffffff"]);
+    expect(validateColorArray("red" as never, ["#ffffff"], "Test")).toEqual(["#ffffff"]);
+  });
+});
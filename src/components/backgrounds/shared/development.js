@@ -0,0 +1,22 @@
+/**
+ * Development Mode
+ * Tells development builds from production ones, so warnings meant for
+ * developers never reach the people using the page
+ */
+
+/**
+ * Checks whether warnings should be printed
+ *
+ * Bundlers replace process.env.NODE_ENV with a literal, so development builds
+ * read "development" here and production builds strip the warnings. A page
+ * loaded without a bundler has no process and counts as production.
+ *
+ * @returns {boolean} True in development builds
+ */
+export const isDevelopment = () => {
+  try {
+    return process.env.NODE_ENV !== "production";
+  } catch {
+    return false;
+  }
+};
@@ -0,0 +1,250 @@
+/**
+ * Frame Capture
+ * Still images and video recordings of a background. Canvas backgrounds are
+ * copied pixel for pixel; DOM backgrounds are composited through an SVG
+ * foreignObject with the current value of every animated style frozen in.
+ *
+ * Plugins describe what to capture with getCaptureTarget(), which returns
+ * { element, include?, width?, height?, redraw? }: the element to capture, for
+ * plugins that share their container with page content a filter for its direct
+ * children, the pixel size of canvases whose own size cannot be read, and for
+ * canvas plugins a function that repaints the current frame. A WebGL canvas
+ * keeps its pixels only until the browser shows them, so a frame has to be
+ * painted again right before it is copied.
+ */
+
+import { isCanvasElement } from "./canvasSizer.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+// Tried in order when no mimeType is given; browsers support different containers
+const VIDEO_TYPES = ["video/webm;codecs=vp9", "video/webm;codecs=vp8", "video/webm", "video/mp4"];
+
+/**
+ * Waits for the given number of milliseconds
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>} Resolves after the wait
+ */
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, Math.max(0, ms)));
+
+/**
+ * Creates an empty canvas
+ * @param {number} width - Width in pixels
+ * @param {number} height - Height in pixels
+ * @returns {HTMLCanvasElement} Canvas
+ */
+const createCanvas = (width, height) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(width));
+  canvas.height = Math.max(1, Math.round(height));
+  return canvas;
+};
+
+/**
+ * Inlines the computed style of an element into its copy
+ * @param {Element} source - Element on the page
+ * @param {Element} target - Copy of the element
+ */
+const copyStyles = (source, target) => {
+  const computed = window.getComputedStyle(source);
+  for (let i = 0; i < computed.length; i++) {
+    const name = computed[i];
+    target.style.setProperty(name, computed.getPropertyValue(name), computed.getPropertyPriority(name));
+  }
+
+  // The computed values already hold the current frame, so nothing may move on from it
+  target.style.setProperty("animation", "none");
+  target.style.setProperty("transition", "none");
+};
+
+/**
+ * Copies a node for the SVG snapshot, inlining the computed style of every element
+ * @param {Node} node - Node to copy
+ * @param {Function} [include] - Filter for the direct children of the node
+ * @returns {Node} Copy that renders on its own
+ */
+const cloneWithStyles = (node, include) => {
+  if (node.nodeType !== 1) {
+    return node.cloneNode(false);
+  }
+
+  // Canvas pixels are not part of the markup, so they travel as an image
+  if (isCanvasElement(node)) {
+    const image = document.createElement("img");
+    try {
+      image.src = node.toDataURL();
+    } catch (error) {
+      // Tainted or transferred canvases cannot be read; they stay empty
+    }
+    copyStyles(node, image);
+    return image;
+  }
+
+  const clone = node.cloneNode(false);
+  copyStyles(node, clone);
+  node.childNodes.forEach((child) => {
+    if (!include || include(child)) {
+      clone.appendChild(cloneWithStyles(child));
+    }
+  });
+  return clone;
+};
+
+/**
+ * Renders a DOM element into a canvas through an SVG foreignObject
+ * @param {Element} element - Element to render
+ * @param {Function} [include] - Filter for the direct children of the element
+ * @param {number} pixelRatio - Device pixel ratio of the output
+ * @returns {Promise<HTMLCanvasElement>} Canvas holding the element
+ */
+const rasterizeElement = (element, include, pixelRatio) =>
+  new Promise((resolve, reject) => {
+    const rect = element.getBoundingClientRect();
+    const width = Math.max(1, Math.round(rect.width));
+    const height = Math.max(1, Math.round(rect.height));
+
+    const clone = cloneWithStyles(element, include);
+    clone.setAttribute("xmlns", XHTML_NS);
+    clone.style.setProperty("position", "relative");
+    clone.style.setProperty("left", "0");
+    clone.style.setProperty("top", "0");
+    clone.style.setProperty("margin", "0");
+
+    const markup = new XMLSerializer().serializeToString(clone);
+    const svg = `<svg xmlns="${SVG_NS}" width="${width}" height="${height}"><foreignObject x="0" y="0" width="100%" height="100%">${markup}</foreignObject></svg>`;
+
+    const image = new Image();
+    image.onload = () => {
+      const canvas = createCanvas(width * pixelRatio, height * pixelRatio);
+      canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas);
+    };
+    image.onerror = () => reject(new Error("FrameCapture: Could not composite the background"));
+    image.src = "data:image/svg+xml;charset=utf-8," + encodeURIComponent(svg);
+  });
+
+/**
+ * Renders the current frame of a capture target into a new canvas
+ * @param {Object|null} target - Result of a plugin's getCaptureTarget()
+ * @returns {Promise<HTMLCanvasElement>} Canvas holding the frame
+ */
+export const renderCaptureTarget = async (target) => {
+  if (!target || !target.element) {
+    throw new Error("FrameCapture: The background has nothing to capture");
+  }
+
+  const { element, include } = target;
+  if (isCanvasElement(element)) {
+    // drawImage also reads the placeholder of a canvas that renders in a worker, which reports its own size
+    const canvas = createCanvas(target.width || element.width, target.height || element.height);
+    if (target.redraw) target.redraw();
+    canvas.getContext("2d").drawImage(element, 0, 0, canvas.width, canvas.height);
+    return canvas;
+  }
+
+  return rasterizeElement(element, include, window.devicePixelRatio || 1);
+};
+
+/**
+ * Captures the current frame of a background as an image
+ * @param {Object|null} target - Result of a plugin's getCaptureTarget()
+ * @param {Object} [options] - Capture options
+ * @param {string} [options.type] - Image MIME type, e.g. "image/png" or "image/webp"
+ * @param {number} [options.quality] - Quality from 0 to 1 for lossy types
+ * @param {"blob"|"dataURL"} [options.output] - Whether to return a Blob or a data URL
+ * @returns {Promise<Blob|string>} Image of the frame
+ */
+export const captureFrame = async (target, { type = "image/png", quality, output = "blob" } = {}) => {
+  const canvas = await renderCaptureTarget(target);
+  if (output === "dataURL") {
+    return canvas.toDataURL(type, quality);
+  }
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("FrameCapture: Could not encode the frame"))), type, quality);
+  });
+};
+
+/**
+ * Picks a video type the browser can record
+ * @param {string} [mimeType] - Requested type
+ * @returns {string} Type for MediaRecorder, or "" for the browser default
+ */
+const pickVideoType = (mimeType) => {
+  if (mimeType) return mimeType;
+  if (typeof MediaRecorder.isTypeSupported !== "function") return "";
+  return VIDEO_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) || "";
+};
+
+/**
+ * Records a background to a video, stepping it with a fixed timestep so every frame is drawn
+ * @param {Object} plugin - Plugin with renderFrame, getCaptureTarget and playback methods
+ * @param {Object} [options] - Recording options
+ * @param {number} [options.durationMs] - Length of the video in milliseconds
+ * @param {number} [options.fps] - Frames per second
+ * @param {string} [options.mimeType] - Video MIME type; defaults to the first supported WebM or MP4 type
+ * @param {number} [options.videoBitsPerSecond] - Target bitrate of the encoder
+ * @returns {Promise<Blob>} Recorded video
+ */
+export const recordAnimation = async (plugin, { durationMs = 5000, fps = 30, mimeType, videoBitsPerSecond } = {}) => {
+  if (typeof MediaRecorder === "undefined" || typeof HTMLCanvasElement.prototype.captureStream !== "function") {
+    throw new Error("FrameCapture: Recording needs MediaRecorder and canvas.captureStream()");
+  }
+
+  const frameCount = Math.max(1, Math.round((durationMs / 1000) * fps));
+  const frameTime = 1000 / fps;
+  const wasRunning = plugin.isRunning();
+  plugin.pause();
+
+  try {
+    plugin.renderFrame(0);
+    const first = await renderCaptureTarget(plugin.getCaptureTarget());
+    const output = createCanvas(first.width, first.height);
+    const context = output.getContext("2d");
+
+    // With a frame rate of 0 the stream only takes the frames handed to it through requestFrame()
+    const stream = output.captureStream(0);
+    const track = stream.getVideoTracks()[0];
+    const type = pickVideoType(mimeType);
+    const recorder = new MediaRecorder(stream, { ...(type ? { mimeType: type } : {}), ...(videoBitsPerSecond ? { videoBitsPerSecond } : {}) });
+    const chunks = [];
+    recorder.ondataavailable = (event) => {
+      if (event.data && event.data.size > 0) chunks.push(event.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+      recorder.onstop = resolve;
+      recorder.onerror = (event) => reject(event.error || new Error("FrameCapture: Recording failed"));
+    });
+
+    recorder.start();
+    const startedAt = performance.now();
+    try {
+      let frame = first;
+      for (let i = 0; i < frameCount; i++) {
+        if (i > 0) {
+          plugin.renderFrame(i * frameTime);
+          // The encoder timestamps frames on arrival, so they are handed over on a fixed schedule
+          await wait(startedAt + i * frameTime - performance.now());
+          frame = await renderCaptureTarget(plugin.getCaptureTarget());
+        }
+        context.clearRect(0, 0, output.width, output.height);
+        context.drawImage(frame, 0, 0, output.width, output.height);
+        if (typeof track.requestFrame === "function") {
+          track.requestFrame();
+        }
+      }
+      await wait(startedAt + frameCount * frameTime - performance.now());
+    } finally {
+      recorder.stop();
+      track.stop();
+    }
+
+    await stopped;
+    return new Blob(chunks, { type: recorder.mimeType || type || "video/webm" });
+  } finally {
+    if (wasRunning) {
+      plugin.resume();
+    }
+  }
+};
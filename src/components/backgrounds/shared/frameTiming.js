@@ -0,0 +1,112 @@
+/**
+ * Frame Timing
+ * Clock and frame source of a plugin's render loop. By default frames come from
+ * the shared scheduler and time from performance.now(); the `clock` and
+ * `frameSource` settings replace them, e.g. to step a plugin by hand in tests
+ * or when rendering offline.
+ */
+
+import { scheduleFrame, cancelFrame } from "./scheduler.js";
+
+// Frames of the shared scheduler, driven by requestAnimationFrame
+const SHARED_FRAME_SOURCE = Object.freeze({ request: scheduleFrame, cancel: cancelFrame });
+
+/**
+ * Reads the wall clock
+ * @returns {number} Milliseconds
+ */
+const wallClock = () => (typeof performance !== "undefined" ? performance.now() : Date.now());
+
+/**
+ * Checks whether a value can be used as a frame source
+ * @param {*} frameSource - `frameSource` setting of a plugin
+ * @returns {boolean} True for an object with request() and cancel() functions
+ */
+export const isFrameSource = (frameSource) =>
+  Boolean(frameSource) && typeof frameSource.request === "function" && typeof frameSource.cancel === "function";
+
+/**
+ * Seeks the CSS animations under an element to a point in time, for plugins animated by CSS
+ * @param {Element} root - Element whose subtree is seeked
+ * @param {number} time - Animation time in milliseconds
+ */
+export const seekAnimations = (root, time) => {
+  // Needs the Web Animations API; jsdom and older browsers leave the animations alone
+  if (!root || typeof root.getAnimations !== "function") return;
+  root.getAnimations({ subtree: true }).forEach((animation) => {
+    animation.currentTime = time;
+  });
+};
+
+/**
+ * Creates the frame timing of a plugin; the clock and frame source are fixed for its lifetime
+ * @param {Object} [settings] - Plugin settings
+ * @param {Function} [settings.clock] - Returns the current time in milliseconds
+ * @param {{ request: Function, cancel: Function }} [settings.frameSource] - request(callback) returns an id for cancel(id)
+ * @returns {Object} Timing with now, request, cancel and step methods
+ */
+export default function createFrameTiming({ clock, frameSource } = {}) {
+  const readClock = typeof clock === "function" ? clock : null;
+  const source = isFrameSource(frameSource) ? frameSource : SHARED_FRAME_SOURCE;
+  let fixedTime = null;
+  let lastRequest = null;
+
+  /**
+   * Returns the current animation time
+   * @returns {number} Milliseconds
+   */
+  const now = () => {
+    if (fixedTime !== null) return fixedTime;
+    return readClock ? readClock() : wallClock();
+  };
+
+  /**
+   * Requests the next frame, like requestAnimationFrame
+   * @param {Function} callback - Called with the frame time
+   * @returns {*} Id for cancel()
+   */
+  const request = (callback) => {
+    lastRequest = source.request((time) => callback(readClock ? readClock() : time));
+    return lastRequest;
+  };
+
+  /**
+   * Cancels a frame requested with request()
+   * @param {*} id - Id returned by request()
+   */
+  const cancel = (id) => {
+    source.cancel(id);
+    if (id === lastRequest) lastRequest = null;
+  };
+
+  /**
+   * Runs one frame of a render loop at a fixed time, leaving the loop running or stopped as it was
+   * @param {Function} render - Render loop callback that requests its own next frame
+   * @param {number} time - Frame time in milliseconds
+   * @param {*} pendingId - Id of the frame the loop is waiting for, or null while stopped
+   * @returns {*} Id of the frame the loop waits for afterwards, or null while stopped
+   */
+  const step = (render, time, pendingId) => {
+    const running = pendingId !== null && pendingId !== undefined;
+    if (running) cancel(pendingId);
+
+    lastRequest = null;
+    fixedTime = time;
+    try {
+      render(time);
+    } finally {
+      fixedTime = null;
+    }
+
+    if (running) return lastRequest;
+    if (lastRequest !== null) cancel(lastRequest);
+    return null;
+  };
+
+  return {
+    now,
+    request,
+    cancel,
+    step,
+  };
+}
@@ -0,0 +1,101 @@
+import { describe, expect, it, vi } from "vitest";
+import createFrameTiming from "./frameTiming.js";
+
+// createFrameTiming() is typed as a plain Object by its JSDoc
+interface FrameTiming {
+  now: () => number;
+  request: (callback: (time: number) => void) => number;
+  cancel: (id: number) => void;
+  step: (render: (time: number) => void, time: number, pendingId: number | null) => number | null;
+}
+
+/**
+ * Frame source that only runs frames when the test flushes them
+ */
+const createManualFrames = () => {
+  const pending = new Map<number, (time: number) => void>();
+  let nextId = 1;
+  return {
+    pending,
+    request: (callback: (time: number) => void) => {
+      const id = nextId++;
+      pending.set(id, callback);
+      return id;
+    },
+    cancel: (id: number) => {
+      pending.delete(id);
+    },
+    flush: (time: number) => {
+      const due = Array.from(pending.values());
+      pending.clear();
+      due.forEach((callback) => callback(time));
+    },
+  };
+};
+
+describe("createFrameTiming", () => {
+  it("reads time from the clock setting", () => {
+    const timing = createFrameTiming({ clock: () => 1234 }) as FrameTiming;
+    expect(timing.now()).toBe(1234);
+  });
+
+  it("passes the clock time to frames of the frame source", () => {
+    const frames = createManualFrames();
+    const timing = createFrameTiming({ clock: () => 500, frameSource: frames }) as FrameTiming;
+    const callback = vi.fn();
+
+    timing.request(callback);
+    frames.flush(16);
+
+    expect(callback).toHaveBeenCalledWith(500);
+  });
+
+  it("cancels frames through the frame source", () => {
+    const frames = createManualFrames();
+    const timing = createFrameTiming({ frameSource: frames }) as FrameTiming;
+
+    const id = timing.request(() => {});
+    timing.cancel(id);
+
+    expect(frames.pending.size).toBe(0);
+  });
+
+  describe("step", () => {
+    it("runs one frame at the given time and leaves a stopped loop stopped", () => {
+      const frames = createManualFrames();
+      const timing = createFrameTiming({ frameSource: frames }) as FrameTiming;
+      const times: number[] = [];
+      const render = () => {
+        timing.request(render);
+        times.push(timing.now());
+      };
+
+      const id = timing.step(render, 0, null);
+
+      expect(id).toBeNull();
+      expect(times).toEqual([0]);
+      expect(frames.pending.size).toBe(0);
+    });
+
+    it("keeps a running loop running on a new frame", () => {
+      const frames = createManualFrames();
+      const timing = createFrameTiming({ frameSource: frames }) as FrameTiming;
+      const render = () => {
+        timing.request(render);
+      };
+      const running = timing.request(render);
+
+      const id = timing.step(render, 100, running);
+
+      expect(id).not.toBeNull();
+      expect(id).not.toBe(running);
+      expect(Array.from(frames.pending.keys())).toEqual([id]);
+    });
+
+    it("returns to the clock after the frame", () => {
+      const timing = createFrameTiming({ clock: () => 42 }) as FrameTiming;
+      timing.step(() => {}, 1000, null);
+      expect(timing.now()).toBe(42);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import { formatColor, parseColor } from "./color.js";
+
+/**
+ * JSON Schema
+ * Describes a background component's props as a JSON Schema (draft 2020-12),
+ * generated from the plugin's settings schema so the types, ranges, enums and
+ * defaults a CMS or form validates against are the ones the plugin enforces.
+ * Callbacks, children, refs and inline styles are left out: only props that
+ * can be stored as JSON are described.
+ */
+
+// A JSON Schema document or fragment
+export type JsonSchema = { [keyword: string]: unknown };
+
+// Field of a settings schema, see settingsSchema.js
+export interface SettingsField {
+  type: string;
+  default?: unknown;
+  min?: number | ((settings: Record<string, unknown>) => number);
+  max?: number | ((settings: Record<string, unknown>) => number);
+  integer?: boolean;
+  length?: number;
+  values?: readonly string[];
+  json?: JsonSchema;
+  description?: string;
+}
+
+export interface SettingsSchema {
+  owner: string;
+  fields: Readonly<Record<string, object>>;
+}
+
+/**
+ * How a prop maps onto the settings: the name of the setting it sets, a group
+ * of nested props, or a JSON Schema fragment for props outside the settings
+ */
+export type PropLayout = string | { properties: Record<string, PropLayout>; description?: string } | JsonSchema;
+
+export interface JsonSchemaLayout {
+  // Props set at the top level: setting names, or a map of prop name to layout
+  props?: readonly string[] | Record<string, PropLayout>;
+  // Prop that holds every remaining setting, e.g. "advanced"
+  rest?: string;
+  // Names of the built-in presets, offered as examples of the preset prop
+  presets?: readonly string[];
+}
+
+const DIALECT = "https://json-schema.org/draft/2020-12/schema";
+
+const SIZE_JSON: JsonSchema = { type: ["number", "string"], default: "auto" };
+
+// Props shared by every background, from BackgroundShell and the wrapper hooks
+const LAYOUT_PROPS: Record<string, JsonSchema> = {
+  width: { ...SIZE_JSON, description: "Width in pixels, a CSS length, or \"auto\" to fill the parent" },
+  height: { ...SIZE_JSON, description: "Height in pixels, a CSS length, or \"auto\" to fill the viewport" },
+  className: { type: "string", description: "Extra class of the outer container" },
+  fixed: { type: "boolean", default: false, description: "Pins the background to the viewport behind the page content" },
+  motion: { enum: ["auto", "reduce", "full"], default: "auto", description: "Reduced-motion policy; \"auto\" follows the OS setting" },
+  autoPause: {
+    oneOf: [
+      { type: "boolean" },
+      {
+        type: "object",
+        properties: { threshold: { type: "number", minimum: 0, maximum: 1 }, rootMargin: { type: "string" } },
+        additionalProperties: false,
+      },
+    ],
+    default: true,
+    description: "Pauses the animation while off-screen or in a hidden tab",
+  },
+  poster: {
+    oneOf: [
+      { type: "boolean" },
+      { type: "string" },
+      {
+        type: "object",
+        properties: { image: { type: "string" }, gradient: { type: "string" }, fadeMs: { type: "number", minimum: 0 } },
+        additionalProperties: false,
+      },
+    ],
+    description: "Static stand-in for server rendering: true or \"gradient\", an image URL, or options",
+  },
+};
+
+// Prop of the backgrounds that can render in a worker
+export const RENDER_IN_JSON: JsonSchema = {
+  enum: ["main", "worker"],
+  default: "main",
+  description: "Runs the animation on the main thread or in a worker on an OffscreenCanvas",
+};
+
+/**
+ * Reads a fixed bound of a number field; bounds that depend on another
+ * setting are left out, their field description names them
+ * @param bound - Bound, or a function of the settings
+ * @returns Bound, undefined when there is no fixed one
+ */
+const readBound = (bound: SettingsField["min"]): number | undefined => {
+  return typeof bound === "number" && Number.isFinite(bound) ? bound : undefined;
+};
+
+/**
+ * Writes a color default as a CSS color string
+ * @param value - Default color
+ * @returns CSS color
+ */
+const toColorString = (value: unknown): unknown => {
+  if (typeof value === "string" || value === null || value === undefined) return value;
+  const parsed = parseColor(value);
+  return parsed ? formatColor(parsed) : undefined;
+};
+
+/**
+ * Converts one settings field to JSON Schema
+ * @param field - Settings field
+ * @returns JSON Schema of the field, null for fields that cannot be stored as JSON
+ */
+const fieldToJson = (field: SettingsField): JsonSchema | null => {
+  const number = (): JsonSchema => ({
+    type: field.integer ? "integer" : "number",
+    minimum: readBound(field.min),
+    maximum: readBound(field.max),
+  });
+  const color: JsonSchema = { type: "string", format: "color" };
+
+  let json: JsonSchema;
+  switch (field.type) {
+    case "number":
+      json = number();
+      break;
+    case "numbers":
+      json = { type: "array", items: number(), minItems: field.length || 1, maxItems: field.length };
+      break;
+    case "boolean":
+    case "string":
+      json = { type: field.type };
+      break;
+    case "enum":
+      json = { enum: [...(field.values || [])] };
+      break;
+    case "enums":
+      json = { type: "array", items: { enum: [...(field.values || [])] }, minItems: 1, uniqueItems: true };
+      break;
+    case "color":
+      json = color;
+      break;
+    case "colors":
+      json = { type: "array", items: color, minItems: field.length || 1, maxItems: field.length };
+      break;
+    case "function":
+      return null;
+    default:
+      json = {};
+  }
+
+  const defaultValue = field.type === "color" ? toColorString(field.default) : field.type === "colors" && Array.isArray(field.default) ? field.default.map(toColorString) : field.default;
+  return {
+    // The field's own JSON Schema replaces the one derived from its type
+    ...(field.json || json),
+    // Null defaults stand for "not set" and are not valid values
+    default: defaultValue ?? undefined,
+    description: field.description,
+  };
+};
+
+/**
+ * Creates the JSON Schema of a background component's props
+ * @param title - Component name, e.g. "Particles"
+ * @param settingsSchema - Settings schema of the component's plugin
+ * @param layout - How the props map onto the settings
+ * @returns JSON Schema of the props, a plain JSON object
+ */
+export function createJsonSchema(title: string, settingsSchema: SettingsSchema, layout: JsonSchemaLayout = {}): JsonSchema {
+  const fields = settingsSchema.fields as Readonly<Record<string, SettingsField>>;
+  const props: Record<string, PropLayout> = Array.isArray(layout.props)
+    ? Object.fromEntries(layout.props.map((key) => [key, key]))
+    : { ...(layout.props as Record<string, PropLayout> | undefined) };
+
+  /**
+   * Resolves a map of prop layouts to JSON Schema properties
+   * @param entries - Prop layouts by prop name
+   * @returns JSON Schema by prop name
+   */
+  const resolve = (entries: Record<string, PropLayout>): Record<string, JsonSchema> => {
+    const properties: Record<string, JsonSchema> = {};
+    Object.keys(entries).forEach((name) => {
+      const entry = entries[name];
+      if (typeof entry === "string") {
+        const json = fields[entry] ? fieldToJson(fields[entry]) : null;
+        if (json) properties[name] = json;
+      } else if ("properties" in entry && !("type" in entry)) {
+        properties[name] = { type: "object", properties: resolve(entry.properties as Record<string, PropLayout>), additionalProperties: false, description: entry.description };
+      } else {
+        properties[name] = entry as JsonSchema;
+      }
+    });
+    return properties;
+  };
+
+  // Settings without a top-level prop of their own go into the rest prop
+  if (layout.rest) {
+    const remaining: Record<string, PropLayout> = {};
+    Object.keys(fields).forEach((key) => {
+      if (!(key in props)) remaining[key] = key;
+    });
+    props[layout.rest] = { properties: remaining };
+  }
+
+  const schema: JsonSchema = {
+    $schema: DIALECT,
+    title,
+    description: `Props of the ${title} background`,
+    type: "object",
+    properties: {
+      ...LAYOUT_PROPS,
+      preset: { type: "string", examples: layout.presets, description: "Named look the other props override: a built-in preset or one added with registerPreset()" },
+      ...resolve(props),
+    },
+  };
+
+  // A JSON round trip drops the unset keywords and gives every schema its own copy
+  return JSON.parse(JSON.stringify(schema));
+}
@@ -0,0 +1,135 @@
+import { warnOnce } from "./settingsSchema.js";
+import type { AnimatedCirclesProps } from "../AnimatedCircles";
+import type { CrystalBallProps } from "../crystalBallAnimation";
+import type { ExpandingBallsProps } from "../expandingBallsAnimation";
+import type { ExpandingCirclesProps } from "../expandingCirclesAnimation";
+import type { ExpandingSquaresProps } from "../expandingSquaresAnimation";
+import type { FirefliesProps } from "../firefliesAnimation";
+import type { FloatingBallsProps } from "../floatingBallsAnimation";
+import type { FloatingParticlesProps } from "../floatingParticlesAnimation";
+import type { FloatingSquaresProps } from "../floatingSquaresAnimation";
+import type { GeometricAnimationProps } from "../geometricAnimation";
+import type { GradientSlidersProps } from "../gradientSlidersAnimation";
+import type { InterstellarProps } from "../interstellarAnimation";
+import type { MathPatternProps } from "../mathPatternAnimation";
+import type { ParticlesProps } from "../particleAnimation";
+import type { RainProps } from "../rainAnimation";
+import type { SnowProps } from "../snowAnimation";
+import type { WaterDropsProps } from "../waterDropsAnimation";
+import type { WaveProps } from "../waveAnimation";
+
+/**
+ * Presets
+ * Named looks for the backgrounds' `preset` prop. A preset is a set of props
+ * the component starts from: the props passed to the instance override it, and
+ * plain objects such as `advanced` are merged key by key, so an instance can
+ * change one advanced setting without restating the rest of the preset.
+ *
+ * Every background ships built-in presets; registerPreset() adds house styles
+ * and replaces a built-in preset of the same name.
+ */
+
+// Props of each background, by component name
+interface BackgroundPropsMap {
+  AnimatedCircles: AnimatedCirclesProps;
+  CrystalBall: CrystalBallProps;
+  ExpandingBalls: ExpandingBallsProps;
+  ExpandingCircles: ExpandingCirclesProps;
+  ExpandingSquares: ExpandingSquaresProps;
+  Fireflies: FirefliesProps;
+  FloatingBalls: FloatingBallsProps;
+  FloatingParticles: FloatingParticlesProps;
+  FloatingSquares: FloatingSquaresProps;
+  GeometricAnimation: GeometricAnimationProps;
+  GradientSliders: GradientSlidersProps;
+  Interstellar: InterstellarProps;
+  MathPattern: MathPatternProps;
+  Particles: ParticlesProps;
+  Rain: RainProps;
+  Snow: SnowProps;
+  WaterDrops: WaterDropsProps;
+  Wave: WaveProps;
+}
+
+// Name of a background that accepts the `preset` prop
+export type PresetComponent = keyof BackgroundPropsMap;
+
+// Props a preset sets: any prop of the component except its content and the preset itself
+export type PresetSettings<P> = Omit<P, "preset" | "children">;
+
+// Props a preset of the named background sets
+export type BackgroundPreset<C extends PresetComponent> = PresetSettings<BackgroundPropsMap[C]>;
+
+// Registered presets by component, then by name
+const registry = new Map<string, Map<string, object>>();
+
+/**
+ * Registers a named preset, replacing any built-in or registered preset of the same name
+ * @param component - Background the preset is for, e.g. "Snow"
+ * @param name - Name passed to the `preset` prop
+ * @param settings - Props the preset sets
+ */
+export function registerPreset<C extends PresetComponent>(component: C, name: string, settings: BackgroundPreset<C>): void {
+  let presets = registry.get(component);
+  if (!presets) {
+    presets = new Map();
+    registry.set(component, presets);
+  }
+  presets.set(name, settings);
+}
+
+/**
+ * Removes a registered preset; built-in presets stay available
+ * @param component - Background the preset is for
+ * @param name - Name of the preset
+ * @returns Whether a registered preset was removed
+ */
+export function unregisterPreset(component: PresetComponent, name: string): boolean {
+  return registry.get(component)?.delete(name) ?? false;
+}
+
+/**
+ * Checks whether a value is a plain object, which presets merge key by key
+ */
+const isPlainObject = (value: unknown): value is Record<string, unknown> => {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return false;
+  const prototype = Object.getPrototypeOf(value);
+  return prototype === Object.prototype || prototype === null;
+};
+
+/**
+ * Merges props over a preset; undefined props keep the preset's value
+ * @param preset - Props the preset sets
+ * @param props - Props passed to the instance
+ * @returns Merged props
+ */
+const mergeProps = (preset: Record<string, unknown>, props: Record<string, unknown>): Record<string, unknown> => {
+  const merged: Record<string, unknown> = { ...preset };
+  Object.keys(props).forEach((key) => {
+    const value = props[key];
+    if (value === undefined) return;
+    const base = merged[key];
+    merged[key] = isPlainObject(value) && isPlainObject(base) ? mergeProps(base, value) : value;
+  });
+  return merged;
+};
+
+/**
+ * Applies the `preset` prop of a background
+ * @param component - Name of the background, e.g. "Snow"
+ * @param builtIns - Built-in presets of the background by name
+ * @param props - Props passed to the instance
+ * @returns Props with the preset merged underneath; unknown presets leave them unchanged
+ */
+export function applyPreset<P extends { preset?: string }>(component: PresetComponent, builtIns: Readonly<Record<string, PresetSettings<P>>>, props: P): P {
+  const name = props.preset;
+  if (!name) return props;
+
+  const preset = registry.get(component)?.get(name) ?? (Object.prototype.hasOwnProperty.call(builtIns, name) ? builtIns[name] : undefined);
+  if (!preset) {
+    const names = [...new Set([...Object.keys(builtIns), ...(registry.get(component)?.keys() ?? [])])];
+    warnOnce(`${component}: "preset" must be one of ${names.map((entry) => JSON.stringify(entry)).join(", ")}, got ${JSON.stringify(name)}; using none`);
+    return props;
+  }
+  return mergeProps(preset as Record<string, unknown>, props as Record<string, unknown>) as P;
+}
@@ -0,0 +1,162 @@
+/**
+ * Quality Governor
+ * Measures frame times in a plugin's render loop and scales density-type settings
+ * (counts, trail length, connection distance, glow) to hold a target frame rate
+ */
+
+const DEFAULT_TARGET_FPS = 50;
+const DEFAULT_MIN_SCALE = 0.3;
+
+// Frames averaged before each decision
+const SAMPLE_FRAMES = 30;
+
+// Longer gaps come from pauses, hidden tabs or layout work, not from rendering cost
+const MAX_FRAME_GAP = 250;
+
+// Good samples needed in a row before raising quality again, so it does not flap
+const RECOVERY_SAMPLES = 3;
+
+// Scales are rounded to this step so small jitter does not trigger updates
+const SCALE_STEP = 0.05;
+
+/**
+ * Clamps a value to a range, falling back when it is not a usable number
+ * @param {number|string} value - Value to clamp
+ * @param {number} defaultValue - Fallback value
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} Clamped number
+ */
+const clampNumber = (value, defaultValue, min, max) => {
+  const num = typeof value === "string" ? parseFloat(value) : value;
+  if (typeof num !== "number" || !isFinite(num)) {
+    return defaultValue;
+  }
+  return Math.max(min, Math.min(max, num));
+};
+
+/**
+ * Normalizes the `quality` setting of a plugin
+ * @param {boolean|Object|null} quality - `true` or options to enable the governor
+ * @returns {{ targetFps: number, min: number }|null} Options, or null when the governor is off
+ */
+export const normalizeQuality = (quality) => {
+  if (!quality) return null;
+
+  const options = typeof quality === "object" ? quality : {};
+  return {
+    targetFps: clampNumber(options.targetFps, DEFAULT_TARGET_FPS, 10, 240),
+    min: clampNumber(options.min, DEFAULT_MIN_SCALE, 0.05, 1),
+  };
+};
+
+/**
+ * Scales a density setting, keeping it at a usable minimum
+ * @param {number} value - Configured value
+ * @param {number} scale - Current quality scale (0-1)
+ * @param {number} minimum - Smallest value to return
+ * @returns {number} Rounded scaled value
+ */
+export const scaleDensity = (value, scale, minimum = 1) => {
+  if (scale >= 1) return value;
+  return Math.max(Math.min(minimum, value), Math.round(value * scale));
+};
+
+/**
+ * Creates a quality governor
+ * @param {Function} onChange - Called with the new scale (0-1) whenever it changes
+ * @returns {Object} Governor API with configure, frame, reset and getScale methods
+ */
+export default function createQualityGovernor(onChange) {
+  let options = null;
+  let scale = 1;
+  let lastTime = null;
+  let frameTimeSum = 0;
+  let frameCount = 0;
+  let goodSamples = 0;
+
+  /**
+   * Applies a new scale and reports it
+   * @param {number} nextScale - Requested scale
+   */
+  const setScale = (nextScale) => {
+    const min = options ? options.min : 1;
+    const rounded = Math.round(Math.max(min, Math.min(1, nextScale)) / SCALE_STEP) * SCALE_STEP;
+    const clamped = Math.max(min, Math.min(1, Number(rounded.toFixed(2))));
+    if (clamped === scale) return;
+
+    scale = clamped;
+    if (onChange) {
+      onChange(scale);
+    }
+  };
+
+  /**
+   * Forgets partial measurements, e.g. after the loop was paused
+   */
+  const reset = () => {
+    lastTime = null;
+    frameTimeSum = 0;
+    frameCount = 0;
+  };
+
+  /**
+   * Changes the governor options; a falsy value turns it off and restores full quality
+   * @param {boolean|Object|null} quality - `quality` setting of the plugin
+   */
+  const configure = (quality) => {
+    const next = normalizeQuality(quality);
+    if (next && options && next.targetFps === options.targetFps && next.min === options.min) return;
+
+    options = next;
+    reset();
+    goodSamples = 0;
+    setScale(options ? scale : 1);
+  };
+
+  /**
+   * Records a rendered frame; call once per animation frame
+   * @param {number} [now] - Frame timestamp in milliseconds
+   */
+  const frame = (now = performance.now()) => {
+    if (!options) return;
+
+    if (lastTime === null) {
+      lastTime = now;
+      return;
+    }
+
+    const delta = now - lastTime;
+    lastTime = now;
+    if (delta <= 0 || delta > MAX_FRAME_GAP) return;
+
+    frameTimeSum += delta;
+    frameCount++;
+    if (frameCount < SAMPLE_FRAMES) return;
+
+    const fps = (1000 * frameCount) / frameTimeSum;
+    frameTimeSum = 0;
+    frameCount = 0;
+
+    if (fps < options.targetFps * 0.9) {
+      // Drop in proportion to the shortfall, but never by more than half at once
+      goodSamples = 0;
+      setScale(scale * Math.max(0.5, fps / options.targetFps));
+    } else if (fps >= options.targetFps * 0.97 && scale < 1) {
+      goodSamples++;
+      if (goodSamples >= RECOVERY_SAMPLES) {
+        goodSamples = 0;
+        setScale(scale + SCALE_STEP * 2);
+      }
+    } else {
+      goodSamples = 0;
+    }
+  };
+
+  return {
+    configure,
+    frame,
+    reset,
+    getScale: () => scale,
+  };
+}
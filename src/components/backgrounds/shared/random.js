@@ -0,0 +1,51 @@
+/**
+ * Seeded Random
+ * Drop-in replacement for Math.random() in the plugins: with a `seed` setting
+ * every random choice comes from a deterministic generator, so the same props
+ * draw the same picture on every load
+ */
+
+/**
+ * Normalizes the `seed` setting of a plugin
+ * @param {number|string|null} seed - Seed value
+ * @returns {number|string|null} Usable seed, or null for unseeded randomness
+ */
+export const normalizeSeed = (seed) => {
+  if (typeof seed === "number" && isFinite(seed)) return seed;
+  if (typeof seed === "string" && seed !== "") return seed;
+  return null;
+};
+
+/**
+ * Hashes a seed into 32 bits (FNV-1a), so strings and numbers both work
+ * @param {number|string} seed - Seed value
+ * @returns {number} Unsigned 32-bit hash
+ */
+const hashSeed = (seed) => {
+  const text = String(seed);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * Creates a random number generator
+ * @param {number|string|null} seed - Seed; without one Math.random is returned
+ * @returns {Function} Function returning numbers in [0, 1), like Math.random
+ */
+export default function createRandom(seed) {
+  if (normalizeSeed(seed) === null) return Math.random;
+
+  // mulberry32: tiny, fast and good enough for visual randomness
+  let state = hashSeed(seed);
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
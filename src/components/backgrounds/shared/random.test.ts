@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import createRandom, { normalizeSeed } from "./random.js";
+
+/**
+ * Draws a number of values from a seeded generator
+ */
+const draw = (seed: number | string, count: number) => {
+  const random = createRandom(seed) as () => number;
+  return Array.from({ length: count }, () => random());
+};
+
+describe("createRandom", () => {
+  it("returns Math.random without a seed", () => {
+    expect(createRandom(null)).toBe(Math.random);
+    expect(createRandom("")).toBe(Math.random);
+  });
+
+  it("repeats the same sequence for the same seed", () => {
+    expect(draw(42, 20)).toEqual(draw(42, 20));
+    expect(draw("sunset", 20)).toEqual(draw("sunset", 20));
+  });
+
+  it("gives different sequences for different seeds", () => {
+    expect(draw(1, 5)).not.toEqual(draw(2, 5));
+  });
+
+  it("stays within [0, 1)", () => {
+    draw(7, 1000).forEach((value) => {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    });
+  });
+});
+
+describe("normalizeSeed", () => {
+  it("keeps finite numbers and non-empty strings", () => {
+    expect(normalizeSeed(0)).toBe(0);
+    expect(normalizeSeed("a")).toBe("a");
+  });
+
+  it("turns anything else into null", () => {
+    expect(normalizeSeed(NaN)).toBeNull();
+    expect(normalizeSeed("")).toBeNull();
+    expect(normalizeSeed(null)).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+/**
+ * Render Worker
+ * Runs canvas background plugins on an OffscreenCanvas, off the main thread.
+ * The page side lives in workerPlugin.js, which forwards the plugin API,
+ * resizes and pointer events as messages.
+ */
+
+import ParticlePlugin from "../particleAnimation/ParticlePlugin.js";
+import MathPatternPlugin from "../mathPatternAnimation/MathPatternPlugin.js";
+import FloatingBallsPlugin from "../floatingBallsAnimation/FloatingBallsPlugin.js";
+import { setDevicePixelRatio } from "./canvasSizer.js";
+import { pauseAll, resumeAll } from "./scheduler.js";
+
+// Plugins that can draw on an OffscreenCanvas, by the name workerPlugin.js sends
+const PLUGINS = {
+  particles: ParticlePlugin,
+  mathPattern: MathPatternPlugin,
+  floatingBalls: FloatingBallsPlugin,
+};
+
+let canvas = null;
+let plugin = null;
+let rect = { left: 0, top: 0, width: 0, height: 0 };
+
+/**
+ * Gives the OffscreenCanvas the bits of the element API the plugins touch,
+ * with the size measured on the page
+ * @param {OffscreenCanvas} offscreenCanvas - Canvas transferred from the page
+ * @returns {OffscreenCanvas} The same canvas
+ */
+const shimCanvas = (offscreenCanvas) => {
+  offscreenCanvas.style = {};
+  offscreenCanvas.setAttribute = () => {};
+  offscreenCanvas.removeAttribute = () => {};
+  offscreenCanvas.getBoundingClientRect = () => ({
+    ...rect,
+    x: rect.left,
+    y: rect.top,
+    right: rect.left + rect.width,
+    bottom: rect.top + rect.height,
+  });
+  return offscreenCanvas;
+};
+
+/**
+ * Replaces callback settings with functions that post their calls to the page
+ * @param {Object} settings - Settings sent by the page
+ * @param {string[]} callbacks - Keys of the settings that were functions on the page
+ * @returns {Object} Settings ready for the plugin
+ */
+const withCallbacks = (settings, callbacks = []) => {
+  const next = { ...settings };
+  callbacks.forEach((key) => {
+    next[key] = (...args) => self.postMessage({ type: "callback", key, args });
+  });
+  return next;
+};
+
+/**
+ * Updates the page geometry the canvas reports
+ * @param {Object} nextRect - Bounding rect of the canvas on the page
+ */
+const setRect = (nextRect) => {
+  if (nextRect) {
+    rect = { left: nextRect.left, top: nextRect.top, width: nextRect.width, height: nextRect.height };
+  }
+};
+
+/**
+ * Replays a pointer event from the page on the canvas
+ * @param {Object} data - Event name and coordinates
+ */
+const dispatchPointer = (data) => {
+  if (!canvas) return;
+  const event = new Event(data.event);
+  event.clientX = data.clientX;
+  event.clientY = data.clientY;
+  event.offsetX = data.clientX - rect.left;
+  event.offsetY = data.clientY - rect.top;
+  canvas.dispatchEvent(event);
+};
+
+self.onmessage = (message) => {
+  const data = message.data || {};
+
+  switch (data.type) {
+    case "init": {
+      const createPlugin = PLUGINS[data.plugin];
+      if (!createPlugin) {
+        throw new Error(`RenderWorker: Unknown plugin "${data.plugin}"`);
+      }
+      setDevicePixelRatio(data.pixelRatio);
+      setRect(data.rect);
+      // A worker taken over from an earlier plugin keeps the canvas it was given
+      if (data.canvas) {
+        canvas = shimCanvas(data.canvas);
+      }
+      plugin = createPlugin(canvas, withCallbacks(data.settings, data.callbacks));
+      if (data.pausedAll) {
+        pauseAll();
+      } else {
+        resumeAll();
+      }
+      break;
+    }
+    case "start":
+    case "clean":
+    case "pause":
+    case "resume":
+      if (plugin) plugin[data.type]();
+      break;
+    case "setSpeed":
+      if (plugin) plugin.setSpeed(data.speed);
+      break;
+    case "update":
+      if (plugin) plugin.update(withCallbacks(data.settings, data.callbacks));
+      break;
+    case "renderFrame":
+      if (plugin) plugin.renderFrame(data.time);
+      break;
+    case "resize":
+      setDevicePixelRatio(data.pixelRatio);
+      setRect(data.rect);
+      if (plugin) plugin.resize();
+      break;
+    case "pointer":
+      setRect(data.rect);
+      dispatchPointer(data);
+      break;
+    case "pauseAll":
+      pauseAll();
+      break;
+    case "resumeAll":
+      resumeAll();
+      break;
+    case "release":
+      // The page parks the worker with its canvas for the next plugin on it
+      if (plugin) plugin.destroy();
+      plugin = null;
+      break;
+    case "destroy":
+      if (plugin) plugin.destroy();
+      plugin = null;
+      canvas = null;
+      self.close();
+      break;
+    default:
+      break;
+  }
+};
@@ -0,0 +1,6 @@
+/**
+ * Drawing backend of particle-style backgrounds: "webgl" batches every entity
+ * into a few draw calls, "auto" picks it where available, and both fall back
+ * to "canvas2d" when WebGL cannot be used
+ */
+export type RendererPreference = "canvas2d" | "webgl" | "auto";
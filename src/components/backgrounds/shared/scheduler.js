@@ -0,0 +1,134 @@
+/**
+ * Animation Scheduler
+ * Runs every mounted background on one shared requestAnimationFrame tick,
+ * with a shared clock, priority ordering and a global pause
+ *
+ * scheduleFrame/cancelFrame mirror requestAnimationFrame/cancelAnimationFrame,
+ * so a plugin's render loop keeps its shape while stepping on the shared tick.
+ */
+
+let nextId = 1;
+let tasks = new Map();
+let rafId = null;
+let pausedAll = false;
+let lastTime = null;
+let frameTime = 0;
+let frameDelta = 0;
+const pauseAllListeners = new Set();
+
+// Dedicated workers rendering to an OffscreenCanvas have requestAnimationFrame too, but not window
+const hasAnimationFrame = () => typeof requestAnimationFrame !== "undefined";
+
+/**
+ * Requests the shared tick if anything is waiting for it
+ */
+const requestTick = () => {
+  if (rafId !== null || pausedAll || tasks.size === 0 || !hasAnimationFrame()) return;
+  rafId = requestAnimationFrame(tick);
+};
+
+/**
+ * Stops the shared tick; the clock starts over when it is requested again
+ */
+const cancelTick = () => {
+  if (rafId !== null) {
+    cancelAnimationFrame(rafId);
+    rafId = null;
+  }
+  lastTime = null;
+};
+
+/**
+ * Runs every callback scheduled for this frame, highest priority first
+ * @param {number} time - Frame timestamp from requestAnimationFrame
+ */
+const tick = (time) => {
+  rafId = null;
+  frameDelta = lastTime === null ? 0 : time - lastTime;
+  frameTime = time;
+  lastTime = time;
+
+  // Callbacks scheduled while this frame runs wait for the next one, like requestAnimationFrame
+  const due = Array.from(tasks.entries());
+  tasks = new Map();
+  due.sort((a, b) => b[1].priority - a[1].priority || a[0] - b[0]);
+
+  for (let i = 0; i < due.length; i++) {
+    try {
+      due[i][1].callback(frameTime, frameDelta);
+    } catch (error) {
+      // One failing background must not stop the others
+      console.error("AnimationScheduler: Frame callback failed", error);
+    }
+  }
+
+  if (tasks.size > 0) {
+    requestTick();
+  } else {
+    lastTime = null;
+  }
+};
+
+/**
+ * Schedules a callback for the next shared frame
+ * @param {Function} callback - Called with the frame time and the milliseconds since the previous frame
+ * @param {number} priority - Higher priorities run earlier within the frame
+ * @returns {number} Id for cancelFrame()
+ */
+export const scheduleFrame = (callback, priority = 0) => {
+  const id = nextId++;
+  tasks.set(id, { callback, priority });
+  requestTick();
+  return id;
+};
+
+/**
+ * Cancels a callback scheduled with scheduleFrame()
+ * @param {number} id - Id returned by scheduleFrame()
+ */
+export const cancelFrame = (id) => {
+  tasks.delete(id);
+  if (tasks.size === 0) {
+    cancelTick();
+  }
+};
+
+/**
+ * Holds every background on its current frame; their own pause state is left alone
+ */
+export const pauseAll = () => {
+  pausedAll = true;
+  cancelTick();
+  pauseAllListeners.forEach((listener) => listener(true));
+};
+
+/**
+ * Lets every background held by pauseAll() continue from where it stopped
+ */
+export const resumeAll = () => {
+  pausedAll = false;
+  requestTick();
+  pauseAllListeners.forEach((listener) => listener(false));
+};
+
+/**
+ * Returns whether pauseAll() is in effect
+ * @returns {boolean} True while every background is held
+ */
+export const isPausedAll = () => pausedAll;
+
+/**
+ * Calls back whenever pauseAll() or resumeAll() is called, e.g. to pass them on to a render worker
+ * @param {Function} listener - Called with true on pauseAll() and false on resumeAll()
+ * @returns {Function} Stops listening
+ */
+export const onPauseAllChange = (listener) => {
+  pauseAllListeners.add(listener);
+  return () => pauseAllListeners.delete(listener);
+};
+
+/**
+ * Returns the shared clock of the current frame
+ * @returns {{ time: number, delta: number }} Frame timestamp and milliseconds since the previous frame
+ */
+export const getFrameClock = () => ({ time: frameTime, delta: frameDelta });
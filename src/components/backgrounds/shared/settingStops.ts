@@ -0,0 +1,65 @@
+import type { SettingsField } from "./jsonSchema";
+import { mixColors } from "./color.js";
+
+/**
+ * Setting Stops
+ * Blends the values of a setting along a progress from 0 to 1, for settings
+ * driven by something other than props, such as the scroll position or the
+ * audio level. Numbers and colors are interpolated, other values switch
+ * halfway between two stops.
+ */
+
+/**
+ * Reads a number setting, which may also be a numeric string
+ */
+export const toNumber = (value: unknown): number => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value.trim());
+  return NaN;
+};
+
+/**
+ * Blends two values of a setting
+ * @param field - Field of the setting
+ * @param from - Value at 0
+ * @param to - Value at 1
+ * @param amount - Position between the values, from 0 to 1
+ * @param element - Element that color variables are resolved against
+ * @returns Blended value; values that cannot be blended switch halfway
+ */
+export const mixValues = (field: SettingsField, from: unknown, to: unknown, amount: number, element: Element): unknown => {
+  if (Array.isArray(from) && Array.isArray(to)) {
+    if (from.length !== to.length) return amount < 0.5 ? from : to;
+    return from.map((entry, index) => mixValues(field, entry, to[index], amount, element));
+  }
+
+  if (field.type === "number" || field.type === "numbers") {
+    const start = toNumber(from);
+    const end = toNumber(to);
+    if (Number.isFinite(start) && Number.isFinite(end)) {
+      const value = start + (end - start) * amount;
+      return field.integer ? Math.round(value) : value;
+    }
+  }
+
+  if ((field.type === "color" || field.type === "colors") && typeof from === "string" && typeof to === "string") {
+    const mixed = mixColors(from, to, amount, element);
+    if (mixed !== null) return mixed;
+  }
+
+  return amount < 0.5 ? from : to;
+};
+
+/**
+ * Finds the value of a setting at a progress
+ * @param field - Field of the setting
+ * @param stops - Values spread evenly from 0 to 1; at least two
+ * @param progress - Progress from 0 to 1
+ * @param element - Element that color variables are resolved against
+ * @returns Value of the setting
+ */
+export const valueAt = (field: SettingsField, stops: readonly unknown[], progress: number, element: Element): unknown => {
+  const position = Math.min(1, Math.max(0, progress)) * (stops.length - 1);
+  const index = Math.min(stops.length - 2, Math.floor(position));
+  return mixValues(field, stops[index], stops[index + 1], position - index, element);
+};
@@ -0,0 +1,303 @@
+/**
+ * Settings Schema
+ * Declarative description of a background's settings: the type, accepted
+ * range, default and meaning of every setting. Plugins normalize their
+ * settings through it and wrappers read their defaults from it, so both
+ * always agree. In development builds every value that had to be clamped or
+ * replaced is reported once, naming the component, the setting and what it
+ * accepts.
+ *
+ * Field types:
+ * - "number": finite number or numeric string, clamped to [min, max]; integer: true rounds it
+ * - "numbers": array of numbers, each clamped to [min, max]; length fixes the number of entries
+ * - "boolean": true or false
+ * - "string": any string
+ * - "enum": one of values
+ * - "enums": non-empty array of entries from values
+ * - "color" / "colors": any CSS color, or a non-empty array of them (see color.js); length fixes the number of colors
+ * - "function": callback, null when missing
+ * - "any": passed through unchanged
+ *
+ * A field may also carry normalize(value, settings, element) for values with
+ * their own rules, such as seeds or quality options; it replaces the type check.
+ * min and max may be functions of the raw settings for bounds that depend on
+ * another setting. Fields whose values the type alone does not describe carry
+ * json, the JSON Schema of the values they accept (see jsonSchema.ts).
+ */
+
+import { validateColor, validateColorArray } from "./color.js";
+import { isDevelopment } from "./development.js";
+import { DEFAULT_MAX_PIXEL_RATIO } from "./canvasSizer.js";
+import { normalizeQuality } from "./qualityGovernor.js";
+import { normalizeSeed } from "./random.js";
+
+// Fields shared by many backgrounds, spread into their schemas
+
+export const SEED_FIELD = Object.freeze({
+  type: "any",
+  default: null,
+  normalize: normalizeSeed,
+  json: Object.freeze({ type: ["number", "string"] }),
+  description: "Seed of the random layout; the same number or string draws the same picture on every load",
+});
+
+export const BACKGROUND_IMAGE_FIELD = Object.freeze({
+  type: "string",
+  default: null,
+  normalize: (value) => value || null,
+  description: "URL of an image shown behind the animation",
+});
+
+export const PIXEL_RATIO_FIELD = Object.freeze({
+  type: "number",
+  default: DEFAULT_MAX_PIXEL_RATIO,
+  min: 1,
+  max: 8,
+  description: "Highest device pixel ratio the canvas renders at",
+});
+
+export const QUALITY_FIELDS = Object.freeze({
+  quality: Object.freeze({
+    type: "any",
+    default: null,
+    normalize: normalizeQuality,
+    json: Object.freeze({
+      oneOf: [
+        { type: "boolean" },
+        {
+          type: "object",
+          properties: {
+            targetFps: { type: "number", minimum: 10, maximum: 240, default: 50 },
+            min: { type: "number", minimum: 0.05, maximum: 1, default: 0.3 },
+          },
+          additionalProperties: false,
+        },
+      ],
+    }),
+    description: "Adaptive quality: true, or { targetFps, min } to tune it",
+  }),
+  onQualityChange: Object.freeze({
+    type: "function",
+    default: null,
+    description: "Called with the new quality scale whenever adaptive quality changes it",
+  }),
+});
+
+export const RENDERER_FIELD = Object.freeze({
+  type: "enum",
+  values: Object.freeze(["canvas2d", "webgl", "auto"]),
+  default: "canvas2d",
+  description: "Drawing backend; \"auto\" uses WebGL where available",
+});
+
+// Warnings already printed, so settings applied on every update do not repeat them
+const warned = new Set();
+const MAX_WARNINGS = 256;
+
+/**
+ * Prints a settings warning once per message in development builds
+ * @param {string} message - Warning text
+ */
+export const warnOnce = (message) => {
+  if (!isDevelopment() || warned.has(message)) return;
+  if (warned.size >= MAX_WARNINGS) warned.clear();
+  warned.add(message);
+  console.warn(message);
+};
+
+/**
+ * Formats a value for a warning
+ * @param {*} value - Value to format
+ * @returns {string} Readable form of the value
+ */
+const describe = (value) => {
+  if (typeof value === "string") return JSON.stringify(value);
+  if (typeof value === "function") return "a function";
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch (error) {
+    return String(value);
+  }
+};
+
+/**
+ * Describes the range a number field accepts
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @param {boolean} integer - Whether only whole numbers are accepted
+ * @returns {string} Range for a warning, e.g. "a whole number from 1 to 200"
+ */
+const describeRange = (min, max, integer) => {
+  const kind = integer ? "a whole number" : "a number";
+  if (min > -Infinity && max < Infinity) return `${kind} from ${min} to ${max}`;
+  if (min > -Infinity) return `${kind} of at least ${min}`;
+  if (max < Infinity) return `${kind} of at most ${max}`;
+  return kind;
+};
+
+/**
+ * Reads a bound of a number field
+ * @param {number|Function} [bound] - Bound, or a function of the raw settings
+ * @param {Object} settings - Raw settings
+ * @param {number} fallback - Bound used when none is given
+ * @returns {number} Bound
+ */
+const readBound = (bound, settings, fallback) => {
+  const value = typeof bound === "function" ? bound(settings) : bound;
+  return typeof value === "number" ? value : fallback;
+};
+
+/**
+ * Parses a number setting
+ * @param {*} value - Setting value
+ * @returns {number} Parsed number, NaN when the value is not numeric
+ */
+const toNumber = (value) => {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value.trim());
+  return NaN;
+};
+
+/**
+ * Normalizes a number against its field, clamping values outside the range
+ * @param {string} label - "Owner: key" prefix for warnings
+ * @param {Object} field - Field description
+ * @param {*} value - Setting value
+ * @param {*} defaultValue - Value used when the setting is not a number
+ * @param {Object} settings - Raw settings
+ * @returns {number} Normalized number
+ */
+const normalizeNumber = (label, field, value, defaultValue, settings) => {
+  const min = readBound(field.min, settings, -Infinity);
+  const max = readBound(field.max, settings, Infinity);
+  const range = describeRange(min, max, field.integer);
+  const number = toNumber(value);
+
+  if (!Number.isFinite(number)) {
+    warnOnce(`${label} must be ${range}, got ${describe(value)}; using ${describe(defaultValue)}`);
+    return defaultValue;
+  }
+
+  const rounded = field.integer ? Math.round(number) : number;
+  const clamped = Math.min(max, Math.max(min, rounded));
+  if (clamped !== rounded) {
+    warnOnce(`${label} must be ${range}, got ${describe(value)}; using ${clamped}`);
+  }
+  return clamped;
+};
+
+/**
+ * Normalizes one setting against its field
+ * @param {string} owner - Component name for warnings
+ * @param {string} key - Setting name
+ * @param {Object} field - Field description
+ * @param {Object} settings - Raw settings
+ * @param {Element} [element] - Element that color variables are resolved against
+ * @returns {*} Normalized value
+ */
+const normalizeField = (owner, key, field, settings, element) => {
+  const value = settings[key];
+  if (field.normalize) {
+    return field.normalize(value, settings, element);
+  }
+
+  const defaultValue = field.default;
+  if (value === undefined || value === null) {
+    return field.type === "function" ? null : defaultValue;
+  }
+
+  const label = `${owner}: "${key}"`;
+  switch (field.type) {
+    case "number":
+      return normalizeNumber(label, field, value, defaultValue, settings);
+
+    case "numbers": {
+      const length = field.length;
+      if (!Array.isArray(value) || value.length === 0 || (length && value.length !== length)) {
+        const shape = length ? `an array of ${length} numbers` : "a non-empty array of numbers";
+        warnOnce(`${label} must be ${shape}, got ${describe(value)}; using ${describe(defaultValue)}`);
+        return defaultValue;
+      }
+      // Entries past the end of the default fall back to its first entry
+      return value.map((entry, index) => normalizeNumber(`${label}[${index}]`, field, entry, defaultValue[index] ?? defaultValue[0], settings));
+    }
+
+    case "boolean":
+      if (typeof value === "boolean") return value;
+      warnOnce(`${label} must be true or false, got ${describe(value)}; using ${describe(defaultValue)}`);
+      return defaultValue;
+
+    case "string":
+      if (typeof value === "string") return value;
+      warnOnce(`${label} must be a string, got ${describe(value)}; using ${describe(defaultValue)}`);
+      return defaultValue;
+
+    case "enum":
+      if (field.values.includes(value)) return value;
+      warnOnce(`${label} must be one of ${field.values.map(describe).join(", ")}, got ${describe(value)}; using ${describe(defaultValue)}`);
+      return defaultValue;
+
+    case "color":
+      return validateColor(value, defaultValue, owner, element);
+
+    case "colors": {
+      const length = field.length;
+      if (!Array.isArray(value) || value.length < (length || 1)) {
+        const shape = length ? `an array of ${length} colors` : "a non-empty array of colors";
+        warnOnce(`${label} must be ${shape}, got ${describe(value)}; using the default colors`);
+        return defaultValue;
+      }
+      // A fixed number of colors replaces each invalid entry with its default; otherwise invalid entries are dropped
+      return length
+        ? value.slice(0, length).map((color, index) => validateColor(color, defaultValue[index], owner, element))
+        : validateColorArray(value, defaultValue, owner, element);
+    }
+
+    case "enums": {
+      const valid = Array.isArray(value) ? value.filter((entry) => field.values.includes(entry)) : [];
+      if (!Array.isArray(value) || valid.length !== value.length || valid.length === 0) {
+        const fallback = valid.length > 0 ? valid : defaultValue;
+        warnOnce(`${label} must be a non-empty array of ${field.values.map(describe).join(", ")}, got ${describe(value)}; using ${describe(fallback)}`);
+        return fallback;
+      }
+      return value;
+    }
+
+    case "function":
+      if (typeof value === "function") return value;
+      warnOnce(`${label} must be a function, got ${describe(value)}; ignoring it`);
+      return null;
+
+    default:
+      return value;
+  }
+};
+
+/**
+ * Creates the settings schema of a background
+ * @param {string} owner - Component name the warnings are reported under, e.g. "Particles"
+ * @param {Object<string, Object>} fields - Field descriptions by setting name: { type, default, description, min?, max?, integer?, length?, values?, normalize?, json? }
+ * @returns {{ owner: string, fields: Object<string, Object>, defaults: Object<string, *>, normalize: function(Object, Element=): Object<string, *> }} Schema
+ */
+export default function createSettingsSchema(owner, fields) {
+  const defaults = {};
+  Object.keys(fields).forEach((key) => {
+    defaults[key] = fields[key].default;
+  });
+
+  /**
+   * Normalizes settings: every field is type checked and clamped, missing ones take their default
+   * @param {Object} settings - Raw settings
+   * @param {Element} [element] - Element that color variables are resolved against
+   * @returns {Object} Normalized settings
+   */
+  const normalize = (settings, element) => {
+    const normalized = {};
+    Object.keys(fields).forEach((key) => {
+      normalized[key] = normalizeField(owner, key, fields[key], settings, element);
+    });
+    return normalized;
+  };
+
+  return Object.freeze({ owner, fields: Object.freeze(fields), defaults: Object.freeze(defaults), normalize });
+}
@@ -0,0 +1,326 @@
+import React, { useEffect, useRef } from "react";
+import { onPlaybackChange, type BackgroundPlugin } from "./useBackgroundHandle";
+import type { SettingsField, SettingsSchema } from "./jsonSchema";
+import { toNumber, valueAt } from "./settingStops";
+import { warnOnce } from "./settingsSchema.js";
+import { scheduleFrame, cancelFrame } from "./scheduler.js";
+
+/**
+ * Audio-Reactive Settings
+ * Drives background settings from live audio: an AnalyserNode splits the
+ * sound into bass, mid and treble levels plus an overall level, and each
+ * mapped setting follows one of them, e.g. the wave height pumping with the
+ * bass. The analyser is read on the shared animation tick just before the
+ * backgrounds draw, and only settings whose value moved are updated.
+ */
+
+// What the analyser listens to: a playing <audio> or <video>, a microphone or other stream, or a node of an existing audio graph
+export type AudioSource = HTMLMediaElement | MediaStream | AudioNode;
+
+// Part of the spectrum a setting follows; "level" is the whole spectrum
+export type AudioBand = "bass" | "mid" | "treble" | "level";
+
+/**
+ * How one setting follows the audio
+ */
+export interface AudioBinding {
+  /** Part of the spectrum the setting follows */
+  band: AudioBand;
+  /** Multipliers of the setting's own value at silence and at full level; numbers only (default: [1, 2], doubling it at full level) */
+  scale?: readonly [number, number];
+  /** Values the setting moves through from silence to full level, evenly spaced; at least two. Takes precedence over scale */
+  values?: readonly (number | string | readonly (number | string)[])[];
+}
+
+// Audio-driven settings by the names the handle's update() takes; null turns a default mapping off
+export type AudioMapping<S> = { [K in keyof S]?: AudioBinding | null };
+
+// Frequency ranges of the bands in Hz; "level" averages all of them
+const BANDS: Record<AudioBand, readonly [number, number]> = {
+  bass: [20, 250],
+  mid: [250, 2000],
+  treble: [2000, 16000],
+  level: [20, 16000],
+};
+
+// Levels are rounded to this many steps, so a steady sound does not update the settings every frame
+const LEVEL_STEPS = 32;
+
+let sharedContext: AudioContext | null = null;
+
+// A media element can be routed into the audio graph only once, so its source node is shared
+const mediaSources = new WeakMap<HTMLMediaElement, MediaElementAudioSourceNode>();
+
+/**
+ * Creates the audio context media elements and streams are analysed in, once
+ */
+const getAudioContext = (): AudioContext | null => {
+  if (!sharedContext) {
+    const AudioContextClass = window.AudioContext ?? (window as unknown as { webkitAudioContext?: typeof AudioContext }).webkitAudioContext;
+    if (!AudioContextClass) return null;
+    sharedContext = new AudioContextClass();
+  }
+  return sharedContext;
+};
+
+/**
+ * Connects an analyser to an audio source
+ * @param source - Audio to analyse
+ * @returns The analyser and a function disconnecting it, or null when the source cannot be analysed
+ */
+const connectAnalyser = (source: AudioSource): { analyser: AnalyserNode; disconnect: () => void } | null => {
+  if (typeof AudioNode !== "undefined" && source instanceof AudioNode) {
+    const analyser = source.context.createAnalyser();
+    source.connect(analyser);
+    return { analyser, disconnect: () => source.disconnect(analyser) };
+  }
+
+  const context = getAudioContext();
+  if (!context) return null;
+  const analyser = context.createAnalyser();
+
+  if (typeof MediaStream !== "undefined" && source instanceof MediaStream) {
+    // Streams are only listened to, so a microphone does not echo through the speakers
+    const node = context.createMediaStreamSource(source);
+    node.connect(analyser);
+    return { analyser, disconnect: () => node.disconnect() };
+  }
+
+  if (typeof HTMLMediaElement !== "undefined" && source instanceof HTMLMediaElement) {
+    let node = mediaSources.get(source);
+    if (!node) {
+      // Once routed through the graph, the element is only heard through the destination
+      node = context.createMediaElementSource(source);
+      node.connect(context.destination);
+      mediaSources.set(source, node);
+    }
+    node.connect(analyser);
+    return { analyser, disconnect: () => node?.disconnect(analyser) };
+  }
+
+  return null;
+};
+
+/**
+ * Reads the level of every band from the analyser's spectrum
+ * @param analyser - Analyser to read
+ * @param bins - Buffer for the spectrum, one entry per frequency bin
+ * @returns Levels from 0 to 1 by band
+ */
+const readLevels = (analyser: AnalyserNode, bins: Uint8Array<ArrayBuffer>): Record<AudioBand, number> => {
+  analyser.getByteFrequencyData(bins);
+  const binWidth = analyser.context.sampleRate / analyser.fftSize;
+  const levels = {} as Record<AudioBand, number>;
+
+  (Object.keys(BANDS) as AudioBand[]).forEach((band) => {
+    const [low, high] = BANDS[band];
+    const first = Math.max(0, Math.floor(low / binWidth));
+    const last = Math.min(bins.length - 1, Math.ceil(high / binWidth));
+    let sum = 0;
+    for (let i = first; i <= last; i++) {
+      sum += bins[i];
+    }
+    const level = last >= first ? sum / (last - first + 1) / 255 : 0;
+    levels[band] = Math.round(level * LEVEL_STEPS) / LEVEL_STEPS;
+  });
+
+  return levels;
+};
+
+/**
+ * Keeps a number within the range of its field
+ */
+const clampToField = (field: SettingsField, value: number): number => {
+  const min = typeof field.min === "number" ? field.min : -Infinity;
+  const max = typeof field.max === "number" ? field.max : Infinity;
+  const clamped = Math.min(max, Math.max(min, value));
+  return field.integer ? Math.round(clamped) : clamped;
+};
+
+/**
+ * Finds the value of a setting at an audio level
+ * @param owner - Name used in warnings
+ * @param key - Name of the setting
+ * @param field - Field of the setting
+ * @param binding - How the setting follows the audio
+ * @param base - Value the props give the setting
+ * @param level - Level of the binding's band, from 0 to 1
+ * @param element - Element that color variables are resolved against
+ * @returns Value of the setting, or undefined when the binding cannot be applied
+ */
+const valueAtLevel = (owner: string, key: string, field: SettingsField, binding: AudioBinding, base: unknown, level: number, element: Element): unknown => {
+  if (binding.values !== undefined) {
+    if (!Array.isArray(binding.values) || binding.values.length < 2) {
+      warnOnce(`${owner}: "audioMapping.${key}.values" must be an array of at least two values, got ${JSON.stringify(binding.values)}; ignoring it`);
+      return undefined;
+    }
+    return valueAt(field, binding.values, level, element);
+  }
+
+  const scale = binding.scale ?? [1, 2];
+  if (!Array.isArray(scale) || scale.length !== 2 || !scale.every((factor) => Number.isFinite(factor))) {
+    warnOnce(`${owner}: "audioMapping.${key}.scale" must be two numbers, got ${JSON.stringify(scale)}; ignoring it`);
+    return undefined;
+  }
+  if (field.type !== "number" && field.type !== "numbers") {
+    warnOnce(`${owner}: "audioMapping.${key}" can only scale number settings; use values instead`);
+    return undefined;
+  }
+
+  const factor = scale[0] + (scale[1] - scale[0]) * level;
+  const scaleValue = (value: unknown) => {
+    const number = toNumber(value);
+    return Number.isFinite(number) ? clampToField(field, number * factor) : value;
+  };
+  return Array.isArray(base) ? base.map(scaleValue) : scaleValue(base);
+};
+
+/**
+ * Applies a component's `audioSource` and `audioMapping` props to its running plugin
+ *
+ * Mapped settings are passed to the plugin's update() as the audio plays,
+ * without going through the handle, so they are not kept as imperative
+ * overrides; scaled settings start from the values the props give them.
+ * When the source is removed or the component unmounts, the mapped settings
+ * return to those values. Analysis stops whenever the plugin is paused and
+ * starts again when the component's handle resumes or replaces it.
+ *
+ * @param schema - Settings schema of the plugin; mapped names are checked against its fields
+ * @param containerRef - Ref of the background's container, which color variables are resolved against
+ * @param pluginRef - Ref holding the current plugin instance
+ * @param audioSource - Audio to follow, if any
+ * @param mapping - Audio-driven settings: the component's defaults merged with the `audioMapping` prop
+ * @param buildSettings - Memoized builder of the settings the props give the plugin
+ */
+export function useAudioSource<S>(
+  schema: SettingsSchema,
+  containerRef: React.RefObject<HTMLElement | null>,
+  pluginRef: React.MutableRefObject<BackgroundPlugin<S> | null>,
+  audioSource: AudioSource | null | undefined,
+  mapping: AudioMapping<S>,
+  buildSettings: () => object
+): void {
+  const mappingRef = useRef(mapping);
+  const buildRef = useRef(buildSettings);
+  mappingRef.current = mapping;
+  buildRef.current = buildSettings;
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!audioSource || !container || typeof window === "undefined") return;
+
+    let connection: ReturnType<typeof connectAnalyser> = null;
+    try {
+      connection = connectAnalyser(audioSource);
+    } catch (error) {
+      console.error(`${schema.owner}: Could not analyse the audio source`, error);
+      return;
+    }
+    if (!connection) {
+      warnOnce(`${schema.owner}: "audioSource" must be an HTMLMediaElement, a MediaStream or an AudioNode; ignoring it`);
+      return;
+    }
+
+    const { analyser, disconnect } = connection;
+    analyser.fftSize = 1024;
+    analyser.smoothingTimeConstant = 0.8;
+    const bins = new Uint8Array(analyser.frequencyBinCount);
+    const context = analyser.context;
+    const fields = schema.fields as Readonly<Record<string, SettingsField>>;
+
+    // Browsers start audio contexts suspended until the page is interacted with or media plays
+    const resumeContext = () => {
+      const resumable = context as Partial<AudioContext>;
+      if (context.state === "suspended" && typeof resumable.resume === "function") {
+        resumable.resume().catch(() => {});
+      }
+    };
+    const media = typeof HTMLMediaElement !== "undefined" && audioSource instanceof HTMLMediaElement ? audioSource : null;
+    resumeContext();
+    media?.addEventListener("play", resumeContext);
+    window.addEventListener("pointerdown", resumeContext);
+    window.addEventListener("keydown", resumeContext);
+
+    let frameId: number | null = null;
+    let appliedTo: BackgroundPlugin<S> | null = null;
+    let appliedWith: (() => object) | null = null;
+    let applied: Record<string, string> = {};
+
+    // Only settings whose value moved are sent, so a steady sound does not rebuild anything
+    const step = () => {
+      // A paused background does not draw, so the analyser is not read either; the handle restarts the tick
+      const plugin = pluginRef.current;
+      if (!plugin || !plugin.isRunning()) {
+        frameId = null;
+        return;
+      }
+      frameId = scheduleFrame(step, 1);
+
+      // A re-created plugin or a prop change starts from the props again
+      if (plugin !== appliedTo || buildRef.current !== appliedWith) {
+        appliedTo = plugin;
+        appliedWith = buildRef.current;
+        applied = {};
+      }
+
+      const levels = readLevels(analyser, bins);
+      const base = buildRef.current() as Record<string, unknown>;
+      const bindings = mappingRef.current as Record<string, AudioBinding | null | undefined>;
+      const changed: Record<string, unknown> = {};
+
+      Object.keys(bindings).forEach((key) => {
+        const binding = bindings[key];
+        if (!binding) return;
+
+        const field = Object.prototype.hasOwnProperty.call(fields, key) ? fields[key] : undefined;
+        if (!field || field.type === "function") {
+          warnOnce(`${schema.owner}: "audioMapping" has no "${key}" setting; ignoring it`);
+          return;
+        }
+        if (!Object.prototype.hasOwnProperty.call(BANDS, binding.band)) {
+          warnOnce(`${schema.owner}: "audioMapping.${key}.band" must be one of "bass", "mid", "treble", "level", got ${JSON.stringify(binding.band)}; ignoring it`);
+          return;
+        }
+
+        const value = valueAtLevel(schema.owner, key, field, binding, base[key] ?? field.default, levels[binding.band], container);
+        if (value === undefined) return;
+        const serialized = JSON.stringify(value);
+        if (applied[key] !== serialized) {
+          applied[key] = serialized;
+          changed[key] = value;
+        }
+      });
+
+      if (Object.keys(changed).length > 0) {
+        plugin.update(changed as Partial<S>);
+      }
+    };
+
+    const startTick = () => {
+      if (frameId === null) frameId = scheduleFrame(step, 1);
+    };
+    const stopListening = onPlaybackChange(pluginRef, startTick);
+    startTick();
+
+    return () => {
+      if (frameId !== null) cancelFrame(frameId);
+      stopListening();
+      media?.removeEventListener("play", resumeContext);
+      window.removeEventListener("pointerdown", resumeContext);
+      window.removeEventListener("keydown", resumeContext);
+      disconnect();
+
+      // Hand the mapped settings back to the props
+      const plugin = pluginRef.current;
+      const keys = Object.keys(applied);
+      if (plugin && plugin === appliedTo && keys.length > 0) {
+        const base = buildRef.current() as Record<string, unknown>;
+        const restored: Record<string, unknown> = {};
+        keys.forEach((key) => {
+          restored[key] = base[key] ?? fields[key]?.default;
+        });
+        plugin.update(restored as Partial<S>);
+      }
+    };
+  }, [audioSource, schema, containerRef, pluginRef]);
+}
@@ -0,0 +1,61 @@
+import React, { useEffect, useState, useSyncExternalStore } from "react";
+
+/**
+ * Fine-tuning for when a background counts as off-screen
+ */
+export interface AutoPauseOptions {
+  /** Visible share of the container (0-1) required to keep animating */
+  threshold?: number;
+  /** Margin around the viewport, in CSS margin syntax, e.g. "200px 0px" */
+  rootMargin?: string;
+}
+
+/**
+ * Subscribes to page visibility changes
+ */
+const subscribe = (onChange: () => void) => {
+  if (typeof document === "undefined") return () => {};
+
+  document.addEventListener("visibilitychange", onChange);
+  return () => document.removeEventListener("visibilitychange", onChange);
+};
+
+const getSnapshot = () => typeof document === "undefined" || document.visibilityState !== "hidden";
+
+const getServerSnapshot = () => true;
+
+/**
+ * Tracks whether a background should be held because it is off-screen or its tab is hidden
+ * @param elementRef - Ref of the background's container
+ * @param autoPause - `false` to keep animating everywhere, `true` or options to pause when out of view
+ * @returns Whether the animation should currently be paused
+ */
+export function useAutoPause(elementRef: React.RefObject<HTMLElement | null>, autoPause: boolean | AutoPauseOptions = true): boolean {
+  const [inViewport, setInViewport] = useState(true);
+  const pageVisible = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+
+  const enabled = autoPause !== false;
+  const threshold = typeof autoPause === "object" ? Math.max(0, Math.min(1, autoPause.threshold ?? 0)) : 0;
+  const rootMargin = typeof autoPause === "object" ? autoPause.rootMargin ?? "0px" : "0px";
+
+  useEffect(() => {
+    const element = elementRef.current;
+    if (!enabled || !element || typeof IntersectionObserver === "undefined") return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        const entry = entries[entries.length - 1];
+        setInViewport(entry.isIntersecting && entry.intersectionRatio >= threshold);
+      },
+      { threshold, rootMargin }
+    );
+    observer.observe(element);
+
+    return () => {
+      observer.disconnect();
+      setInViewport(true);
+    };
+  }, [elementRef, enabled, threshold, rootMargin]);
+
+  return enabled && (!inViewport || !pageVisible);
+}
@@ -0,0 +1,226 @@
+import React, { useCallback, useEffect, useImperativeHandle, useRef } from "react";
+import { captureFrame, recordAnimation } from "./frameCapture.js";
+
+/**
+ * What a plugin's frames are captured from
+ */
+export interface CaptureTarget {
+  element: Element | null;
+  include?: (child: Node) => boolean;
+  width?: number;
+  height?: number;
+  redraw?: () => void;
+}
+
+/**
+ * Options of the handle's captureFrame()
+ */
+export interface CaptureFrameOptions {
+  /** Image MIME type, e.g. "image/png" (default), "image/jpeg" or "image/webp" */
+  type?: string;
+  /** Quality from 0 to 1 for lossy types */
+  quality?: number;
+  /** Return a Blob (default) or a data URL */
+  output?: "blob" | "dataURL";
+}
+
+/**
+ * Options of the handle's record()
+ */
+export interface RecordOptions {
+  /** Length of the video in milliseconds (default 5000) */
+  durationMs?: number;
+  /** Frames per second (default 30) */
+  fps?: number;
+  /** Video MIME type; defaults to the first supported WebM or MP4 type */
+  mimeType?: string;
+  /** Target bitrate of the encoder */
+  videoBitsPerSecond?: number;
+}
+
+/**
+ * Control surface returned by every background plugin
+ */
+export interface BackgroundPlugin<S = Record<string, unknown>> {
+  start: () => void;
+  clean: () => void;
+  pause: () => void;
+  resume: () => void;
+  isRunning: () => boolean;
+  setSpeed: (speed: number) => void;
+  update: (partialSettings: Partial<S>) => void;
+  resize: () => void;
+  renderFrame: (timeMs: number) => void;
+  getCaptureTarget: () => CaptureTarget | null;
+  destroy: () => void;
+}
+
+/**
+ * Imperative handle exposed through the `ref` of every background component:
+ * playback, live settings, frame stepping, capture and recording. S is the
+ * component's settings, by the names update() takes.
+ */
+export interface BackgroundHandle<S = Record<string, unknown>> {
+  /** Stops the animation on the current frame */
+  pause: () => void;
+  /** Continues a paused animation from where it stopped; stays on the current frame while the component holds it */
+  resume: () => void;
+  /** Whether the animation loop is currently running */
+  isRunning: () => boolean;
+  /** Changes the animation speed without restarting */
+  setSpeed: (speed: number) => void;
+  /** Merges the given settings into the running animation */
+  update: (partialSettings: Partial<S>) => void;
+  /** Advances and draws exactly one frame at the given time in milliseconds; pause first to step frame by frame */
+  renderFrame: (timeMs: number) => void;
+  /** Captures the current frame as an image; DOM backgrounds are composited into one picture */
+  captureFrame: {
+    (options?: CaptureFrameOptions & { output?: "blob" }): Promise<Blob>;
+    (options: CaptureFrameOptions & { output: "dataURL" }): Promise<string>;
+  };
+  /** Records a video, stepping the animation with a fixed timestep; it pauses while recording */
+  record: (options?: RecordOptions) => Promise<Blob>;
+  /** Tears the animation down for good; the component stays mounted but inert */
+  destroy: () => void;
+}
+
+// Listeners of each plugin ref, told whenever its handle pauses, resumes or replaces the plugin
+const playbackListeners = new WeakMap<object, Set<() => void>>();
+
+/**
+ * Calls back whenever the handle of a component pauses, resumes or replaces its plugin, e.g. so audio analysis stops with it
+ * @param pluginRef - Ref holding the component's plugin instance
+ * @param listener - Called after the change; read the plugin's isRunning() for the new state
+ * @returns Stops listening
+ */
+export const onPlaybackChange = (pluginRef: object, listener: () => void): (() => void) => {
+  let listeners = playbackListeners.get(pluginRef);
+  if (!listeners) {
+    listeners = new Set();
+    playbackListeners.set(pluginRef, listeners);
+  }
+  listeners.add(listener);
+  return () => {
+    listeners.delete(listener);
+  };
+};
+
+/**
+ * Tells the listeners of a plugin ref that its playback changed
+ */
+const notifyPlaybackChange = (pluginRef: object) => {
+  playbackListeners.get(pluginRef)?.forEach((listener) => listener());
+};
+
+interface HandleState<S> {
+  paused: boolean;
+  destroyed: boolean;
+  speed: number | null;
+  overrides: Partial<S>;
+}
+
+/**
+ * Wires a component's forwarded ref to its plugin instance.
+ *
+ * Pause state and imperative overrides are kept outside the plugin, so they
+ * survive the plugin being re-created when the component remounts.
+ *
+ * While the component holds the animation (reduced motion, off-screen or a
+ * hidden tab) the plugin stays on its current frame, regardless of the handle's
+ * own pause state, and picks up where it left off once released.
+ *
+ * @param ref - Forwarded ref of the background component
+ * @param pluginRef - Ref holding the current plugin instance
+ * @param hold - Whether the component currently holds the animation on its current frame
+ * @returns Function that starts a freshly created plugin with the handle state applied
+ */
+export function useBackgroundHandle<S>(ref: React.ForwardedRef<BackgroundHandle<S>>, pluginRef: React.MutableRefObject<BackgroundPlugin<S> | null>, hold = false) {
+  const stateRef = useRef<HandleState<S>>({ paused: false, destroyed: false, speed: null, overrides: {} });
+  const holdRef = useRef(hold);
+
+  useEffect(() => {
+    if (holdRef.current === hold) return;
+    holdRef.current = hold;
+
+    const plugin = pluginRef.current;
+    if (!plugin) return;
+    if (hold) {
+      plugin.pause();
+    } else if (!stateRef.current.paused) {
+      plugin.resume();
+    }
+    notifyPlaybackChange(pluginRef);
+  }, [pluginRef, hold]);
+
+  useImperativeHandle(
+    ref,
+    () => ({
+      pause: () => {
+        stateRef.current.paused = true;
+        pluginRef.current?.pause();
+        notifyPlaybackChange(pluginRef);
+      },
+      resume: () => {
+        stateRef.current.paused = false;
+        if (!holdRef.current) {
+          pluginRef.current?.resume();
+        }
+        notifyPlaybackChange(pluginRef);
+      },
+      isRunning: () => Boolean(pluginRef.current?.isRunning()),
+      setSpeed: (speed: number) => {
+        stateRef.current.speed = speed;
+        pluginRef.current?.setSpeed(speed);
+      },
+      update: (partialSettings: Partial<S>) => {
+        stateRef.current.overrides = { ...stateRef.current.overrides, ...partialSettings };
+        pluginRef.current?.update(partialSettings);
+      },
+      renderFrame: (timeMs: number) => {
+        pluginRef.current?.renderFrame(timeMs);
+      },
+      captureFrame: ((options?: CaptureFrameOptions) => {
+        const plugin = pluginRef.current;
+        return plugin ? captureFrame(plugin.getCaptureTarget(), options) : Promise.reject(new Error("BackgroundHandle: The background is not running"));
+      }) as BackgroundHandle<S>["captureFrame"],
+      record: (options?: RecordOptions) => {
+        const plugin = pluginRef.current;
+        // Recording steps a paused plugin and resumes it afterwards if it was playing
+        return plugin ? recordAnimation(plugin, options).finally(() => notifyPlaybackChange(pluginRef)) : Promise.reject(new Error("BackgroundHandle: The background is not running"));
+      },
+      destroy: () => {
+        stateRef.current.destroyed = true;
+        if (pluginRef.current) {
+          pluginRef.current.destroy();
+          pluginRef.current = null;
+        }
+        notifyPlaybackChange(pluginRef);
+      },
+    }),
+    [pluginRef]
+  );
+
+  return useCallback(
+    (plugin: BackgroundPlugin<S>) => {
+      const state = stateRef.current;
+      if (state.destroyed) {
+        plugin.destroy();
+        return;
+      }
+
+      pluginRef.current = plugin;
+      if (Object.keys(state.overrides).length > 0) {
+        plugin.update(state.overrides);
+      }
+      if (state.speed !== null) {
+        plugin.setSpeed(state.speed);
+      }
+      plugin.start();
+      if (state.paused || holdRef.current) {
+        plugin.pause();
+      }
+      notifyPlaybackChange(pluginRef);
+    },
+    [pluginRef]
+  );
+}
@@ -0,0 +1,72 @@
+import React, { useCallback, useEffect, useRef } from "react";
+import type { BackgroundPlugin } from "./useBackgroundHandle";
+
+/**
+ * Compares two setting values, looking one level into arrays and plain objects
+ * so settings rebuilt on every render are not reported as changed
+ */
+const isSameValue = (a: unknown, b: unknown): boolean => {
+  if (Object.is(a, b)) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((value, index) => isSameValue(value, b[index]));
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    const aKeys = Object.keys(a);
+    const bKeys = Object.keys(b);
+    return aKeys.length === bKeys.length && aKeys.every((key) => isSameValue((a as Record<string, unknown>)[key], (b as Record<string, unknown>)[key]));
+  }
+  return false;
+};
+
+/**
+ * Collects the settings whose values differ between two builds
+ * @param previous - Settings the plugin is currently running with
+ * @param next - Freshly built settings
+ * @returns Only the changed keys of `next`
+ */
+const diffSettings = <S extends object>(previous: S, next: S): Partial<S> => {
+  const changed: Partial<S> = {};
+  (Object.keys(next) as (keyof S)[]).forEach((key) => {
+    if (!isSameValue(previous[key], next[key])) {
+      changed[key] = next[key];
+    }
+  });
+  return changed;
+};
+
+/**
+ * Applies prop changes to a running plugin instead of re-creating it.
+ *
+ * Only the settings whose values actually changed are passed to update(), so
+ * overrides made through the imperative handle survive unrelated prop changes.
+ *
+ * @param pluginRef - Ref holding the current plugin instance
+ * @param buildSettings - Memoized builder for the plugin settings
+ * @returns Stable function returning the latest settings, used to create the plugin
+ */
+export function useLiveSettings<S, B extends object>(pluginRef: React.MutableRefObject<BackgroundPlugin<S> | null>, buildSettings: () => B) {
+  const buildRef = useRef(buildSettings);
+  const appliedRef = useRef<B | null>(null);
+
+  useEffect(() => {
+    if (buildRef.current === buildSettings) return;
+    buildRef.current = buildSettings;
+
+    const previous = appliedRef.current;
+    const next = buildSettings();
+    appliedRef.current = next;
+    if (!previous || !pluginRef.current) return;
+
+    const changed = diffSettings(previous, next);
+    if (Object.keys(changed).length > 0) {
+      // Built settings use the plugin's own shape, which the handle type only loosely describes
+      pluginRef.current.update(changed as unknown as Partial<S>);
+    }
+  }, [pluginRef, buildSettings]);
+
+  return useCallback(() => {
+    const settings = buildRef.current();
+    appliedRef.current = settings;
+    return settings;
+  }, []);
+}
@@ -0,0 +1,31 @@
+import { useCallback, useEffect, useRef } from "react";
+
+/**
+ * Opt-in adaptive quality: density-type settings (counts, trail length,
+ * connection distance, glow) are scaled down while the frame rate stays
+ * below the target, and back up once it recovers
+ */
+export interface QualityOptions {
+  /** Frame rate to hold (default: 50) */
+  targetFps?: number;
+  /** Lowest share of the configured density to fall back to, 0-1 (default: 0.3) */
+  min?: number;
+}
+
+/**
+ * Wraps the `onQualityChange` prop in a stable function, so passing an inline
+ * callback does not count as a settings change on every render
+ * @param onQualityChange - Callback from the component props
+ * @returns Stable function forwarding the current quality scale to the latest callback
+ */
+export function useQualityChange(onQualityChange?: (scale: number) => void) {
+  const callbackRef = useRef(onQualityChange);
+
+  useEffect(() => {
+    callbackRef.current = onQualityChange;
+  }, [onQualityChange]);
+
+  return useCallback((scale: number) => {
+    callbackRef.current?.(scale);
+  }, []);
+}
@@ -0,0 +1,169 @@
+import React, { useEffect, useRef } from "react";
+import type { BackgroundPlugin } from "./useBackgroundHandle";
+import type { SettingsField, SettingsSchema } from "./jsonSchema";
+import { valueAt } from "./settingStops";
+import { warnOnce } from "./settingsSchema.js";
+
+/**
+ * Scroll Binding
+ * Links background settings to the scroll position: each bound setting moves
+ * through its values as the page scrolls past the trigger element, so a hero
+ * background can change along with the story below it. Numbers and colors are
+ * interpolated, other settings switch halfway between two values. Progress
+ * comes from the vendored ScrollTrigger, loaded the first time a background
+ * binds to scroll.
+ */
+
+// A value a setting passes through: a number, a color or other string, or an array of them
+export type ScrollBindValue = number | string | readonly (number | string)[];
+
+// Values a setting takes from the start to the end of the scroll range, evenly spaced; at least two
+export type ScrollBindStops = readonly ScrollBindValue[];
+
+/**
+ * Where the scroll range of a binding lies
+ */
+export interface ScrollBindOptions {
+  /** Element whose position drives the progress: an element, a ref or a CSS selector (default: the background, or the whole page for fixed backgrounds) */
+  target?: Element | React.RefObject<Element | null> | string;
+  /** Start of the range in ScrollTrigger syntax, e.g. "top center", or a scroll position in pixels (default: "top bottom") */
+  start?: string | number;
+  /** End of the range in ScrollTrigger syntax, e.g. "bottom center", or a scroll position in pixels (default: "bottom top") */
+  end?: string | number;
+}
+
+// Settings bound to the scroll progress, by the names the handle's update() takes, plus where the range lies
+export type ScrollBind<S> = ScrollBindOptions & { [K in Exclude<keyof S, keyof ScrollBindOptions>]?: ScrollBindStops };
+
+// The parts of ScrollTrigger a binding uses
+interface ScrollTriggerInstance {
+  progress: number;
+  kill: () => void;
+}
+
+interface ScrollTriggerStatic {
+  create: (vars: Record<string, unknown>) => ScrollTriggerInstance;
+}
+
+const OPTION_KEYS = ["target", "start", "end"];
+
+let scrollTriggerPromise: Promise<ScrollTriggerStatic> | null = null;
+
+/**
+ * Loads and registers ScrollTrigger once, keeping it out of bundles that never bind to scroll
+ */
+const loadScrollTrigger = (): Promise<ScrollTriggerStatic> => {
+  if (!scrollTriggerPromise) {
+    scrollTriggerPromise = Promise.all([import("../../scroll_Animations/CardsScroll/Helpers"), import("../../scroll_Animations/CardsScroll/Helpers/ScrollTrigger")]).then(([{ animate }, { ScrollTrigger }]) => {
+      animate.registerPlugin(ScrollTrigger);
+      return ScrollTrigger as unknown as ScrollTriggerStatic;
+    });
+  }
+  return scrollTriggerPromise;
+};
+
+/**
+ * Resolves the element whose position drives a binding
+ */
+const resolveTarget = (target: ScrollBindOptions["target"]): Element | null => {
+  if (!target) return null;
+  if (typeof target === "string") return document.querySelector(target);
+  return "current" in target ? target.current : target;
+};
+
+/**
+ * Applies a component's `scrollBind` prop to its running plugin
+ *
+ * The bound values are passed to the plugin's update() as the page scrolls,
+ * without going through the handle, so they are not kept as imperative
+ * overrides. Changing only the values keeps the current trigger; changing the
+ * target or range creates a new one.
+ *
+ * @param schema - Settings schema of the plugin; bound names are checked against its fields
+ * @param containerRef - Ref of the background's container, the default target
+ * @param pluginRef - Ref holding the current plugin instance
+ * @param scrollBind - Bound settings and their range, if any
+ * @param fixed - Whether the background is pinned to the viewport, which makes the whole page the default target
+ */
+export function useScrollBind<S>(schema: SettingsSchema, containerRef: React.RefObject<HTMLElement | null>, pluginRef: React.MutableRefObject<BackgroundPlugin<S> | null>, scrollBind: ScrollBind<S> | undefined, fixed = false): void {
+  const bindRef = useRef(scrollBind);
+  bindRef.current = scrollBind;
+
+  const enabled = Boolean(scrollBind);
+  const { target, start, end } = scrollBind ?? {};
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!enabled || !container || typeof window === "undefined") return;
+
+    const fields = schema.fields as Readonly<Record<string, SettingsField>>;
+    let trigger: ScrollTriggerInstance | null = null;
+    let cancelled = false;
+    let appliedTo: BackgroundPlugin<S> | null = null;
+    let applied: Record<string, string> = {};
+
+    // Only settings whose value moved are sent, so scrolling within a step does not rebuild anything
+    const apply = (progress: number) => {
+      const binding = bindRef.current as Record<string, unknown> | undefined;
+      const plugin = pluginRef.current;
+      if (!binding || !plugin) return;
+
+      // A re-created plugin starts from the props again
+      if (plugin !== appliedTo) {
+        appliedTo = plugin;
+        applied = {};
+      }
+
+      const changed: Record<string, unknown> = {};
+      Object.keys(binding).forEach((key) => {
+        const stops = binding[key];
+        if (OPTION_KEYS.includes(key) || stops === undefined) return;
+
+        const field = Object.prototype.hasOwnProperty.call(fields, key) ? fields[key] : undefined;
+        if (!field || field.type === "function") {
+          warnOnce(`${schema.owner}: "scrollBind" has no "${key}" setting; ignoring it`);
+          return;
+        }
+        if (!Array.isArray(stops) || stops.length < 2) {
+          warnOnce(`${schema.owner}: "scrollBind.${key}" must be an array of at least two values, got ${JSON.stringify(stops)}; ignoring it`);
+          return;
+        }
+
+        const value = valueAt(field, stops, progress, container);
+        const serialized = JSON.stringify(value);
+        if (applied[key] !== serialized) {
+          applied[key] = serialized;
+          changed[key] = value;
+        }
+      });
+
+      if (Object.keys(changed).length > 0) {
+        plugin.update(changed as Partial<S>);
+      }
+    };
+
+    loadScrollTrigger().then((ScrollTrigger) => {
+      if (cancelled) return;
+
+      const element = resolveTarget(target);
+      if (target && !element) {
+        warnOnce(`${schema.owner}: "scrollBind.target" matched no element; using the background`);
+      }
+      const wholePage = !element && fixed;
+
+      trigger = ScrollTrigger.create({
+        trigger: element ?? (wholePage ? document.documentElement : container),
+        start: start ?? (wholePage ? "top top" : "top bottom"),
+        end: end ?? (wholePage ? "bottom bottom" : "bottom top"),
+        onUpdate: (self: ScrollTriggerInstance) => apply(self.progress),
+        onRefresh: (self: ScrollTriggerInstance) => apply(self.progress),
+      });
+      apply(trigger.progress);
+    });
+
+    return () => {
+      cancelled = true;
+      trigger?.kill();
+    };
+  }, [enabled, target, start, end, fixed, schema, containerRef, pluginRef]);
+}
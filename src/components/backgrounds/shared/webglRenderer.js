@@ -0,0 +1,542 @@
+/**
+ * WebGL Renderer
+ * Batched drawing backend for particle-style backgrounds: circles are drawn as
+ * instanced point sprites and lines/rectangles as one triangle batch per frame,
+ * so thousands of entities cost a couple of draw calls instead of one per shape.
+ *
+ * Coordinates are CSS pixels, like the Canvas 2D path after canvasSizer's transform.
+ */
+
+import { parseColor } from "./color.js";
+
+// Floats per circle instance: x, y, radius, r, g, b, a
+const CIRCLE_STRIDE = 7;
+
+// Floats per triangle vertex: x, y, r, g, b, a
+const VERTEX_STRIDE = 6;
+
+// Parsed colors kept around; backgrounds only use a handful
+const COLOR_CACHE_LIMIT = 256;
+
+const CIRCLE_VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec3 a_circle;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+uniform float u_pixelRatio;
+varying vec2 v_local;
+varying vec4 v_color;
+varying float v_edge;
+
+void main() {
+  // One device pixel of room around the circle for the anti-aliased edge
+  float padding = 1.0 / u_pixelRatio;
+  vec2 position = a_circle.xy + a_corner * (a_circle.z + padding);
+  vec2 clip = position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_local = a_corner * (a_circle.z + padding) / a_circle.z;
+  v_color = a_color;
+  v_edge = padding / a_circle.z;
+}
+`;
+
+const CIRCLE_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec2 v_local;
+varying vec4 v_color;
+varying float v_edge;
+
+void main() {
+  float distance = length(v_local);
+  float alpha = v_color.a * (1.0 - smoothstep(1.0 - v_edge, 1.0, distance));
+  if (alpha <= 0.0) discard;
+  gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+}
+`;
+
+const TRIANGLE_VERTEX_SHADER = `
+attribute vec2 a_position;
+attribute vec4 a_color;
+uniform vec2 u_resolution;
+varying vec4 v_color;
+
+void main() {
+  vec2 clip = a_position / u_resolution * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_color = a_color;
+}
+`;
+
+const TRIANGLE_FRAGMENT_SHADER = `
+precision mediump float;
+varying vec4 v_color;
+
+void main() {
+  gl_FragColor = vec4(v_color.rgb * v_color.a, v_color.a);
+}
+`;
+
+/**
+ * Normalizes the `renderer` setting of a plugin
+ * @param {string} value - "canvas2d", "webgl" or "auto"
+ * @returns {string} Valid renderer name, "canvas2d" when unknown
+ */
+export const normalizeRenderer = (value) => (value === "webgl" || value === "auto" ? value : "canvas2d");
+
+let webglAvailable = null;
+
+/**
+ * Checks on a scratch canvas whether instanced WebGL drawing is available, so a
+ * failed attempt never leaves the real canvas stuck with a WebGL context
+ * @returns {boolean} True when WebGL 2, or WebGL 1 with instancing, works
+ */
+export const isWebGLAvailable = () => {
+  if (webglAvailable !== null) return webglAvailable;
+
+  webglAvailable = false;
+  try {
+    const canvas = typeof OffscreenCanvas !== "undefined" ? new OffscreenCanvas(1, 1) : typeof document !== "undefined" ? document.createElement("canvas") : null;
+    if (canvas) {
+      if (canvas.getContext("webgl2")) {
+        webglAvailable = true;
+      } else {
+        const gl = canvas.getContext("webgl");
+        webglAvailable = Boolean(gl && gl.getExtension("ANGLE_instanced_arrays"));
+      }
+    }
+  } catch (error) {
+    webglAvailable = false;
+  }
+  return webglAvailable;
+};
+
+/**
+ * Creates the WebGL renderer a plugin asked for through its `renderer` setting
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to draw on
+ * @param {string} renderer - Normalized `renderer` setting
+ * @param {string} owner - Plugin name for the fallback warning
+ * @returns {Object|null} WebGL renderer, or null to draw with Canvas 2D
+ */
+export const selectWebGLRenderer = (canvas, renderer, owner) => {
+  if (renderer === "canvas2d") return null;
+
+  const webgl = createWebGLRenderer(canvas);
+  if (!webgl && renderer === "webgl") {
+    console.warn(`${owner}: WebGL is unavailable, falling back to Canvas 2D`);
+  }
+  return webgl;
+};
+
+const colorCache = new Map();
+
+/**
+ * Converts any CSS color to RGBA components in the 0-1 range
+ * @param {string} color - CSS color
+ * @returns {number[]} Red, green, blue and alpha; transparent for invalid colors
+ */
+const toGLColor = (color) => {
+  const cached = colorCache.get(color);
+  if (cached) return cached;
+
+  const parsed = parseColor(color);
+  const rgba = parsed ? [parsed.r / 255, parsed.g / 255, parsed.b / 255, parsed.a] : [0, 0, 0, 0];
+
+  if (colorCache.size >= COLOR_CACHE_LIMIT) {
+    colorCache.clear();
+  }
+  colorCache.set(color, rgba);
+  return rgba;
+};
+
+/**
+ * Compiles and links a shader program
+ * @param {WebGLRenderingContext} gl - WebGL context
+ * @param {string} vertexSource - Vertex shader source
+ * @param {string} fragmentSource - Fragment shader source
+ * @returns {WebGLProgram|null} Linked program, or null when compilation failed
+ */
+const createProgram = (gl, vertexSource, fragmentSource) => {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      console.error("WebGLRenderer: Shader failed to compile", gl.getShaderInfoLog(shader));
+      gl.deleteShader(shader);
+      return null;
+    }
+    return shader;
+  };
+
+  const vertexShader = compile(gl.VERTEX_SHADER, vertexSource);
+  const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentSource);
+  if (!vertexShader || !fragmentShader) return null;
+
+  const program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+  gl.deleteShader(vertexShader);
+  gl.deleteShader(fragmentShader);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    console.error("WebGLRenderer: Program failed to link", gl.getProgramInfoLog(program));
+    gl.deleteProgram(program);
+    return null;
+  }
+  return program;
+};
+
+/**
+ * Grows a float buffer so it can hold the requested length
+ * @param {Float32Array} array - Current buffer
+ * @param {number} length - Required length
+ * @returns {Float32Array} The same buffer, or a larger copy
+ */
+const ensureCapacity = (array, length) => {
+  if (length <= array.length) return array;
+  let size = array.length;
+  while (size < length) size *= 2;
+  const next = new Float32Array(size);
+  next.set(array);
+  return next;
+};
+
+/**
+ * Creates a WebGL renderer on a canvas
+ * @param {HTMLCanvasElement|OffscreenCanvas} canvas - Canvas to draw on; it must not have a 2D context yet
+ * @returns {Object|null} Renderer API with setSize, clear, circle, line, rect, setBackgroundImage, flush and destroy methods, or null when WebGL is unavailable
+ */
+export default function createWebGLRenderer(canvas) {
+  if (!canvas || typeof canvas.getContext !== "function" || !isWebGLAvailable()) return null;
+
+  const contextOptions = { alpha: true, antialias: true, premultipliedAlpha: true, preserveDrawingBuffer: false };
+  let gl = null;
+  let instancing = null;
+
+  try {
+    gl = canvas.getContext("webgl2", contextOptions);
+    if (gl) {
+      instancing = {
+        divisor: (location, divisor) => gl.vertexAttribDivisor(location, divisor),
+        draw: (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances),
+      };
+    } else {
+      gl = canvas.getContext("webgl", contextOptions);
+      const extension = gl ? gl.getExtension("ANGLE_instanced_arrays") : null;
+      if (extension) {
+        instancing = {
+          divisor: (location, divisor) => extension.vertexAttribDivisorANGLE(location, divisor),
+          draw: (mode, first, count, instances) => extension.drawArraysInstancedANGLE(mode, first, count, instances),
+        };
+      }
+    }
+  } catch (error) {
+    gl = null;
+  }
+
+  if (!gl || !instancing) return null;
+
+  let width = 1;
+  let height = 1;
+  let circles = new Float32Array(CIRCLE_STRIDE * 256);
+  let circleCount = 0;
+  let vertices = new Float32Array(VERTEX_STRIDE * 6 * 256);
+  let vertexCount = 0;
+  let resources = null;
+  let contextLost = false;
+  let backgroundImage = null;
+
+  /**
+   * Creates the programs and buffers; runs again after a lost context is restored
+   * @returns {Object|null} GL resources
+   */
+  const createResources = () => {
+    const circleProgram = createProgram(gl, CIRCLE_VERTEX_SHADER, CIRCLE_FRAGMENT_SHADER);
+    const triangleProgram = createProgram(gl, TRIANGLE_VERTEX_SHADER, TRIANGLE_FRAGMENT_SHADER);
+    if (!circleProgram || !triangleProgram) return null;
+
+    const cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, -1, 1, 1, -1, 1, 1]), gl.STATIC_DRAW);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+    gl.disable(gl.DEPTH_TEST);
+
+    return {
+      circleProgram,
+      triangleProgram,
+      cornerBuffer,
+      circleBuffer: gl.createBuffer(),
+      triangleBuffer: gl.createBuffer(),
+      circle: {
+        corner: gl.getAttribLocation(circleProgram, "a_corner"),
+        circle: gl.getAttribLocation(circleProgram, "a_circle"),
+        color: gl.getAttribLocation(circleProgram, "a_color"),
+        resolution: gl.getUniformLocation(circleProgram, "u_resolution"),
+        pixelRatio: gl.getUniformLocation(circleProgram, "u_pixelRatio"),
+      },
+      triangle: {
+        position: gl.getAttribLocation(triangleProgram, "a_position"),
+        color: gl.getAttribLocation(triangleProgram, "a_color"),
+        resolution: gl.getUniformLocation(triangleProgram, "u_resolution"),
+      },
+    };
+  };
+
+  /**
+   * Releases the programs and buffers
+   */
+  const deleteResources = () => {
+    if (!resources || contextLost) return;
+    gl.deleteProgram(resources.circleProgram);
+    gl.deleteProgram(resources.triangleProgram);
+    gl.deleteBuffer(resources.cornerBuffer);
+    gl.deleteBuffer(resources.circleBuffer);
+    gl.deleteBuffer(resources.triangleBuffer);
+  };
+
+  resources = createResources();
+  if (!resources) return null;
+
+  // Keep the canvas usable across GPU resets instead of going blank for good
+  const handleContextLost = (event) => {
+    event.preventDefault();
+    contextLost = true;
+    resources = null;
+  };
+
+  const handleContextRestored = () => {
+    contextLost = false;
+    resources = createResources();
+  };
+
+  if (typeof canvas.addEventListener === "function") {
+    canvas.addEventListener("webglcontextlost", handleContextLost);
+    canvas.addEventListener("webglcontextrestored", handleContextRestored);
+  }
+
+  /**
+   * Sets the drawing size in CSS pixels; call after the canvas backing store was resized
+   * @param {number} cssWidth - Width in CSS pixels
+   * @param {number} cssHeight - Height in CSS pixels
+   */
+  const setSize = (cssWidth, cssHeight) => {
+    width = Math.max(1, cssWidth);
+    height = Math.max(1, cssHeight);
+    gl.viewport(0, 0, canvas.width, canvas.height);
+  };
+
+  /**
+   * Starts a frame: drops queued shapes and fills the canvas
+   * @param {string} color - Background color, or "transparent"
+   */
+  const clear = (color = "transparent") => {
+    circleCount = 0;
+    vertexCount = 0;
+    if (contextLost) return;
+
+    const [r, g, b, a] = toGLColor(color);
+    gl.clearColor(r * a, g * a, b * a, a);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+  };
+
+  /**
+   * Queues a filled circle
+   * @param {number} x - Center X
+   * @param {number} y - Center Y
+   * @param {number} radius - Radius
+   * @param {string} color - CSS color
+   * @param {number} [alpha] - Opacity multiplier (0-1)
+   */
+  const circle = (x, y, radius, color, alpha = 1) => {
+    if (!(radius > 0) || !(alpha > 0)) return;
+
+    const [r, g, b, a] = toGLColor(color);
+    circles = ensureCapacity(circles, (circleCount + 1) * CIRCLE_STRIDE);
+    const offset = circleCount * CIRCLE_STRIDE;
+    circles[offset] = x;
+    circles[offset + 1] = y;
+    circles[offset + 2] = radius;
+    circles[offset + 3] = r;
+    circles[offset + 4] = g;
+    circles[offset + 5] = b;
+    circles[offset + 6] = a * Math.min(1, alpha);
+    circleCount++;
+  };
+
+  /**
+   * Queues two triangles
+   * @param {number[]} points - Six corner coordinates as x/y pairs
+   * @param {number[]} rgba - Color components
+   */
+  const pushQuad = (points, rgba) => {
+    vertices = ensureCapacity(vertices, (vertexCount + 6) * VERTEX_STRIDE);
+    for (let i = 0; i < 6; i++) {
+      const offset = (vertexCount + i) * VERTEX_STRIDE;
+      vertices[offset] = points[i * 2];
+      vertices[offset + 1] = points[i * 2 + 1];
+      vertices[offset + 2] = rgba[0];
+      vertices[offset + 3] = rgba[1];
+      vertices[offset + 4] = rgba[2];
+      vertices[offset + 5] = rgba[3];
+    }
+    vertexCount += 6;
+  };
+
+  /**
+   * Queues a straight line; lines and rectangles are drawn beneath circles
+   * @param {number} x1 - Start X
+   * @param {number} y1 - Start Y
+   * @param {number} x2 - End X
+   * @param {number} y2 - End Y
+   * @param {string} color - CSS color
+   * @param {number} [alpha] - Opacity multiplier (0-1)
+   * @param {number} [lineWidth] - Width in CSS pixels
+   */
+  const line = (x1, y1, x2, y2, color, alpha = 1, lineWidth = 1) => {
+    const dx = x2 - x1;
+    const dy = y2 - y1;
+    const length = Math.sqrt(dx * dx + dy * dy);
+    if (length === 0 || !(alpha > 0) || !(lineWidth > 0)) return;
+
+    // Hairlines are drawn one pixel wide and fainter instead, like Canvas 2D does
+    if (lineWidth < 1) {
+      alpha *= lineWidth;
+      lineWidth = 1;
+    }
+
+    // Offset both ends sideways by half the width to get a quad
+    const nx = (-dy / length) * (lineWidth / 2);
+    const ny = (dx / length) * (lineWidth / 2);
+    const [r, g, b, a] = toGLColor(color);
+    pushQuad([x1 + nx, y1 + ny, x2 + nx, y2 + ny, x1 - nx, y1 - ny, x1 - nx, y1 - ny, x2 + nx, y2 + ny, x2 - nx, y2 - ny], [r, g, b, a * Math.min(1, alpha)]);
+  };
+
+  /**
+   * Queues a filled rectangle; lines and rectangles are drawn beneath circles
+   * @param {number} x - Left edge
+   * @param {number} y - Top edge
+   * @param {number} rectWidth - Width
+   * @param {number} rectHeight - Height
+   * @param {string} color - CSS color
+   * @param {number} [alpha] - Opacity multiplier (0-1)
+   */
+  const rect = (x, y, rectWidth, rectHeight, color, alpha = 1) => {
+    if (!(alpha > 0)) return;
+
+    const [r, g, b, a] = toGLColor(color);
+    const right = x + rectWidth;
+    const bottom = y + rectHeight;
+    pushQuad([x, y, right, y, x, bottom, x, bottom, right, y, right, bottom], [r, g, b, a * Math.min(1, alpha)]);
+  };
+
+  /**
+   * Points a float attribute at the bound buffer
+   * @param {number} location - Attribute location
+   * @param {number} size - Components per value
+   * @param {number} stride - Floats per entry
+   * @param {number} offset - Float offset in the entry
+   * @param {number} divisor - 0 per vertex, 1 per instance
+   */
+  const bindAttribute = (location, size, stride, offset, divisor) => {
+    if (location < 0) return;
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride * 4, offset * 4);
+    instancing.divisor(location, divisor);
+  };
+
+  /**
+   * Turns attributes off again; divisors are global state in WebGL 1
+   * @param {number[]} locations - Attribute locations
+   */
+  const unbindAttributes = (locations) => {
+    locations.forEach((location) => {
+      if (location < 0) return;
+      instancing.divisor(location, 0);
+      gl.disableVertexAttribArray(location);
+    });
+  };
+
+  /**
+   * Draws everything queued since clear()
+   */
+  const flush = () => {
+    if (contextLost || !resources) return;
+    const pixelRatio = canvas.width / width;
+
+    if (vertexCount > 0) {
+      const { triangleProgram, triangleBuffer, triangle } = resources;
+      gl.useProgram(triangleProgram);
+      gl.uniform2f(triangle.resolution, width, height);
+      gl.bindBuffer(gl.ARRAY_BUFFER, triangleBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, vertices.subarray(0, vertexCount * VERTEX_STRIDE), gl.DYNAMIC_DRAW);
+      bindAttribute(triangle.position, 2, VERTEX_STRIDE, 0, 0);
+      bindAttribute(triangle.color, 4, VERTEX_STRIDE, 2, 0);
+      gl.drawArrays(gl.TRIANGLES, 0, vertexCount);
+      unbindAttributes([triangle.position, triangle.color]);
+    }
+
+    if (circleCount > 0) {
+      const { circleProgram, cornerBuffer, circleBuffer, circle: locations } = resources;
+      gl.useProgram(circleProgram);
+      gl.uniform2f(locations.resolution, width, height);
+      gl.uniform1f(locations.pixelRatio, pixelRatio > 0 ? pixelRatio : 1);
+      gl.bindBuffer(gl.ARRAY_BUFFER, cornerBuffer);
+      bindAttribute(locations.corner, 2, 2, 0, 0);
+      gl.bindBuffer(gl.ARRAY_BUFFER, circleBuffer);
+      gl.bufferData(gl.ARRAY_BUFFER, circles.subarray(0, circleCount * CIRCLE_STRIDE), gl.DYNAMIC_DRAW);
+      bindAttribute(locations.circle, 3, CIRCLE_STRIDE, 0, 1);
+      bindAttribute(locations.color, 4, CIRCLE_STRIDE, 3, 1);
+      instancing.draw(gl.TRIANGLES, 0, 6, circleCount);
+      unbindAttributes([locations.corner, locations.circle, locations.color]);
+    }
+
+    circleCount = 0;
+    vertexCount = 0;
+  };
+
+  /**
+   * Shows an image behind the canvas, since the WebGL path does not draw images itself
+   * @param {string|null} url - Image URL, or null to remove it
+   * @param {string} [size] - CSS background-size, e.g. "cover" or "100% 100%"
+   */
+  const setBackgroundImage = (url, size = "cover") => {
+    if (!canvas.style) return;
+    backgroundImage = url || null;
+    canvas.style.backgroundImage = backgroundImage ? `url("${backgroundImage}")` : "";
+    canvas.style.backgroundSize = backgroundImage ? size : "";
+    canvas.style.backgroundPosition = backgroundImage ? "center" : "";
+    canvas.style.backgroundRepeat = backgroundImage ? "no-repeat" : "";
+  };
+
+  /**
+   * Releases the GPU resources and listeners
+   */
+  const destroy = () => {
+    if (backgroundImage) {
+      setBackgroundImage(null);
+    }
+    if (typeof canvas.removeEventListener === "function") {
+      canvas.removeEventListener("webglcontextlost", handleContextLost);
+      canvas.removeEventListener("webglcontextrestored", handleContextRestored);
+    }
+    if (!contextLost) {
+      clear("transparent");
+    }
+    deleteResources();
+    resources = null;
+  };
+
+  return {
+    setSize,
+    clear,
+    circle,
+    line,
+    rect,
+    setBackgroundImage,
+    flush,
+    destroy,
+  };
+}
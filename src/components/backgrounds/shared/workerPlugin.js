@@ -0,0 +1,425 @@
+/**
+ * Worker Plugin
+ * Page side of renderWorker.js: moves a canvas background into a Web Worker
+ * through an OffscreenCanvas and exposes the regular plugin API for it.
+ * Falls back to the main-thread plugin wherever workers cannot render.
+ */
+
+import { watchPixelRatio } from "./canvasSizer.js";
+import { isPausedAll, onPauseAllChange } from "./scheduler.js";
+import { resolveColorVariables } from "./color.js";
+
+// Pointer events the worker replays on its canvas
+const POINTER_EVENTS = ["mouseenter", "mouseleave", "mousemove"];
+
+// Workers holding a transferred page canvas, by that canvas. A canvas can be transferred only once,
+// so a plugin created on it again, e.g. when React remounts in StrictMode, takes its worker over
+const canvasWorkers = new WeakMap();
+
+/**
+ * Resolves the worker script next to a module
+ * @param {string|undefined} base - URL of the module, i.e. import.meta.url; the CommonJS build has none
+ * @returns {URL|null} Script URL, or null without a base to resolve against
+ */
+export const resolveWorkerUrl = (base) => (typeof base === "string" && base ? new URL("./renderWorker.js", base) : null);
+
+/**
+ * Checks whether this browser and build can render a background in a worker
+ * @returns {boolean} True when Worker, OffscreenCanvas transfer and the worker script are available
+ */
+export const canRenderInWorker = () =>
+  typeof window !== "undefined" &&
+  typeof Worker !== "undefined" &&
+  typeof OffscreenCanvas !== "undefined" &&
+  typeof HTMLCanvasElement !== "undefined" &&
+  typeof HTMLCanvasElement.prototype.transferControlToOffscreen === "function" &&
+  resolveWorkerUrl(import.meta.url) !== null;
+
+/**
+ * Hands a parked worker to a new plugin on the same canvas, or terminates it once nobody has
+ * @param {HTMLCanvasElement} canvasElement - Page canvas the worker draws on
+ * @param {Worker} worker - Worker whose plugin was cleaned
+ */
+const parkWorker = (canvasElement, worker) => {
+  canvasWorkers.set(canvasElement, { worker, parked: true });
+  // React cleans and re-runs an effect in one go, so anything left parked after it is unused
+  setTimeout(() => {
+    const entry = canvasWorkers.get(canvasElement);
+    if (entry && entry.worker === worker && entry.parked) {
+      worker.terminate();
+      canvasWorkers.set(canvasElement, { worker: null, parked: false });
+    }
+  }, 0);
+};
+
+/**
+ * Creates the main-thread plugin on a fresh canvas next to a transferred one, which the page can no longer draw on
+ * @param {HTMLCanvasElement} canvasElement - Transferred page canvas
+ * @param {Object} settings - Animation configuration settings
+ * @param {Function} createFallback - Creates the main-thread plugin from the settings and the canvas to draw on
+ * @returns {Object} Plugin API; cleaning or destroying it removes the fresh canvas again
+ */
+const createOnReplacementCanvas = (canvasElement, settings, createFallback) => {
+  const replacement = canvasElement.cloneNode(false);
+  canvasElement.style.visibility = "hidden";
+  canvasElement.after(replacement);
+
+  const plugin = createFallback(settings, replacement);
+  return {
+    ...plugin,
+    clean: () => {
+      plugin.clean();
+      replacement.remove();
+    },
+    destroy: () => {
+      plugin.destroy();
+      replacement.remove();
+    },
+  };
+};
+
+/**
+ * Splits function-valued settings off, since functions cannot be posted to a worker,
+ * and resolves color variables, since the worker cannot read the page's styles
+ * @param {Object} settings - Plugin settings
+ * @param {HTMLElement} element - Element the color variables are resolved against
+ * @returns {{ data: Object, callbacks: string[] }} Cloneable settings and the keys of the callbacks
+ */
+const splitCallbacks = (settings, element) => {
+  const data = {};
+  const callbacks = [];
+  Object.keys(settings).forEach((key) => {
+    if (typeof settings[key] === "function") {
+      callbacks.push(key);
+    } else {
+      data[key] = resolveColorVariables(settings[key], element);
+    }
+  });
+  return { data, callbacks };
+};
+
+/**
+ * Reads the page geometry of an element in a cloneable form
+ * @param {HTMLElement} element - Element to measure
+ * @returns {{ left: number, top: number, width: number, height: number }} Bounding rect
+ */
+const measure = (element) => {
+  const rect = element.getBoundingClientRect();
+  return { left: rect.left, top: rect.top, width: rect.width, height: rect.height };
+};
+
+/**
+ * Creates a plugin that renders in a worker
+ *
+ * The component's canvas is transferred to the worker and stays in the page,
+ * showing the worker's frames. Once transferred, it cannot be drawn on from
+ * the page again, so the component gives the canvas a new key whenever it
+ * switches to the main thread.
+ *
+ * @param {HTMLElement} containerElement - Container whose pointer events are passed to the worker
+ * @param {HTMLCanvasElement} canvasElement - Canvas the component renders, transferred to the worker
+ * @param {string} pluginName - Plugin registered in renderWorker.js, e.g. "particles"
+ * @param {Object} animationSettings - Animation configuration settings
+ * @param {Function} createFallback - Creates the main-thread plugin from the current settings and the canvas to draw on
+ * @returns {Object} Plugin API with start, clean and playback control methods
+ */
+export default function createWorkerPlugin(containerElement, canvasElement, pluginName, animationSettings = {}, createFallback) {
+  // A canvas transferred before can only be drawn on by its parked worker
+  const previous = canvasElement ? canvasWorkers.get(canvasElement) : undefined;
+
+  // An injected clock or frame source lives on the page and cannot be posted to the worker
+  if (!containerElement || !canvasElement || !canRenderInWorker() || animationSettings.clock || animationSettings.frameSource || (previous && !previous.parked)) {
+    return previous ? createOnReplacementCanvas(canvasElement, animationSettings, createFallback) : createFallback(animationSettings, canvasElement);
+  }
+
+  let settings = { ...animationSettings };
+  let speed = null;
+  let started = false;
+  let running = false;
+  let destroyed = false;
+  let fallback = null;
+  let worker = null;
+  let canvas = null;
+  let pointerHandler = null;
+  let unwatchPixelRatio = null;
+  let unsubscribePauseAll = null;
+
+  /**
+   * Sends a message to the worker while it is rendering
+   * @param {Object} message - Message for renderWorker.js
+   * @param {Transferable[]} [transfer] - Objects to transfer
+   */
+  const post = (message, transfer) => {
+    if (worker) {
+      worker.postMessage(message, transfer || []);
+    }
+  };
+
+  /**
+   * Sends the current size and pixel ratio of the canvas
+   */
+  const postResize = () => {
+    if (!canvas) return;
+    post({ type: "resize", rect: measure(canvas), pixelRatio: window.devicePixelRatio || 1 });
+  };
+
+  /**
+   * Calls the page-side callback the worker asked for
+   * @param {MessageEvent} message - Message from the worker
+   */
+  const handleMessage = (message) => {
+    const data = message.data || {};
+    if (data.type !== "callback") return;
+
+    const callback = settings[data.key];
+    if (typeof callback === "function") {
+      callback(...(data.args || []));
+    }
+  };
+
+  /**
+   * Switches to the main-thread plugin when the worker fails
+   * @param {Event} event - Error event from the worker
+   */
+  const handleError = (event) => {
+    if (event && event.preventDefault) {
+      event.preventDefault();
+    }
+    console.warn("WorkerPlugin: Render worker failed, falling back to the main thread", event && event.message);
+    switchToFallback();
+  };
+
+  /**
+   * Lets go of the worker and everything added to the page
+   * @param {boolean} [failed] - Whether the worker failed; a working one is parked for the next plugin on the canvas
+   */
+  const release = (failed = false) => {
+    if (worker) {
+      worker.removeEventListener("message", handleMessage);
+      worker.removeEventListener("error", handleError);
+      worker.removeEventListener("messageerror", handleError);
+      if (failed) {
+        worker.terminate();
+        canvasWorkers.set(canvasElement, { worker: null, parked: false });
+      } else {
+        post({ type: "release" });
+        parkWorker(canvasElement, worker);
+      }
+      worker = null;
+    }
+
+    if (pointerHandler) {
+      POINTER_EVENTS.forEach((type) => containerElement.removeEventListener(type, pointerHandler));
+      pointerHandler = null;
+    }
+
+    if (unwatchPixelRatio) {
+      unwatchPixelRatio();
+      unwatchPixelRatio = null;
+    }
+
+    if (unsubscribePauseAll) {
+      unsubscribePauseAll();
+      unsubscribePauseAll = null;
+    }
+
+    canvas = null;
+  };
+
+  /**
+   * Replaces the worker with the main-thread plugin, keeping the playback state
+   */
+  const switchToFallback = () => {
+    release(true);
+    if (destroyed || fallback) return;
+
+    fallback = createOnReplacementCanvas(canvasElement, settings, createFallback);
+    if (speed !== null) {
+      fallback.setSpeed(speed);
+    }
+    if (started) {
+      fallback.start();
+      if (!running) {
+        fallback.pause();
+      }
+    }
+  };
+
+  // A parked worker already holds the canvas; otherwise the worker is created before the
+  // transfer, so the canvas is still the page's to draw on if that fails
+  let offscreen = null;
+  if (previous) {
+    worker = previous.worker;
+    canvasWorkers.set(canvasElement, { worker, parked: false });
+  } else {
+    try {
+      worker = new Worker(resolveWorkerUrl(import.meta.url), { type: "module" });
+      offscreen = canvasElement.transferControlToOffscreen();
+      canvasWorkers.set(canvasElement, { worker, parked: false });
+    } catch (error) {
+      // E.g. a blocked worker script or a canvas that already has a context
+      if (worker) worker.terminate();
+      worker = null;
+      return createFallback(settings, canvasElement);
+    }
+  }
+
+  canvas = canvasElement;
+  worker.addEventListener("message", handleMessage);
+  worker.addEventListener("error", handleError);
+  worker.addEventListener("messageerror", handleError);
+
+  const { data, callbacks } = splitCallbacks(settings, containerElement);
+  post(
+    {
+      type: "init",
+      plugin: pluginName,
+      canvas: offscreen,
+      settings: data,
+      callbacks,
+      rect: measure(canvas),
+      pixelRatio: window.devicePixelRatio || 1,
+      pausedAll: isPausedAll(),
+    },
+    offscreen ? [offscreen] : []
+  );
+
+  // The canvas ignores the pointer so content stays clickable; the container sees it instead
+  pointerHandler = (event) => {
+    post({ type: "pointer", event: event.type, rect: measure(canvas), clientX: event.clientX, clientY: event.clientY });
+  };
+  POINTER_EVENTS.forEach((type) => containerElement.addEventListener(type, pointerHandler, { passive: true }));
+
+  unwatchPixelRatio = watchPixelRatio(postResize);
+  unsubscribePauseAll = onPauseAllChange((paused) => {
+    post({ type: paused ? "pauseAll" : "resumeAll" });
+  });
+
+  /**
+   * Starts the animation
+   */
+  const start = () => {
+    if (fallback) return fallback.start();
+    if (destroyed) return;
+    started = true;
+    running = true;
+    post({ type: "start" });
+  };
+
+  /**
+   * Stops the worker's plugin and lets go of the worker; the instance cannot be started again
+   */
+  const clean = () => {
+    if (fallback) return fallback.clean();
+    started = false;
+    running = false;
+    post({ type: "clean" });
+    release();
+  };
+
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (fallback) return fallback.pause();
+    running = false;
+    post({ type: "pause" });
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (fallback) return fallback.resume();
+    if (!started || destroyed) return;
+    running = true;
+    post({ type: "resume" });
+  };
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while animating
+   */
+  const isRunning = () => {
+    if (fallback) return fallback.isRunning();
+    return running && Boolean(worker);
+  };
+
+  /**
+   * Changes the animation speed without restarting
+   * @param {number} newSpeed - New speed value
+   */
+  const setSpeed = (newSpeed) => {
+    if (fallback) return fallback.setSpeed(newSpeed);
+    speed = newSpeed;
+    post({ type: "setSpeed", speed: newSpeed });
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    settings = { ...settings, ...partialSettings };
+    if (fallback) return fallback.update(partialSettings);
+
+    const { data, callbacks } = splitCallbacks(partialSettings, containerElement);
+    post({ type: "update", settings: data, callbacks });
+  };
+
+  /**
+   * Matches the worker canvas to the container
+   */
+  const resize = () => {
+    if (fallback) return fallback.resize();
+    postResize();
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (fallback) return fallback.renderFrame(timeMs);
+    post({ type: "renderFrame", time: timeMs });
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {Object} Page canvas showing the worker's frames, with its pixel size
+   */
+  const getCaptureTarget = () => {
+    if (fallback) return fallback.getCaptureTarget();
+    if (!canvas) return { element: null };
+
+    // The page canvas was transferred, so its width and height no longer follow the worker's
+    const rect = measure(canvas);
+    const pixelRatio = window.devicePixelRatio || 1;
+    return { element: canvas, width: rect.width * pixelRatio, height: rect.height * pixelRatio };
+  };
+
+  /**
+   * Tears the animation down for good
+   */
+  const destroy = () => {
+    if (fallback) return fallback.destroy();
+    destroyed = true;
+    started = false;
+    running = false;
+    release();
+  };
+
+  return {
+    start,
+    clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
+  };
+}
@@ -0,0 +1,158 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import createWorkerPlugin, { canRenderInWorker, resolveWorkerUrl } from "./workerPlugin.js";
+import type { BackgroundPlugin } from "./useBackgroundHandle";
+
+/**
+ * Worker that records the messages posted to it
+ */
+class FakeWorker extends EventTarget {
+  static instances: FakeWorker[] = [];
+  messages: { type: string; canvas?: unknown }[] = [];
+  terminated = false;
+
+  constructor() {
+    super();
+    FakeWorker.instances.push(this);
+  }
+
+  postMessage(message: { type: string }) {
+    this.messages.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+/**
+ * Main-thread plugin standing in for a real one
+ */
+const createFallback = vi.fn((_settings: object, canvas: HTMLCanvasElement) => ({
+  canvas,
+  start: vi.fn(),
+  clean: vi.fn(),
+  pause: vi.fn(),
+  resume: vi.fn(),
+  isRunning: () => true,
+  setSpeed: vi.fn(),
+  update: vi.fn(),
+  resize: vi.fn(),
+  renderFrame: vi.fn(),
+  getCaptureTarget: () => ({ element: canvas }),
+  destroy: vi.fn(),
+}));
+
+/**
+ * Renders a container with the canvas a component would give the plugin
+ */
+const mountCanvas = () => {
+  const container = document.createElement("div");
+  const canvas = document.createElement("canvas");
+  container.appendChild(canvas);
+  document.body.appendChild(container);
+  return { container, canvas };
+};
+
+describe("resolveWorkerUrl", () => {
+  it("resolves the worker script next to the module", () => {
+    expect(resolveWorkerUrl("https://example.com/dist/index.js")?.href).toBe("https://example.com/dist/renderWorker.js");
+  });
+
+  it("returns null in the CommonJS build, where import.meta.url is undefined", () => {
+    expect(resolveWorkerUrl(undefined)).toBeNull();
+    expect(resolveWorkerUrl("")).toBeNull();
+  });
+});
+
+describe("createWorkerPlugin", () => {
+  beforeEach(() => {
+    FakeWorker.instances = [];
+    createFallback.mockClear();
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+    document.body.innerHTML = "";
+  });
+
+  it("draws on the component's canvas on the main thread where workers cannot render", () => {
+    const { container, canvas } = mountCanvas();
+    expect(canRenderInWorker()).toBe(false);
+
+    createWorkerPlugin(container, canvas, "particles", {}, createFallback);
+
+    expect(createFallback).toHaveBeenCalledWith({}, canvas);
+    expect(container.children).toHaveLength(1);
+  });
+
+  describe("with worker support", () => {
+    let transfer: ReturnType<typeof vi.fn>;
+
+    beforeEach(() => {
+      vi.stubGlobal("Worker", FakeWorker);
+      vi.stubGlobal("OffscreenCanvas", class {});
+      transfer = vi.fn(() => ({}));
+      HTMLCanvasElement.prototype.transferControlToOffscreen = transfer as unknown as () => OffscreenCanvas;
+      vi.spyOn(Element.prototype, "getBoundingClientRect").mockReturnValue(new DOMRect(0, 0, 300, 150));
+    });
+
+    afterEach(() => {
+      delete (HTMLCanvasElement.prototype as Partial<HTMLCanvasElement>).transferControlToOffscreen;
+    });
+
+    it("transfers the component's canvas instead of adding one", () => {
+      const { container, canvas } = mountCanvas();
+
+      createWorkerPlugin(container, canvas, "particles", {}, createFallback);
+
+      expect(createFallback).not.toHaveBeenCalled();
+      expect(transfer.mock.contexts[0]).toBe(canvas);
+      expect(container.children).toHaveLength(1);
+      expect(FakeWorker.instances[0].messages[0].type).toBe("init");
+    });
+
+    it("hands the worker to the next plugin on the same canvas, since a canvas is transferred only once", () => {
+      vi.useFakeTimers();
+      const { container, canvas } = mountCanvas();
+
+      const first = createWorkerPlugin(container, canvas, "particles", {}, createFallback) as BackgroundPlugin;
+      first.clean();
+      createWorkerPlugin(container, canvas, "particles", {}, createFallback);
+      vi.runAllTimers();
+
+      expect(transfer).toHaveBeenCalledTimes(1);
+      expect(FakeWorker.instances).toHaveLength(1);
+      expect(FakeWorker.instances[0].terminated).toBe(false);
+      expect(FakeWorker.instances[0].messages.map((message) => message.type)).toEqual(["init", "clean", "release", "init"]);
+    });
+
+    it("terminates a worker nobody takes over", () => {
+      vi.useFakeTimers();
+      const { container, canvas } = mountCanvas();
+
+      (createWorkerPlugin(container, canvas, "particles", {}, createFallback) as BackgroundPlugin).clean();
+      vi.runAllTimers();
+
+      expect(FakeWorker.instances[0].terminated).toBe(true);
+    });
+
+    it("falls back onto a fresh canvas when the worker fails, and removes it on clean", () => {
+      vi.spyOn(console, "warn").mockImplementation(() => {});
+      const { container, canvas } = mountCanvas();
+
+      const plugin = createWorkerPlugin(container, canvas, "particles", {}, createFallback) as BackgroundPlugin;
+      FakeWorker.instances[0].dispatchEvent(new Event("error"));
+
+      const replacement = createFallback.mock.calls[0][1];
+      expect(replacement).not.toBe(canvas);
+      expect(canvas.nextSibling).toBe(replacement);
+      expect(canvas.style.visibility).toBe("hidden");
+
+      plugin.clean();
+      expect(replacement.isConnected).toBe(false);
+      expect(container.children).toHaveLength(1);
+    });
+  });
+});
@@ -6,73 +6,53 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "transparent",
-  backgroundImage: null,
-  color: "#ffffff",
-  speed: 1,
-  size: 3,
-  count: 100,
-  swaySpeed: 0.5,
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createQualityGovernor, { scaleDensity } from "../shared/qualityGovernor.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import { normalizeRenderer, selectWebGLRenderer } from "../shared/webglRenderer.js";
+import createRandom from "../shared/random.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD, QUALITY_FIELDS, RENDERER_FIELD, SEED_FIELD } from "../shared/settingsSchema.js";
+
+// Snowflake limits; WebGL draws them in one batch, so it can afford far more
+const MAX_COUNT = 500;
+const MAX_WEBGL_COUNT = 10000;
+
+/**
+ * Settings of the Snow background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("Snow", {
+  backgroundColor: { type: "color", default: "transparent", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  color: { type: "color", default: "#ffffff", description: "Color of the snowflakes" },
+  speed: { type: "number", default: 1, min: 0.1, max: 10, description: "Falling speed of the snowflakes" },
+  size: { type: "number", default: 3, min: 1, max: 20, description: "Largest snowflake radius in pixels" },
+  count: {
+    type: "number",
+    default: 100,
+    min: 1,
+    max: (settings) => (normalizeRenderer(settings.renderer) === "canvas2d" ? MAX_COUNT : MAX_WEBGL_COUNT),
+    description: `Number of snowflakes, up to ${MAX_COUNT} with canvas2d and ${MAX_WEBGL_COUNT} with WebGL`,
+  },
+  swaySpeed: { type: "number", default: 0.5, min: 0, max: 5, description: "How fast the snowflakes sway sideways" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  ...QUALITY_FIELDS,
+  renderer: RENDERER_FIELD,
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-snow-";
 
 // Canvas data attribute
 const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = -Infinity, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    color: validateColor(settings.color, defaultSettings.color),
-    speed: Math.max(0.1, Math.min(10, validateNumber(settings.speed, defaultSettings.speed, 0.1, 10))),
-    size: Math.max(1, Math.min(20, validateNumber(settings.size, defaultSettings.size, 1, 20))),
-    count: Math.max(1, Math.min(500, validateNumber(settings.count, defaultSettings.count, 1, 500))),
-    swaySpeed: Math.max(0, Math.min(5, validateNumber(settings.swaySpeed, defaultSettings.swaySpeed, 0, 5))),
-  };
-};
-
 /**
  * Snow Animation Plugin
  * @param {HTMLCanvasElement} canvasElement - Canvas element for rendering
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 function SnowPlugin(canvasElement, animationSettings = {}) {
   if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
@@ -80,18 +60,32 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let canvas = canvasElement;
   let context = null;
+  let webgl = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let snowflakes = [];
   let animationId = null;
   let backgroundImage = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
+  let qualityScale = 1;
+  let governor = null;
 
   // Mark canvas with data attribute
   canvas.setAttribute("data-salameh-snow", "canvas");
@@ -115,7 +109,7 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
       size: size,
       fallSpeed: fallSpeed,
       swaySpeed: swaySpeed,
-      swayOffset: Math.random() * Math.PI * 2,
+      swayOffset: random() * Math.PI * 2,
       color: settings.color,
     };
   };
@@ -125,6 +119,10 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
    * @param {Object} snowflake - Snowflake object to draw
    */
   const drawSnowflake = (snowflake) => {
+    if (webgl) {
+      webgl.circle(snowflake.x, snowflake.y, snowflake.size, snowflake.color);
+      return;
+    }
     if (!context) return;
 
     context.fillStyle = snowflake.color;
@@ -145,7 +143,7 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
     // Reset snowflake when it goes off screen
     if (snowflake.y >= screen.height + snowflake.size) {
       snowflake.y = -snowflake.size;
-      snowflake.x = Math.floor(Math.random() * screen.width);
+      snowflake.x = Math.floor(random() * screen.width);
     }
 
     // Keep snowflakes within horizontal bounds
@@ -154,14 +152,17 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
     } else if (snowflake.x > screen.width + snowflake.size) {
       snowflake.x = -snowflake.size;
     }
-
-    drawSnowflake(snowflake);
   };
 
   /**
    * Draws background
    */
   const drawBackground = () => {
+    if (webgl) {
+      // The background image sits behind the WebGL canvas as CSS
+      webgl.clear(settings.backgroundImage ? "transparent" : settings.backgroundColor);
+      return;
+    }
     if (!context) return;
 
     // Draw background image if provided
@@ -204,33 +205,30 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
   };
 
   /**
-   * Initializes the snow animation
+   * Matches the canvas backing store to its displayed size, keeping the snowflakes
    */
-  const initializeSnow = () => {
-    if (!canvas) return;
+  const resizeCanvas = () => {
+    if (!canvas || (!context && !webgl) || !sizer) return;
 
-    context = canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (webgl) webgl.setSize(size.width, size.height);
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return;
 
-    if (!context) {
-      console.error("SnowPlugin: Could not get 2D context from canvas");
-      return;
-    }
-
-    // Get canvas dimensions
-    const rect = canvas.getBoundingClientRect();
-    screen = {
-      width: Math.max(1, Math.floor(rect.width) || 800),
-      height: Math.max(1, Math.floor(rect.height) || 400),
-    };
-
-    // Set canvas dimensions
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+    screen = { width: size.width, height: size.height };
 
     // Optimize canvas rendering
-    context.imageSmoothingEnabled = false;
+    if (context) context.imageSmoothingEnabled = false;
+  };
 
-    // Load background image if provided
+  /**
+   * Loads the background image, falling back to the solid color when it fails
+   */
+  const loadBackgroundImage = () => {
+    if (webgl) {
+      webgl.setBackgroundImage(settings.backgroundImage);
+      return;
+    }
     if (settings.backgroundImage) {
       if (backgroundImage) {
         // Clean up previous image
@@ -251,72 +249,122 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
     } else {
       backgroundImage = null;
     }
+  };
 
-    // Initialize snowflakes
-    snowflakes = [];
-    for (let i = 0; i < settings.count; i++) {
-      const x = Math.floor(Math.random() * screen.width);
-      const y = Math.floor(Math.random() * screen.height);
-      const size = Math.random() * settings.size + 1;
+  /**
+   * Adds or removes snowflakes until the configured count is reached
+   * @param {boolean} fromTop - Spawn new snowflakes above the canvas so they drift in
+   */
+  const syncSnowflakeCount = (fromTop) => {
+    const count = scaleDensity(Math.min(settings.count, webgl ? MAX_WEBGL_COUNT : MAX_COUNT), qualityScale);
+    while (snowflakes.length < count) {
+      const x = Math.floor(random() * screen.width);
+      const y = Math.floor(random() * screen.height) - (fromTop ? screen.height : 0);
+      const size = random() * settings.size + 1;
       snowflakes.push(createSnowflake(x, y, size));
     }
+    if (snowflakes.length > count) {
+      snowflakes.length = count;
+    }
+  };
+
+  /**
+   * Applies a new quality scale from the governor
+   * @param {number} scale - Share of the configured density to render (0-1)
+   */
+  const applyQuality = (scale) => {
+    qualityScale = scale;
+    if (context || webgl) {
+      syncSnowflakeCount(true);
+    }
+    if (settings.onQualityChange) {
+      settings.onQualityChange(scale);
+    }
+  };
+
+  /**
+   * Initializes the snow animation
+   */
+  const initializeSnow = () => {
+    if (!canvas) return;
+
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
+    if (webgl) webgl.destroy();
+    webgl = selectWebGLRenderer(canvas, settings.renderer, "SnowPlugin");
+    context = webgl ? null : canvas.getContext("2d", { alpha: settings.backgroundColor === "transparent" });
+
+    if (!context && !webgl) {
+      console.error("SnowPlugin: Could not get 2D context from canvas");
+      return;
+    }
+
+    if (sizer) sizer.destroy();
+    sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
+
+    screen = { width: 0, height: 0 };
+    resizeCanvas();
+
+    // Load background image if provided
+    loadBackgroundImage();
+
+    // Watch the frame rate when adaptive quality is on
+    if (!governor) governor = createQualityGovernor(applyQuality);
+    governor.configure(settings.quality);
+
+    // Initialize snowflakes
+    snowflakes = [];
+    syncSnowflakeCount(false);
   };
 
   /**
    * Main render function
    */
   const render = () => {
-    if (!context || !canvas) return;
+    if ((!context && !webgl) || !canvas) return;
+
+    animationId = timing.request(render);
+    if (governor) governor.frame(timing.now());
 
-    animationId = requestAnimationFrame(render);
+    drawFrame(true);
+  };
 
+  /**
+   * Draws one frame
+   * @param {boolean} advance - Whether the snowflakes fall before being drawn
+   */
+  const drawFrame = (advance) => {
     // Draw background first
     drawBackground();
 
     // Update and draw all snowflakes
     for (let i = 0; i < snowflakes.length; i++) {
-      updateSnowflake(snowflakes[i]);
+      if (advance) updateSnowflake(snowflakes[i]);
+      drawSnowflake(snowflakes[i]);
     }
+
+    if (webgl) webgl.flush();
   };
 
   /**
-   * Debounced resize handler
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      if (canvas && context) {
-        initializeSnow();
-      }
-    }, 150);
+  const redraw = () => {
+    if ((!context && !webgl) || !canvas) return;
+    drawFrame(false);
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeSnow();
-    if (context && canvas) {
+    if ((context || webgl) && canvas) {
       render();
     }
-
-    // Setup ResizeObserver for responsive behavior
-    if (canvas && window.ResizeObserver) {
-      resizeHandler = new ResizeObserver((entries) => {
-        for (const entry of entries) {
-          if (entry.target === canvas) {
-            handleResize();
-            break;
-          }
-        }
-      });
-      resizeHandler.observe(canvas);
-    } else {
-      // Fallback to window resize
-      window.addEventListener("resize", handleResize, { passive: true });
-    }
   };
 
   /**
@@ -324,25 +372,10 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
    */
   const clean = () => {
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    // Remove resize observer
-    if (resizeHandler) {
-      resizeHandler.disconnect();
-      resizeHandler = null;
-    }
-
-    // Remove window resize listener
-    window.removeEventListener("resize", handleResize);
-
-    // Clear resize timeout
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
-    }
-
     // Clean up background image
     if (backgroundImage) {
       backgroundImage.onload = null;
@@ -350,20 +383,161 @@ function SnowPlugin(canvasElement, animationSettings = {}) {
       backgroundImage = null;
     }
 
+    // Stop watching the device pixel ratio
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
+    }
+
     // Clear canvas
     if (context && screen) {
       context.clearRect(0, 0, screen.width, screen.height);
     }
+    if (webgl) {
+      webgl.destroy();
+      webgl = null;
+    }
 
     // Clean up references
+    governor = null;
+    qualityScale = 1;
     snowflakes = [];
     context = null;
     screen = { width: 0, height: 0 };
   };
 
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    if (governor) governor.reset();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && (context || webgl) && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the fall speed of every snowflake
+   * @param {number|string} speed - New speed value
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+
+    for (let i = 0; i < snowflakes.length; i++) {
+      snowflakes[i].fallSpeed = settings.speed;
+      snowflakes[i].swaySpeed = settings.swaySpeed || settings.speed * 0.5;
+    }
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, canvasElement);
+
+    if (!context && !webgl) return;
+
+    // The canvas context is created with or without alpha depending on transparency,
+    // and a canvas keeps the kind of context it was first given, so the component hands over a new one
+    if ((settings.backgroundColor === "transparent") !== (previous.backgroundColor === "transparent")) {
+      initializeSnow();
+      return;
+    }
+
+    if (governor) governor.configure(settings.quality);
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.backgroundImage !== previous.backgroundImage) {
+      loadBackgroundImage();
+    }
+
+    const sizeFactor = settings.size / previous.size;
+    for (let i = 0; i < snowflakes.length; i++) {
+      const snowflake = snowflakes[i];
+      snowflake.color = settings.color;
+      snowflake.size = (snowflake.size - 1) * sizeFactor + 1;
+      snowflake.fallSpeed = settings.speed;
+      snowflake.swaySpeed = settings.swaySpeed || settings.speed * 0.5;
+    }
+
+    syncSnowflakeCount(true);
+  };
+
+  /**
+   * Resizes the canvas to its container without resetting the snowflakes
+   */
+  const resize = () => {
+    resizeCanvas();
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+
+    if (canvas) {
+      canvas.removeAttribute("data-salameh-snow");
+      canvas.removeAttribute(CANVAS_DATA_ATTR);
+      canvas = null;
+    }
+  };
+
   return {
     start,
     clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
   };
 }
 
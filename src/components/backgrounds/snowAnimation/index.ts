@@ -1,3 +1,3 @@
 // Component exports
-export { Snow } from "./Snow";
-// export type { SnowProps, SnowAdvancedSettings } from "./Snow";
+export { Snow, snowJsonSchema } from "./Snow";
+export type { SnowProps, SnowAdvancedSettings, SnowHandle } from "./Snow";
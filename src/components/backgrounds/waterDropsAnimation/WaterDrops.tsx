@@ -1,15 +1,25 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import WaterDropsPlugin from "./WaterDropsPlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import WaterDropsPlugin, { settingsSchema } from "./WaterDropsPlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { useQualityChange } from "../shared/useQualityChange";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps, AdaptiveQualityProps, SeedProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings>, SeedProps, AdaptiveQualityProps {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -22,132 +32,86 @@ interface AdvancedSettings {
   dropSpeed?: number | string;
   rippleSize?: number | string;
   clearColor?: string;
+  maxPixelRatio?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string };
+
+type WaterDropsHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  "rainy-window": { backgroundColor: "#0d1b2a", advanced: { dropColor: "#bcd4e6", rippleColor: "#bcd4e6", maxDrops: 60, rippleSize: 50 } },
+  neon: { backgroundColor: "#000000", advanced: { dropColor: "hsl(300, 100%, 60%)", rippleColor: "hsl(180, 100%, 50%)" } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  rippleSize: { band: "bass", scale: [1, 2] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const waterDropsJsonSchema = createJsonSchema("WaterDrops", settingsSchema, { props: { backgroundColor: "backgroundColor", backgroundImage: "backgroundImage", speed: "dropSpeed", quality: "quality", seed: "seed" }, rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Water Drops Animation Component
  * A React component that creates animated water drops with ripples using canvas
  */
-export function WaterDrops({ width = "auto", height = "auto", backgroundColor = "transparent", backgroundImage, speed = 3, advanced, children }: Props) {
+export const WaterDrops = forwardRef<WaterDropsHandle, Props>(function WaterDrops(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.dropSpeed, advanced, motion = "auto", autoPause = true, quality, onQualityChange, seed, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("WaterDrops", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
-
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const handleQualityChange = useQualityChange(onQualityChange);
+  const palette = useThemePalette();
 
-    return style;
-  }, [width, height]);
-
-  /**
-   * Memoized canvas style calculation
-   */
-  const canvasStyle = useMemo((): React.CSSProperties => {
-    return {
-      position: "absolute",
-      top: 0,
-      left: 0,
-      width: "100%",
-      height: "100%",
-      display: "block",
-    };
-  }, []);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
-    // Use dropSpeed from advanced if provided, otherwise use speed prop
-    const dropSpeed = advanced?.dropSpeed !== undefined ? toNumber(advanced.dropSpeed, 3) : toNumber(speed, 3);
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      dropColor: advanced?.dropColor || "hsl(180, 100%, 50%)",
-      rippleColor: advanced?.rippleColor || "hsl(180, 100%, 50%)",
-      maxDrops: toNumber(advanced?.maxDrops, 30),
-      dropSpeed,
-      rippleSize: toNumber(advanced?.rippleSize, 80),
-      clearColor: advanced?.clearColor || "rgba(0, 0, 0, .1)",
+      dropColor: advanced?.dropColor || palette?.primary || defaults.dropColor,
+      rippleColor: advanced?.rippleColor || palette?.accent || defaults.rippleColor,
+      maxDrops: advanced?.maxDrops ?? defaults.maxDrops,
+      // dropSpeed from advanced wins over the speed prop
+      dropSpeed: advanced?.dropSpeed ?? speed,
+      rippleSize: advanced?.rippleSize ?? defaults.rippleSize,
+      clearColor: advanced?.clearColor || defaults.clearColor,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
+      quality: quality || null,
+      onQualityChange: handleQualityChange,
+      seed: seed ?? null,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, quality, handleQualityChange, palette, seed]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!canvasRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const waterDrops = WaterDropsPlugin(canvasRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = waterDrops;
-
-    waterDrops.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current && canvasRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          pluginRef.current = WaterDropsPlugin(canvasRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(WaterDropsPlugin(canvasRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     if (containerRef.current) {
@@ -161,42 +125,15 @@ export function WaterDrops({ width = "auto", height = "auto", backgroundColor =
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin, seed]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated water drops background">
-      <canvas ref={canvasRef} style={canvasStyle} />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated water drops background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      <canvas ref={canvasRef} style={CANVAS_STYLE} />
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as WaterDropsProps, AdvancedSettings as WaterDropsAdvancedSettings };
+export type { Props as WaterDropsProps, AdvancedSettings as WaterDropsAdvancedSettings, WaterDropsHandle };
@@ -6,134 +6,43 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "transparent",
-  backgroundImage: null,
-  dropColor: "hsl(180, 100%, 50%)",
-  rippleColor: "hsl(180, 100%, 50%)",
-  maxDrops: 30,
-  dropSpeed: 3,
-  rippleSize: 80,
-  clearColor: "rgba(0, 0, 0, .1)",
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createQualityGovernor, { scaleDensity } from "../shared/qualityGovernor.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import createRandom from "../shared/random.js";
+import { withAlpha } from "../shared/color.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD, QUALITY_FIELDS, SEED_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the WaterDrops background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("WaterDrops", {
+  backgroundColor: { type: "color", default: "transparent", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  dropColor: { type: "color", default: "hsl(180, 100%, 50%)", description: "Color of the falling drops" },
+  rippleColor: { type: "color", default: "hsl(180, 100%, 50%)", description: "Color of the ripples" },
+  maxDrops: { type: "number", default: 30, min: 1, max: 100, description: "Most drops on screen at once" },
+  dropSpeed: { type: "number", default: 3, min: 0.1, max: 10, description: "Falling speed of the drops" },
+  rippleSize: { type: "number", default: 80, min: 10, max: 200, description: "Largest ripple radius in pixels" },
+  clearColor: { type: "color", default: "rgba(0, 0, 0, .1)", description: "Color painted over each frame; its alpha sets how long ripples linger" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
+  ...QUALITY_FIELDS,
+  seed: SEED_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-wd-";
 
 // Canvas data attribute
 const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = -Infinity, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    dropColor: validateColor(settings.dropColor, defaultSettings.dropColor),
-    rippleColor: validateColor(settings.rippleColor, defaultSettings.rippleColor),
-    maxDrops: Math.max(1, Math.min(100, validateNumber(settings.maxDrops, defaultSettings.maxDrops, 1, 100))),
-    dropSpeed: Math.max(0.1, Math.min(10, validateNumber(settings.dropSpeed, defaultSettings.dropSpeed, 0.1, 10))),
-    rippleSize: Math.max(10, Math.min(200, validateNumber(settings.rippleSize, defaultSettings.rippleSize, 10, 200))),
-    clearColor: validateColor(settings.clearColor, defaultSettings.clearColor),
-  };
-};
-
-/**
- * Helper function to apply opacity to any color format
- * @param {string} color - Color value
- * @param {number} opacity - Opacity value (0-1)
- * @returns {string} Color with opacity applied
- */
-const applyOpacityToColor = (color, opacity) => {
-  if (typeof color !== "string" || typeof opacity !== "number") {
-    return color;
-  }
-
-  // Handle rgba format
-  if (color.startsWith("rgba(")) {
-    return color.replace(/[\d.]+\)$/, opacity + ")");
-  }
-  // Handle rgb format
-  if (color.startsWith("rgb(")) {
-    return color.replace("rgb(", "rgba(").replace(")", ", " + opacity + ")");
-  }
-  // Handle hsl format
-  if (color.startsWith("hsl(") && !color.startsWith("hsla(")) {
-    return color.replace("hsl(", "hsla(").replace(")", ", " + opacity + ")");
-  }
-  // Handle hsla format
-  if (color.startsWith("hsla(")) {
-    return color.replace(/[\d.]+\)$/, opacity + ")");
-  }
-  // Handle hex format
-  if (color.startsWith("#")) {
-    const hex = color.slice(1);
-    if (hex.length === 3) {
-      const r = parseInt(hex[0] + hex[0], 16);
-      const g = parseInt(hex[1] + hex[1], 16);
-      const b = parseInt(hex[2] + hex[2], 16);
-      return `rgba(${r}, ${g}, ${b}, ${opacity})`;
-    } else if (hex.length === 6) {
-      const r = parseInt(hex.slice(0, 2), 16);
-      const g = parseInt(hex.slice(2, 4), 16);
-      const b = parseInt(hex.slice(4, 6), 16);
-      return `rgba(${r}, ${g}, ${b}, ${opacity})`;
-    }
-  }
-  // Handle named colors (convert to rgba)
-  try {
-    const canvas = document.createElement("canvas");
-    const ctx = canvas.getContext("2d");
-    if (ctx) {
-      ctx.fillStyle = color;
-      const computedColor = ctx.fillStyle;
-      if (computedColor.startsWith("rgb(")) {
-        return computedColor.replace("rgb(", "rgba(").replace(")", ", " + opacity + ")");
-      }
-    }
-  } catch (error) {
-    // Fallback to original color
-  }
-  return color; // Fallback
-};
-
 /**
  * Water Drops Animation Plugin
  * @param {HTMLCanvasElement} canvasElement - Canvas element for rendering
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 function WaterDropsPlugin(canvasElement, animationSettings = {}) {
   if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
@@ -141,18 +50,32 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let canvas = canvasElement;
   let context = null;
+  let sizer = null;
   let screen = { width: 0, height: 0 };
   let drops = [];
   let animationId = null;
   let backgroundImage = null;
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  let random = createRandom(settings.seed);
+  const timing = createFrameTiming(animationSettings);
+  let spawnTimeouts = [];
+  let destroyed = false;
+  let qualityScale = 1;
+  let governor = null;
 
   // Mark canvas with data attribute
   canvas.setAttribute("data-salameh-wd", "canvas");
@@ -174,8 +97,8 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
    * @param {number} max - Maximum value
    * @returns {number} Random number between min and max
    */
-  const random = (min, max) => {
-    return Math.random() * (max - min) + min;
+  const randomNumFrom = (min, max) => {
+    return random() * (max - min) + min;
   };
 
   /**
@@ -206,7 +129,7 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
   const initWaterDrop = (drop) => {
     if (!screen.width || !screen.height) return;
 
-    drop.x = random(0, screen.width);
+    drop.x = randomNumFrom(0, screen.width);
     drop.y = 0;
     drop.color = settings.dropColor;
 
@@ -216,14 +139,14 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
 
     drop.w = Math.max(1, Math.floor(2 * scaleFactor));
     drop.h = Math.max(1, Math.floor(1 * scaleFactor));
-    drop.vy = random(settings.dropSpeed * scaleFactor, (settings.dropSpeed + 1) * scaleFactor);
+    drop.vy = randomNumFrom(settings.dropSpeed * scaleFactor, (settings.dropSpeed + 1) * scaleFactor);
     drop.vw = Math.max(1, Math.floor(3 * scaleFactor));
     drop.vh = Math.max(1, Math.floor(1 * scaleFactor));
     drop.size = Math.max(1, Math.floor(2 * scaleFactor));
 
     // Hit point at the bottom of the container
     const hitRange = Math.min(0.1, screen.height / 200);
-    drop.hit = random(screen.height * (0.9 - hitRange), screen.height * 0.9);
+    drop.hit = randomNumFrom(screen.height * (0.9 - hitRange), screen.height * 0.9);
 
     drop.a = 1;
     drop.va = 0.96;
@@ -242,7 +165,7 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
       context.moveTo(drop.x, drop.y - drop.h / 2);
       context.bezierCurveTo(drop.x + drop.w / 2, drop.y - drop.h / 2, drop.x + drop.w / 2, drop.y + drop.h / 2, drop.x, drop.y + drop.h / 2);
       context.bezierCurveTo(drop.x - drop.w / 2, drop.y + drop.h / 2, drop.x - drop.w / 2, drop.y - drop.h / 2, drop.x, drop.y - drop.h / 2);
-      context.strokeStyle = applyOpacityToColor(settings.rippleColor, drop.a);
+      context.strokeStyle = withAlpha(settings.rippleColor, drop.a);
       context.stroke();
       context.closePath();
     } else {
@@ -250,7 +173,6 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
       context.fillStyle = drop.color;
       context.fillRect(drop.x, drop.y, drop.size, drop.size * 5);
     }
-    updateWaterDrop(drop);
   };
 
   /**
@@ -321,26 +243,39 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
   };
 
   /**
-   * Initializes the water drops animation
+   * Matches the canvas backing store to its displayed size, keeping the drops
+   * @returns {boolean} Whether the canvas has a usable size
    */
-  const initializeWaterDrops = () => {
-    if (!canvas || !context) return;
+  const resizeCanvas = () => {
+    if (!canvas || !context || !sizer) return false;
 
-    // Get canvas dimensions
+    // Wait for the canvas to be laid out
     const rect = canvas.getBoundingClientRect();
-    if (!rect.width || !rect.height) return;
-
-    // Calculate dimensions
-    screen = {
-      width: Math.max(1, Math.floor(rect.width)),
-      height: Math.max(1, Math.floor(rect.height)),
-    };
+    if (!rect.width || !rect.height) return false;
+
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return true;
+
+    // Move existing drops proportionally so they keep their place in the scene
+    if (screen.width && screen.height) {
+      const scaleX = size.width / screen.width;
+      const scaleY = size.height / screen.height;
+      for (let i = 0; i < drops.length; i++) {
+        drops[i].x *= scaleX;
+        drops[i].y *= scaleY;
+        drops[i].hit *= scaleY;
+      }
+    }
 
-    // Set canvas dimensions
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+    screen = { width: size.width, height: size.height };
+    return true;
+  };
 
-    // Load background image if provided
+  /**
+   * Loads the background image, falling back to the solid color when it fails
+   */
+  const loadBackgroundImage = () => {
     if (settings.backgroundImage) {
       if (backgroundImage) {
         backgroundImage.onload = null;
@@ -358,16 +293,79 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
     } else {
       backgroundImage = null;
     }
+  };
+
+  /**
+   * Cancels drops that are still waiting to be spawned
+   */
+  const clearSpawnTimeouts = () => {
+    spawnTimeouts.forEach((timeout) => clearTimeout(timeout));
+    spawnTimeouts = [];
+  };
+
+  /**
+   * Adds or removes drops until the configured maximum is reached,
+   * staggering new drops so they don't all land at once
+   */
+  const syncDropCount = () => {
+    clearSpawnTimeouts();
+
+    const maxDrops = scaleDensity(settings.maxDrops, qualityScale);
+    if (drops.length > maxDrops) {
+      drops.length = maxDrops;
+    }
+
+    const missing = maxDrops - drops.length;
+    for (let i = 0; i < missing; i++) {
+      spawnTimeouts.push(
+        setTimeout(() => {
+          if (drops.length >= maxDrops) return;
+          const drop = createWaterDrop();
+          initWaterDrop(drop);
+          drops.push(drop);
+        }, i * 200)
+      );
+    }
+  };
+
+  /**
+   * Applies a new quality scale from the governor
+   * @param {number} scale - Share of the configured density to render (0-1)
+   */
+  const applyQuality = (scale) => {
+    qualityScale = scale;
+    if (screen.width) {
+      syncDropCount();
+    }
+    if (settings.onQualityChange) {
+      settings.onQualityChange(scale);
+    }
+  };
+
+  /**
+   * Initializes the water drops animation
+   */
+  const initializeWaterDrops = () => {
+    if (!sizer && canvas) {
+      sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
+    }
+
+    screen = { width: 0, height: 0 };
+    if (!resizeCanvas()) return;
+
+    // Restart the seeded sequence so every start draws the same picture
+    random = createRandom(settings.seed);
+
+    // Load background image if provided
+    loadBackgroundImage();
+
+    // Watch the frame rate when adaptive quality is on
+    if (!governor) governor = createQualityGovernor(applyQuality);
+    governor.configure(settings.quality);
 
     // Initialize water drops with staggered timing
     drops = [];
-    for (let i = 0; i < settings.maxDrops; i++) {
-      setTimeout(() => {
-        const drop = createWaterDrop();
-        initWaterDrop(drop);
-        drops.push(drop);
-      }, i * 200);
-    }
+    syncDropCount();
   };
 
   /**
@@ -375,48 +373,47 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
    */
   const render = () => {
     if (!context || !screen.width || !screen.height) {
-      animationId = requestAnimationFrame(render);
+      animationId = timing.request(render);
       return;
     }
 
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
+    if (governor) governor.frame(timing.now());
+
+    drawFrame(true);
+  };
 
+  /**
+   * Draws one frame
+   * @param {boolean} advance - Whether the drops move on after being drawn
+   */
+  const drawFrame = (advance) => {
     // Draw background
     drawBackground();
 
     // Draw all drops
     for (let i = 0; i < drops.length; i++) {
       drawWaterDrop(drops[i]);
+      if (advance) updateWaterDrop(drops[i]);
     }
   };
 
   /**
-   * Handles resize with debouncing
+   * Draws the current frame again without moving anything, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      initializeWaterDrops();
-    }, 150);
+  const redraw = () => {
+    if (!context || !screen.width || !screen.height) return;
+    drawFrame(false);
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeWaterDrops();
     render();
-
-    // Use ResizeObserver for better performance
-    if (typeof ResizeObserver !== "undefined" && canvas.parentElement) {
-      resizeHandler = new ResizeObserver(handleResize);
-      resizeHandler.observe(canvas.parentElement);
-    } else {
-      // Fallback to window resize
-      window.addEventListener("resize", handleResize, { passive: true });
-    }
   };
 
   /**
@@ -424,20 +421,15 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
    */
   const clean = () => {
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    if (resizeHandler) {
-      resizeHandler.disconnect();
-      resizeHandler = null;
-    } else {
-      window.removeEventListener("resize", handleResize);
-    }
+    clearSpawnTimeouts();
 
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
     }
 
     if (context && screen.width && screen.height) {
@@ -451,9 +443,144 @@ function WaterDropsPlugin(canvasElement, animationSettings = {}) {
     }
 
     drops = [];
+    governor = null;
+    qualityScale = 1;
+  };
+
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    if (governor) governor.reset();
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && context && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the fall speed of every drop
+   * @param {number|string} speed - New drop speed value
+   */
+  const setSpeed = (speed) => {
+    const previousSpeed = settings.dropSpeed;
+    settings = settingsSchema.normalize({ ...settings, dropSpeed: speed }, canvasElement);
+    const factor = settings.dropSpeed / previousSpeed;
+
+    for (let i = 0; i < drops.length; i++) {
+      drops[i].vy *= factor;
+    }
   };
 
-  return { start, clean };
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings, dropSpeed: previous.dropSpeed }, canvasElement);
+
+    if (partialSettings.dropSpeed !== undefined) {
+      setSpeed(partialSettings.dropSpeed);
+    }
+
+    if (!screen.width) return;
+
+    if (governor) governor.configure(settings.quality);
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.backgroundImage !== previous.backgroundImage) {
+      loadBackgroundImage();
+    }
+
+    if (settings.maxDrops !== previous.maxDrops) {
+      syncDropCount();
+    }
+
+    for (let i = 0; i < drops.length; i++) {
+      drops[i].color = settings.dropColor;
+    }
+  };
+
+  /**
+   * Resizes the canvas to its container without resetting the drops
+   */
+  const resize = () => {
+    // Start from scratch if the canvas had no size until now
+    if (screen.width) {
+      resizeCanvas();
+    } else {
+      initializeWaterDrops();
+    }
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+
+    if (canvas) {
+      canvas.removeAttribute("data-salameh-wd");
+      canvas.removeAttribute(CANVAS_DATA_ATTR);
+      canvas = null;
+    }
+    context = null;
+  };
+
+  return {
+    start,
+    clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
+  };
 }
 
 export default WaterDropsPlugin;
@@ -1,3 +1,3 @@
 // Component exports
-export { WaterDrops } from "./WaterDrops";
-// export type { WaterDropsProps, WaterDropsAdvancedSettings } from "./WaterDrops";
+export { WaterDrops, waterDropsJsonSchema } from "./WaterDrops";
+export type { WaterDropsProps, WaterDropsAdvancedSettings, WaterDropsHandle } from "./WaterDrops";
@@ -1,15 +1,24 @@
-import React, { useEffect, useRef, useMemo, useCallback } from "react";
-import WavePlugin from "./WavePlugin.js";
+import React, { forwardRef, useEffect, useRef, useCallback } from "react";
+import WavePlugin, { settingsSchema } from "./WavePlugin.js";
+import { useBackgroundHandle, type BackgroundHandle, type BackgroundPlugin } from "../shared/useBackgroundHandle";
+import { useLiveSettings } from "../shared/useLiveSettings";
+import { useReducedMotion } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
+import { useAutoPause } from "../shared/useAutoPause";
+import { BackgroundPoster } from "../shared/BackgroundPoster";
+import { BackgroundShell, CANVAS_STYLE } from "../shared/BackgroundShell";
+import type { BackgroundProps } from "../shared/backgroundProps";
+import { createJsonSchema } from "../shared/jsonSchema";
+import { applyPreset, type PresetSettings } from "../shared/presets";
+import { useScrollBind } from "../shared/useScrollBind";
+import { useAudioSource, type AudioMapping } from "../shared/useAudioSource";
 
 // Simplified interface with all optional settings
-interface Props {
+interface Props extends BackgroundProps<Settings> {
   // Basic settings (most commonly used)
   backgroundColor?: string;
   backgroundImage?: string;
   speed?: number | string;
-  width?: string | number | "auto";
-  height?: string | number | "auto";
-  children?: React.ReactNode;
 
   // Advanced settings (optional)
   advanced?: AdvancedSettings;
@@ -28,146 +37,89 @@ interface AdvancedSettings {
   originX?: number | string;
   offsetY?: number | string;
   originY?: number | string;
+  maxPixelRatio?: number | string;
 }
 
+// Settings accepted by the imperative handle's update()
+type Settings = AdvancedSettings & { backgroundColor?: string; backgroundImage?: string; speed?: number | string };
+
+type WaveHandle = BackgroundHandle<Settings>;
+
+// Defaults shared with the plugin's settings schema
+const defaults = settingsSchema.defaults;
+
+// Built-in looks for the preset prop
+const PRESETS: Record<string, PresetSettings<Props>> = {
+  sunset: { backgroundColor: "#ff7e5f", advanced: { colors: ["#feb47b", "#ffcf9e", "#6a3093"] } },
+  "deep-sea": { backgroundColor: "#021b3a", advanced: { colors: ["#00509d", "#003f88", "#000"], opacities: [0.5, 0.4, 0.2] } },
+};
+
+// Settings that follow the audio unless audioMapping says otherwise
+const AUDIO_MAPPING: AudioMapping<Settings> = {
+  waveHeight: { band: "bass", scale: [1, 2.5] },
+};
+
+// JSON Schema of the props, for forms and CMS editors that store settings
+export const waveJsonSchema = createJsonSchema("Wave", settingsSchema, { props: ["backgroundColor", "backgroundImage", "speed"], rest: "advanced", presets: Object.keys(PRESETS) });
+
 /**
  * Wave Animation Component
  * A React component that creates animated rotating waves using canvas
  */
-export function Wave({ width = "auto", height = "auto", backgroundColor = "#0e6cc4", backgroundImage, speed = 1, advanced, children }: Props) {
+export const Wave = forwardRef<WaveHandle, Props>(function Wave(props, ref) {
+  const { width = "auto", height = "auto", backgroundColor: backgroundColorProp, backgroundImage, speed = defaults.speed, advanced, motion = "auto", autoPause = true, poster, scrollBind, audioSource, audioMapping, className, style, fixed, overlay, children } = applyPreset("Wave", PRESETS, props);
   const containerRef = useRef<HTMLDivElement | null>(null);
   const canvasRef = useRef<HTMLCanvasElement | null>(null);
-  const pluginRef = useRef<{ start: () => void; clean: () => void } | null>(null);
-
-  /**
-   * Memoized container style calculation
-   */
-  const containerStyle = useMemo((): React.CSSProperties => {
-    const style: React.CSSProperties = {
-      position: "relative",
-      overflow: "hidden",
-      width: "100%",
-    };
-
-    // Set height based on animation settings
-    if (height === "auto") {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    } else if (typeof height === "number") {
-      style.height = `${height}px`;
-    } else if (typeof height === "string") {
-      // Handle string values like "100%", "100vh", "500px", etc.
-      if (height === "100%") {
-        // For 100%, ensure parent has height by using minHeight as fallback
-        style.height = "100%";
-        style.minHeight = "400px";
-      } else {
-        style.height = height;
-      }
-    } else {
-      style.height = "100vh";
-      style.minHeight = "400px";
-    }
-
-    // Set width based on animation settings
-    if (width === "auto") {
-      style.width = "100%";
-    } else if (typeof width === "number") {
-      style.width = `${width}px`;
-    } else if (typeof width === "string") {
-      // Handle string values like "100%", "100vw", "500px", etc.
-      style.width = width;
-    } else {
-      style.width = "100%";
-    }
+  const pluginRef = useRef<BackgroundPlugin<Settings> | null>(null);
+  const reduceMotion = useReducedMotion(motion);
+  const autoPaused = useAutoPause(containerRef, autoPause);
+  const startPlugin = useBackgroundHandle(ref, pluginRef, reduceMotion || autoPaused);
+  useScrollBind(settingsSchema, containerRef, pluginRef, scrollBind, fixed);
+  const palette = useThemePalette();
 
-    return style;
-  }, [width, height]);
-
-  /**
-   * Memoized canvas style calculation
-   */
-  const canvasStyle = useMemo((): React.CSSProperties => {
-    return {
-      position: "absolute",
-      top: 0,
-      left: 0,
-      width: "100%",
-      height: "100%",
-      display: "block",
-    };
-  }, []);
+  // Explicit props win over the theme palette, which wins over the built-in defaults
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? defaults.backgroundColor;
 
   /**
    * Builds current settings object for the plugin
    */
   const buildCurrentSettings = useCallback(() => {
-    // Helper to convert string/number to number
-    const toNumber = (value: number | string | undefined, defaultValue: number): number => {
-      if (value === undefined) return defaultValue;
-      const num = typeof value === "string" ? parseFloat(value) : value;
-      return isNaN(num) ? defaultValue : num;
-    };
-
-    // Helper to convert array of strings/numbers to array of numbers
-    const toNumberArray = (values: (number | string)[] | undefined, defaultValue: number[]): number[] => {
-      if (!values || !Array.isArray(values)) return defaultValue;
-      return values.map((val) => toNumber(val, defaultValue[0] || 0));
-    };
-
-    // Convert speed to duration multiplier (speed of 1 = normal, speed of 2 = 2x faster = half duration)
-    const speedMultiplier = toNumber(speed, 1);
-    const baseDurations = advanced?.durations ? toNumberArray(advanced.durations, [7000, 7500, 3000]) : [7000, 7500, 3000];
-    const durations = baseDurations.map((duration) => duration / speedMultiplier);
-
     return {
       backgroundColor,
       backgroundImage: backgroundImage || null,
-      count: toNumber(advanced?.count, 3),
-      colors: advanced?.colors || ["#0af", "#77daff", "#000"],
-      opacities: advanced?.opacities ? toNumberArray(advanced.opacities, [0.4, 0.4, 0.1]) : [0.4, 0.4, 0.1],
-      durations,
-      size: toNumber(advanced?.size, 1500),
-      waveHeight: toNumber(advanced?.waveHeight, 1300),
-      rotation: toNumber(advanced?.rotation, 80),
-      radius: toNumber(advanced?.radius, 43),
-      offsetX: toNumber(advanced?.offsetX, -700),
-      originX: toNumber(advanced?.originX, 50),
-      offsetY: toNumber(advanced?.offsetY, 400),
-      originY: toNumber(advanced?.originY, 48),
+      // Speed scales the durations (speed of 1 = normal, speed of 2 = 2x faster = half duration)
+      speed,
+      count: advanced?.count ?? defaults.count,
+      colors: advanced?.colors || (palette ? [palette.primary, palette.secondary, palette.accent] : defaults.colors),
+      opacities: advanced?.opacities ?? defaults.opacities,
+      durations: advanced?.durations ?? defaults.durations,
+      size: advanced?.size ?? defaults.size,
+      waveHeight: advanced?.waveHeight ?? defaults.waveHeight,
+      rotation: advanced?.rotation ?? defaults.rotation,
+      radius: advanced?.radius ?? defaults.radius,
+      offsetX: advanced?.offsetX ?? defaults.offsetX,
+      originX: advanced?.originX ?? defaults.originX,
+      offsetY: advanced?.offsetY ?? defaults.offsetY,
+      originY: advanced?.originY ?? defaults.originY,
+      maxPixelRatio: advanced?.maxPixelRatio ?? defaults.maxPixelRatio,
     };
-  }, [backgroundColor, backgroundImage, speed, advanced]);
+  }, [backgroundColor, backgroundImage, speed, advanced, palette]);
+
+  // Prop changes are applied to the running animation instead of rebuilding it
+  const getSettings = useLiveSettings(pluginRef, buildCurrentSettings);
+  useAudioSource(settingsSchema, containerRef, pluginRef, audioSource, { ...AUDIO_MAPPING, ...audioMapping }, buildCurrentSettings);
 
   /**
-   * Effect to initialize and manage the animation
+   * Effect to create the animation once and keep it sized to the container
    */
   useEffect(() => {
     if (!canvasRef.current) return;
 
-    const settings = buildCurrentSettings();
-    const wave = WavePlugin(canvasRef.current, settings) as {
-      start: () => void;
-      clean: () => void;
-    };
-    pluginRef.current = wave;
-
-    wave.start();
-
-    // Setup ResizeObserver to handle container size changes
-    const resizeObserver = new ResizeObserver((entries) => {
-      // Only reinitialize if size actually changed
-      for (const entry of entries) {
-        if (entry.target === containerRef.current && pluginRef.current && canvasRef.current) {
-          pluginRef.current.clean();
-          const updatedSettings = buildCurrentSettings();
-          pluginRef.current = WavePlugin(canvasRef.current, updatedSettings) as {
-            start: () => void;
-            clean: () => void;
-          };
-          pluginRef.current.start();
-          break;
-        }
-      }
+    startPlugin(WavePlugin(canvasRef.current, getSettings()) as BackgroundPlugin<Settings>);
+
+    // Resize the running animation instead of rebuilding it
+    const resizeObserver = new ResizeObserver(() => {
+      pluginRef.current?.resize();
     });
 
     if (containerRef.current) {
@@ -181,42 +133,15 @@ export function Wave({ width = "auto", height = "auto", backgroundColor = "#0e6c
         pluginRef.current = null;
       }
     };
-  }, [buildCurrentSettings]);
+  }, [getSettings, startPlugin]);
 
   return (
-    <div ref={containerRef} style={containerStyle} role="presentation" aria-label="Animated wave background">
-      <canvas ref={canvasRef} style={canvasStyle} />
-      {children && (
-        <div
-          style={{
-            position: "absolute",
-            top: 0,
-            left: 0,
-            width: "100%",
-            height: "100%",
-            zIndex: 30,
-            pointerEvents: "none",
-            display: "flex",
-            alignItems: "center",
-            justifyContent: "center",
-          }}
-          role="region"
-          aria-label="Content overlay"
-        >
-          <div
-            style={{
-              pointerEvents: "auto",
-              position: "relative",
-              zIndex: 31,
-            }}
-          >
-            {children}
-          </div>
-        </div>
-      )}
-    </div>
+    <BackgroundShell ref={containerRef} label="Animated wave background" width={width} height={height} className={className} style={style} fixed={fixed} overlay={overlay} content={children}>
+      <canvas ref={canvasRef} style={CANVAS_STYLE} />
+      <BackgroundPoster poster={poster} buildSettings={buildCurrentSettings} />
+    </BackgroundShell>
   );
-}
+});
 
 // Export types for users who need them
-export type { Props as WaveProps, AdvancedSettings as WaveAdvancedSettings };
+export type { Props as WaveProps, AdvancedSettings as WaveAdvancedSettings, WaveHandle };
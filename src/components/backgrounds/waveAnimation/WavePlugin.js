@@ -6,115 +6,45 @@
  * to prevent conflicts with user's existing CSS classes.
  */
 
-const defaultSettings = Object.freeze({
-  backgroundColor: "#0e6cc4",
-  backgroundImage: null,
-  count: 3,
-  colors: ["#0af", "#77daff", "#000"],
-  opacities: [0.4, 0.4, 0.1],
-  durations: [7000, 7500, 3000],
-  size: 1500,
-  waveHeight: 1300,
-  rotation: 80,
-  radius: 43,
-  offsetX: -150,
-  originX: 50,
-  offsetY: -250,
-  originY: 48,
+import createCanvasSizer from "../shared/canvasSizer.js";
+import createFrameTiming from "../shared/frameTiming.js";
+import createSettingsSchema, { BACKGROUND_IMAGE_FIELD, PIXEL_RATIO_FIELD } from "../shared/settingsSchema.js";
+
+/**
+ * Settings of the Wave background: type, accepted range, default and description of each
+ */
+export const settingsSchema = createSettingsSchema("Wave", {
+  backgroundColor: { type: "color", default: "#0e6cc4", description: "Background color" },
+  backgroundImage: BACKGROUND_IMAGE_FIELD,
+  count: { type: "number", default: 3, min: 1, max: 10, description: "Number of waves" },
+  colors: { type: "colors", default: ["#0af", "#77daff", "#000"], description: "Color of each wave, repeated when there are more waves than colors" },
+  opacities: { type: "numbers", default: [0.4, 0.4, 0.1], min: 0, max: 1, description: "Opacity of each wave" },
+  durations: { type: "numbers", default: [7000, 7500, 3000], min: 100, max: 60000, description: "Duration of one turn of each wave in milliseconds" },
+  speed: { type: "number", default: 1, min: 0.01, max: 100, description: "Speed multiplier of the waves" },
+  size: { type: "number", default: 1500, min: 100, max: 5000, description: "Width of each wave shape in pixels" },
+  waveHeight: { type: "number", default: 1300, min: 100, max: 5000, description: "Height of each wave shape in pixels" },
+  rotation: { type: "number", default: 80, min: 0, max: 360, description: "Starting rotation of the waves in degrees" },
+  radius: { type: "number", default: 43, min: 0, max: 100, description: "Corner radius of the wave shapes in percent" },
+  offsetX: { type: "number", default: -700, min: -10000, max: 10000, description: "Horizontal offset of the waves in pixels" },
+  originX: { type: "number", default: 50, min: 0, max: 100, description: "Horizontal rotation origin in percent" },
+  offsetY: { type: "number", default: 400, min: -10000, max: 10000, description: "Vertical offset of the waves in pixels" },
+  originY: { type: "number", default: 48, min: 0, max: 100, description: "Vertical rotation origin in percent" },
+  maxPixelRatio: PIXEL_RATIO_FIELD,
 });
 
+const defaultSettings = settingsSchema.defaults;
+
 // Unique namespace prefix to avoid class name conflicts
 const NAMESPACE_PREFIX = "salameh-wave-";
 
 // Canvas data attribute
 const CANVAS_DATA_ATTR = `${NAMESPACE_PREFIX}canvas`;
 
-/**
- * Validates and normalizes numeric settings
- * @param {number|string} value - Value to validate
- * @param {number} defaultValue - Default value if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {number} Validated number
- */
-const validateNumber = (value, defaultValue, min = -Infinity, max = Infinity) => {
-  const num = typeof value === "string" ? parseFloat(value) : value;
-  if (isNaN(num) || num < min || num > max) {
-    return defaultValue;
-  }
-  return num;
-};
-
-/**
- * Validates color string
- * @param {string} color - Color value to validate
- * @param {string} defaultValue - Default color if invalid
- * @returns {string} Validated color
- */
-const validateColor = (color, defaultValue) => {
-  if (typeof color !== "string" || !color.trim()) {
-    return defaultValue;
-  }
-  return color.trim();
-};
-
-/**
- * Validates array of colors
- * @param {Array} colors - Array of color values
- * @param {Array} defaultValue - Default array if invalid
- * @returns {Array} Validated array of colors
- */
-const validateColorArray = (colors, defaultValue) => {
-  if (!Array.isArray(colors) || colors.length === 0) {
-    return defaultValue;
-  }
-  return colors.map((color) => validateColor(color, defaultValue[0] || "#0af"));
-};
-
-/**
- * Validates array of numbers
- * @param {Array} values - Array of numeric values
- * @param {Array} defaultValue - Default array if invalid
- * @param {number} min - Minimum allowed value
- * @param {number} max - Maximum allowed value
- * @returns {Array} Validated array of numbers
- */
-const validateNumberArray = (values, defaultValue, min = -Infinity, max = Infinity) => {
-  if (!Array.isArray(values) || values.length === 0) {
-    return defaultValue;
-  }
-  return values.map((value) => validateNumber(value, defaultValue[0] || 0, min, max));
-};
-
-/**
- * Normalizes settings with validation
- * @param {Object} settings - Settings to normalize
- * @returns {Object} Normalized settings
- */
-const normalizeSettings = (settings) => {
-  return {
-    backgroundColor: validateColor(settings.backgroundColor, defaultSettings.backgroundColor),
-    backgroundImage: settings.backgroundImage || null,
-    count: Math.max(1, Math.min(10, validateNumber(settings.count, defaultSettings.count, 1, 10))),
-    colors: validateColorArray(settings.colors, defaultSettings.colors),
-    opacities: validateNumberArray(settings.opacities, defaultSettings.opacities, 0, 1),
-    durations: validateNumberArray(settings.durations, defaultSettings.durations, 100, 60000),
-    size: Math.max(100, Math.min(5000, validateNumber(settings.size, defaultSettings.size, 100, 5000))),
-    waveHeight: Math.max(100, Math.min(5000, validateNumber(settings.waveHeight, defaultSettings.waveHeight, 100, 5000))),
-    rotation: Math.max(0, Math.min(360, validateNumber(settings.rotation, defaultSettings.rotation, 0, 360))),
-    radius: Math.max(0, Math.min(100, validateNumber(settings.radius, defaultSettings.radius, 0, 100))),
-    offsetX: validateNumber(settings.offsetX, defaultSettings.offsetX, -10000, 10000),
-    originX: Math.max(0, Math.min(100, validateNumber(settings.originX, defaultSettings.originX, 0, 100))),
-    offsetY: validateNumber(settings.offsetY, defaultSettings.offsetY, -10000, 10000),
-    originY: Math.max(0, Math.min(100, validateNumber(settings.originY, defaultSettings.originY, 0, 100))),
-  };
-};
-
 /**
  * Wave Animation Plugin
  * @param {HTMLCanvasElement} canvasElement - Canvas element for rendering
  * @param {Object} animationSettings - Animation configuration settings
- * @returns {Object} Plugin API with start and clean methods
+ * @returns {Object} Plugin API with start, clean and playback control methods
  */
 function WavePlugin(canvasElement, animationSettings = {}) {
   if (!canvasElement || !(canvasElement instanceof HTMLCanvasElement)) {
@@ -122,19 +52,30 @@ function WavePlugin(canvasElement, animationSettings = {}) {
     return {
       start: () => {},
       clean: () => {},
+      pause: () => {},
+      resume: () => {},
+      isRunning: () => false,
+      setSpeed: () => {},
+      update: () => {},
+      resize: () => {},
+      renderFrame: () => {},
+      getCaptureTarget: () => null,
+      destroy: () => {},
     };
   }
 
   let canvas = canvasElement;
   let context = null;
+  let sizer = null;
   let waves = [];
   let animationId = null;
-  let lastFrame = 0;
+  let lastFrame = null;
+  let animationTime = 0;
   let backgroundImage = null;
   let screen = { width: 0, height: 0 };
-  let settings = normalizeSettings({ ...defaultSettings, ...animationSettings });
-  let resizeHandler = null;
-  let resizeTimeout = null;
+  let settings = settingsSchema.normalize({ ...defaultSettings, ...animationSettings }, canvasElement);
+  const timing = createFrameTiming(animationSettings);
+  let destroyed = false;
 
   // Reference screen dimensions for responsive scaling (1920x1080 as base)
   const REFERENCE_WIDTH = 1920;
@@ -186,18 +127,18 @@ function WavePlugin(canvasElement, animationSettings = {}) {
    * @returns {Object} Wave object with update and draw methods
    */
   const createWave = (index) => {
-    const startTime = performance.now();
-    const duration = settings.durations[index] || settings.durations[0] || defaultSettings.durations[0];
-    const color = settings.colors[index] || settings.colors[0] || defaultSettings.colors[0];
-    const opacity = settings.opacities[index] !== undefined ? settings.opacities[index] : settings.opacities[0] || defaultSettings.opacities[0];
+    // Read on every frame, so new colors, opacities and durations reach the waves already shown
+    const getDuration = () => settings.durations[index] || settings.durations[0] || defaultSettings.durations[0];
+    const getColor = () => settings.colors[index] || settings.colors[0] || defaultSettings.colors[0];
+    const getOpacity = () => (settings.opacities[index] !== undefined ? settings.opacities[index] : settings.opacities[0] || defaultSettings.opacities[0]);
 
     /**
      * Updates wave rotation based on elapsed time
-     * @param {number} currentTime - Current timestamp
+     * @param {number} elapsed - Animation time in milliseconds
      * @returns {number} Current rotation in degrees
      */
-    const updateWave = (currentTime) => {
-      const elapsed = currentTime - startTime;
+    const updateWave = (elapsed) => {
+      const duration = getDuration();
       const progress = (elapsed % duration) / duration;
       return progress * 360;
     };
@@ -212,10 +153,10 @@ function WavePlugin(canvasElement, animationSettings = {}) {
       context.save();
 
       // Set opacity
-      context.globalAlpha = opacity;
+      context.globalAlpha = getOpacity();
 
       // Set fill color
-      context.fillStyle = color;
+      context.fillStyle = getColor();
 
       // Calculate responsive scale factors
       const { scaleX, scaleY, scale } = getScaleFactors();
@@ -268,10 +209,6 @@ function WavePlugin(canvasElement, animationSettings = {}) {
 
     return {
       index,
-      startTime,
-      duration,
-      color,
-      opacity,
       update: updateWave,
       draw: drawWave,
     };
@@ -303,6 +240,9 @@ function WavePlugin(canvasElement, animationSettings = {}) {
       }
 
       context.drawImage(backgroundImage, drawX, drawY, drawWidth, drawHeight);
+    } else if (settings.backgroundColor === "transparent") {
+      // Filling with a transparent color would leave the previous frame behind
+      context.clearRect(0, 0, screen.width, screen.height);
     } else {
       // Create solid background
       context.fillStyle = settings.backgroundColor;
@@ -311,26 +251,28 @@ function WavePlugin(canvasElement, animationSettings = {}) {
   };
 
   /**
-   * Initializes the wave animation
+   * Matches the canvas backing store to its displayed size
+   * @returns {boolean} Whether the canvas has a usable size
    */
-  const initializeWave = () => {
-    if (!canvas || !context) return;
+  const resizeCanvas = () => {
+    if (!canvas || !context || !sizer) return false;
 
-    // Get canvas dimensions
+    // Wait for the canvas to be laid out
     const rect = canvas.getBoundingClientRect();
-    if (!rect.width || !rect.height) return;
+    if (!rect.width || !rect.height) return false;
 
-    // Calculate dimensions
-    screen = {
-      width: Math.max(1, Math.floor(rect.width)),
-      height: Math.max(1, Math.floor(rect.height)),
-    };
+    // Scale the backing store by the device pixel ratio, drawing in CSS pixels
+    const size = sizer.resize();
+    if (!size.changed && size.width === screen.width && size.height === screen.height) return true;
 
-    // Set canvas dimensions
-    canvas.width = screen.width;
-    canvas.height = screen.height;
+    screen = { width: size.width, height: size.height };
+    return true;
+  };
 
-    // Load background image if provided
+  /**
+   * Loads the background image, falling back to the solid color when it fails
+   */
+  const loadBackgroundImage = () => {
     if (settings.backgroundImage) {
       if (backgroundImage) {
         backgroundImage.onload = null;
@@ -348,15 +290,40 @@ function WavePlugin(canvasElement, animationSettings = {}) {
     } else {
       backgroundImage = null;
     }
+  };
+
+  /**
+   * Adds or removes waves to match the count, keeping the ones already shown
+   */
+  const syncWaveCount = () => {
+    while (waves.length < settings.count) {
+      waves.push(createWave(waves.length));
+    }
+    if (waves.length > settings.count) {
+      waves.length = settings.count;
+    }
+  };
+
+  /**
+   * Initializes the wave animation
+   */
+  const initializeWave = () => {
+    if (!sizer && canvas) {
+      sizer = createCanvasSizer(canvas, { maxPixelRatio: settings.maxPixelRatio, onPixelRatioChange: resizeCanvas });
+    }
+
+    screen = { width: 0, height: 0 };
+    if (!resizeCanvas()) return;
+
+    // Load background image if provided
+    loadBackgroundImage();
 
     // Initialize waves
     waves = [];
-    for (let i = 0; i < settings.count; i++) {
-      waves.push(createWave(i));
-    }
+    syncWaveCount();
 
     // Initialize timing
-    lastFrame = 0;
+    lastFrame = null;
   };
 
   /**
@@ -364,51 +331,51 @@ function WavePlugin(canvasElement, animationSettings = {}) {
    */
   const render = () => {
     if (!context || !screen.width || !screen.height) {
-      animationId = requestAnimationFrame(render);
+      animationId = timing.request(render);
       return;
     }
 
-    const currentTime = performance.now();
+    // Advance the animation clock, scaled by speed
+    const currentTime = timing.now();
+    if (lastFrame !== null) {
+      animationTime += (currentTime - lastFrame) * settings.speed;
+    }
     lastFrame = currentTime;
-    animationId = requestAnimationFrame(render);
+    animationId = timing.request(render);
+
+    drawFrame();
+  };
 
+  /**
+   * Draws the waves at the current animation time
+   */
+  const drawFrame = () => {
     // Draw background
     drawBackground();
 
     // Update and draw waves
     for (let i = 0; i < waves.length; i++) {
-      const currentRotation = waves[i].update(currentTime);
+      const currentRotation = waves[i].update(animationTime);
       waves[i].draw(currentRotation);
     }
   };
 
   /**
-   * Handles resize with debouncing
+   * Draws the current frame again without moving the clock, e.g. once a resize has cleared the canvas
    */
-  const handleResize = () => {
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-    }
-    resizeTimeout = setTimeout(() => {
-      initializeWave();
-    }, 150);
+  const redraw = () => {
+    if (!context || !screen.width || !screen.height) return;
+    drawFrame();
   };
 
   /**
    * Starts the animation
    */
   const start = () => {
+    if (destroyed) return;
+
     initializeWave();
     render();
-
-    // Use ResizeObserver for better performance
-    if (typeof ResizeObserver !== "undefined" && canvas.parentElement) {
-      resizeHandler = new ResizeObserver(handleResize);
-      resizeHandler.observe(canvas.parentElement);
-    } else {
-      // Fallback to window resize
-      window.addEventListener("resize", handleResize, { passive: true });
-    }
   };
 
   /**
@@ -416,20 +383,13 @@ function WavePlugin(canvasElement, animationSettings = {}) {
    */
   const clean = () => {
     if (animationId) {
-      cancelAnimationFrame(animationId);
+      timing.cancel(animationId);
       animationId = null;
     }
 
-    if (resizeHandler) {
-      resizeHandler.disconnect();
-      resizeHandler = null;
-    } else {
-      window.removeEventListener("resize", handleResize);
-    }
-
-    if (resizeTimeout) {
-      clearTimeout(resizeTimeout);
-      resizeTimeout = null;
+    if (sizer) {
+      sizer.destroy();
+      sizer = null;
     }
 
     if (context && screen.width && screen.height) {
@@ -445,7 +405,122 @@ function WavePlugin(canvasElement, animationSettings = {}) {
     waves = [];
   };
 
-  return { start, clean };
+  /**
+   * Pauses the animation on the current frame
+   */
+  const pause = () => {
+    if (animationId) {
+      timing.cancel(animationId);
+      animationId = null;
+    }
+    lastFrame = null;
+  };
+
+  /**
+   * Resumes a paused animation
+   */
+  const resume = () => {
+    if (!animationId && context && canvas) {
+      render();
+    }
+  };
+
+  /**
+   * Advances and draws exactly one frame at the given time, e.g. for tests or offline rendering
+   * @param {number} timeMs - Frame time in milliseconds
+   */
+  const renderFrame = (timeMs) => {
+    if (destroyed) return;
+    animationId = timing.step(render, timeMs, animationId);
+  };
+
+  /**
+   * Returns the element captureFrame() and record() draw
+   * @returns {{ element: HTMLElement, redraw: Function }} Canvas and a way to repaint its current frame
+   */
+  const getCaptureTarget = () => ({ element: canvas, redraw });
+
+  /**
+   * Returns whether the animation loop is running
+   * @returns {boolean} True while frames are being rendered
+   */
+  const isRunning = () => animationId !== null;
+
+  /**
+   * Changes the rotation speed of every wave
+   * @param {number|string} speed - Speed multiplier (1 = durations as configured)
+   */
+  const setSpeed = (speed) => {
+    settings = settingsSchema.normalize({ ...settings, speed }, canvasElement);
+  };
+
+  /**
+   * Merges new settings into the running animation
+   * @param {Object} partialSettings - Settings to change
+   */
+  const update = (partialSettings = {}) => {
+    const previous = settings;
+    settings = settingsSchema.normalize({ ...settings, ...partialSettings }, canvasElement);
+
+    if (!screen.width) return;
+
+    if (settings.maxPixelRatio !== previous.maxPixelRatio && sizer) {
+      sizer.setMaxPixelRatio(settings.maxPixelRatio);
+      resizeCanvas();
+    }
+
+    if (settings.backgroundImage !== previous.backgroundImage) {
+      loadBackgroundImage();
+    }
+
+    syncWaveCount();
+  };
+
+  /**
+   * Resizes the canvas to its container without restarting the waves
+   */
+  const resize = () => {
+    // Start from scratch if the canvas had no size until now
+    if (screen.width) {
+      resizeCanvas();
+    } else {
+      initializeWave();
+    }
+
+    // Resizing clears the canvas, so repaint the frame a paused animation shows
+    if (!animationId) {
+      redraw();
+    }
+  };
+
+  /**
+   * Cleans up the animation and releases the element for good
+   */
+  const destroy = () => {
+    clean();
+    destroyed = true;
+
+    if (canvas) {
+      canvas.removeAttribute("data-salameh-wave");
+      canvas.removeAttribute(CANVAS_DATA_ATTR);
+      canvas = null;
+    }
+    context = null;
+  };
+
+  return {
+    start,
+    clean,
+    pause,
+    resume,
+    isRunning,
+    setSpeed,
+    update,
+    resize,
+    renderFrame,
+    getCaptureTarget,
+    destroy,
+  };
 }
 
 export default WavePlugin;
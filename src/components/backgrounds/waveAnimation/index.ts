@@ -1,3 +1,3 @@
 // Component exports
-export { Wave } from "./Wave";
-// export type { WaveProps, WaveAdvancedSettings } from "./Wave";
+export { Wave, waveJsonSchema } from "./Wave";
+export type { WaveProps, WaveAdvancedSettings, WaveHandle } from "./Wave";
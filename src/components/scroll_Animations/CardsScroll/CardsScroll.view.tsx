@@ -2,6 +2,8 @@
 
 import React, { useEffect, useRef, useId, useState, useCallback, useMemo, ReactNode, lazy, Suspense } from "react";
 import ScrollAnimationCardsCtrl from "./controller/ScrollAnimationCards.ctrl";
+import { useReducedMotion, type MotionPreference } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
 
 // Lazy load child components to reduce initial bundle size
 const JsxSnapDirectionType = lazy(() => import("./components/jsxSnapDirectionType"));
@@ -369,6 +371,36 @@ const CSS_STYLES = `/* Cards Scroll Animation Styles - Package: ${PKG_PREFIX} */
   transition: transform 0.3s cubic-bezier(0.4, 0, 0.2, 1);
 }
 
+/* Reduced motion - cards stacked in normal flow, without pinning or scrub effects */
+.${PKG_PREFIX}__stacked .${PKG_PREFIX}__section {
+  min-height: 0;
+  perspective: none;
+}
+
+.${PKG_PREFIX}__stacked .${PKG_PREFIX}__wrapper {
+  height: auto;
+  min-height: 0;
+  transform: none !important;
+  will-change: auto;
+}
+
+.${PKG_PREFIX}__stacked .${PKG_PREFIX}__list {
+  display: block;
+  height: auto;
+}
+
+.${PKG_PREFIX}__stacked .${PKG_PREFIX}__item {
+  position: relative;
+  inset: auto;
+  transform: none !important;
+  opacity: 1 !important;
+  will-change: auto;
+}
+
+.${PKG_PREFIX}__stacked .${PKG_PREFIX}__item_content {
+  transition: none;
+}
+
 /* Screen reader only */
 .${PKG_PREFIX}__sr-only {
   position: absolute;
@@ -517,6 +549,7 @@ const classesName = {
   scroll_indicator_dot: `${PKG_PREFIX}__scroll-indicator-dot`,
   active: `${PKG_PREFIX}__active`,
   scroll_snap_mode: `${PKG_PREFIX}__scroll-snap-mode`,
+  stacked: `${PKG_PREFIX}__stacked`,
   scroll_section: `${PKG_PREFIX}__scroll-section`,
   three_d: `${PKG_PREFIX}__three-d`,
   sr_only: `${PKG_PREFIX}__sr-only`,
@@ -576,6 +609,7 @@ export interface CardsScrollProps {
   snapType?: "mandatory" | "proximity";
   enableKeyboardNav?: boolean;
   enableScrollIndicator?: boolean;
+  motion?: MotionPreference;
 }
 
 /**
@@ -583,29 +617,38 @@ export interface CardsScrollProps {
  * @param {Object} props - Component props
  * @param {React.ReactNode} props.children - React children components (each child becomes a card)
  * @param {string} props.direction - Animation direction: "vertical", "horizontal", "3d", or "snap"
- * @param {string} props.backgroundColor - Background color for the container section
+ * @param {string} props.backgroundColor - Background color for the container section (default: the theme surface, else "#eeeeee")
  * @param {boolean} props.lastCardZoomOut - Whether the last card should zoom out (default: true)
  * @param {boolean} props.enableScrollSnap - Whether to enable scroll snapping (default: false)
  * @param {string} props.snapType - Scroll snap type: "mandatory" or "proximity" (default: "mandatory")
  * @param {boolean} props.enableKeyboardNav - Whether to enable keyboard navigation for "snap" direction (default: true)
  * @param {boolean} props.enableScrollIndicator - Whether to show scroll progress indicator for "snap" direction (default: true)
+ * @param {string} props.motion - Reduced-motion policy: "auto" follows the OS setting, "reduce" always stacks the cards without animation, "full" always animates (default: "auto")
  */
 export const CardsScroll = ({
   children,
   direction = "vertical",
-  backgroundColor = "#eeeeee",
+  backgroundColor: backgroundColorProp,
   lastCardZoomOut = true,
   enableScrollSnap = false,
   snapType = "mandatory",
   enableKeyboardNav = true,
   enableScrollIndicator = true,
+  motion = "auto",
 }: CardsScrollProps) => {
+  // Explicit props win over the theme palette, which wins over the built-in default
+  const palette = useThemePalette();
+  const backgroundColor = backgroundColorProp ?? palette?.surface ?? "#eeeeee";
+
   // Refs for DOM elements that need direct manipulation
   const sectionRef = useRef<HTMLDivElement>(null);
   const wrapperRef = useRef<HTMLDivElement>(null);
   const containerRef = useRef<HTMLDivElement>(null);
   const baseId = useId();
 
+  // Reduced motion renders the cards as a plain stacked list
+  const reduceMotion = useReducedMotion(motion);
+
   // State for 3D animation effects (only used for "3d" direction)
   const [isMobile, setIsMobile] = useState(false);
 
@@ -721,8 +764,8 @@ export const CardsScroll = ({
    * Uses intersection observer to load GSAP only when component is visible
    */
   useEffect(() => {
-    // Early return for SSR or snap direction (which doesn't use GSAP)
-    if (typeof window === "undefined" || direction === "snap") return;
+    // Early return for SSR, snap direction or reduced motion (which don't use GSAP)
+    if (typeof window === "undefined" || direction === "snap" || reduceMotion) return;
 
     let cancelled = false;
     let observer: IntersectionObserver | null = null;
@@ -769,7 +812,7 @@ export const CardsScroll = ({
       cancelled = true;
       observer?.disconnect();
     };
-  }, [direction]);
+  }, [direction, reduceMotion]);
 
   /**
    * Effect hook to initialize scroll animations when component mounts or props change
@@ -783,6 +826,9 @@ export const CardsScroll = ({
     // Snap direction uses native CSS scroll-snap, no GSAP needed
     if (direction === "snap") return;
 
+    // Reduced motion keeps the cards stacked, without pinning or scrub
+    if (reduceMotion) return;
+
     // Wait for GSAP to load
     if (!gsapLoaded || !animate || !ScrollTrigger) return;
 
@@ -896,7 +942,7 @@ export const CardsScroll = ({
         document.body.classList.remove("scroll-snap-active");
       }
     };
-  }, [children, direction, lastCardZoomOut, enableScrollSnap, snapType, gsapLoaded, init3DScroll, init3DScrollSnap, initScroll, initScrollSnap]);
+  }, [children, direction, lastCardZoomOut, enableScrollSnap, snapType, gsapLoaded, reduceMotion, init3DScroll, init3DScrollSnap, initScroll, initScrollSnap]);
 
   /**
    * Set up scroll listener for 3D animation and device detection
@@ -913,7 +959,7 @@ export const CardsScroll = ({
     window.addEventListener("resize", checkMobile, { passive: true });
 
     // Early return if not in 3D mode
-    if (typeof window === "undefined" || direction !== "3d") {
+    if (typeof window === "undefined" || direction !== "3d" || reduceMotion) {
       return () => {
         window.removeEventListener("resize", checkMobile);
       };
@@ -932,7 +978,7 @@ export const CardsScroll = ({
       window.removeEventListener("resize", scrollHandler);
       window.removeEventListener("resize", checkMobile);
     };
-  }, [handleScroll, direction, checkMobile, scrollHandler, children]);
+  }, [handleScroll, direction, reduceMotion, checkMobile, scrollHandler, children]);
 
   /**
    * Set up scroll listener for snap direction
@@ -940,7 +986,7 @@ export const CardsScroll = ({
    * Optimized with throttling for better performance
    */
   useEffect(() => {
-    if (direction !== "snap") return;
+    if (direction !== "snap" || reduceMotion) return;
 
     const container = containerRef.current;
     if (!container) {
@@ -953,14 +999,14 @@ export const CardsScroll = ({
     return () => {
       container.removeEventListener("scroll", handleSnapScroll);
     };
-  }, [handleSnapScroll, direction]);
+  }, [handleSnapScroll, direction, reduceMotion]);
 
   /**
    * Set up keyboard navigation for snap direction
    * Allows arrow keys to navigate between cards
    */
   useEffect(() => {
-    if (!enableKeyboardNav || direction !== "snap") return;
+    if (!enableKeyboardNav || direction !== "snap" || reduceMotion) return;
 
     const keyDownHandler = (event: KeyboardEvent) => {
       handleKeyDown(event);
@@ -971,7 +1017,7 @@ export const CardsScroll = ({
     return () => {
       document.removeEventListener("keydown", keyDownHandler);
     };
-  }, [handleKeyDown, enableKeyboardNav, direction]);
+  }, [handleKeyDown, enableKeyboardNav, direction, reduceMotion]);
 
   // Early return for empty children
   if (!children) {
@@ -997,7 +1043,7 @@ export const CardsScroll = ({
   return (
     <>
       {/* Native CSS scroll-snap layout */}
-      {direction === "snap" ? (
+      {direction === "snap" && !reduceMotion ? (
         <Suspense
           fallback={
             <div
@@ -1026,7 +1072,7 @@ export const CardsScroll = ({
           </JsxSnapDirectionType>
         </Suspense>
       ) : (
-        /* GSAP-powered scroll animation layout */
+        /* GSAP-powered scroll animation layout, or plain stacked cards under reduced motion */
         <Suspense
           fallback={
             <div
@@ -1045,8 +1091,9 @@ export const CardsScroll = ({
             sectionRef={sectionRef}
             wrapperRef={wrapperRef}
             direction={direction}
-            enableScrollSnap={enableScrollSnap}
+            enableScrollSnap={enableScrollSnap && !reduceMotion}
             snapType={snapType}
+            stacked={reduceMotion}
             baseId={baseId}
           >
             {children}
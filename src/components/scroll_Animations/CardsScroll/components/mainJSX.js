@@ -1,9 +1,11 @@
 import React from "react";
 
-export default function MainJSX({ baseId, children, classes, classesName, backgroundColor, sectionRef, wrapperRef, direction, enableScrollSnap, snapType }) {
+export default function MainJSX({ baseId, children, classes, classesName, backgroundColor, sectionRef, wrapperRef, direction, enableScrollSnap, snapType, stacked = false }) {
   return (
     <div
-      className={`${classes?.[classesName.scroll_section_container]} ${enableScrollSnap ? classes?.[classesName.scroll_snap_mode] : ""}`}
+      className={`${classes?.[classesName.scroll_section_container]} ${enableScrollSnap ? classes?.[classesName.scroll_snap_mode] : ""} ${
+        stacked ? classes?.[classesName.stacked] : ""
+      }`}
       style={{ backgroundColor }}
     >
       {/* Main scroll animation section with pinning and trigger detection */}
@@ -13,8 +15,8 @@ export default function MainJSX({ baseId, children, classes, classesName, backgr
           classes?.[classesName.section]
         }`}
         style={{
-          perspective: direction === "3d" ? "1000px" : "none",
-          transformStyle: direction === "3d" ? "preserve-3d" : "flat",
+          perspective: direction === "3d" && !stacked ? "1000px" : "none",
+          transformStyle: direction === "3d" && !stacked ? "preserve-3d" : "flat",
           scrollSnapType: enableScrollSnap ? `y ${snapType}` : "none", // Add CSS scroll snap when enabled
         }}
       >
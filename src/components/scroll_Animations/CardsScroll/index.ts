@@ -1,3 +1,3 @@
 // Component exports
 export { CardsScroll } from "./CardsScroll.view";
-// export type { CardsScrollProps } from "./CardsScroll.view";
+export type { CardsScrollProps } from "./CardsScroll.view";
@@ -1,5 +1,7 @@
 import React, { useEffect, useRef, useId, ReactNode, useMemo, useCallback } from "react";
 import ScrollImageAnimationCtrl from "./controller/ScrollImageAnimation.ctrl";
+import { useReducedMotion, type MotionPreference } from "../../shared/useReducedMotion";
+import { useThemePalette } from "../../shared/theme";
 
 // CSS styles as a string - injected at runtime to work in packaged builds
 const CSS_STYLES = `/* Image Scroll Animation Styles - Package: smd-img-scroll */
@@ -195,6 +197,45 @@ const CSS_STYLES = `/* Image Scroll Animation Styles - Package: smd-img-scroll *
   color: var(--smd-img-scroll-secondary);
 }
 
+/* Reduced motion - sections scroll past as a plain stack, without pinning or transitions */
+.smd-img-scroll__container.smd-img-scroll__reduced-motion .smd-img-scroll__pin-wrapper,
+.smd-img-scroll__container.smd-img-scroll__reduced-motion .smd-img-scroll__text-content,
+.smd-img-scroll__container.smd-img-scroll__reduced-motion .smd-img-scroll__media-container {
+  transition: none !important;
+}
+
+.smd-img-scroll__container.smd-img-scroll__reduced-motion .smd-img-scroll__event {
+  height: auto !important;
+  min-height: 0 !important;
+  padding: var(--smd-img-scroll-spacing);
+}
+
+.smd-img-scroll__container.smd-img-scroll__reduced-motion .smd-img-scroll__pin-wrapper {
+  height: auto !important;
+  display: flex;
+  flex-direction: column;
+  gap: var(--smd-img-scroll-spacing);
+  contain: none;
+}
+
+.smd-img-scroll__container.smd-img-scroll__reduced-motion .smd-img-scroll__text-content {
+  position: static;
+  transform: none;
+  width: auto;
+}
+
+.smd-img-scroll__container.smd-img-scroll__reduced-motion .smd-img-scroll__media-container {
+  position: relative !important;
+  top: auto !important;
+  right: auto !important;
+  width: 100% !important;
+  max-width: 500px;
+  height: auto !important;
+  max-height: none;
+  aspect-ratio: 1;
+  transform: none !important;
+}
+
 /* Overflow hidden - This is applied to body/html by JavaScript, so keep it global but more specific */
 body.overflow-hidden,
 html.overflow-hidden {
@@ -598,9 +639,11 @@ interface ThemeConfig {
   fontSecondary?: string;
 }
 
-interface ContentScrollProps {
+export interface ContentScrollProps {
   children: ReactNode;
   theme?: ThemeConfig;
+  /** Reduced-motion policy; "auto" follows the OS setting, "reduce" never pins sections */
+  motion?: MotionPreference;
 }
 
 interface ClassNames {
@@ -620,6 +663,7 @@ interface ClassNames {
   readonly text_wrapper: string;
   readonly first_text: string;
   readonly second_text: string;
+  readonly reduced_motion: string;
 }
 
 interface ProcessedSection {
@@ -654,7 +698,7 @@ interface ThemeStyles {
  * </ContentScroll>
  * ```
  */
-export function ContentScroll({ children, theme = {} }: ContentScrollProps) {
+export function ContentScroll({ children, theme = {}, motion = "auto" }: ContentScrollProps) {
   // Memoized class names with unique package prefix to avoid conflicts
   const classesName: ClassNames = useMemo(
     () => ({
@@ -674,6 +718,7 @@ export function ContentScroll({ children, theme = {} }: ContentScrollProps) {
       text_wrapper: `${PKG_PREFIX}__text-wrapper`,
       first_text: `${PKG_PREFIX}__first-text`,
       second_text: `${PKG_PREFIX}__second-text`,
+      reduced_motion: `${PKG_PREFIX}__reduced-motion`,
     }),
     []
   );
@@ -684,6 +729,9 @@ export function ContentScroll({ children, theme = {} }: ContentScrollProps) {
   const idStyle = useMemo(() => String(id1).replace(/:/g, ""), [id1]);
   const baseId = useMemo(() => String(id2).replace(/:/g, ""), [id2]);
 
+  // Reduced motion keeps the sections in normal flow instead of pinning them
+  const reduceMotion = useReducedMotion(motion);
+
   // Refs for DOM elements and lifecycle management
   const containerRef = useRef<HTMLElement>(null);
   const observersRef = useRef<IntersectionObserver[]>([]);
@@ -694,8 +742,14 @@ export function ContentScroll({ children, theme = {} }: ContentScrollProps) {
   const handlers = useMemo(() => ScrollImageAnimationCtrl(), []);
   const { buildThemeStyles, processChildren, initScrollAnimations } = handlers;
 
+  // Theme palette from an InnoVistaThemeProvider; the `theme` prop still wins over it
+  const palette = useThemePalette();
+
   // Memoize theme styles to prevent unnecessary recalculations
-  const themeStyles: ThemeStyles = useMemo(() => buildThemeStyles({ theme }) as ThemeStyles, [theme, buildThemeStyles]);
+  const themeStyles: ThemeStyles = useMemo(
+    () => buildThemeStyles({ theme: palette ? { primary: palette.surface, white: palette.text, ...theme } : theme }) as ThemeStyles,
+    [theme, palette, buildThemeStyles]
+  );
 
   // Memoize processed sections
   const sections: ProcessedSection[] = useMemo(() => processChildren({ children, baseId }), [children, baseId, processChildren]);
@@ -746,7 +800,7 @@ export function ContentScroll({ children, theme = {} }: ContentScrollProps) {
 
     // Adapt section heights based on scroll container
     const sectionElements = containerRef.current.querySelectorAll(`.${PKG_PREFIX}__section${idStyle}`);
-    if (scrollContainer !== window && scrollContainer instanceof HTMLElement) {
+    if (!reduceMotion && scrollContainer !== window && scrollContainer instanceof HTMLElement) {
       const containerHeight = scrollContainer.clientHeight;
 
       // Update each section height
@@ -762,6 +816,21 @@ export function ContentScroll({ children, theme = {} }: ContentScrollProps) {
       }
     }
 
+    // Release any pinned sections and skip the scroll animations
+    if (reduceMotion) {
+      containerRef.current.querySelectorAll<HTMLElement>(`.${classesName.pin_wrapper}`).forEach((pinWrapper) => {
+        pinWrapper.style.position = "";
+        pinWrapper.style.top = "";
+        pinWrapper.style.left = "";
+        pinWrapper.style.width = "";
+        pinWrapper.style.height = "";
+        pinWrapper.style.zIndex = "";
+      });
+      // Drop the height a constrained scroll container gave the stack before motion was reduced
+      if (containerRef.current.parentElement) containerRef.current.parentElement.style.height = "";
+      return;
+    }
+
     // Initialize scroll animations
     try {
       initScrollAnimations({
@@ -779,7 +848,7 @@ export function ContentScroll({ children, theme = {} }: ContentScrollProps) {
 
     // Cleanup on unmount
     return cleanup;
-  }, [children, idStyle, classesName, initScrollAnimations, cleanup]);
+  }, [children, idStyle, classesName, reduceMotion, initScrollAnimations, cleanup]);
 
   // Early return for no content
   if (!children) {
@@ -794,8 +863,14 @@ export function ContentScroll({ children, theme = {} }: ContentScrollProps) {
   }
 
   return (
-    <div className={classesName.container} style={{ backgroundColor: themeStyles.primary }} role="region" aria-label="Image Scroll Animation">
-      <section ref={containerRef} style={{ height: totalHeight }}>
+    <div
+      className={`${classesName.container} ${reduceMotion ? classesName.reduced_motion : ""}`.trim()}
+      style={{ backgroundColor: themeStyles.primary }}
+      role="region"
+      aria-label="Image Scroll Animation"
+    >
+      {/* Under reduced motion the sections take their natural height instead of a screen each */}
+      <section ref={containerRef} style={reduceMotion ? undefined : { height: totalHeight }}>
         {sections.map((section, index) => {
           const sectionNumber = index + 1;
           const sectionClassKey = `section_${sectionNumber}` as keyof ClassNames;
@@ -1,3 +1,3 @@
 // Component exports
 export { ContentScroll } from "./ImageScrollAnimation.view";
-// export type { ContentScrollProps } from "./ImageScrollAnimation.view";
+export type { ContentScrollProps } from "./ImageScrollAnimation.view";
@@ -0,0 +1,111 @@
+import React, { createContext, useContext, useMemo, useSyncExternalStore, type ReactNode } from "react";
+
+/**
+ * Named colors every component reads its default palette from:
+ * - primary: main color of the animated shapes
+ * - secondary: second color of multi-color palettes
+ * - accent: highlights and connecting lines
+ * - glow: luminous elements such as fireflies and stars
+ * - surface: background behind the animation
+ * - text: content laid over the animation
+ */
+export interface ThemePalette {
+  primary: string;
+  secondary: string;
+  accent: string;
+  glow: string;
+  surface: string;
+  text: string;
+}
+
+/**
+ * Color scheme of the theme:
+ * - "auto" follows the OS `prefers-color-scheme` setting
+ * - "light" and "dark" always use that variant
+ */
+export type ThemeMode = "auto" | "light" | "dark";
+
+export interface InnoVistaThemeProviderProps {
+  children?: ReactNode;
+  // Which variant is active (default: "auto")
+  mode?: ThemeMode;
+  // Tokens overriding the built-in light variant
+  light?: Partial<ThemePalette>;
+  // Tokens overriding the built-in dark variant
+  dark?: Partial<ThemePalette>;
+}
+
+export const LIGHT_PALETTE: ThemePalette = Object.freeze({
+  primary: "#4361ee",
+  secondary: "#7209b7",
+  accent: "#f72585",
+  glow: "#ffb703",
+  surface: "#f5f6fa",
+  text: "#1b1b1f",
+});
+
+export const DARK_PALETTE: ThemePalette = Object.freeze({
+  primary: "#4cc9f0",
+  secondary: "#7209b7",
+  accent: "#f72585",
+  glow: "#ffe066",
+  surface: "#0b0d17",
+  text: "#f1f1f5",
+});
+
+const DARK_SCHEME_QUERY = "(prefers-color-scheme: dark)";
+
+/**
+ * Subscribes to changes of the OS color scheme
+ */
+const subscribe = (onChange: () => void) => {
+  if (typeof window === "undefined" || !window.matchMedia) return () => {};
+
+  const mediaQuery = window.matchMedia(DARK_SCHEME_QUERY);
+  mediaQuery.addEventListener("change", onChange);
+  return () => mediaQuery.removeEventListener("change", onChange);
+};
+
+const getSnapshot = () => typeof window !== "undefined" && !!window.matchMedia && window.matchMedia(DARK_SCHEME_QUERY).matches;
+
+// The server cannot know the user's setting, so it renders the light variant
+const getServerSnapshot = () => false;
+
+// Null outside a provider, so components keep their own defaults
+const ThemeContext = createContext<ThemePalette | null>(null);
+
+/**
+ * Themes every InnoVista component below it from one palette. Component props
+ * still win over the palette, so individual instances can opt out per color.
+ *
+ * @example
+ * ```tsx
+ * <InnoVistaThemeProvider mode="dark" dark={{ primary: "#00f5d4", surface: "#050510" }}>
+ *   <Particles />
+ *   <ContentScroll>...</ContentScroll>
+ * </InnoVistaThemeProvider>
+ * ```
+ */
+export function InnoVistaThemeProvider({ children, mode = "auto", light, dark }: InnoVistaThemeProviderProps) {
+  const prefersDark = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+  const isDark = mode === "dark" || (mode === "auto" && prefersDark);
+
+  const overrides = isDark ? dark : light;
+
+  // Keyed on the token values so inline override objects do not restart every background on each render
+  const overridesKey = JSON.stringify(overrides ?? {});
+  const palette = useMemo<ThemePalette>(
+    () => ({ ...(isDark ? DARK_PALETTE : LIGHT_PALETTE), ...(JSON.parse(overridesKey) as Partial<ThemePalette>) }),
+    [isDark, overridesKey]
+  );
+
+  return <ThemeContext.Provider value={palette}>{children}</ThemeContext.Provider>;
+}
+
+/**
+ * Reads the active theme palette
+ * @returns Palette of the nearest InnoVistaThemeProvider, or null outside one
+ */
+export function useThemePalette(): ThemePalette | null {
+  return useContext(ThemeContext);
+}
@@ -0,0 +1,40 @@
+import { useSyncExternalStore } from "react";
+
+/**
+ * Motion policy accepted by every component:
+ * - "auto" follows the OS `prefers-reduced-motion` setting
+ * - "reduce" always renders the reduced variant
+ * - "full" always animates
+ */
+export type MotionPreference = "auto" | "reduce" | "full";
+
+const REDUCED_MOTION_QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * Subscribes to changes of the OS reduced-motion setting
+ */
+const subscribe = (onChange: () => void) => {
+  if (typeof window === "undefined" || !window.matchMedia) return () => {};
+
+  const mediaQuery = window.matchMedia(REDUCED_MOTION_QUERY);
+  mediaQuery.addEventListener("change", onChange);
+  return () => mediaQuery.removeEventListener("change", onChange);
+};
+
+const getSnapshot = () => typeof window !== "undefined" && !!window.matchMedia && window.matchMedia(REDUCED_MOTION_QUERY).matches;
+
+// The server cannot know the user's setting, so it renders the animated variant
+const getServerSnapshot = () => false;
+
+/**
+ * Resolves a component's motion policy, updating live when the OS setting changes
+ * @param motion - Motion policy from the component props
+ * @returns Whether the component should render its reduced-motion variant
+ */
+export function useReducedMotion(motion: MotionPreference = "auto"): boolean {
+  const prefersReducedMotion = useSyncExternalStore(subscribe, getSnapshot, getServerSnapshot);
+
+  if (motion === "reduce") return true;
+  if (motion === "full") return false;
+  return prefersReducedMotion;
+}
@@ -2,84 +2,143 @@
 // This pattern makes it easy to add new components - just add a new export line
 
 // CrystalBall Component
-export { CrystalBall } from "./components/backgrounds/crystalBallAnimation";
-// export type { CrystalBallProps, StyleSettings } from "./components/backgrounds/crystalBallAnimation";
+export { CrystalBall, crystalBallJsonSchema } from "./components/backgrounds/crystalBallAnimation";
+export type { CrystalBallProps, StyleSettings, CrystalBallHandle } from "./components/backgrounds/crystalBallAnimation";
 
 // AnimatedCircles Component
-export { AnimatedCircles } from "./components/backgrounds/AnimatedCircles";
-// export type { AnimatedCirclesProps, AnimatedCirclesAdvancedSettings } from "./components/backgrounds/AnimatedCircles";
+export { AnimatedCircles, animatedCirclesJsonSchema } from "./components/backgrounds/AnimatedCircles";
+export type { AnimatedCirclesProps, AnimatedCirclesAdvancedSettings, AnimatedCirclesHandle } from "./components/backgrounds/AnimatedCircles";
 
 // ExpandingBalls Component
-export { ExpandingBalls } from "./components/backgrounds/expandingBallsAnimation";
-// export type { ExpandingBallsProps, ExpandingBallsAdvancedSettings } from "./components/backgrounds/expandingBallsAnimation";
+export { ExpandingBalls, expandingBallsJsonSchema } from "./components/backgrounds/expandingBallsAnimation";
+export type { ExpandingBallsProps, ExpandingBallsAdvancedSettings, ExpandingBallsHandle } from "./components/backgrounds/expandingBallsAnimation";
 
 // ExpandingCircles Component
-export { ExpandingCircles } from "./components/backgrounds/expandingCirclesAnimation";
-// export type { ExpandingCirclesProps, ExpandingCirclesAdvancedSettings } from "./components/backgrounds/expandingCirclesAnimation";
+export { ExpandingCircles, expandingCirclesJsonSchema } from "./components/backgrounds/expandingCirclesAnimation";
+export type { ExpandingCirclesProps, ExpandingCirclesAdvancedSettings, ExpandingCirclesHandle } from "./components/backgrounds/expandingCirclesAnimation";
 
 // ExpandingSquares Component
-export { ExpandingSquares } from "./components/backgrounds/expandingSquaresAnimation";
-// export type { ExpandingSquaresProps, ExpandingSquaresAdvancedSettings } from "./components/backgrounds/expandingSquaresAnimation";
+export { ExpandingSquares, expandingSquaresJsonSchema } from "./components/backgrounds/expandingSquaresAnimation";
+export type { ExpandingSquaresProps, ExpandingSquaresAdvancedSettings, ExpandingSquaresHandle } from "./components/backgrounds/expandingSquaresAnimation";
 
 // Fireflies Component
-export { Fireflies } from "./components/backgrounds/firefliesAnimation";
-// export type { FirefliesProps, FirefliesAdvancedSettings } from "./components/backgrounds/firefliesAnimation";
+export { Fireflies, firefliesJsonSchema } from "./components/backgrounds/firefliesAnimation";
+export type { FirefliesProps, FirefliesAdvancedSettings, FirefliesHandle } from "./components/backgrounds/firefliesAnimation";
 
 // FloatingBalls Component
-export { FloatingBalls } from "./components/backgrounds/floatingBallsAnimation";
-// export type { FloatingBallsProps, FloatingBallsAdvancedSettings } from "./components/backgrounds/floatingBallsAnimation";
+export { FloatingBalls, floatingBallsJsonSchema } from "./components/backgrounds/floatingBallsAnimation";
+export type { FloatingBallsProps, FloatingBallsAdvancedSettings, FloatingBallsHandle } from "./components/backgrounds/floatingBallsAnimation";
 
 // FloatingParticles Component
-export { FloatingParticles } from "./components/backgrounds/floatingParticlesAnimation";
-// export type { FloatingParticlesProps, FloatingParticlesAdvancedSettings } from "./components/backgrounds/floatingParticlesAnimation";
+export { FloatingParticles, floatingParticlesJsonSchema } from "./components/backgrounds/floatingParticlesAnimation";
+export type { FloatingParticlesProps, FloatingParticlesAdvancedSettings, FloatingParticlesHandle } from "./components/backgrounds/floatingParticlesAnimation";
 
 // FloatingSquares Component
-export { FloatingSquares } from "./components/backgrounds/floatingSquaresAnimation";
-// export type { FloatingSquaresProps, FloatingSquaresAdvancedSettings } from "./components/backgrounds/floatingSquaresAnimation";
+export { FloatingSquares, floatingSquaresJsonSchema } from "./components/backgrounds/floatingSquaresAnimation";
+export type { FloatingSquaresProps, FloatingSquaresAdvancedSettings, FloatingSquaresHandle } from "./components/backgrounds/floatingSquaresAnimation";
 
 // GeometricAnimation Component
-export { GeometricAnimation } from "./components/backgrounds/geometricAnimation";
-// export type { GeometricAnimationProps, GeometricAnimationAdvancedSettings } from "./components/backgrounds/geometricAnimation";
+export { GeometricAnimation, geometricAnimationJsonSchema } from "./components/backgrounds/geometricAnimation";
+export type { GeometricAnimationProps, GeometricAnimationAdvancedSettings, GeometricAnimationHandle } from "./components/backgrounds/geometricAnimation";
 
 // GradientSliders Component
-export { GradientSliders } from "./components/backgrounds/gradientSlidersAnimation";
-// export type { GradientSlidersProps, GradientSlidersAdvancedSettings } from "./components/backgrounds/gradientSlidersAnimation";
+export { GradientSliders, gradientSlidersJsonSchema } from "./components/backgrounds/gradientSlidersAnimation";
+export type { GradientSlidersProps, GradientSlidersAdvancedSettings, GradientSlidersHandle } from "./components/backgrounds/gradientSlidersAnimation";
 
 // Interstellar Component
-export { Interstellar } from "./components/backgrounds/interstellarAnimation";
-// export type { InterstellarProps, InterstellarAdvancedSettings } from "./components/backgrounds/interstellarAnimation";
+export { Interstellar, interstellarJsonSchema } from "./components/backgrounds/interstellarAnimation";
+export type { InterstellarProps, InterstellarAdvancedSettings, InterstellarHandle } from "./components/backgrounds/interstellarAnimation";
 
 // MathPattern Component
-export { MathPattern } from "./components/backgrounds/mathPatternAnimation";
-// export type { MathPatternProps, MathPatternAdvancedSettings } from "./components/backgrounds/mathPatternAnimation";
+export { MathPattern, mathPatternJsonSchema } from "./components/backgrounds/mathPatternAnimation";
+export type { MathPatternProps, MathPatternAdvancedSettings, MathPatternHandle } from "./components/backgrounds/mathPatternAnimation";
 
 // Particles Component
-export { Particles } from "./components/backgrounds/particleAnimation";
-// export type { ParticlesProps, ParticlesAdvancedSettings } from "./components/backgrounds/particleAnimation";
+export { Particles, particlesJsonSchema } from "./components/backgrounds/particleAnimation";
+export type { ParticlesProps, ParticlesAdvancedSettings, ParticlesHandle } from "./components/backgrounds/particleAnimation";
 
 // Rain Component
-export { Rain } from "./components/backgrounds/rainAnimation";
-// export type { RainProps, RainAdvancedSettings } from "./components/backgrounds/rainAnimation";
+export { Rain, rainJsonSchema } from "./components/backgrounds/rainAnimation";
+export type { RainProps, RainAdvancedSettings, RainHandle } from "./components/backgrounds/rainAnimation";
 
 // Snow Component
-export { Snow } from "./components/backgrounds/snowAnimation";
-// export type { SnowProps, SnowAdvancedSettings } from "./components/backgrounds/snowAnimation";
+export { Snow, snowJsonSchema } from "./components/backgrounds/snowAnimation";
+export type { SnowProps, SnowAdvancedSettings, SnowHandle } from "./components/backgrounds/snowAnimation";
 
 // WaterDrops Component
-export { WaterDrops } from "./components/backgrounds/waterDropsAnimation";
-// export type { WaterDropsProps, WaterDropsAdvancedSettings } from "./components/backgrounds/waterDropsAnimation";
+export { WaterDrops, waterDropsJsonSchema } from "./components/backgrounds/waterDropsAnimation";
+export type { WaterDropsProps, WaterDropsAdvancedSettings, WaterDropsHandle } from "./components/backgrounds/waterDropsAnimation";
 
 // Wave Component
-export { Wave } from "./components/backgrounds/waveAnimation";
-// export type { WaveProps, WaveAdvancedSettings } from "./components/backgrounds/waveAnimation";
+export { Wave, waveJsonSchema } from "./components/backgrounds/waveAnimation";
+export type { WaveProps, WaveAdvancedSettings, WaveHandle } from "./components/backgrounds/waveAnimation";
 
 // ContentScroll Component
 export { ContentScroll } from "./components/scroll_Animations/ContentScroll";
-// export type { ContentScrollProps } from "./components/scroll_Animations/ContentScroll";
+export type { ContentScrollProps } from "./components/scroll_Animations/ContentScroll";
 
 // CardsScroll Component
 export { CardsScroll } from "./components/scroll_Animations/CardsScroll";
-// export type { CardsScrollProps } from "./components/scroll_Animations/CardsScroll";
+export type { CardsScrollProps } from "./components/scroll_Animations/CardsScroll";
+
+// Background Component (renders a serialized background config)
+export { Background, serializeBackground, deserializeBackground } from "./components/backgrounds/Background";
+export type { BackgroundProps, BackgroundConfig, BackgroundConfigFormat } from "./components/backgrounds/Background";
+
+// Background Stack Component (layers several backgrounds into one scene)
+export { BackgroundStack } from "./components/backgrounds/Background";
+export type { BackgroundStackProps, BackgroundStackHandle, BackgroundLayer } from "./components/backgrounds/Background";
+
+// Background Switcher Component (animates between backgrounds or presets)
+export { BackgroundSwitcher } from "./components/backgrounds/Background";
+export type { BackgroundSwitcherProps, BackgroundScene, BackgroundTransition, WipeDirection } from "./components/backgrounds/Background";
+
+// Background Playground (development tool for exploring a background's settings)
+export { BackgroundPlayground } from "./components/backgrounds/Background";
+export type { BackgroundPlaygroundProps } from "./components/backgrounds/Background";
+
+// Global playback control for every mounted background
+export { pauseAll, resumeAll, isPausedAll } from "./components/backgrounds/shared/scheduler";
+
+// Imperative handle shared by every background component
+export type { BackgroundHandle, CaptureFrameOptions, RecordOptions } from "./components/backgrounds/shared/useBackgroundHandle";
+
+// Reduced-motion policy accepted by every component's `motion` prop
+export type { MotionPreference } from "./components/shared/useReducedMotion";
+
+// Viewport options accepted by every background's `autoPause` prop
+export type { AutoPauseOptions } from "./components/backgrounds/shared/useAutoPause";
+
+// Adaptive quality options accepted by particle-style backgrounds' `quality` prop
+export type { QualityOptions } from "./components/backgrounds/shared/useQualityChange";
+
+// Drawing backend accepted by particle-style backgrounds' `renderer` prop
+export type { RendererPreference } from "./components/backgrounds/shared/renderer";
+
+// Static stand-in accepted by every background's `poster` prop
+export type { PosterPreference, PosterOptions } from "./components/backgrounds/shared/BackgroundPoster";
+
+// Layout of the container and `children` overlay accepted by every background
+export type { BackgroundLayoutProps, ContentOverlayOptions, OverlayPlacement } from "./components/backgrounds/shared/BackgroundShell";
+
+// JSON Schema of every background's props, for forms and CMS editors
+export { backgroundJsonSchemas } from "./components/backgrounds/jsonSchemas";
+export type { BackgroundName } from "./components/backgrounds/jsonSchemas";
+export type { JsonSchema } from "./components/backgrounds/shared/jsonSchema";
+
+// Named looks accepted by every background's `preset` prop
+export { registerPreset, unregisterPreset } from "./components/backgrounds/shared/presets";
+export type { PresetComponent, BackgroundPreset } from "./components/backgrounds/shared/presets";
+
+// Scroll-linked settings accepted by every background's `scrollBind` prop
+export type { ScrollBind, ScrollBindOptions, ScrollBindStops, ScrollBindValue } from "./components/backgrounds/shared/useScrollBind";
+
+// Audio-driven settings accepted by every background's `audioSource` and `audioMapping` props
+export type { AudioSource, AudioBand, AudioBinding, AudioMapping } from "./components/backgrounds/shared/useAudioSource";
+
+// Library-wide palette read by every component as its default colors
+export { InnoVistaThemeProvider, useThemePalette } from "./components/shared/theme";
+export type { ThemePalette, ThemeMode, InnoVistaThemeProviderProps } from "./components/shared/theme";
 
 // Add new components here following the same pattern:
 // export { ComponentName } from "./components/componentFolder";
@@ -1,9 +1,13 @@
 import { defineConfig } from "tsup";
 
 export default defineConfig({
-  entry: ["src/index.ts"],
+  entry: {
+    index: "src/index.ts",
+    // Loaded by the worker rendering mode through new URL("./renderWorker.js", import.meta.url)
+    renderWorker: "src/components/backgrounds/shared/renderWorker.js",
+  },
   format: ["cjs", "esm"],
-  dts: true,
+  dts: { entry: { index: "src/index.ts" } },
   splitting: false,
   sourcemap: true,
   clean: true,
@@ -13,6 +17,13 @@ export default defineConfig({
   loader: {
     ".js": "jsx", // Treat .js files as JSX to handle JSX syntax
   },
+  esbuildOptions(options, { format }) {
+    // Keep import.meta in the ES module build so the worker script resolves next to it;
+    // the CommonJS build has no import.meta and renders on the main thread instead
+    if (format === "esm") {
+      options.supported = { ...options.supported, "import-meta": true };
+    }
+  },
   outExtension({ format }) {
     return {
       js: format === "cjs" ? ".cjs" : ".js",
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+export default defineConfig({
+  test: {
+    environment: "jsdom",
+    setupFiles: ["vitest-canvas-mock"],
+    include: ["src/**/*.test.{ts,tsx}"],
+  },
+});